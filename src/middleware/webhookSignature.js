@@ -0,0 +1,73 @@
+// =============================================
+// NexoBot MVP — Webhook Signature Middleware
+// =============================================
+// Meta signs every webhook POST with the app secret:
+//   X-Hub-Signature-256: sha256=<HMAC-SHA256 of the raw body>
+// Without this check anyone who knows /webhook can inject
+// messages (and transactions) for any phone.
+//
+// WHATSAPP_APP_SECRET (Meta → App settings → Basic → App secret):
+//   set        — every request must carry a valid signature
+//   not set    — production rejects everything (fail closed),
+//                development accepts unsigned requests with a warning
+
+import crypto from 'crypto';
+
+const HEADER = 'x-hub-signature-256';
+
+/**
+ * express.json({ verify }) hook: keep the exact bytes Meta signed.
+ * Re-serializing req.body would not match (key order, spacing, unicode escapes).
+ */
+export function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+/**
+ * Signature header value for a body, as Meta sends it
+ * @param {Buffer|string|Object} body - raw body, or a payload to serialize
+ */
+export function signPayload(body, secret) {
+    const raw = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body);
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(raw).digest('hex');
+}
+
+/**
+ * Constant-time check of a signature header against the raw body
+ */
+export function verifySignature(rawBody, header, secret) {
+    if (!rawBody || !header || !secret || !header.startsWith('sha256=')) return false;
+    const expected = Buffer.from(signPayload(rawBody, secret));
+    const received = Buffer.from(header);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+let warnedUnsigned = false;
+
+/**
+ * Reject webhook POSTs that Meta didn't sign
+ */
+export function verifyWebhookSignature(req, res, next) {
+    const secret = process.env.WHATSAPP_APP_SECRET;
+
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production') {
+            console.error('🚫 Webhook rejected: WHATSAPP_APP_SECRET is not set (required in production)');
+            return res.sendStatus(403);
+        }
+        if (!warnedUnsigned) {
+            console.warn('⚠️ WHATSAPP_APP_SECRET not set: accepting unsigned webhooks (development only)');
+            warnedUnsigned = true;
+        }
+        return next();
+    }
+
+    if (!verifySignature(req.rawBody, req.get(HEADER), secret)) {
+        console.warn(`🚫 Webhook rejected: invalid or missing ${HEADER} (ip ${req.ip})`);
+        return res.sendStatus(401);
+    }
+
+    next();
+}
+
+export default { captureRawBody, signPayload, verifySignature, verifyWebhookSignature };
@@ -0,0 +1,105 @@
+// =============================================
+// NexoBot MVP — Conversation State Model
+// =============================================
+// Short-lived, per-merchant state for multi-turn flows
+// (pending confirmations, half-finished commands, etc.).
+// One row per (merchant, kind). Rows expire on their own.
+
+import supabase from '../config/supabase.js';
+
+// In-memory store
+const memoryStore = new Map(); // `${merchantId}:${kind}` -> { payload, expires_at }
+
+/**
+ * Get the active state of a kind for a merchant (null if missing or expired)
+ */
+export async function getState(merchantId, kind) {
+    if (!supabase) return getStateMemory(merchantId, kind);
+
+    const { data, error } = await supabase
+        .from('conversation_state')
+        .select('payload, expires_at')
+        .eq('merchant_id', merchantId)
+        .eq('kind', kind)
+        .maybeSingle();
+
+    if (error) {
+        console.error('DB Error reading conversation state:', error);
+        return null;
+    }
+    if (!data) return null;
+
+    if (new Date(data.expires_at) <= new Date()) {
+        await clearState(merchantId, kind);
+        return null;
+    }
+
+    return data.payload;
+}
+
+/**
+ * Save state for a merchant, replacing any previous one of the same kind
+ * @param {number} ttlMs - How long the state stays valid
+ */
+export async function setState(merchantId, kind, payload, ttlMs) {
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+
+    if (!supabase) {
+        memoryStore.set(`${merchantId}:${kind}`, { payload, expires_at: expiresAt });
+        return payload;
+    }
+
+    const { error } = await supabase
+        .from('conversation_state')
+        .upsert({
+            merchant_id: merchantId,
+            kind,
+            payload,
+            expires_at: expiresAt,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'merchant_id,kind' });
+
+    if (error) {
+        console.error('DB Error saving conversation state:', error);
+        return null;
+    }
+
+    return payload;
+}
+
+/**
+ * Drop the state of a kind for a merchant
+ */
+export async function clearState(merchantId, kind) {
+    if (!supabase) {
+        memoryStore.delete(`${merchantId}:${kind}`);
+        return;
+    }
+
+    const { error } = await supabase
+        .from('conversation_state')
+        .delete()
+        .eq('merchant_id', merchantId)
+        .eq('kind', kind);
+
+    if (error) console.error('DB Error clearing conversation state:', error);
+}
+
+// =============================================
+// IN-MEMORY FALLBACK
+// =============================================
+
+function getStateMemory(merchantId, kind) {
+    const key = `${merchantId}:${kind}`;
+    const entry = memoryStore.get(key);
+    if (!entry) return null;
+
+    if (new Date(entry.expires_at) <= new Date()) {
+        memoryStore.delete(key);
+        return null;
+    }
+
+    return entry.payload;
+}
+
+export default { getState, setState, clearState };
@@ -3,33 +3,36 @@
 // =============================================
 
 import supabase from '../config/supabase.js';
+import { convert, valueInPyg } from '../services/currency.js';
 
 // In-memory store
-const memoryStore = new Map(); // merchantId -> Map(name -> customer)
+const memoryStore = new Map(); // merchantId -> Map(id -> customer)
 
 /**
- * Find or create a customer for a merchant
+ * Find a customer by name, nickname or phone (typo-tolerant), or create it.
+ * Ambiguous names ("Carlos" with two Carlos) should be settled with
+ * resolve() first; here the best candidate wins.
  */
 export async function findOrCreate(merchantId, customerName) {
     if (!customerName) return null;
 
+    const match = await resolve(merchantId, customerName);
+    if (match.customer) return match.customer;
+    if (match.candidates) return match.candidates[0];
+
+    return create(merchantId, customerName);
+}
+
+/**
+ * Create a customer (no matching)
+ */
+export async function create(merchantId, customerName) {
     const normalizedName = customerName.trim();
 
     if (!supabase) {
-        return findOrCreateMemory(merchantId, normalizedName);
+        return createMemory(merchantId, normalizedName);
     }
 
-    // Fuzzy match: try exact first, then ILIKE
-    let { data: customer } = await supabase
-        .from('merchant_customers')
-        .select('*')
-        .eq('merchant_id', merchantId)
-        .ilike('name', normalizedName)
-        .single();
-
-    if (customer) return customer;
-
-    // Create new
     const { data: newCustomer, error } = await supabase
         .from('merchant_customers')
         .insert({
@@ -48,46 +51,293 @@ export async function findOrCreate(merchantId, customerName) {
 }
 
 /**
- * Update customer debt
+ * Match a name against the merchant's customers.
+ * @returns {Object} { customer } one clear match,
+ *                   { candidates } several equally good ("Carlos" → Benítez / Duarte),
+ *                   {} nobody
  */
-export async function updateDebt(customerId, amount, type) {
+export async function resolve(merchantId, customerName) {
+    const query = normalizeName(customerName);
+    if (!query) return {};
+
+    const scored = (await getAll(merchantId))
+        .map(customer => ({ customer, score: customerScore(query, customer) }))
+        .filter(c => c.score >= MATCH_THRESHOLD)
+        .sort((a, b) => b.score - a.score ||
+            new Date(b.customer.last_transaction_at || 0) - new Date(a.customer.last_transaction_at || 0));
+
+    if (scored.length === 0) return {};
+
+    // A single exact name/nickname wins over partial matches
+    const exact = scored.filter(c => c.score === 1);
+    if (exact.length === 1) return { customer: exact[0].customer };
+
+    const [best] = scored;
+    const tied = scored.filter(c => c.score >= best.score - TIE_MARGIN);
+    if (tied.length === 1) return { customer: best.customer };
+    return { candidates: tied.slice(0, MAX_CANDIDATES).map(c => c.customer) };
+}
+
+/**
+ * All customers of a merchant
+ */
+export async function getAll(merchantId) {
     if (!supabase) {
-        return updateDebtMemory(customerId, amount, type);
+        return [...(memoryStore.get(merchantId)?.values() || [])];
+    }
+
+    const { data, error } = await supabase
+        .from('merchant_customers')
+        .select('*')
+        .eq('merchant_id', merchantId);
+
+    if (error) {
+        console.error('DB Error getting customers:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Update customer debt. The balance is kept per currency (a fiado in
+ * reais stays in reais); total_debt is its guaraní value, for sorting and risk.
+ * @returns {number|undefined} How much the balance actually moved (an overpayment only clears the debt)
+ */
+export async function updateDebt(customerId, amount, type, currency = 'PYG') {
+    if (!supabase) {
+        return updateDebtMemory(customerId, amount, type, currency);
     }
 
     const { data: customer } = await supabase
         .from('merchant_customers')
-        .select('total_debt, total_paid, total_transactions')
+        .select('total_debt, total_paid, total_transactions, balances')
         .eq('id', customerId)
         .single();
 
     if (!customer) return;
 
+    const changes = await debtChanges(customer, amount, type, currency, 1);
     const updates = {
         total_transactions: (customer.total_transactions || 0) + 1,
-        last_transaction_at: new Date().toISOString()
+        last_transaction_at: new Date().toISOString(),
+        ...changes
     };
 
-    if (type === 'SALE_CREDIT') {
-        updates.total_debt = (customer.total_debt || 0) + amount;
-    } else if (type === 'PAYMENT') {
-        updates.total_debt = Math.max(0, (customer.total_debt || 0) - amount);
-        updates.total_paid = (customer.total_paid || 0) + amount;
-    }
+    const { error } = await supabase
+        .from('merchant_customers')
+        .update(updates)
+        .eq('id', customerId);
+
+    if (error) console.error('DB Error updating customer:', error);
+    return movedBy(customer, changes, currency);
+}
 
-    // Update risk level based on debt
-    if (updates.total_debt !== undefined) {
-        if (updates.total_debt > 2000000) updates.risk_level = 'high';
-        else if (updates.total_debt > 500000) updates.risk_level = 'medium';
-        else updates.risk_level = 'low';
+/**
+ * Reverse a previous updateDebt (used when a transaction is voided).
+ * `amount` is what updateDebt moved, not the transaction amount.
+ */
+export async function reverseDebt(customerId, amount, type, currency = 'PYG') {
+    if (!supabase) {
+        return reverseDebtMemory(customerId, amount, type, currency);
     }
 
+    const { data: customer } = await supabase
+        .from('merchant_customers')
+        .select('total_debt, total_paid, total_transactions, balances')
+        .eq('id', customerId)
+        .single();
+
+    if (!customer) return;
+
+    const updates = {
+        total_transactions: Math.max(0, (customer.total_transactions || 0) - 1),
+        ...await debtChanges(customer, amount, type, currency, -1)
+    };
+
     const { error } = await supabase
         .from('merchant_customers')
         .update(updates)
         .eq('id', customerId);
 
-    if (error) console.error('DB Error updating customer:', error);
+    if (error) console.error('DB Error reversing customer debt:', error);
+}
+
+/**
+ * Find an existing customer by name (never creates, null if ambiguous)
+ */
+export async function findByName(merchantId, customerName) {
+    if (!customerName) return null;
+    const match = await resolve(merchantId, customerName);
+    return match.customer || null;
+}
+
+/**
+ * Update profile fields: name, phone, a new nickname
+ * @param {Object} fields - { name, phone, nickname }
+ */
+export async function updateProfile(customerId, { name, phone, nickname } = {}) {
+    const customer = await getById(customerId);
+    if (!customer) return null;
+
+    const updates = {};
+    if (name) updates.name = name.trim();
+    if (phone) updates.phone = normalizePhone(phone);
+    if (nickname) {
+        const nicknames = customer.nicknames || [];
+        if (!nicknames.some(n => normalizeName(n) === normalizeName(nickname))) {
+            updates.nicknames = [...nicknames, nickname.trim()];
+        }
+    }
+    if (Object.keys(updates).length === 0) return customer;
+
+    if (!supabase) {
+        Object.assign(customer, updates);
+        return customer;
+    }
+
+    const { data, error } = await supabase
+        .from('merchant_customers')
+        .update(updates)
+        .eq('id', customerId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('DB Error updating customer profile:', error);
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Merge a duplicate into the customer we keep: balances add up,
+ * the duplicate's name becomes a nickname, its reminders move over
+ * and the duplicate is deleted. Transactions are moved by the caller
+ * (Transaction.reassignCustomer) before this runs.
+ */
+export async function merge(keepId, dropId) {
+    const [keep, drop] = await Promise.all([getById(keepId), getById(dropId)]);
+    if (!keep || !drop || keep.id === drop.id) return null;
+
+    const nicknames = [...(keep.nicknames || [])];
+    for (const n of [drop.name, ...(drop.nicknames || [])]) {
+        if (!nicknames.some(k => normalizeName(k) === normalizeName(n)) && normalizeName(n) !== normalizeName(keep.name)) {
+            nicknames.push(n);
+        }
+    }
+
+    const balances = balancesOf(keep);
+    for (const [currency, amount] of Object.entries(balancesOf(drop))) {
+        balances[currency] = (balances[currency] || 0) + amount;
+    }
+
+    const updates = {
+        balances,
+        total_debt: (keep.total_debt || 0) + (drop.total_debt || 0),
+        total_paid: (keep.total_paid || 0) + (drop.total_paid || 0),
+        total_transactions: (keep.total_transactions || 0) + (drop.total_transactions || 0),
+        last_transaction_at: [keep.last_transaction_at, drop.last_transaction_at].filter(Boolean).sort().pop() || null,
+        phone: keep.phone || drop.phone || null,
+        cedula: keep.cedula || drop.cedula || null,
+        nicknames
+    };
+    updates.risk_level = riskLevelFor(updates.total_debt);
+
+    if (!supabase) {
+        Object.assign(keep, updates);
+        memoryStore.get(drop.merchant_id)?.delete(drop.id);
+        return keep;
+    }
+
+    const { data, error } = await supabase
+        .from('merchant_customers')
+        .update(updates)
+        .eq('id', keepId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('DB Error merging customers:', error);
+        return null;
+    }
+
+    await supabase.from('reminders').update({ customer_id: keepId }).eq('customer_id', dropId);
+
+    const { error: deleteError } = await supabase
+        .from('merchant_customers')
+        .delete()
+        .eq('id', dropId);
+
+    if (deleteError) console.error('DB Error deleting merged customer:', deleteError);
+    return data;
+}
+
+// =============================================
+// PER-CURRENCY BALANCES
+// =============================================
+
+/**
+ * What a customer owes in each currency: { PYG: 150000, BRL: 200 }.
+ * Customers from before multi-currency only have total_debt, always guaraníes.
+ */
+export function balancesOf(customer) {
+    if (customer?.balances) return { ...customer.balances };
+    return customer?.total_debt ? { PYG: customer.total_debt } : {};
+}
+
+/**
+ * Move one currency's balance (sign -1 reverses a previous move).
+ * Payments never take it below zero (nor touch a balance already in the
+ * customer's favor); reversals don't clamp: voiding a fiado that was
+ * already paid leaves a balance in the customer's favor, which a later
+ * reversal can settle. Reverse a payment by what it moved, not its amount.
+ */
+export function applyToBalances(balances, amount, type, currency = 'PYG', sign = 1) {
+    const next = { ...balances };
+    const current = next[currency] || 0;
+
+    if (type === 'SALE_CREDIT') {
+        next[currency] = current + sign * amount;
+    } else if (type === 'PAYMENT') {
+        next[currency] = sign > 0 ? Math.max(Math.min(current, 0), current - amount) : current + amount;
+    }
+
+    if (!next[currency]) delete next[currency];
+    return next;
+}
+
+/**
+ * Fields a fiado or payment changes on the customer: balances,
+ * their guaraní value, total paid (in guaraníes) and risk
+ */
+async function debtChanges(customer, amount, type, currency, sign) {
+    if (type !== 'SALE_CREDIT' && type !== 'PAYMENT') return {};
+
+    const balances = applyToBalances(balancesOf(customer), amount, type, currency, sign);
+    const changes = { balances, total_debt: await valueInPyg(balances) };
+    if (type === 'PAYMENT') {
+        const paid = (await convert(movedBy(customer, changes, currency), currency, 'PYG')).amount;
+        changes.total_paid = Math.max(0, (customer.total_paid || 0) + sign * paid);
+    }
+    changes.risk_level = riskLevelFor(changes.total_debt);
+    return changes;
+}
+
+/**
+ * How much debtChanges moved one currency's balance
+ */
+function movedBy(customer, changes, currency) {
+    if (!changes.balances) return 0;
+    return Math.abs((balancesOf(customer)[currency] || 0) - (changes.balances[currency] || 0));
+}
+
+/**
+ * Risk level from outstanding debt
+ */
+function riskLevelFor(totalDebt) {
+    if (totalDebt > 2000000) return 'high';
+    if (totalDebt > 500000) return 'medium';
+    return 'low';
 }
 
 /**
@@ -151,24 +401,109 @@ export async function updateCedula(customerId, cedula, mockRiskLevel = null) {
     return !error;
 }
 
+// =============================================
+// NAME MATCHING
+// =============================================
+// "carlos benitez", "Carlos Benítez" and "Carlso Benitez" are the same
+// person; "Carlos" alone may be several. Nicknames and phone numbers
+// count as names too.
+
+// Minimum score to consider a customer (1 = exact)
+const MATCH_THRESHOLD = 0.75;
+// Candidates this close to the best one are "equally good"
+const TIE_MARGIN = 0.05;
+const MAX_CANDIDATES = 3;
+
+/**
+ * Lowercase, no accents, no Don/Doña, single spaces
+ */
+export function normalizeName(name) {
+    return (name || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9ñ\s]/g, ' ')
+        .replace(/^\s*(?:don|dona|sr|sra|senor|senora)\s+/, '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * 0..1 similarity between a mention and a customer
+ */
+export function customerScore(query, customer) {
+    const digits = query.replace(/\D/g, '');
+    if (digits.length >= 6 && customer.phone) {
+        return normalizePhone(customer.phone).endsWith(digits.slice(-6)) ? 1 : 0;
+    }
+
+    const names = [customer.name, ...(customer.nicknames || [])].map(normalizeName);
+    return Math.max(0, ...names.map(name => nameScore(query, name)));
+}
+
+function nameScore(query, name) {
+    if (query === name) return 1;
+
+    const queryWords = query.split(' ');
+    const nameWords = name.split(' ');
+
+    // Every word of the mention matches a word of the name:
+    // "carlos" → "carlos benitez" (0.9), "carlso" → "carlos benitez" (less)
+    // An initial counts too: "carlos b" → "carlos benitez"
+    const wordScores = queryWords.map(q => Math.max(...nameWords.map(w =>
+        q.length === 1 ? (w.startsWith(q) ? 0.9 : 0) : similarity(q, w))));
+    const worst = Math.min(...wordScores);
+    if (worst < MATCH_THRESHOLD) return similarity(query, name);
+
+    const complete = queryWords.length === nameWords.length ? 1 : 0.9;
+    return Math.min(0.99, worst * complete);
+}
+
+function similarity(a, b) {
+    if (a === b) return 1;
+    // Short names only match exactly ("Juan" is not a typo of "Juana")
+    if (Math.min(a.length, b.length) < 5) return 0;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Levenshtein + adjacent swaps ("Carlso" is one edit from "Carlos")
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// "0981 123-456" → "0981123456"
+function normalizePhone(phone) {
+    return String(phone).replace(/\D/g, '');
+}
+
 // =============================================
 // IN-MEMORY FALLBACK
 // =============================================
 
-function findOrCreateMemory(merchantId, name) {
+function createMemory(merchantId, name) {
     if (!memoryStore.has(merchantId)) {
         memoryStore.set(merchantId, new Map());
     }
-    const customers = memoryStore.get(merchantId);
-
-    if (customers.has(name.toLowerCase())) {
-        return customers.get(name.toLowerCase());
-    }
 
     const customer = {
         id: `cust_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
         merchant_id: merchantId,
         name,
+        phone: null,
+        nicknames: [],
+        balances: {},
         total_debt: 0,
         total_paid: 0,
         total_transactions: 0,
@@ -177,32 +512,28 @@ function findOrCreateMemory(merchantId, name) {
         created_at: new Date().toISOString()
     };
 
-    customers.set(name.toLowerCase(), customer);
+    memoryStore.get(merchantId).set(customer.id, customer);
     return customer;
 }
 
-function updateDebtMemory(customerId, amount, type) {
-    for (const [merchantId, customers] of memoryStore) {
-        for (const [name, customer] of customers) {
-            if (customer.id === customerId) {
-                customer.total_transactions++;
-                customer.last_transaction_at = new Date().toISOString();
+async function updateDebtMemory(customerId, amount, type, currency) {
+    const customer = getByIdMemory(customerId);
+    if (!customer) return;
 
-                if (type === 'SALE_CREDIT') {
-                    customer.total_debt += amount;
-                } else if (type === 'PAYMENT') {
-                    customer.total_debt = Math.max(0, customer.total_debt - amount);
-                    customer.total_paid += amount;
-                }
+    customer.total_transactions++;
+    customer.last_transaction_at = new Date().toISOString();
+    const changes = await debtChanges(customer, amount, type, currency, 1);
+    const moved = movedBy(customer, changes, currency);
+    Object.assign(customer, changes);
+    return moved;
+}
 
-                if (customer.total_debt > 2000000) customer.risk_level = 'high';
-                else if (customer.total_debt > 500000) customer.risk_level = 'medium';
-                else customer.risk_level = 'low';
+async function reverseDebtMemory(customerId, amount, type, currency) {
+    const customer = getByIdMemory(customerId);
+    if (!customer) return;
 
-                return;
-            }
-        }
-    }
+    customer.total_transactions = Math.max(0, customer.total_transactions - 1);
+    Object.assign(customer, await debtChanges(customer, amount, type, currency, -1));
 }
 
 function getDebtorsMemory(merchantId) {
@@ -214,10 +545,8 @@ function getDebtorsMemory(merchantId) {
 }
 
 function getByIdMemory(customerId) {
-    for (const [merchantId, customers] of memoryStore) {
-        for (const [name, customer] of customers) {
-            if (customer.id === customerId) return customer;
-        }
+    for (const customers of memoryStore.values()) {
+        if (customers.has(customerId)) return customers.get(customerId);
     }
     return null;
 }
@@ -232,4 +561,21 @@ function updateCedulaMemory(customerId, cedula, mockRiskLevel) {
     return false;
 }
 
-export default { findOrCreate, updateDebt, getDebtors, getById, updateCedula };
+export default {
+    findOrCreate,
+    create,
+    resolve,
+    getAll,
+    findByName,
+    updateProfile,
+    merge,
+    updateDebt,
+    reverseDebt,
+    balancesOf,
+    applyToBalances,
+    getDebtors,
+    getById,
+    updateCedula,
+    normalizeName,
+    customerScore
+};
@@ -0,0 +1,337 @@
+// =============================================
+// NexoBot MVP — Inbound Job Model
+// =============================================
+// One row per WhatsApp message received, persisted before the
+// webhook answers 200. The WhatsApp message ID is the idempotency
+// key: Meta's retries never create a second job.
+//
+// status: pending → processing → done
+//                        ↘ pending (retry, after next_attempt_at)
+//                        ↘ dead    (out of attempts, see /api/admin/queue/dead)
+//
+// steps: results of the handler steps that already ran (see
+// inboundQueue.js), so a retry doesn't write the same sale twice.
+//
+// locked_by: a token per claim. Updates by the worker that claimed the
+// job only apply while it still holds it: once a job it was too slow
+// with is released and claimed again, the first worker can no longer
+// save steps, complete or fail it.
+
+import { randomUUID } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import supabase from '../config/supabase.js';
+
+// In-memory store without Supabase. Set INBOUND_QUEUE_FILE to keep it in a
+// JSON file across restarts (local development); otherwise it is lost on restart.
+const QUEUE_FILE = process.env.INBOUND_QUEUE_FILE || null;
+const memoryStore = loadMemory(); // id -> job
+
+function loadMemory() {
+    if (!QUEUE_FILE || !existsSync(QUEUE_FILE)) return new Map();
+    try {
+        const jobs = JSON.parse(readFileSync(QUEUE_FILE, 'utf8'));
+        console.log(`📥 Inbound queue: ${jobs.length} job(s) loaded from ${QUEUE_FILE}`);
+        return new Map(jobs.map(job => [job.id, job]));
+    } catch (error) {
+        console.error(`❌ Could not read ${QUEUE_FILE}, starting with an empty queue:`, error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Write the in-memory queue to INBOUND_QUEUE_FILE (no-op without it).
+ * Written to a temp file and renamed, so a crash mid-write keeps the previous version.
+ */
+function persistMemory() {
+    if (!QUEUE_FILE) return;
+    mkdirSync(dirname(QUEUE_FILE), { recursive: true });
+    writeFileSync(`${QUEUE_FILE}.tmp`, JSON.stringify([...memoryStore.values()]));
+    renameSync(`${QUEUE_FILE}.tmp`, QUEUE_FILE);
+}
+
+const now = () => new Date().toISOString();
+
+/**
+ * Persist a message. Returns { job, duplicate } (duplicate: the message ID was
+ * already queued), or null when it couldn't be saved.
+ * @param {Object} data - { wa_message_id, phone, payload }
+ */
+export async function enqueue({ wa_message_id, phone, payload }) {
+    if (!supabase) {
+        const existing = [...memoryStore.values()].find(j => j.wa_message_id === wa_message_id);
+        if (existing) return { job: existing, duplicate: true };
+
+        const job = {
+            id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+            wa_message_id, phone, payload,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: now(),
+            locked_at: null,
+            locked_by: null,
+            last_error: null,
+            steps: {},
+            created_at: now(),
+            processed_at: null
+        };
+        memoryStore.set(job.id, job);
+        try {
+            persistMemory();
+        } catch (error) {
+            memoryStore.delete(job.id); // not saved: the webhook answers 500 and Meta retries
+            console.error('Error saving inbound queue file:', error.message);
+            return null;
+        }
+        return { job, duplicate: false };
+    }
+
+    const { data, error } = await supabase
+        .from('inbound_jobs')
+        .insert({ wa_message_id, phone, payload })
+        .select()
+        .single();
+
+    if (error?.code === '23505') { // unique_violation on wa_message_id
+        const { data: existing } = await supabase
+            .from('inbound_jobs')
+            .select('*')
+            .eq('wa_message_id', wa_message_id)
+            .maybeSingle();
+        return { job: existing, duplicate: true };
+    }
+    if (error) {
+        console.error('DB Error enqueuing inbound message:', error);
+        return null;
+    }
+    return { job: data, duplicate: false };
+}
+
+/**
+ * Pending and processing jobs, oldest first (the worker picks per-phone heads)
+ */
+export async function getActive(limit = 500) {
+    if (!supabase) {
+        return [...memoryStore.values()]
+            .filter(j => j.status === 'pending' || j.status === 'processing')
+            .sort((a, b) => a.created_at.localeCompare(b.created_at))
+            .slice(0, limit);
+    }
+
+    const { data, error } = await supabase
+        .from('inbound_jobs')
+        .select('id, wa_message_id, phone, status, attempts, next_attempt_at, locked_at, created_at')
+        .in('status', ['pending', 'processing'])
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+    if (error) {
+        console.error('DB Error getting queued messages:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Take a pending job (pending → processing, one more attempt).
+ * Null if another worker got it first. The returned job's locked_by
+ * is needed for every later update.
+ */
+export async function claim(id) {
+    if (!supabase) {
+        const job = memoryStore.get(id);
+        if (!job || job.status !== 'pending') return null;
+        Object.assign(job, { status: 'processing', locked_at: now(), locked_by: randomUUID(), attempts: job.attempts + 1 });
+        persistMemory();
+        return { ...job };
+    }
+
+    const { data: job } = await supabase.from('inbound_jobs').select('attempts').eq('id', id).maybeSingle();
+    if (!job) return null;
+
+    const { data, error } = await supabase
+        .from('inbound_jobs')
+        .update({ status: 'processing', locked_at: now(), locked_by: randomUUID(), attempts: job.attempts + 1, updated_at: now() })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) console.error('DB Error claiming inbound message:', error);
+    return data || null;
+}
+
+/**
+ * Update a job, only if `lockedBy` still holds it (null = unconditionally)
+ */
+async function update(id, changes, lockedBy = null) {
+    if (!supabase) {
+        const job = memoryStore.get(id);
+        if (!job || (lockedBy && job.locked_by !== lockedBy)) return null;
+        Object.assign(job, changes);
+        persistMemory();
+        return job;
+    }
+
+    let query = supabase
+        .from('inbound_jobs')
+        .update({ ...changes, updated_at: now() })
+        .eq('id', id);
+    if (lockedBy) query = query.eq('locked_by', lockedBy);
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) console.error('DB Error updating inbound message:', error);
+    return data || null;
+}
+
+/**
+ * The job is done. Null when `lockedBy` no longer holds it.
+ */
+export async function complete(id, lockedBy) {
+    return update(id, { status: 'done', processed_at: now(), locked_at: null, locked_by: null, last_error: null }, lockedBy);
+}
+
+/**
+ * The worker is still on it: push locked_at forward so it isn't released as stale
+ */
+export async function heartbeat(id, lockedBy) {
+    return update(id, { locked_at: now() }, lockedBy);
+}
+
+/**
+ * Store the results of the steps that ran so far (all of them, not just the new one).
+ * Also a heartbeat. Null when `lockedBy` no longer holds the job.
+ */
+export async function saveSteps(id, steps, lockedBy) {
+    return update(id, { steps, locked_at: now() }, lockedBy);
+}
+
+/**
+ * A failed attempt: retry at `nextAttemptAt`, or dead-letter it when null.
+ * Null when `lockedBy` no longer holds the job.
+ */
+export async function fail(id, errorMessage, nextAttemptAt = null, lockedBy = null) {
+    return update(id, nextAttemptAt
+        ? { status: 'pending', next_attempt_at: nextAttemptAt.toISOString(), locked_at: null, locked_by: null, last_error: errorMessage }
+        : { status: 'dead', locked_at: null, locked_by: null, last_error: errorMessage }, lockedBy);
+}
+
+/**
+ * Jobs left in 'processing' by a crashed process go back to pending
+ */
+export async function releaseStale(lockedBefore) {
+    if (!supabase) {
+        const stale = [...memoryStore.values()].filter(j => j.status === 'processing' && j.locked_at < lockedBefore);
+        stale.forEach(j => Object.assign(j, { status: 'pending', locked_at: null, locked_by: null }));
+        if (stale.length) persistMemory();
+        return stale.length;
+    }
+
+    const { data, error } = await supabase
+        .from('inbound_jobs')
+        .update({ status: 'pending', locked_at: null, locked_by: null, updated_at: now() })
+        .eq('status', 'processing')
+        .lt('locked_at', lockedBefore)
+        .select('id');
+
+    if (error) console.error('DB Error releasing stale inbound messages:', error);
+    return data?.length || 0;
+}
+
+// =============================================
+// DEAD LETTERS & ADMIN
+// =============================================
+
+/**
+ * Dead-lettered jobs, newest first
+ */
+export async function getDead(limit = 50) {
+    if (!supabase) {
+        return [...memoryStore.values()]
+            .filter(j => j.status === 'dead')
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit);
+    }
+
+    const { data, error } = await supabase
+        .from('inbound_jobs')
+        .select('*')
+        .eq('status', 'dead')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        console.error('DB Error getting dead letters:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Give a dead job a fresh set of attempts
+ */
+export async function requeue(id) {
+    if (!supabase) {
+        const job = memoryStore.get(id);
+        if (!job || job.status !== 'dead') return null;
+        Object.assign(job, { status: 'pending', attempts: 0, next_attempt_at: now() });
+        persistMemory();
+        return job;
+    }
+
+    const { data, error } = await supabase
+        .from('inbound_jobs')
+        .update({ status: 'pending', attempts: 0, next_attempt_at: now(), updated_at: now() })
+        .eq('id', id)
+        .eq('status', 'dead')
+        .select()
+        .maybeSingle();
+
+    if (error) console.error('DB Error requeuing inbound message:', error);
+    return data || null;
+}
+
+/**
+ * Number of jobs per status
+ */
+export async function countByStatus() {
+    const counts = { pending: 0, processing: 0, done: 0, dead: 0 };
+
+    if (!supabase) {
+        for (const job of memoryStore.values()) counts[job.status]++;
+        return counts;
+    }
+
+    await Promise.all(Object.keys(counts).map(async status => {
+        const { count } = await supabase
+            .from('inbound_jobs')
+            .select('id', { count: 'exact', head: true })
+            .eq('status', status);
+        counts[status] = count || 0;
+    }));
+    return counts;
+}
+
+/**
+ * Forget finished jobs (their message IDs stop deduplicating after this)
+ */
+export async function purgeDone(processedBefore) {
+    if (!supabase) {
+        for (const [id, job] of memoryStore) {
+            if (job.status === 'done' && job.processed_at < processedBefore) memoryStore.delete(id);
+        }
+        persistMemory();
+        return;
+    }
+
+    const { error } = await supabase
+        .from('inbound_jobs')
+        .delete()
+        .eq('status', 'done')
+        .lt('processed_at', processedBefore);
+
+    if (error) console.error('DB Error purging inbound messages:', error);
+}
+
+export default { enqueue, getActive, claim, complete, heartbeat, saveSteps, fail, releaseStale, getDead, requeue, countByStatus, purgeDone };
@@ -0,0 +1,163 @@
+// =============================================
+// NexoBot MVP — Installment Model
+// =============================================
+// Payment schedule of each fiado: one row per installment.
+// paid_amount / status are derived (see services/installments.js).
+
+import supabase from '../config/supabase.js';
+
+// In-memory store
+const memoryStore = []; // array of installments
+
+/**
+ * Insert the installments of a fiado
+ * @param {Array} rows - [{ merchant_id, customer_id, transaction_id, seq, due_date, amount }]
+ */
+export async function createMany(rows) {
+    if (rows.length === 0) return [];
+
+    if (!supabase) {
+        const created = rows.map(row => ({
+            id: `inst_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+            paid_amount: 0,
+            status: 'open',
+            paid_at: null,
+            ...row,
+            created_at: new Date().toISOString()
+        }));
+        memoryStore.push(...created);
+        return created;
+    }
+
+    const { data, error } = await supabase
+        .from('installments')
+        .insert(rows)
+        .select();
+
+    if (error) {
+        console.error('DB Error creating installments:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * A customer's installments (not voided), oldest due first
+ */
+export async function getByCustomer(customerId) {
+    if (!supabase) {
+        return sortByDue(memoryStore.filter(i => i.customer_id === customerId && i.status !== 'voided'));
+    }
+
+    const { data, error } = await supabase
+        .from('installments')
+        .select('*')
+        .eq('customer_id', customerId)
+        .neq('status', 'voided')
+        .order('due_date', { ascending: true })
+        .order('created_at', { ascending: true })
+        .order('seq', { ascending: true });
+
+    if (error) {
+        console.error('DB Error getting installments:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Unpaid installments of a merchant, oldest due first
+ * @param {Object} filters - { dueBy: 'YYYY-MM-DD' } only those due on or before
+ */
+export async function getOpen(merchantId, { dueBy } = {}) {
+    if (!supabase) {
+        return sortByDue(memoryStore.filter(i =>
+            i.merchant_id === merchantId &&
+            i.status === 'open' &&
+            (!dueBy || i.due_date <= dueBy)
+        ));
+    }
+
+    let query = supabase
+        .from('installments')
+        .select('*')
+        .eq('merchant_id', merchantId)
+        .eq('status', 'open');
+
+    if (dueBy) query = query.lte('due_date', dueBy);
+
+    const { data, error } = await query
+        .order('due_date', { ascending: true })
+        .order('seq', { ascending: true });
+
+    if (error) {
+        console.error('DB Error getting open installments:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Update paid_amount / status / paid_at of one installment
+ */
+export async function update(installmentId, updates) {
+    if (!supabase) {
+        const row = memoryStore.find(i => i.id === installmentId);
+        if (row) Object.assign(row, updates);
+        return row || null;
+    }
+
+    const { error } = await supabase
+        .from('installments')
+        .update(updates)
+        .eq('id', installmentId);
+
+    if (error) console.error('DB Error updating installment:', error);
+}
+
+/**
+ * Void the schedule of a voided fiado
+ */
+export async function voidByTransaction(transactionId) {
+    if (!supabase) {
+        memoryStore
+            .filter(i => i.transaction_id === transactionId)
+            .forEach(i => { i.status = 'voided'; });
+        return;
+    }
+
+    const { error } = await supabase
+        .from('installments')
+        .update({ status: 'voided' })
+        .eq('transaction_id', transactionId);
+
+    if (error) console.error('DB Error voiding installments:', error);
+}
+
+/**
+ * Move every installment of one customer to another (customer merge)
+ */
+export async function reassignCustomer(fromCustomerId, toCustomerId) {
+    if (!supabase) {
+        memoryStore
+            .filter(i => i.customer_id === fromCustomerId)
+            .forEach(i => { i.customer_id = toCustomerId; });
+        return;
+    }
+
+    const { error } = await supabase
+        .from('installments')
+        .update({ customer_id: toCustomerId })
+        .eq('customer_id', fromCustomerId);
+
+    if (error) console.error('DB Error reassigning installments:', error);
+}
+
+function sortByDue(rows) {
+    return rows.sort((a, b) =>
+        a.due_date.localeCompare(b.due_date) ||
+        a.created_at.localeCompare(b.created_at) ||
+        a.seq - b.seq);
+}
+
+export default { createMany, getByCustomer, getOpen, update, voidByTransaction, reassignCustomer };
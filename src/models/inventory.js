@@ -6,24 +6,21 @@ import supabase from '../config/supabase.js';
 
 // In-memory store
 const memoryStore = new Map(); // merchantId -> Map(productName -> details)
+const memoryMovements = []; // array of stock movements
 
 /**
- * Find or create inventory item
+ * Find an item in the merchant's catalog (name, alias or SKU), or create it.
+ * Creation needs a clear miss: "coca cola 2l" next to "coca" is a new product,
+ * but "cocas" or "Coca-Cola" are not.
  */
 export async function findOrCreate(merchantId, productName) {
     if (!productName) return null;
     const normalizedName = productName.toLowerCase().trim();
 
-    if (!supabase) return findOrCreateMemory(merchantId, normalizedName);
+    const existing = matchProduct(await getItems(merchantId), normalizedName, STRICT_MATCH);
+    if (existing) return existing;
 
-    let { data: item } = await supabase
-        .from('inventory')
-        .select('*')
-        .eq('merchant_id', merchantId)
-        .ilike('product', normalizedName)
-        .single();
-
-    if (item) return item;
+    if (!supabase) return createItemMemory(merchantId, normalizedName);
 
     const { data: newItem, error } = await supabase
         .from('inventory')
@@ -71,38 +68,426 @@ export async function updateItem(merchantId, productName, stockDiff = null, newP
 }
 
 /**
- * Get item by exact match or similar
+ * Get a catalog item by name, alias or SKU (accent-insensitive, typo-tolerant)
  */
 export async function getItem(merchantId, productName) {
-    if (!supabase) return getItemMemory(merchantId, productName);
+    if (!productName) return null;
+    return matchProduct(await getItems(merchantId), productName);
+}
 
-    const { data } = await supabase
+/**
+ * Update catalog fields of a product: sku, unit, a new alias
+ * @param {Object} fields - { sku, unit, alias }
+ */
+export async function updateCatalog(merchantId, productName, { sku, unit, alias } = {}) {
+    const item = await findOrCreate(merchantId, productName);
+    if (!item) return null;
+
+    const updates = {};
+    if (sku) updates.sku = sku.toUpperCase();
+    if (unit) updates.unit = unit.toLowerCase();
+    if (alias) {
+        const aliases = item.aliases || [];
+        const key = normalizeProduct(alias);
+        if (!aliases.some(a => normalizeProduct(a) === key)) {
+            updates.aliases = [...aliases, alias.toLowerCase().trim()];
+        }
+    }
+    if (Object.keys(updates).length === 0) return item;
+
+    if (!supabase) {
+        Object.assign(item, updates);
+        return item;
+    }
+
+    const { data, error } = await supabase
         .from('inventory')
-        .select('*')
-        .eq('merchant_id', merchantId)
-        .ilike('product', `%${productName.trim()}%`)
-        .limit(1)
+        .update(updates)
+        .eq('id', item.id)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('DB Error updating catalog item:', error);
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Set the minimum stock that triggers a low-stock alert (null = no alert)
+ */
+export async function setMinStock(merchantId, productName, minStock) {
+    const item = await findOrCreate(merchantId, productName);
+    if (!item) return null;
+
+    if (!supabase) {
+        item.min_stock = minStock;
+        return item;
+    }
+
+    const { data, error } = await supabase
+        .from('inventory')
+        .update({ min_stock: minStock })
+        .eq('id', item.id)
+        .select()
         .single();
 
+    if (error) {
+        console.error('DB Error setting min stock:', error);
+        return null;
+    }
     return data;
 }
 
+/**
+ * All inventory items of a merchant
+ */
+export async function getItems(merchantId) {
+    if (!supabase) {
+        return [...(memoryStore.get(merchantId)?.values() || [])];
+    }
+
+    const { data, error } = await supabase
+        .from('inventory')
+        .select('*')
+        .eq('merchant_id', merchantId);
+
+    if (error) {
+        console.error('DB Error getting inventory:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Average units sold per day for each product over the last `days` days.
+ * Voided sales don't count: their REVERSAL movement gives the units back.
+ * @returns {Object} { [product]: unitsPerDay }
+ */
+export async function getSalesVelocity(merchantId, days = 14) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    let movements;
+    if (!supabase) {
+        movements = memoryMovements.filter(m =>
+            m.merchant_id === merchantId &&
+            new Date(m.created_at) >= since
+        );
+    } else {
+        const { data, error } = await supabase
+            .from('inventory_movements')
+            .select('product, type, quantity')
+            .eq('merchant_id', merchantId)
+            .in('type', ['OUT', 'REVERSAL'])
+            .gte('created_at', since.toISOString());
+
+        if (error) {
+            console.error('DB Error getting sales velocity:', error);
+            return {};
+        }
+        movements = data || [];
+    }
+
+    // OUT is negative; a positive REVERSAL is a voided sale
+    const sold = {};
+    for (const mov of movements) {
+        const isSale = mov.type === 'OUT' || (mov.type === 'REVERSAL' && mov.quantity > 0);
+        if (!isSale) continue;
+        sold[mov.product] = (sold[mov.product] || 0) - mov.quantity;
+    }
+
+    const velocity = {};
+    for (const [product, units] of Object.entries(sold)) {
+        if (units > 0) velocity[product] = units / days;
+    }
+    return velocity;
+}
+
+// =============================================
+// STOCK MOVEMENTS (ledger + weighted-average cost)
+// =============================================
+
+/**
+ * Post a stock movement and update the item's stock and average cost.
+ * Incoming stock with a cost re-weights avg_cost:
+ *   (stock × avg_cost + qty × unit_cost) / (stock + qty)
+ * With Supabase both happen in post_stock_movement (migration-inventory-movements.sql),
+ * which mirrors weightedAvgCost.
+ * @param {Object} movement - { quantity (signed), unitCost, transactionId, type: 'IN'|'OUT'|'REVERSAL' }
+ * @returns {Object|null} { item, movement, stockBefore }
+ */
+export async function postMovement(merchantId, productName, { quantity, unitCost = null, transactionId = null, type }) {
+    const item = await findOrCreate(merchantId, productName);
+    if (!item || !quantity) return null;
+
+    const stockBefore = item.stock || 0;
+    const stockAfter = stockBefore + quantity;
+    const avgCost = weightedAvgCost(item, quantity, unitCost);
+
+    const movement = {
+        merchant_id: merchantId,
+        inventory_id: item.id,
+        product: item.product,
+        transaction_id: transactionId,
+        type,
+        quantity,
+        unit_cost: unitCost,
+        stock_after: stockAfter,
+        avg_cost_after: avgCost
+    };
+
+    if (!supabase) {
+        const updates = { stock: stockAfter, avg_cost: avgCost };
+        if (quantity > 0 && type === 'IN') updates.last_restocked_at = new Date().toISOString();
+        Object.assign(item, updates);
+        memoryMovements.push({
+            id: `mov_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+            ...movement,
+            created_at: new Date().toISOString()
+        });
+        return { item, movement, stockBefore };
+    }
+
+    // One statement in the DB (stock = stock + quantity, cost and movement from the
+    // locked row): two messages selling the same product can't overwrite each other
+    const { data: updated, error } = await supabase
+        .rpc('post_stock_movement', {
+            p_inventory_id: item.id,
+            p_quantity: quantity,
+            p_unit_cost: unitCost,
+            p_type: type,
+            p_transaction_id: transactionId
+        })
+        .single();
+
+    if (error) {
+        console.error('DB Error posting stock movement:', error);
+        return null;
+    }
+
+    return {
+        item: updated,
+        movement: { ...movement, stock_after: updated.stock, avg_cost_after: updated.avg_cost },
+        stockBefore: updated.stock - quantity
+    };
+}
+
+/**
+ * Reverse every movement posted by a transaction (used when it's voided)
+ */
+export async function reverseMovements(merchantId, transactionId) {
+    const movements = await getMovementsByTransaction(merchantId, transactionId);
+    const reversed = [];
+
+    for (const mov of movements) {
+        const result = await postMovement(merchantId, mov.product, {
+            quantity: -mov.quantity,
+            unitCost: mov.unit_cost,
+            transactionId,
+            type: 'REVERSAL'
+        });
+        if (result) reversed.push(result);
+    }
+
+    return reversed;
+}
+
+/**
+ * Movement ledger for one product, newest first
+ */
+export async function getMovements(merchantId, productName, limit = 10) {
+    const item = await getItem(merchantId, productName);
+    if (!item) return { item: null, movements: [] };
+
+    if (!supabase) {
+        const movements = memoryMovements
+            .filter(m => m.merchant_id === merchantId && m.inventory_id === item.id)
+            .reverse()
+            .slice(0, limit);
+        return { item, movements };
+    }
+
+    const { data, error } = await supabase
+        .from('inventory_movements')
+        .select('*')
+        .eq('merchant_id', merchantId)
+        .eq('inventory_id', item.id)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        console.error('DB Error getting stock movements:', error);
+        return { item, movements: [] };
+    }
+    return { item, movements: data || [] };
+}
+
+async function getMovementsByTransaction(merchantId, transactionId) {
+    if (!supabase) {
+        return memoryMovements.filter(m =>
+            m.merchant_id === merchantId &&
+            m.transaction_id === transactionId &&
+            m.type !== 'REVERSAL'
+        );
+    }
+
+    const { data, error } = await supabase
+        .from('inventory_movements')
+        .select('*')
+        .eq('merchant_id', merchantId)
+        .eq('transaction_id', transactionId)
+        .neq('type', 'REVERSAL');
+
+    if (error) {
+        console.error('DB Error getting stock movements:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * New average cost after moving `quantity` units at `unitCost`.
+ * Only priced movements change it; reversing a purchase takes its cost back out.
+ */
+function weightedAvgCost(item, quantity, unitCost) {
+    const stock = Math.max(0, item.stock || 0);
+    const avgCost = item.avg_cost || 0;
+    if (!unitCost) return avgCost;
+
+    const newStock = stock + quantity;
+    if (newStock <= 0) return quantity > 0 ? unitCost : avgCost;
+
+    return Math.round((stock * avgCost + quantity * unitCost) / newStock);
+}
+
+// =============================================
+// CATALOG MATCHING
+// =============================================
+// "Coca-Cola", "cocas" and "coca cola" are the same product;
+// aliases ("gaseosa coca") and SKUs point to it too.
+
+// Minimum score to accept a match (1 = exact)
+const DEFAULT_MATCH = 0.8;
+// Stricter bar before reusing a product instead of creating a new one
+const STRICT_MATCH = 0.85;
+
+/**
+ * Lowercase, no accents, no punctuation, singular words.
+ * "Cocas-Colas" → "coca cola", "Limones" → "limon"
+ */
+export function normalizeProduct(name) {
+    return (name || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9ñ\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(singular)
+        .join(' ');
+}
+
+/**
+ * Best catalog item for a product mention, or null
+ * @param {Array} items - inventory rows ({ product, aliases, sku })
+ * @param {number} minScore - 0..1
+ */
+export function matchProduct(items, mention, minScore = DEFAULT_MATCH) {
+    const query = normalizeProduct(mention);
+    if (!query || !items?.length) return null;
+
+    let best = null;
+    for (const item of items) {
+        for (const name of catalogNames(item)) {
+            const score = nameScore(query, name);
+            if (score < minScore) continue;
+            // Ties go to the shorter (more generic) name
+            if (!best || score > best.score || (score === best.score && name.length < best.name.length)) {
+                best = { item, score, name };
+            }
+        }
+    }
+    return best ? best.item : null;
+}
+
+/**
+ * Catalog item mentioned anywhere in a free-text message.
+ * Longest name wins: "coca cola 2l" beats "coca".
+ */
+export function findProductInText(items, text) {
+    const words = ` ${normalizeProduct(text)} `;
+    let best = null;
+
+    for (const item of items || []) {
+        for (const name of catalogNames(item)) {
+            if (!name || !words.includes(` ${name} `)) continue;
+            if (!best || name.length > best.name.length) best = { item, name };
+        }
+    }
+    return best ? best.item : null;
+}
+
+function catalogNames(item) {
+    return [item.product, ...(item.aliases || []), item.sku]
+        .filter(Boolean)
+        .map(normalizeProduct);
+}
+
+function nameScore(query, name) {
+    if (query === name) return 1;
+
+    const queryWords = query.split(' ');
+    const nameWords = name.split(' ');
+    if (queryWords.every(w => nameWords.includes(w))) return 0.9;   // "coca" → "coca cola"
+    if (nameWords.every(w => queryWords.includes(w))) return 0.8;   // "coca helada" → "coca"
+
+    // Typos: "pilsem" → "pilsen"
+    if (Math.min(query.length, name.length) < 4) return 0;
+    return 1 - levenshtein(query, name) / Math.max(query.length, name.length);
+}
+
+function singular(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    if (/[lrndj]es$/.test(word)) return word.slice(0, -2);   // limones, panes
+    if (/[aeiou]s$/.test(word)) return word.slice(0, -1);    // cocas, fideos
+    return word;
+}
+
+function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
 // =============================================
 // IN-MEMORY FALLBACK
 // =============================================
 
-function findOrCreateMemory(merchantId, name) {
+function createItemMemory(merchantId, name) {
     if (!memoryStore.has(merchantId)) memoryStore.set(merchantId, new Map());
     const items = memoryStore.get(merchantId);
 
-    if (items.has(name)) return items.get(name);
-
     const item = {
         id: `inv_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
         merchant_id: merchantId,
         product: name,
         stock: 0,
         avg_price: 0,
+        avg_cost: 0,
+        min_stock: null,
+        sku: null,
+        aliases: [],
         unit: 'unidades',
         created_at: new Date().toISOString()
     };
@@ -116,13 +501,18 @@ function updateItemMemory(item, merchantId, name, stockDiff, newPrice) {
     return item;
 }
 
-function getItemMemory(merchantId, name) {
-    if (!memoryStore.has(merchantId)) return null;
-    const items = memoryStore.get(merchantId);
-    for (let key of items.keys()) {
-        if (key.includes(name.toLowerCase())) return items.get(key);
-    }
-    return null;
-}
-
-export default { findOrCreate, updateItem, getItem };
+export default {
+    findOrCreate,
+    updateItem,
+    getItem,
+    updateCatalog,
+    setMinStock,
+    getItems,
+    getSalesVelocity,
+    postMovement,
+    reverseMovements,
+    getMovements,
+    normalizeProduct,
+    matchProduct,
+    findProductInText
+};
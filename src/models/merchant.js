@@ -9,10 +9,11 @@ const memoryStore = new Map();
 
 /**
  * Find or create a merchant by phone number
+ * @param {string} language - 'es' | 'gn', only used for new merchants
  */
-export async function findOrCreate(phone, contactName) {
+export async function findOrCreate(phone, contactName, language = 'es') {
     if (!supabase) {
-        return findOrCreateMemory(phone, contactName);
+        return findOrCreateMemory(phone, contactName, language);
     }
 
     // Try to find existing
@@ -32,7 +33,8 @@ export async function findOrCreate(phone, contactName) {
     const { data: newMerchant, error: createError } = await supabase
         .from('merchants')
         .insert({
-            phone
+            phone,
+            language
         })
         .select()
         .single();
@@ -46,6 +48,24 @@ export async function findOrCreate(phone, contactName) {
     return newMerchant;
 }
 
+/**
+ * Merchant by phone number, without creating it (null for unknown numbers)
+ */
+export async function findByPhone(phone) {
+    if (!supabase) {
+        return memoryStore.get(phone) || null;
+    }
+
+    const { data, error } = await supabase
+        .from('merchants')
+        .select('*')
+        .eq('phone', phone)
+        .maybeSingle();
+
+    if (error) console.error('DB Error finding merchant by phone:', error);
+    return data || null;
+}
+
 /**
  * Update merchant stats
  */
@@ -87,7 +107,7 @@ export async function getSummary(merchantId) {
 // IN-MEMORY FALLBACK (dev without Supabase)
 // =============================================
 
-function findOrCreateMemory(phone, contactName) {
+function findOrCreateMemory(phone, contactName, language) {
     if (memoryStore.has(phone)) return memoryStore.get(phone);
 
     const merchant = {
@@ -101,6 +121,7 @@ function findOrCreateMemory(phone, contactName) {
         business_name: null,
         business_type: null,
         monthly_volume: null,
+        language,
         nexo_score: 0,
         total_sales: 0,
         total_credit_given: 0,
@@ -131,4 +152,4 @@ function getSummaryMemory(merchantId) {
     return null;
 }
 
-export default { findOrCreate, updateStats, getSummary };
+export default { findOrCreate, findByPhone, updateStats, getSummary };
@@ -0,0 +1,232 @@
+// =============================================
+// NexoBot MVP — Message Log Model
+// =============================================
+// Every WhatsApp message in and out:
+//   inbound  — what the merchant wrote and what the NLP understood
+//   outbound — what the bot sent (replies, reminders) and whether it was
+//              delivered, updated from Meta's status webhooks
+// Feeds the admin dashboards (/api/admin/metrics, /activity, /intents).
+
+import supabase from '../config/supabase.js';
+
+// In-memory store (newest last), capped so a long dev session doesn't grow forever
+const memoryStore = [];
+const MAX_MEMORY_ENTRIES = 5000;
+
+async function create(entry) {
+    if (!supabase) {
+        const row = {
+            id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+            ...entry,
+            created_at: new Date().toISOString()
+        };
+        memoryStore.push(row);
+        if (memoryStore.length > MAX_MEMORY_ENTRIES) memoryStore.shift();
+        return row;
+    }
+
+    const { data, error } = await supabase
+        .from('message_log')
+        .insert(entry)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('DB Error logging message:', error);
+        return null;
+    }
+    return data;
+}
+
+// =============================================
+// WRITING
+// =============================================
+
+/**
+ * Log a message from a merchant with its NLP result
+ * @param {Object} data - { phone, merchantId, text, type, parsed, waMessageId }
+ */
+export async function logInbound({ phone, merchantId = null, text, type = 'text', parsed = null, waMessageId = null }) {
+    return create({
+        merchant_id: merchantId,
+        direction: 'inbound',
+        phone,
+        message_type: type,
+        raw_message: text,
+        intent: parsed?.intent || null,
+        confidence: parsed?.confidence ?? null,
+        parser: parsed?.parser || null,
+        entities: parsed?.entities || null,
+        processing_time_ms: parsed?.processing_time_ms ?? null,
+        wa_message_id: waMessageId
+    });
+}
+
+/**
+ * Log a message sent by the bot with its delivery status
+ * @param {Object} data - { phone, merchantId, text, status: 'sent'|'simulated'|'failed', waMessageId, error, latencyMs,
+ *                          kind: 'reply'|'reminder'|..., refId: ID of what it belongs to (e.g. the reminder),
+ *                          type: 'text'|'template'|'interactive'|'document' }
+ */
+export async function logOutbound({ phone, merchantId = null, text, status, waMessageId = null, error = null, latencyMs = null, kind = 'reply', refId = null, type = 'text' }) {
+    return create({
+        merchant_id: merchantId,
+        direction: 'outbound',
+        phone,
+        message_type: type,
+        bot_response: text,
+        delivery_status: status,
+        wa_message_id: waMessageId,
+        error,
+        processing_time_ms: latencyMs,
+        kind,
+        ref_id: refId
+    });
+}
+
+/**
+ * The outbound message Meta knows by this ID (status webhooks)
+ */
+export async function getByWaMessageId(waMessageId) {
+    if (!supabase) {
+        return memoryStore.find(m => m.direction === 'outbound' && m.wa_message_id === waMessageId) || null;
+    }
+
+    const { data, error } = await supabase
+        .from('message_log')
+        .select('*')
+        .eq('direction', 'outbound')
+        .eq('wa_message_id', waMessageId)
+        .maybeSingle();
+
+    if (error) console.error('DB Error finding message by WhatsApp ID:', error);
+    return data || null;
+}
+
+/**
+ * New delivery status for an outbound message
+ */
+export async function updateDelivery(id, status, error = null) {
+    const changes = { delivery_status: status, error, status_updated_at: new Date().toISOString() };
+
+    if (!supabase) {
+        const row = memoryStore.find(m => m.id === id);
+        return row ? Object.assign(row, changes) : null;
+    }
+
+    const { data, error: dbError } = await supabase
+        .from('message_log')
+        .update(changes)
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+    if (dbError) console.error('DB Error updating delivery status:', dbError);
+    return data || null;
+}
+
+// =============================================
+// READING (admin dashboards)
+// =============================================
+
+/**
+ * Number of inbound messages in [from, to)
+ */
+export async function countInbound(from, to = null) {
+    if (!supabase) {
+        return memoryStore.filter(m => m.direction === 'inbound' && m.created_at >= from && (!to || m.created_at < to)).length;
+    }
+
+    let query = supabase
+        .from('message_log')
+        .select('id', { count: 'exact', head: true })
+        .eq('direction', 'inbound')
+        .gte('created_at', from);
+    if (to) query = query.lt('created_at', to);
+
+    const { count, error } = await query;
+    if (error) console.error('DB Error counting messages:', error);
+    return count || 0;
+}
+
+/**
+ * Inbound messages since a date, oldest first
+ * @param {string} fields - columns to return
+ */
+export async function getInboundSince(since, fields = 'created_at, intent') {
+    if (!supabase) {
+        return memoryStore.filter(m => m.direction === 'inbound' && m.created_at >= since);
+    }
+
+    const { data, error } = await supabase
+        .from('message_log')
+        .select(fields)
+        .eq('direction', 'inbound')
+        .gte('created_at', since)
+        .order('created_at', { ascending: true });
+
+    if (error) console.error('DB Error getting messages:', error);
+    return data || [];
+}
+
+/**
+ * When this phone last wrote to the bot (opens WhatsApp's 24h window), or null
+ */
+export async function getLastInboundAt(phone) {
+    if (!supabase) {
+        const last = memoryStore.findLast(m => m.direction === 'inbound' && m.phone === phone);
+        return last?.created_at || null;
+    }
+
+    const { data, error } = await supabase
+        .from('message_log')
+        .select('created_at')
+        .eq('direction', 'inbound')
+        .eq('phone', phone)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) console.error('DB Error getting last inbound message:', error);
+    return data?.created_at || null;
+}
+
+/**
+ * Latest inbound messages, newest first (live feed)
+ */
+export async function getRecentInbound(limit = 20) {
+    if (!supabase) {
+        return memoryStore.filter(m => m.direction === 'inbound').slice(-limit).reverse();
+    }
+
+    const { data, error } = await supabase
+        .from('message_log')
+        .select('phone, raw_message, intent, confidence, parser, created_at')
+        .eq('direction', 'inbound')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) console.error('DB Error getting recent messages:', error);
+    return data || [];
+}
+
+/**
+ * A phone's conversation (both directions), oldest first
+ */
+export async function getByPhone(phone, limit = 50) {
+    if (!supabase) {
+        return memoryStore.filter(m => m.phone === phone).slice(-limit);
+    }
+
+    const { data, error } = await supabase
+        .from('message_log')
+        .select('*')
+        .eq('phone', phone)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) console.error('DB Error getting conversation:', error);
+    return (data || []).reverse();
+}
+
+export default { logInbound, logOutbound, getByWaMessageId, updateDelivery, countInbound, getInboundSince, getLastInboundAt, getRecentInbound, getByPhone };
@@ -0,0 +1,87 @@
+// =============================================
+// NexoBot MVP — NLP Correction Model
+// =============================================
+// A message the bot misread, labeled by the merchant:
+// they undid the transaction and re-sent it the right way.
+// Used as per-merchant few-shot examples and as an eval set.
+
+import supabase from '../config/supabase.js';
+
+// In-memory store
+const memoryStore = []; // array of corrections
+
+/**
+ * Save a correction pair
+ * @param {Object} data - { merchant_id, message, language, original_intent, original_entities, corrected_message, intent, entities }
+ */
+export async function create(data) {
+    if (!supabase) {
+        const correction = {
+            id: `corr_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+            ...data,
+            created_at: new Date().toISOString()
+        };
+        memoryStore.push(correction);
+        return correction;
+    }
+
+    const { data: correction, error } = await supabase
+        .from('nlp_corrections')
+        .insert(data)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('DB Error creating NLP correction:', error);
+        return null;
+    }
+    return correction;
+}
+
+/**
+ * A merchant's latest corrections, newest first
+ */
+export async function getByMerchant(merchantId, limit = 20) {
+    if (!supabase) {
+        return memoryStore
+            .filter(c => c.merchant_id === merchantId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit);
+    }
+
+    const { data, error } = await supabase
+        .from('nlp_corrections')
+        .select('*')
+        .eq('merchant_id', merchantId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        console.error('DB Error getting NLP corrections:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Every correction (all merchants), oldest first — for the eval export
+ */
+export async function getAll(limit = 5000) {
+    if (!supabase) {
+        return [...memoryStore].sort((a, b) => a.created_at.localeCompare(b.created_at)).slice(0, limit);
+    }
+
+    const { data, error } = await supabase
+        .from('nlp_corrections')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+    if (error) {
+        console.error('DB Error listing NLP corrections:', error);
+        return [];
+    }
+    return data || [];
+}
+
+export default { create, getByMerchant, getAll };
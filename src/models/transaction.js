@@ -29,35 +29,188 @@ export async function create(data) {
 }
 
 /**
- * Undo the last transaction
+ * Void (soft-delete) the last active transaction
+ * @param {Object} meta - { voided_by, void_reason }
  */
-export async function undoLast(merchantId) {
+export async function undoLast(merchantId, meta = {}) {
+    const [lastTx] = await findActive(merchantId, { limit: 1 });
+    if (!lastTx) return null;
+    return voidTransaction(lastTx.id, meta);
+}
+
+/**
+ * Find active (not voided) transactions, newest first
+ * @param {Object} filters - { customerId, types, from, to, amount, limit }
+ */
+export async function findActive(merchantId, filters = {}) {
+    const { customerId, types, from, to, amount, limit = 1 } = filters;
+
     if (!supabase) {
-        return undoLastMemory(merchantId);
+        return findActiveMemory(merchantId, filters);
     }
 
-    const { data: lastTx } = await supabase
+    let query = supabase
         .from('transactions')
         .select('*')
         .eq('merchant_id', merchantId)
+        .neq('status', 'voided');
+
+    if (customerId) query = query.eq('customer_id', customerId);
+    if (types?.length) query = query.in('type', types);
+    if (from) query = query.gte('created_at', from.toISOString());
+    if (to) query = query.lt('created_at', to.toISOString());
+    if (amount) query = query.eq('amount', amount);
+
+    const { data, error } = await query
         .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
+        .limit(limit);
 
-    if (!lastTx) return null;
+    if (error) {
+        console.error('DB Error finding transactions:', error);
+        return [];
+    }
+    return data || [];
+}
 
-    // Delete it 
-    const { error } = await supabase
+/**
+ * Mark a transaction as voided, keeping who/when/why.
+ * The row stays for audit; every query ignores it.
+ * @param {Object} meta - { voided_by, void_reason }
+ */
+export async function voidTransaction(txId, meta = {}) {
+    const updates = {
+        status: 'voided',
+        voided_at: new Date().toISOString(),
+        voided_by: meta.voided_by || null,
+        void_reason: meta.void_reason || null
+    };
+
+    if (!supabase) {
+        return voidTransactionMemory(txId, updates);
+    }
+
+    const { data, error } = await supabase
         .from('transactions')
-        .delete()
-        .eq('id', lastTx.id);
+        .update(updates)
+        .eq('id', txId)
+        .neq('status', 'voided')
+        .select()
+        .single();
 
     if (error) {
-        console.error('DB Error undoing transaction:', error);
+        console.error('DB Error voiding transaction:', error);
         return null;
     }
+    return data;
+}
+
+/**
+ * Move every transaction of one customer to another (customer merge)
+ * @returns {number} transactions moved
+ */
+export async function reassignCustomer(fromCustomerId, toCustomerId) {
+    if (!supabase) {
+        const moved = memoryStore.filter(tx => tx.customer_id === fromCustomerId);
+        moved.forEach(tx => { tx.customer_id = toCustomerId; });
+        return moved.length;
+    }
+
+    const { data, error } = await supabase
+        .from('transactions')
+        .update({ customer_id: toCustomerId })
+        .eq('customer_id', fromCustomerId)
+        .select('id');
 
-    return lastTx;
+    if (error) {
+        console.error('DB Error reassigning transactions:', error);
+        return 0;
+    }
+    return data?.length || 0;
+}
+
+/**
+ * A customer's active transactions of one type, oldest first (e.g. all their payments)
+ */
+export async function findByCustomer(customerId, type) {
+    if (!supabase) {
+        return memoryStore
+            .filter(tx => tx.customer_id === customerId && tx.type === type && tx.status !== 'voided')
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+
+    const { data, error } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq('customer_id', customerId)
+        .eq('type', type)
+        .neq('status', 'voided')
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        console.error('DB Error finding customer transactions:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Transactions by id (voided included — callers decide)
+ */
+export async function getByIds(ids) {
+    if (ids.length === 0) return [];
+
+    if (!supabase) {
+        return memoryStore.filter(tx => ids.includes(tx.id));
+    }
+
+    const { data, error } = await supabase
+        .from('transactions')
+        .select('*')
+        .in('id', ids);
+
+    if (error) {
+        console.error('DB Error getting transactions:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * Point the payments applied to one fiado at another (fiado edited → replaced)
+ */
+export async function retarget(fromTxId, toTxId) {
+    if (!supabase) {
+        memoryStore
+            .filter(tx => tx.applies_to === fromTxId)
+            .forEach(tx => { tx.applies_to = toTxId; });
+        return;
+    }
+
+    const { error } = await supabase
+        .from('transactions')
+        .update({ applies_to: toTxId })
+        .eq('applies_to', fromTxId);
+
+    if (error) console.error('DB Error retargeting payments:', error);
+}
+
+/**
+ * Record how much a payment took off the customer's balance,
+ * when it paid more than was owed (see transactionEffects.js)
+ */
+export async function setDebtApplied(txId, amount) {
+    if (!supabase) {
+        const tx = memoryStore.find(t => t.id === txId);
+        if (tx) tx.debt_applied = amount;
+        return;
+    }
+
+    const { error } = await supabase
+        .from('transactions')
+        .update({ debt_applied: amount })
+        .eq('id', txId);
+
+    if (error) console.error('DB Error recording applied payment:', error);
 }
 
 /**
@@ -75,6 +228,7 @@ export async function getWeeklySummary(merchantId) {
         .from('transactions')
         .select('amount, type')
         .eq('merchant_id', merchantId)
+        .neq('status', 'voided')
         .in('type', ['SALE_CASH', 'SALE_CREDIT'])
         .gte('created_at', weekAgo.toISOString());
 
@@ -105,6 +259,7 @@ export async function getRecent(merchantId, limit = 10) {
         .from('transactions')
         .select('*, merchant_customers(name)')
         .eq('merchant_id', merchantId)
+        .neq('status', 'voided')
         .order('created_at', { ascending: false })
         .limit(limit);
 
@@ -135,6 +290,7 @@ export async function getDailySummary(merchantId) {
         .from('transactions')
         .select('amount, type, currency')
         .eq('merchant_id', merchantId)
+        .neq('status', 'voided')
         .gte('created_at', todayStart.toISOString());
 
     if (error) {
@@ -175,6 +331,7 @@ export async function getDailySummary(merchantId) {
 function createMemory(data) {
     const tx = {
         id: `tx_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+        status: 'confirmed',
         ...data,
         created_at: new Date().toISOString()
     };
@@ -188,6 +345,7 @@ function getWeeklySummaryMemory(merchantId) {
 
     const sales = memoryStore.filter(tx =>
         tx.merchant_id === merchantId &&
+        tx.status !== 'voided' &&
         ['SALE_CASH', 'SALE_CREDIT'].includes(tx.type) &&
         new Date(tx.created_at) >= weekAgo
     );
@@ -202,7 +360,7 @@ function getWeeklySummaryMemory(merchantId) {
 
 function getRecentMemory(merchantId, limit) {
     return memoryStore
-        .filter(tx => tx.merchant_id === merchantId)
+        .filter(tx => tx.merchant_id === merchantId && tx.status !== 'voided')
         .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
         .slice(0, limit);
 }
@@ -213,6 +371,7 @@ function getDailySummaryMemory(merchantId) {
 
     const txs = memoryStore.filter(tx =>
         tx.merchant_id === merchantId &&
+        tx.status !== 'voided' &&
         new Date(tx.created_at) >= todayStart
     );
 
@@ -241,17 +400,26 @@ function getDailySummaryMemory(merchantId) {
     };
 }
 
-function undoLastMemory(merchantId) {
-    let lastIndex = -1;
-    for (let i = memoryStore.length - 1; i >= 0; i--) {
-        if (memoryStore[i].merchant_id === merchantId) {
-            lastIndex = i;
-            break;
-        }
-    }
-    if (lastIndex === -1) return null;
-    const [lastTx] = memoryStore.splice(lastIndex, 1);
-    return lastTx;
+function findActiveMemory(merchantId, { customerId, types, from, to, amount, limit = 1 }) {
+    return memoryStore
+        .filter(tx =>
+            tx.merchant_id === merchantId &&
+            tx.status !== 'voided' &&
+            (!customerId || tx.customer_id === customerId) &&
+            (!types?.length || types.includes(tx.type)) &&
+            (!from || new Date(tx.created_at) >= from) &&
+            (!to || new Date(tx.created_at) < to) &&
+            (!amount || tx.amount === amount)
+        )
+        .reverse()
+        .slice(0, limit);
+}
+
+function voidTransactionMemory(txId, updates) {
+    const tx = memoryStore.find(t => t.id === txId && t.status !== 'voided');
+    if (!tx) return null;
+    Object.assign(tx, updates);
+    return tx;
 }
 
-export default { create, getWeeklySummary, getDailySummary, getRecent, undoLast };
+export default { create, getWeeklySummary, getDailySummary, getRecent, undoLast, findActive, voidTransaction, reassignCustomer, findByCustomer, getByIds, retarget, setDebtApplied };
@@ -7,6 +7,13 @@
 import { Router } from 'express';
 import jwt from 'jsonwebtoken';
 import supabase from '../config/supabase.js';
+import { describeProvider } from '../services/llm.js';
+import { getRoutingMetrics } from '../services/nlp.js';
+import { exportEvalSet } from '../services/corrections.js';
+import * as MessageLog from '../models/messageLog.js';
+import * as InboundJob from '../models/inboundJob.js';
+import { getQueueStats } from '../services/inboundQueue.js';
+import { extractMessageFromWebhook } from '../services/whatsapp.js';
 
 const router = Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'nexo-super-secret-jwt-2026';
@@ -40,22 +47,26 @@ router.get('/metrics', async (req, res) => {
         const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
         const yesterdayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1).toISOString();
 
+        // Message counts come from the log, which also works in memory mode
+        const [messagesToday, messagesYesterday] = await Promise.all([
+            MessageLog.countInbound(todayStart),
+            MessageLog.countInbound(yesterdayStart, todayStart)
+        ]);
+
         if (!supabase) {
             return res.json({
-                totalMerchants: 0, newToday: 0, messagesToday: 0, messagesYesterday: 0,
+                totalMerchants: 0, newToday: 0, messagesToday, messagesYesterday,
                 salesToday: 0, salesChange: 0, totalDebt: 0, debtorsCount: 0,
                 avgScore: 0, scoredMerchants: 0
             });
         }
 
         // All queries in parallel
-        const [merchantsRes, newTodayRes, msgTodayRes, msgYestRes, salesTodayRes, salesYestRes, debtRes, scoreRes] = await Promise.all([
+        const [merchantsRes, newTodayRes, salesTodayRes, salesYestRes, debtRes, scoreRes] = await Promise.all([
             supabase.from('merchants').select('id', { count: 'exact', head: true }),
             supabase.from('merchants').select('id', { count: 'exact', head: true }).gte('created_at', todayStart),
-            supabase.from('message_log').select('id', { count: 'exact', head: true }).gte('created_at', todayStart),
-            supabase.from('message_log').select('id', { count: 'exact', head: true }).gte('created_at', yesterdayStart).lt('created_at', todayStart),
-            supabase.from('transactions').select('amount').in('type', ['SALE_CASH', 'SALE_CREDIT']).gte('created_at', todayStart),
-            supabase.from('transactions').select('amount').in('type', ['SALE_CASH', 'SALE_CREDIT']).gte('created_at', yesterdayStart).lt('created_at', todayStart),
+            supabase.from('transactions').select('amount').neq('status', 'voided').in('type', ['SALE_CASH', 'SALE_CREDIT']).gte('created_at', todayStart),
+            supabase.from('transactions').select('amount').neq('status', 'voided').in('type', ['SALE_CASH', 'SALE_CREDIT']).gte('created_at', yesterdayStart).lt('created_at', todayStart),
             supabase.from('merchant_customers').select('total_debt').gt('total_debt', 0),
             supabase.from('merchants').select('nexo_score').gt('nexo_score', 0)
         ]);
@@ -73,8 +84,8 @@ router.get('/metrics', async (req, res) => {
         res.json({
             totalMerchants: merchantsRes.count || 0,
             newToday: newTodayRes.count || 0,
-            messagesToday: msgTodayRes.count || 0,
-            messagesYesterday: msgYestRes.count || 0,
+            messagesToday,
+            messagesYesterday,
             salesToday,
             salesChange,
             totalDebt,
@@ -115,27 +126,20 @@ router.get('/merchants', async (req, res) => {
 // ── GET /api/admin/activity — Charts + live feed ──
 router.get('/activity', async (req, res) => {
     try {
-        if (!supabase) {
-            return res.json({ daily: [], recent: [] });
-        }
-
         const now = new Date();
         const fourteenDaysAgo = new Date(now - 14 * 24 * 60 * 60 * 1000).toISOString();
 
-        // Last 14 days of activity
-        const [msgRes, txRes, recentRes] = await Promise.all([
-            supabase.from('message_log')
-                .select('created_at')
-                .gte('created_at', fourteenDaysAgo)
-                .order('created_at', { ascending: true }),
-            supabase.from('transactions')
-                .select('created_at, type')
-                .gte('created_at', fourteenDaysAgo)
-                .order('created_at', { ascending: true }),
-            supabase.from('message_log')
-                .select('phone, raw_message, intent, confidence, created_at')
-                .order('created_at', { ascending: false })
-                .limit(20)
+        // Last 14 days of activity (messages also in memory mode; sales need the DB)
+        const [messages, txRes, recentMessages] = await Promise.all([
+            MessageLog.getInboundSince(fourteenDaysAgo, 'created_at'),
+            supabase
+                ? supabase.from('transactions')
+                    .select('created_at, type')
+                    .neq('status', 'voided')
+                    .gte('created_at', fourteenDaysAgo)
+                    .order('created_at', { ascending: true })
+                : { data: [] },
+            MessageLog.getRecentInbound(20)
         ]);
 
         // Group by day
@@ -147,7 +151,7 @@ router.get('/activity', async (req, res) => {
             dayMap[key] = { date: `${d.getDate()}/${d.getMonth() + 1}`, messages: 0, sales: 0 };
         }
 
-        (msgRes.data || []).forEach(m => {
+        messages.forEach(m => {
             const key = m.created_at.split('T')[0];
             if (dayMap[key]) dayMap[key].messages++;
         });
@@ -158,7 +162,7 @@ router.get('/activity', async (req, res) => {
         });
 
         // Recent feed
-        const recent = (recentRes.data || []).map(m => {
+        const recent = recentMessages.map(m => {
             const time = new Date(m.created_at);
             const diffMin = Math.floor((now - time) / 60000);
             const timeStr = diffMin < 60 ? `Hace ${diffMin}m` :
@@ -188,19 +192,13 @@ router.get('/activity', async (req, res) => {
 // ── GET /api/admin/intents — Intent distribution today ──
 router.get('/intents', async (req, res) => {
     try {
-        if (!supabase) return res.json({ intents: [] });
-
         const todayStart = new Date();
         todayStart.setHours(0, 0, 0, 0);
 
-        const { data } = await supabase
-            .from('message_log')
-            .select('intent')
-            .gte('created_at', todayStart.toISOString())
-            .not('intent', 'is', null);
+        const messages = await MessageLog.getInboundSince(todayStart.toISOString(), 'intent');
 
         const counts = {};
-        (data || []).forEach(m => {
+        messages.filter(m => m.intent).forEach(m => {
             const intent = m.intent || 'UNKNOWN';
             counts[intent] = (counts[intent] || 0) + 1;
         });
@@ -217,6 +215,59 @@ router.get('/intents', async (req, res) => {
     }
 });
 
+// ── GET /api/admin/nlp — Fast parser vs LLM routing (latency, cost, agreement, cache) ──
+router.get('/nlp', (req, res) => {
+    res.json(getRoutingMetrics());
+});
+
+// ── GET /api/admin/nlp/corrections.jsonl — Learned corrections as an NLP eval set (corpus format) ──
+router.get('/nlp/corrections.jsonl', async (req, res) => {
+    try {
+        res.type('application/x-ndjson').send(await exportEvalSet());
+    } catch (error) {
+        console.error('Admin corrections export error:', error);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// ── GET /api/admin/queue — Inbound message queue: jobs per status ──
+router.get('/queue', async (req, res) => {
+    try {
+        res.json(await getQueueStats());
+    } catch (error) {
+        console.error('Admin queue error:', error);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// ── GET /api/admin/queue/dead — Messages that failed every attempt ──
+router.get('/queue/dead', async (req, res) => {
+    try {
+        const jobs = await InboundJob.getDead(parseInt(req.query.limit, 10) || 50);
+        res.json({
+            jobs: jobs.map(({ payload, ...job }) => {
+                const message = extractMessageFromWebhook(payload);
+                return { ...job, type: message?.type, text: message?.text || null };
+            })
+        });
+    } catch (error) {
+        console.error('Admin dead letters error:', error);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// ── POST /api/admin/queue/dead/:id/retry — Give a dead message fresh attempts (worker picks it up) ──
+router.post('/queue/dead/:id/retry', async (req, res) => {
+    try {
+        const job = await InboundJob.requeue(req.params.id);
+        if (!job) return res.status(404).json({ error: 'Dead job not found' });
+        res.json({ id: job.id, status: job.status });
+    } catch (error) {
+        console.error('Admin requeue error:', error);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
 // ── GET /api/admin/health — System health ──
 router.get('/health', async (req, res) => {
     try {
@@ -241,9 +292,9 @@ router.get('/health', async (req, res) => {
             ? { status: 'ok' }
             : { status: 'warn', message: 'No configurado' };
 
-        // OpenAI
-        health.openai = process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'sk-your-openai-key'
-            ? { status: 'ok' }
+        // LLM provider (OpenAI or offline fixtures)
+        health.openai = describeProvider()
+            ? { status: 'ok', provider: describeProvider() }
             : { status: 'warn', message: 'No configurado' };
 
         // Cron
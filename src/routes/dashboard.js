@@ -5,6 +5,8 @@
 import { Router } from 'express';
 import supabase from '../config/supabase.js';
 import { getFullAnalytics } from '../services/analytics.js';
+import { getDebtorsAging } from '../services/ledger.js';
+import * as Customer from '../models/customer.js';
 
 const router = Router();
 
@@ -26,6 +28,7 @@ router.get('/summary', async (req, res) => {
             .from('transactions')
             .select('amount, type')
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .in('type', ['SALE_CASH', 'SALE_CREDIT', 'EXPENSE'])
             .gte('created_at', todayAtZero.toISOString());
 
@@ -78,6 +81,7 @@ router.get('/transactions', async (req, res) => {
                 merchant_customers ( name )
             `)
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .order('created_at', { ascending: false })
             .limit(limit);
 
@@ -104,7 +108,7 @@ router.get('/transactions', async (req, res) => {
 
 /**
  * GET /api/dashboard/debtors
- * List top debtors
+ * List top debtors, with their open fiados and aging buckets
  */
 router.get('/debtors', async (req, res) => {
     try {
@@ -120,7 +124,17 @@ router.get('/debtors', async (req, res) => {
             .order('total_debt', { ascending: false });
 
         if (error) throw error;
-        res.json({ debtors: debtors || [] });
+
+        const { byCustomer, totals } = await getDebtorsAging(merchantId, debtors || []);
+        res.json({
+            debtors: (debtors || []).map(d => ({
+                ...d,
+                aging: byCustomer.get(d.id).aging,
+                oldest_age: byCustomer.get(d.id).oldestAge,
+                open_items: byCustomer.get(d.id).items
+            })),
+            aging: totals
+        });
     } catch (err) {
         console.error('Debtors API error:', err);
         res.status(500).json({ error: err.message });
@@ -157,11 +171,7 @@ router.post('/transactions', async (req, res) => {
                 .from('merchant_customers')
                 .insert({
                     merchant_id: merchantId,
-                    name: customer_name,
-                    total_debt: type === 'SALE_CREDIT' ? amount : 0,
-                    total_paid: type === 'PAYMENT' ? amount : 0,
-                    total_transactions: 1,
-                    last_transaction_at: new Date().toISOString()
+                    name: customer_name
                 })
                 .select()
                 .single();
@@ -169,23 +179,12 @@ router.post('/transactions', async (req, res) => {
             if (newCustErr) throw newCustErr;
             customerId = newCustomer.id;
         } else {
-            // Existing customer
             customerId = customer.id;
-            let updateData = {
-                total_transactions: (customer.total_transactions || 0) + 1,
-                last_transaction_at: new Date().toISOString()
-            };
-
-            if (type === 'SALE_CREDIT') updateData.total_debt = (customer.total_debt || 0) + amount;
-            if (type === 'PAYMENT') updateData.total_debt = Math.max(0, (customer.total_debt || 0) - amount);
-            if (type === 'PAYMENT') updateData.total_paid = (customer.total_paid || 0) + amount;
-
-            await supabase
-                .from('merchant_customers')
-                .update(updateData)
-                .eq('id', customerId);
         }
 
+        // Same bookkeeping as the bot (per-currency balances, risk level)
+        await Customer.updateDebt(customerId, amount, type);
+
         // Insert Transaction
         const { error: txErr } = await supabase
             .from('transactions')
@@ -266,6 +265,7 @@ router.get('/:phone', async (req, res) => {
             .from('transactions')
             .select('*, merchant_customers(name)')
             .eq('merchant_id', merchant.id)
+            .neq('status', 'voided')
             .order('created_at', { ascending: false })
             .limit(50);
 
@@ -277,6 +277,7 @@ router.get('/:phone', async (req, res) => {
             .from('transactions')
             .select('amount, type, created_at')
             .eq('merchant_id', merchant.id)
+            .neq('status', 'voided')
             .gte('created_at', weekAgo.toISOString());
 
         // Calculate stats
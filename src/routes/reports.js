@@ -64,6 +64,7 @@ router.get('/:merchantId/preview', async (req, res) => {
             supabase.from('transactions')
                 .select('type, amount')
                 .eq('merchant_id', merchantId)
+                .neq('status', 'voided')
                 .gte('created_at', monthStart.toISOString())
                 .lte('created_at', monthEnd.toISOString()),
             supabase.from('merchant_customers')
@@ -6,18 +6,20 @@
 import { Router } from 'express';
 import { processMessage } from '../services/nlp.js';
 import { handleMessage } from '../services/bot.js';
-import { sendMessage, sendAudioMessage, markAsRead, extractMessageFromWebhook } from '../services/whatsapp.js';
+import { sendAudioMessage, markAsRead, extractMessageFromWebhook } from '../services/whatsapp.js';
+import { sendTracked, applyStatusWebhook } from '../services/delivery.js';
 import { expectsImage } from '../services/onboarding.js';
 import { transcribeAudio } from '../services/audio.js';
 import { generateAudioFromText } from '../services/tts.js';
+import { t } from '../services/guarani.js';
+import { replyText } from '../services/interactive.js';
+import { verifyWebhookSignature } from '../middleware/webhookSignature.js';
+import { enqueueWebhook, drainQueue } from '../services/inboundQueue.js';
+import * as Merchant from '../models/merchant.js';
+import * as MessageLog from '../models/messageLog.js';
 
 const router = Router();
 
-// In-memory cache to prevent processing the same message twice (Meta retries)
-const processedMessages = new Set();
-// Clean up old messages every hour to prevent memory leaks
-setInterval(() => processedMessages.clear(), 60 * 60 * 1000);
-
 /**
  * GET /webhook — Verification endpoint (required by Meta)
  */
@@ -38,133 +40,149 @@ router.get('/', (req, res) => {
 });
 
 /**
- * POST /webhook — Receive messages from WhatsApp
+ * POST /webhook — Receive messages from WhatsApp (signed by Meta)
  */
-router.post('/', async (req, res) => {
-    // Always respond 200 quickly (Meta requires < 5s)
-    res.sendStatus(200);
-
+router.post('/', verifyWebhookSignature, async (req, res) => {
     console.log('\n🔔 WEBHOOK RECEIVED:', JSON.stringify(req.body, null, 2));
 
+    // Persist first (dedupe by message ID, anti-bounce), then answer: Meta requires < 5s
+    // and retries anything that isn't a 200, so a failed save is not lost.
+    // Delivery statuses of what we sent are just updates: applied right away.
     try {
-        const messageData = extractMessageFromWebhook(req.body);
-
-        if (!messageData) return;
+        await applyStatusWebhook(req.body);
+        await enqueueWebhook(req.body);
+    } catch (error) {
+        console.error('❌ Webhook queue error:', error);
+        return res.sendStatus(500);
+    }
+    res.sendStatus(200);
 
-        // Idempotency check: Don't process the same message twice (Meta retries)
-        if (processedMessages.has(messageData.messageId)) {
-            console.log(`♻️ Skipping already processed message ID: ${messageData.messageId}`);
-            return;
-        }
+    drainQueue(handleWebhookPayload).catch(error => console.error('❌ Webhook processing error:', error));
+});
 
-        // 🛡️ ENHANCED ANTI-BOUNCE FILTER 🛡️
-        // Meta sometimes sends 2 webhooks with DIFFERENT message IDs if the user
-        // accidentally double-taps "Send" or if their WhatsApp Web connection lags.
-        // We create a composite key: "phone_number + exact_text"
-        const textKey = messageData.text ? `${messageData.from}_${messageData.text.trim()}` : null;
+/**
+ * Process one Meta webhook payload: transcribe/OCR → NLP → bot → reply.
+ * Called by the inbound queue (services/inboundQueue.js), which already
+ * deduplicated it; throwing makes the queue retry it later. Logging, the bot
+ * (the transactions it writes) and the reply are queue steps, so a retry
+ * doesn't repeat the ones that already ran.
+ * Returns { from, text, parsed, response } (null when skipped; response is a
+ * string or a menu, see interactive.js), so the whole flow can be tested
+ * offline (LLM_PROVIDER=offline, no WhatsApp token).
+ */
+export async function handleWebhookPayload(body, { step = (name, fn) => fn() } = {}) {
+    const startTime = Date.now();
+    const messageData = extractMessageFromWebhook(body);
+
+    if (!messageData) return null;
+
+    const merchant = await Merchant.findByPhone(messageData.from);
+    const lang = merchant?.language || 'es';
+    const inbound = { phone: messageData.from, merchantId: merchant?.id, type: messageData.type, waMessageId: messageData.messageId };
+    const reply = async text => sendTracked(messageData.from, text, {
+        // First message of a new number: the merchant was created while handling it
+        merchantId: merchant?.id || (await Merchant.findByPhone(messageData.from))?.id,
+        latencyMs: Date.now() - startTime
+    });
+
+    // Handle image messages (cédula photos during onboarding)
+    if (messageData.type === 'image') {
+        console.log(`\n📸 Image from ${messageData.from} (${messageData.image?.mimeType})`);
+
+        // Check if this user is in onboarding and expects an image
+        let response;
+        if (expectsImage(messageData.from)) {
+            await markAsRead(messageData.messageId);
 
-        if (textKey && processedMessages.has(textKey)) {
-            console.log(`♻️ Skipping duplicate text message from same user (Anti-Bounce): ${textKey}`);
-            return;
-        }
+            const text = messageData.image?.caption || '[Foto de cédula]';
+            const parsed = { intent: 'IMAGE_CEDULA', entities: {}, confidence: 1 };
+            await step('logged', () => MessageLog.logInbound({ ...inbound, text, parsed }));
 
-        // Mark as processed
-        processedMessages.add(messageData.messageId);
+            response = await step('handled', () => handleMessage(
+                messageData.from,
+                messageData.contactName,
+                text,
+                parsed,
+                { mediaId: messageData.image?.id, mimeType: messageData.image?.mimeType }
+            ));
 
-        if (textKey) {
-            processedMessages.add(textKey);
-            // Remove the text deduplicator after 20 seconds (allows them to intentionally repeat much later)
-            setTimeout(() => processedMessages.delete(textKey), 20000);
+            await step('replied', () => reply(response));
+            console.log(`📤 Response sent to ${messageData.from}`);
+        } else {
+            // Image received outside onboarding — send helpful message
+            await markAsRead(messageData.messageId);
+            await step('logged', () => MessageLog.logInbound({ ...inbound, text: messageData.image?.caption || '[Imagen]' }));
+            response = t(lang, 'image_not_supported');
+            await step('replied', () => reply(response));
         }
+        return { from: messageData.from, text: null, parsed: null, response };
+    }
 
-        // Handle image messages (cédula photos during onboarding)
-        if (messageData.type === 'image') {
-            console.log(`\n📸 Image from ${messageData.from} (${messageData.image?.mimeType})`);
-
-            // Check if this user is in onboarding and expects an image
-            if (expectsImage(messageData.from)) {
-                await markAsRead(messageData.messageId);
-
-                const response = await handleMessage(
-                    messageData.from,
-                    messageData.contactName,
-                    messageData.image?.caption || '[Foto de cédula]',
-                    { intent: 'IMAGE_CEDULA', entities: {}, confidence: 1 },
-                    { mediaId: messageData.image?.id, mimeType: messageData.image?.mimeType }
-                );
-
-                await sendMessage(messageData.from, response);
-                console.log(`📤 Response sent to ${messageData.from}`);
-            } else {
-                // Image received outside onboarding — send helpful message
-                await markAsRead(messageData.messageId);
-                await sendMessage(messageData.from,
-                    `📸 Recibí tu imagen, pero por ahora solo proceso fotos de *cédula* durante el registro.\n\n` +
-                    `Pronto podré leer facturas y remitos también. 🚀\n\n` +
-                    `Para registrar operaciones, escribime. Ej:\n` +
-                    `_"Vendí 500 mil a Carlos, fiado"_`
-                );
+    if (messageData.type === 'audio') {
+        await markAsRead(messageData.messageId);
+        try {
+            // Send "typing..." or acknowledgement optionally
+            const transcriptionText = await step('transcribed', () => transcribeAudio(messageData.audio.id));
+            console.log(`\n🎧 Audio from ${messageData.from} transcribed to: "${transcriptionText}"`);
+
+            if (!transcriptionText || transcriptionText.trim() === '') {
+                await step('logged', () => MessageLog.logInbound({ ...inbound, text: '[Audio]' }));
+                const response = t(lang, 'audio_unheard');
+                await step('replied', () => reply(response));
+                return { from: messageData.from, text: null, parsed: null, response };
             }
-            return;
-        }
 
-        if (messageData.type === 'audio') {
-            await markAsRead(messageData.messageId);
-            try {
-                // Send "typing..." or acknowledgement optionally
-                const transcriptionText = await transcribeAudio(messageData.audio.id);
-                console.log(`\n🎧 Audio from ${messageData.from} transcribed to: "${transcriptionText}"`);
-
-                if (!transcriptionText || transcriptionText.trim() === '') {
-                    await sendMessage(messageData.from, "🎙️ No pude escuchar lo que dijiste. ¿Podés repetirme o escribirlo?");
-                    return;
-                }
-
-                messageData.text = transcriptionText; // Treat the transcribed text as if they typed it
-            } catch (error) {
-                console.error('Audio transcription error:', error);
-                await sendMessage(messageData.from, "⚠️ Hubo un error al procesar tu audio. Por favor, escribime el mensaje.");
-                return;
-            }
-        } else if (messageData.type !== 'text') {
-            return; // Ignore other message types (video, document, etc.)
+            messageData.text = transcriptionText; // Treat the transcribed text as if they typed it
+        } catch (error) {
+            console.error('Audio transcription error:', error);
+            await step('logged', () => MessageLog.logInbound({ ...inbound, text: '[Audio]' }));
+            const response = t(lang, 'audio_error');
+            await step('replied', () => reply(response));
+            return { from: messageData.from, text: null, parsed: null, response };
         }
+    } else if (messageData.interactive) {
+        // Tapped button or list row: its ID goes through NLP like typed text
+        console.log(`\n👆 ${messageData.from} tapped "${messageData.interactive.title}" (${messageData.interactive.id})`);
+    } else if (messageData.type !== 'text') {
+        return null; // Ignore other message types (video, document, etc.)
+    }
 
-        console.log(`\n📩 From ${messageData.from}: "${messageData.text}"`);
+    console.log(`\n📩 From ${messageData.from}: "${messageData.text}"`);
 
-        await markAsRead(messageData.messageId);
+    await markAsRead(messageData.messageId);
 
-        const parsed = await processMessage(messageData.text);
+    // Parse with the merchant's locale (idioms like "20 lucas" and the AI prompt depend on it)
+    // and the corrections learned from them
+    const parsed = await step('parsed', () => processMessage(messageData.text, lang, { merchantId: merchant?.id }));
+    await step('logged', () => MessageLog.logInbound({ ...inbound, text: messageData.text, parsed }));
 
-        const response = await handleMessage(
-            messageData.from,
-            messageData.contactName,
-            messageData.text,
-            parsed
-        );
+    const response = await step('handled', () => handleMessage(
+        messageData.from,
+        messageData.contactName,
+        messageData.text,
+        parsed
+    ));
 
-        // Send text if response exists
-        if (response) {
-            await sendMessage(messageData.from, response);
-            console.log(`📤 Response sent to ${messageData.from}`);
-        } else {
-            console.log(`🤫 No response generated (Bot is paused / Human handoff)`);
-        }
+    // Send text if response exists
+    if (response) {
+        await step('replied', () => reply(response));
+        console.log(`📤 Response sent to ${messageData.from}`);
+    } else {
+        console.log(`🤫 No response generated (Bot is paused / Human handoff)`);
+    }
 
-        // If user sent audio & we have a response, reply with audio too!
-        if (messageData.type === 'audio' && response) {
-            try {
-                const audioResponseBuffer = await generateAudioFromText(response);
+    // If user sent audio & we have a response, reply with audio too!
+    if (messageData.type === 'audio' && response) {
+        try {
+            const audioResponseBuffer = await generateAudioFromText(replyText(response));
 
-                await sendAudioMessage(messageData.from, audioResponseBuffer, 'audio/mpeg');
-            } catch (ttsError) {
-                console.error('❌ Error sending audio reply:', ttsError);
-            }
+            if (audioResponseBuffer) await sendAudioMessage(messageData.from, audioResponseBuffer, 'audio/mpeg');
+        } catch (ttsError) {
+            console.error('❌ Error sending audio reply:', ttsError);
         }
-
-    } catch (error) {
-        console.error('❌ Webhook processing error:', error);
     }
-});
+
+    return { from: messageData.from, text: messageData.text, parsed, response };
+}
 
 export default router;
@@ -13,7 +13,7 @@ import { fileURLToPath } from 'url';
 // Sentry Monitoring
 import * as Sentry from '@sentry/node';
 
-import webhookRouter from './routes/webhook.js';
+import webhookRouter, { handleWebhookPayload } from './routes/webhook.js';
 import dashboardRouter from './routes/dashboard.js';
 import scoreRouter from './routes/score.js';
 import greenlightRouter from './routes/greenlight.js';
@@ -34,8 +34,14 @@ import reportsRouter from './routes/reports.js';
 import adminRouter from './routes/admin.js';
 import exportRouter from './routes/export.js';
 import { webhookLimiter, apiLimiter, adminLimiter, exportLimiter, generalLimiter } from './middleware/rateLimit.js';
+import { captureRawBody } from './middleware/webhookSignature.js';
+import { startQueueWorker, stopQueueWorker } from './services/inboundQueue.js';
 import { processMessage } from './services/nlp.js';
+import { describeProvider } from './services/llm.js';
 import { handleMessage } from './services/bot.js';
+import { replyText } from './services/interactive.js';
+import * as Merchant from './models/merchant.js';
+import * as MessageLog from './models/messageLog.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -72,8 +78,8 @@ app.use(cors());
 // Logging — short in production, dev-style locally
 app.use(morgan(IS_PROD ? 'short' : 'dev'));
 
-// Body parsing
-app.use(express.json());
+// Body parsing (raw bytes kept for the WhatsApp webhook signature)
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting (granular per route type)
@@ -202,12 +208,16 @@ app.post('/api/simulate', async (req, res) => {
 
     try {
         console.log(`\n🧪 SIMULATE from ${phone}: "${message}"`);
+        const startTime = Date.now();
 
         // Process NLP
-        const parsed = await processMessage(message);
+        const merchant = await Merchant.findByPhone(phone);
+        const parsed = await processMessage(message, merchant?.language || 'es', { merchantId: merchant?.id });
+        await MessageLog.logInbound({ phone, merchantId: merchant?.id, text: message, parsed });
 
         // Handle bot logic
         const botResponse = await handleMessage(phone, name, message, parsed);
+        await logSimulatedReply(phone, botResponse, startTime);
 
         return res.json({
             input: message,
@@ -219,7 +229,8 @@ app.post('/api/simulate', async (req, res) => {
                 processing_time_ms: parsed.processing_time_ms,
                 parser: parsed.parser || 'openai'
             },
-            response: botResponse
+            response: replyText(botResponse),
+            ...(botResponse?.interactive ? { interactive: botResponse.interactive } : {})
         });
     } catch (error) {
         console.error('Simulation error:', error);
@@ -227,6 +238,18 @@ app.post('/api/simulate', async (req, res) => {
     }
 });
 
+/**
+ * Simulated replies are never sent, but they show up in the admin dashboards like real ones
+ */
+async function logSimulatedReply(phone, reply, startTime) {
+    if (!reply) return;
+    const merchant = await Merchant.findByPhone(phone);
+    await MessageLog.logOutbound({
+        phone, merchantId: merchant?.id, text: replyText(reply), status: 'simulated', latencyMs: Date.now() - startTime,
+        type: reply.interactive ? 'interactive' : 'text'
+    });
+}
+
 /**
  * GET /api/simulate/:message
  * Quick test endpoint - just pass the message as URL
@@ -237,8 +260,12 @@ app.get('/api/simulate/:message', async (req, res) => {
     const name = 'Comerciante Test';
 
     try {
-        const parsed = await processMessage(decodeURIComponent(message));
+        const startTime = Date.now();
+        const merchant = await Merchant.findByPhone(phone);
+        const parsed = await processMessage(decodeURIComponent(message), merchant?.language || 'es', { merchantId: merchant?.id });
+        await MessageLog.logInbound({ phone, merchantId: merchant?.id, text: decodeURIComponent(message), parsed });
         const botResponse = await handleMessage(phone, name, decodeURIComponent(message), parsed);
+        await logSimulatedReply(phone, botResponse, startTime);
 
         return res.json({
             input: decodeURIComponent(message),
@@ -247,7 +274,8 @@ app.get('/api/simulate/:message', async (req, res) => {
                 confidence: parsed.confidence,
                 entities: parsed.entities
             },
-            response: botResponse
+            response: replyText(botResponse),
+            ...(botResponse?.interactive ? { interactive: botResponse.interactive } : {})
         });
     } catch (error) {
         return res.status(500).json({ error: error.message });
@@ -290,8 +318,9 @@ const server = app.listen(PORT, () => {
 ║  Webhook:  http://localhost:${PORT}/webhook   ║
 ╠═══════════════════════════════════════════╣
 ║  DB:   ${process.env.SUPABASE_URL ? '✅ Supabase connected' : '⚠️  Memory mode (no Supabase)'}      ║
-║  NLP:  ${process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'sk-your-openai-key' ? '✅ OpenAI GPT-4o-mini' : '⚠️  Fallback parser (no OpenAI)'}    ║
+║  NLP:  ${describeProvider() ? `✅ ${describeProvider()}` : '⚠️  Fallback parser (no LLM)'}    ║
 ║  WA:   ${process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_TOKEN !== 'your-whatsapp-token' ? '✅ WhatsApp connected' : '⚠️  Simulated (no WhatsApp)'}     ║
+║  🔏:   ${process.env.WHATSAPP_APP_SECRET ? '✅ Webhook signatures verified' : IS_PROD ? '🚫 No app secret: webhook closed' : '⚠️  Unsigned webhooks accepted'}   ║
 ║  🔔:  Reminders cron active              ║
 ║  📊:  Daily summary cron active          ║
 ║  🎯:  NexoScore cron active (2am PY)     ║
@@ -309,6 +338,7 @@ const server = app.listen(PORT, () => {
     startExchangeRateCron();   // Every 6h - update USD/PYG rate
     startEmailCron();          // Monday 8am PY - weekly summary emails
     startBillingCron();        // Daily - API usage billing summaries
+    startQueueWorker(handleWebhookPayload); // Every 2s - inbound WhatsApp messages (retries, crash recovery)
 });
 
 // =============================================
@@ -320,6 +350,7 @@ const server = app.listen(PORT, () => {
 
 const shutdown = (signal) => {
     console.log(`\n⏳ ${signal} received — shutting down gracefully…`);
+    stopQueueWorker(); // jobs in flight finish; anything interrupted is retried on the next start
     server.close(() => {
         console.log('✅ HTTP server closed. Bye!');
         process.exit(0);
@@ -55,6 +55,7 @@ export async function getMonthlyOverview(merchantId) {
             .from('transactions')
             .select('*')
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .gte('created_at', thirtyDaysAgo.toISOString())
             .order('created_at', { ascending: true });
 
@@ -134,6 +135,7 @@ export async function getPeakHours(merchantId) {
             .from('transactions')
             .select('created_at')
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .gte('created_at', thirtyDaysAgo.toISOString());
 
         if (!transactions?.length) return Array(24).fill(0);
@@ -167,6 +169,7 @@ export async function getTopProducts(merchantId, limit = 10) {
             .from('transactions')
             .select('product, amount, type')
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .not('product', 'is', null)
             .in('type', ['SALE_CASH', 'SALE_CREDIT'])
             .gte('created_at', thirtyDaysAgo.toISOString());
@@ -248,6 +251,7 @@ export async function getRevenuePrediction(merchantId) {
             .from('transactions')
             .select('amount, type, created_at')
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .in('type', ['SALE_CASH', 'SALE_CREDIT'])
             .gte('created_at', fourWeeksAgo.toISOString());
 
@@ -326,6 +330,7 @@ async function getWeekStats(merchantId, from, to) {
         .from('transactions')
         .select('amount, type')
         .eq('merchant_id', merchantId)
+        .neq('status', 'voided')
         .gte('created_at', from.toISOString())
         .lt('created_at', to.toISOString());
 
@@ -2,23 +2,31 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import FormData from 'form-data';
-import OpenAI from 'openai';
+import { getProvider } from './llm.js';
+import { graphUrl } from './whatsapp.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const WHATSAPP_API_URL = 'https://graph.facebook.com/v22.0';
 
 // In-memory token cache to avoid requesting a token on every call
 const WA_MEDIA_TOKENS = new Map();
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 /**
- * Downloads an audio file from WhatsApp, transcribes it with Whisper, and returns the text.
+ * Downloads an audio file from WhatsApp, transcribes it with the LLM provider (Whisper), and returns the text.
  */
 export async function transcribeAudio(mediaId) {
     console.log(`🎙️ Processing audio message ID: ${mediaId}`);
     const token = process.env.WHATSAPP_TOKEN;
+    const provider = getProvider();
+
+    if (!provider) {
+        throw new Error('Proveedor LLM no configurado');
+    }
+
+    // Offline provider: transcription comes from fixtures, nothing to download
+    if (provider.offline) {
+        return (await provider.transcribe({ mediaId })).trim();
+    }
 
     if (!token || token === 'your-whatsapp-token') {
         throw new Error('WhatsApp Token no configurado');
@@ -26,7 +34,7 @@ export async function transcribeAudio(mediaId) {
 
     try {
         // 1. Get the media URL from WhatsApp
-        const mediaUrlResponse = await fetch(`${WHATSAPP_API_URL}/${mediaId}`, {
+        const mediaUrlResponse = await fetch(`${graphUrl()}/${mediaId}`, {
             headers: {
                 'Authorization': `Bearer ${token}`
             }
@@ -68,16 +76,11 @@ export async function transcribeAudio(mediaId) {
         fs.writeFileSync(tempFilePath, buffer);
         console.log(`💾 Saved temporarily at: ${tempFilePath}`);
 
-        // 4. Send to OpenAI Whisper for Transcription
-        console.log(`🧠 Sending to OpenAI Whisper for transcription...`);
-        const transcription = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(tempFilePath),
-            model: "whisper-1",
-            language: "es", // Force Spanish/Guarani context
-            response_format: "text"
-        });
+        // 4. Send to the provider (Whisper) for Transcription
+        console.log(`🧠 Sending to ${provider.name} for transcription...`);
+        const transcription = await provider.transcribe({ file: tempFilePath, mediaId, language: 'es' });
 
-        console.log(`✅ Transcription ready: "${transcription.trim()}"`);
+        console.log(`✅ Transcription ready: "${transcription}"`);
 
         // 5. Clean up temporary file
         try {
@@ -86,7 +89,7 @@ export async function transcribeAudio(mediaId) {
             console.error('Warning: Failed to clean up temp audio file:', e.message);
         }
 
-        return transcription.trim();
+        return transcription;
 
     } catch (error) {
         console.error('❌ Error processing audio:', error);
@@ -8,20 +8,34 @@ import * as Merchant from '../models/merchant.js';
 import * as Customer from '../models/customer.js';
 import * as Transaction from '../models/transaction.js';
 import * as Inventory from '../models/inventory.js';
+import * as Installment from '../models/installment.js';
 import { sendManualReminder } from './reminders.js';
 import { needsOnboarding, handleOnboarding } from './onboarding.js';
-import { formatAmount, formatDualCurrency, usdToPyg, getExchangeRate } from './currency.js';
+import { formatAmount, formatDualCurrency, formatBalances, convert, usdToPyg, getExchangeRate } from './currency.js';
 import { setPin } from './auth.js';
-import { t, getGreeting } from './guarani.js';
+import { t, getGreeting, normalizeLanguage } from './guarani.js';
 import { handleReferralIntent } from './referrals.js';
 import { getReportMessage } from './reports.js';
 import { handleReceiptPhoto } from './receiptOcr.js';
 import { handleMultiBusinessIntent } from './multiBusiness.js';
 import { sendDailySummary } from './dailySummary.js';
+import { applyEffects, revertEffects } from './transactionEffects.js';
+import { needsConfirmation, requestConfirmation, getPendingConfirmation, clearPendingConfirmation, classifyReply } from './confirmation.js';
+import { missingSlots, startSlotFilling, getPendingSlots, clearPendingSlots, isNewCommand, fillSlots } from './dialogue.js';
+import { resolveProducts } from './nlp.js';
+import { resolveCustomers, pickCandidate, applyChoice, getPendingChoice, clearPendingChoice } from './disambiguation.js';
+import { buildStatement, formatStatement, sendStatement } from './statement.js';
+import { rememberUndone, captureCorrection } from './corrections.js';
+import { withList, replyText } from './interactive.js';
+import { resolveDueDate, rebalanceCustomer, getCustomerDue, DEFAULT_TERM_DAYS } from './installments.js';
+import { getOpenItems, matchOpenItem, getDebtorsAging, resolveSaleDate, formatOpenItems, formatAging, formatShortDate } from './ledger.js';
 
 // En memoria: comercios que pidieron hablar con un humano
 const pausedMerchants = new Set();
 
+// Atajos del menú de ayuda: lo que se procesa al tocar cada fila (títulos en help_actions)
+const HELP_ACTIONS = ['¿Cuánto me deben?', '¿Cómo me fue hoy?', 'resumen del día', 'mis productos', 'mis negocios', 'mi panel', 'quiero mi reporte pdf', 'hablar con un humano'];
+
 /**
  * Format currency (Guaraníes)
  */
@@ -32,6 +46,22 @@ function formatPYG(amount) {
     return `Gs. ${amount.toLocaleString('es-PY')}`;
 }
 
+/**
+ * Amount as shown in replies: guaraníes, or other currencies with their guaraní value
+ */
+async function formatMoney(amount, currency) {
+    return currency && currency !== 'PYG' ? await formatDualCurrency(amount, currency) : formatPYG(amount);
+}
+
+/**
+ * A customer's debt as shown in replies: guaraníes, or each currency owed ("Gs. 150.000 + R$ 200")
+ */
+function formatDebt(customer) {
+    const balances = Customer.balancesOf(customer);
+    const foreign = Object.keys(balances).some(currency => currency !== 'PYG' && balances[currency] > 0);
+    return foreign ? formatBalances(balances) : formatPYG(Math.max(0, customer.total_debt || 0));
+}
+
 /**
  * Format currency (compact)
  */
@@ -50,116 +80,302 @@ function formatCompact(amount) {
  * @returns {string} Bot response text
  */
 export async function handleMessage(phone, contactName, rawMessage, parsed, imageData = null) {
-    // Detect language for this message
-    const lang = parsed.language || 'es';
-
-    // Get or create merchant
-    const merchant = await Merchant.findOrCreate(phone, contactName);
+    // Get or create merchant (the first message sets its language)
+    const merchant = await Merchant.findOrCreate(phone, contactName, normalizeLanguage(parsed.language));
 
     if (!merchant) {
-        return t(lang, 'error_internal');
+        return t(parsed.language, 'error_internal');
     }
 
+    // El idioma es del perfil, no de cada mensaje
+    const lang = merchant.language || 'es';
+
     // -- HUMAN HANDOFF: Revisar si está pausado el bot --
     if (pausedMerchants.has(merchant.id)) {
         if (/reanudar\s*bot|activar\s*bot|volver\s*al\s*bot/i.test(rawMessage)) {
             pausedMerchants.delete(merchant.id);
-            return "🤖 Modo IA automático *reactivado*. ¡Hola de nuevo! ¿Qué anotamos?";
+            return t(lang, 'bot_resumed');
         }
         return null; // Silencioso. Un humano está atendiendo por WhatsApp Web.
     }
 
     // Check if merchant needs onboarding (new user)
     if (needsOnboarding(merchant)) {
-        const onboardingResponse = await handleOnboarding(merchant, rawMessage, imageData);
+        const onboardingResponse = await handleOnboarding(merchant, rawMessage, imageData, lang);
         if (onboardingResponse) return onboardingResponse;
     }
 
     // If image received (not during onboarding), try receipt OCR
     if (imageData && imageData.mediaId) {
-        return await handleReceiptPhoto(merchant, imageData);
+        return await handleReceiptPhoto(merchant, imageData, lang);
     }
 
-    const { intent, entities } = parsed;
-
     try {
-        switch (intent) {
-            case 'SALE_CREDIT':
-                return await handleSaleCredit(merchant, entities, rawMessage, lang);
+        // Productos mencionados → nombres del catálogo del comercio
+        await resolveProducts(parsed, rawMessage, () => Inventory.getItems(merchant.id));
+        await priceFromCatalog(merchant.id, parsed);
+
+        // -- CONFIRMACIÓN PENDIENTE: "sí / no / corregir" --
+        const pending = await getPendingConfirmation(merchant.id);
+        if (pending) {
+            const reply = classifyReply(rawMessage);
+            await clearPendingConfirmation(merchant.id);
+
+            if (reply === 'yes') {
+                return await executeOperations(merchant, phone, pending.operations, pending.raw_message, pending.lang || lang);
+            }
+            if (reply === 'no') return t(lang, 'confirm_cancelled');
+            if (reply === 'edit') return t(lang, 'confirm_edit');
+            // Cualquier otro mensaje descarta lo pendiente y se procesa normal
+        }
+
+        // -- CLIENTE AMBIGUO PENDIENTE: "¿Carlos Benítez o Carlos Duarte?" --
+        const pendingChoice = await getPendingChoice(merchant.id);
+        if (pendingChoice) {
+            const choice = pickCandidate(rawMessage, pendingChoice.candidates);
+            await clearPendingChoice(merchant.id);
+
+            if (choice === 'cancel') return t(lang, 'confirm_cancelled');
+            if (choice) {
+                const operations = applyChoice(pendingChoice, choice);
+                return await executeOperations(merchant, phone, operations, pendingChoice.raw_message, pendingChoice.lang || lang);
+            }
+            // No eligió: se procesa como mensaje nuevo
+        }
+
+        // -- COMANDO INCOMPLETO PENDIENTE: "a Carlos", "300 mil" --
+        const pendingSlots = await getPendingSlots(merchant.id);
+        if (pendingSlots) {
+            const slotLang = pendingSlots.lang || lang;
+
+            if (classifyReply(rawMessage) === 'no') {
+                await clearPendingSlots(merchant.id);
+                return t(slotLang, 'confirm_cancelled');
+            }
+
+            const entities = !isNewCommand(pendingSlots, parsed)
+                ? fillSlots(pendingSlots, rawMessage, parsed.entities)
+                : null;
+
+            if (entities) {
+                if (missingSlots(pendingSlots.intent, entities).length > 0) {
+                    return await startSlotFilling(merchant.id, pendingSlots.intent, entities, pendingSlots.raw_message, slotLang);
+                }
+                await clearPendingSlots(merchant.id);
+                const fullMessage = `${pendingSlots.raw_message} ${rawMessage}`;
+                return await executeOperations(merchant, phone, [{ intent: pendingSlots.intent, entities }], fullMessage, slotLang);
+            }
+
+            // No completó nada: es un comando nuevo
+            await clearPendingSlots(merchant.id);
+        }
+
+        // Comando incompleto → preguntar lo que falta y recordarlo
+        const single = !(parsed.operations?.length > 1);
+        if (single && missingSlots(parsed.intent, parsed.entities).length > 0) {
+            return await startSlotFilling(merchant.id, parsed.intent, parsed.entities || {}, rawMessage, lang);
+        }
+
+        // Parse dudoso → preguntar antes de escribir nada
+        if (needsConfirmation(parsed)) {
+            return await requestConfirmation(merchant.id, parsed, rawMessage, lang);
+        }
+
+        const operations = parsed.operations?.length ? parsed.operations : [parsed];
+        return await executeOperations(merchant, phone, operations, rawMessage, lang);
+    } catch (error) {
+        console.error(`Bot error for ${phone}:`, error);
+        return t(lang, 'error_generic');
+    }
+}
+
+/**
+ * Sales without an amount are priced at catalog price × quantity.
+ * An explicit unit price ("a 8 mil c/u") wins over the catalog.
+ */
+async function priceFromCatalog(merchantId, parsed) {
+    const operations = parsed.operations?.length ? parsed.operations : [parsed];
+
+    for (const op of operations) {
+        const e = op.entities;
+        if (!['SALE_CASH', 'SALE_CREDIT'].includes(op.intent) || !e || e.amount) continue;
+
+        const quantity = e.quantity || 1;
+        if (e.unit_price) {
+            e.amount = e.unit_price * quantity;
+            continue;
+        }
+        if (!e.product) continue;
+
+        const item = await Inventory.getItem(merchantId, e.product);
+        if (!item?.avg_price) continue;
+
+        e.quantity = quantity;
+        e.unit_price = item.avg_price;
+        e.amount = item.avg_price * quantity;
+        e.currency = 'PYG';
+        e.priced_from_catalog = true;
+    }
+}
+
+/**
+ * Route a single intent to its handler
+ */
+async function dispatchIntent(merchant, phone, intent, entities, rawMessage, lang) {
+    switch (intent) {
+        case 'SALE_CREDIT':
+            return await handleSaleCredit(merchant, entities, rawMessage, lang);
+
+        case 'SALE_CASH':
+            return await handleSaleCash(merchant, entities, rawMessage, lang);
+
+        case 'PAYMENT':
+            return await handlePayment(merchant, entities, rawMessage, lang);
+
+        case 'DEBT_QUERY':
+            return await handleDebtQuery(merchant, lang);
+
+        case 'SALES_QUERY':
+            return await handleSalesQuery(merchant, lang);
+
+        case 'INVENTORY_IN':
+            return await handleInventoryIn(merchant, entities, rawMessage, lang);
+
+        case 'EXPENSE':
+            return await handleExpense(merchant, entities, rawMessage, lang);
+
+        case 'UNDO':
+            return await handleUndo(merchant, entities, rawMessage, lang);
+
+        case 'EDIT':
+            return await handleEdit(merchant, entities, rawMessage, lang);
+
+        case 'INVENTORY_QUERY':
+            return await handleInventoryQuery(merchant, entities, lang);
 
-            case 'SALE_CASH':
-                return await handleSaleCash(merchant, entities, rawMessage, lang);
+        case 'INVENTORY_UPDATE':
+            return await handleInventoryUpdate(merchant, entities, lang);
 
-            case 'PAYMENT':
-                return await handlePayment(merchant, entities, rawMessage, lang);
+        case 'STOCK_ALERT':
+            return await handleStockAlert(merchant, entities, lang);
 
-            case 'DEBT_QUERY':
-                return await handleDebtQuery(merchant, lang);
+        case 'CUSTOMER_UPDATE':
+            return await handleCustomerUpdate(merchant, entities, lang);
 
-            case 'SALES_QUERY':
-                return await handleSalesQuery(merchant, lang);
+        case 'CUSTOMER_RENAME':
+            return await handleCustomerRename(merchant, entities, lang);
 
-            case 'INVENTORY_IN':
-                return await handleInventoryIn(merchant, entities, rawMessage, lang);
+        case 'CUSTOMER_MERGE':
+            return await handleCustomerMerge(merchant, entities, lang);
 
-            case 'EXPENSE':
-                return await handleExpense(merchant, entities, rawMessage, lang);
+        case 'CUSTOMER_STATEMENT':
+            return await handleCustomerStatement(merchant, entities, lang);
 
-            case 'UNDO':
-                return await handleUndo(merchant, lang);
+        case 'CATALOG_UPDATE':
+            return await handleCatalogUpdate(merchant, entities, lang);
 
-            case 'INVENTORY_QUERY':
-                return await handleInventoryQuery(merchant, entities, lang);
+        case 'CATALOG_QUERY':
+            return await handleCatalogQuery(merchant, lang);
 
-            case 'INVENTORY_UPDATE':
-                return await handleInventoryUpdate(merchant, entities, lang);
+        case 'REMINDER':
+            return await handleReminder(merchant, entities, lang);
 
-            case 'REMINDER':
-                return await handleReminder(merchant, entities, lang);
+        case 'SET_PIN':
+            return await handleSetPin(merchant, entities, lang);
 
-            case 'SET_PIN':
-                return await handleSetPin(merchant, entities, lang);
+        case 'FORGOT_PIN':
+            return handleForgotPin(merchant, lang);
 
-            case 'FORGOT_PIN':
-                return handleForgotPin(merchant, lang);
+        case 'HUMAN_HANDOFF':
+            return handleHumanHandoff(merchant, lang);
 
-            case 'HUMAN_HANDOFF':
-                return handleHumanHandoff(merchant, lang);
+        case 'PAYMENT_LINK':
+            return await handlePaymentLink(merchant, entities, rawMessage, lang);
 
-            case 'PAYMENT_LINK':
-                return await handlePaymentLink(merchant, entities, rawMessage, lang);
+        case 'REGISTER_CEDULA':
+            return await handleRegisterCedula(merchant, entities, lang);
 
-            case 'REGISTER_CEDULA':
-                return await handleRegisterCedula(merchant, entities, lang);
+        case 'REFERRAL':
+            return await handleReferralIntent(merchant, entities.subIntent, entities, lang);
 
-            case 'REFERRAL':
-                return await handleReferralIntent(merchant, entities.subIntent, entities);
+        case 'REPORT':
+            return await handleReportIntent(merchant, lang);
 
-            case 'REPORT':
-                return await handleReportIntent(merchant);
+        case 'GET_DASHBOARD':
+            return handleGetDashboard(merchant, lang);
 
-            case 'GET_DASHBOARD':
-                return handleGetDashboard(merchant, lang);
+        case 'MULTI_BUSINESS':
+            return await handleMultiBusinessIntent(merchant, phone, entities.subIntent, entities, lang);
 
-            case 'MULTI_BUSINESS':
-                return await handleMultiBusinessIntent(merchant, phone, entities.subIntent, entities);
+        case 'EXPORT':
+            return handleExportIntent(merchant, entities.exportType, lang);
 
-            case 'EXPORT':
-                return handleExportIntent(merchant, entities.exportType);
+        case 'SET_LANGUAGE':
+            return await handleSetLanguage(merchant, entities);
 
-            case 'GREETING':
-                return handleBotGreeting(merchant, lang);
+        case 'GREETING':
+            return handleBotGreeting(merchant, lang);
 
-            case 'HELP':
-                return handleHelp(lang);
+        case 'HELP':
+            return handleHelp(lang);
 
-            default:
-                return handleUnknown(lang);
+        default:
+            return handleUnknown(lang);
+    }
+}
+
+/**
+ * Execute the operations of a message (one or several)
+ */
+async function executeOperations(merchant, phone, operations, rawMessage, lang = 'es') {
+    // Nombre ambiguo → preguntar cuál antes de escribir nada
+    const question = await resolveCustomers(merchant.id, operations, rawMessage, lang);
+    if (question) return question;
+
+    // "Anulá eso" + el mismo mensaje bien escrito → ejemplo para el NLP
+    await captureCorrection(merchant.id, rawMessage, operations);
+
+    if (operations.length > 1) {
+        return await handleOperations(merchant, phone, operations, rawMessage, lang);
+    }
+    const [op] = operations;
+    return await dispatchIntent(merchant, phone, op.intent, op.entities || {}, rawMessage, lang);
+}
+
+/**
+ * Execute several operations from one message, in order,
+ * and answer with a single combined confirmation.
+ * One failing operation doesn't stop the rest.
+ */
+async function handleOperations(merchant, phone, operations, rawMessage, lang = 'es') {
+    const replies = [];
+
+    for (const op of operations) {
+        let reply;
+        try {
+            reply = await dispatchIntent(merchant, phone, op.intent, op.entities || {}, op.text || rawMessage, lang);
+        } catch (error) {
+            console.error(`Bot error for ${phone} (${op.intent}):`, error);
+            reply = t(lang, 'error_generic');
         }
-    } catch (error) {
-        console.error(`Bot error for ${phone}:`, error);
-        return t(lang, 'error_generic');
+        replies.push(replyText(reply));
     }
+
+    let response = `${t(lang, 'multi_op_title', operations.length)}\n`;
+    response += `━━━━━━━━━━━━━━━━━━\n\n`;
+    response += replies.map((reply, i) => `${i + 1}️⃣ ${reply.trim()}`).join('\n\n');
+
+    return response;
+}
+
+/**
+ * The customer an operation refers to: the one picked when the name was
+ * ambiguous, a brand-new one ("es otro"), or the best match by name
+ */
+async function customerFor(merchant, entities) {
+    if (entities.customer_id) return await Customer.getById(entities.customer_id);
+    if (entities.new_customer) return await Customer.create(merchant.id, entities.customer_name);
+    return await Customer.findOrCreate(merchant.id, entities.customer_name);
 }
 
 // =============================================
@@ -177,11 +393,14 @@ async function handleSaleCredit(merchant, entities, rawMessage, lang = 'es') {
         return t(lang, 'sale_credit_no_name');
     }
 
-    // Find or create customer
-    const customer = await Customer.findOrCreate(merchant.id, customer_name);
+    const customer = await customerFor(merchant, entities);
+
+    // Payment terms: "a pagar el viernes", "en 4 cuotas semanales"
+    const dueDate = resolveDueDate(entities.due_ref);
+    const installments = entities.installments > 1 ? entities.installments : null;
 
     // Create transaction
-    await Transaction.create({
+    const tx = await Transaction.create({
         merchant_id: merchant.id,
         customer_id: customer?.id || null,
         type: 'SALE_CREDIT',
@@ -190,47 +409,71 @@ async function handleSaleCredit(merchant, entities, rawMessage, lang = 'es') {
         product: product || null,
         quantity: quantity || null,
         unit_price: unit_price || null,
+        due_date: dueDate,
+        installment_count: installments,
+        installment_interval: installments ? (entities.installment_interval || 'month') : null,
         raw_message: rawMessage,
         parsed_intent: 'SALE_CREDIT'
     });
 
-    // Update customer debt
-    if (customer) {
-        await Customer.updateDebt(customer.id, amount, 'SALE_CREDIT');
-    }
-
-    // Update merchant stats
-    await Merchant.updateStats(merchant.id, {
-        total_sales: (merchant.total_sales || 0) + amount,
-        total_credit_given: (merchant.total_credit_given || 0) + amount
-    });
+    // Customer debt, merchant totals and stock
+    const effects = tx ? await applyEffects(merchant, tx) : {};
 
     // Build response
     let response = `${t(lang, 'sale_credit_registered')}\n\n`;
     response += `${t(lang, 'customer_label')}: ${customer_name}\n`;
 
-    if (currency === 'USD') {
-        const fmtDual = await formatDualCurrency(amount, 'USD');
-        response += `💰 Monto: ${fmtDual}\n`;
-    } else {
-        response += `💰 Monto: ${formatPYG(amount)}\n`;
-    }
+    response += `${t(lang, 'amount_label')}: ${await formatMoney(amount, currency)}\n`;
 
-    if (product) response += `📦 Producto: ${product}`;
+    if (product) response += `${t(lang, 'product_label')}: ${product}`;
     if (quantity) response += ` (x${quantity})`;
     if (product || quantity) response += '\n';
+    if (entities.priced_from_catalog) response += `${t(lang, 'priced_from_catalog', formatPYG(unit_price), quantity)}\n`;
+    if (effects.schedule?.length) response += describeSchedule(effects.schedule, lang);
+    if (entities.due_ref && !dueDate) response += `${t(lang, 'due_ref_unknown', entities.due_ref, DEFAULT_TERM_DAYS)}\n`;
 
     // Show updated debt for this customer
     if (customer) {
         const updatedCustomer = await Customer.getById(customer.id);
-        if (updatedCustomer && updatedCustomer.total_debt > amount) {
-            response += `\n📊 Deuda total de ${customer_name}: ${formatPYG(updatedCustomer.total_debt)}`;
+        const owed = Customer.balancesOf(updatedCustomer);
+        if (updatedCustomer && (Object.keys(owed).length > 1 || (owed[currency || 'PYG'] || 0) > amount)) {
+            response += `\n${t(lang, 'pending_debt', customer_name, formatDebt(updatedCustomer))}`;
         }
     }
 
+    response = appendStockWarning(response, effects.stock, lang);
+
     return response;
 }
 
+/**
+ * "⏰ Vence: vie 24/10" or "📅 4 cuotas de Gs. 100.000 (semanal), la 1ª vence vie 24/10"
+ */
+function describeSchedule(schedule, lang = 'es') {
+    const first = formatDueDate(schedule[0].due_date);
+    if (schedule.length === 1) return `${t(lang, 'due_date_label')}: ${first}\n`;
+    return `${t(lang, 'installments_plan', schedule.length, formatPYG(schedule[0].amount), t(lang, `interval_${intervalOf(schedule)}`), first)}\n`;
+}
+
+/**
+ * What's still due after a payment (oldest installments are paid first)
+ */
+async function describeDue(customerId, lang = 'es') {
+    const due = await getCustomerDue(customerId);
+    if (due.dueNow > 0) return `\n${t(lang, 'due_overdue', formatPYG(due.dueNow), due.daysPastDue)}`;
+    if (due.nextDueDate) return `\n${t(lang, 'due_next', formatPYG(due.nextDueAmount), formatDueDate(due.nextDueDate))}`;
+    return '';
+}
+
+function intervalOf(schedule) {
+    const days = (new Date(schedule[1].due_date) - new Date(schedule[0].due_date)) / (1000 * 60 * 60 * 24);
+    return days <= 7 ? 'week' : days <= 14 ? 'fortnight' : 'month';
+}
+
+function formatDueDate(isoDate) {
+    return new Date(`${isoDate}T12:00:00Z`).toLocaleDateString('es-PY', { weekday: 'short', day: '2-digit', month: '2-digit', timeZone: 'UTC' });
+}
+
 async function handleSaleCash(merchant, entities, rawMessage, lang = 'es') {
     const { amount, product, quantity, unit_price, customer_name, currency } = entities;
 
@@ -238,7 +481,7 @@ async function handleSaleCash(merchant, entities, rawMessage, lang = 'es') {
         return t(lang, 'sale_no_amount');
     }
 
-    await Transaction.create({
+    const tx = await Transaction.create({
         merchant_id: merchant.id,
         type: 'SALE_CASH',
         amount,
@@ -250,77 +493,95 @@ async function handleSaleCash(merchant, entities, rawMessage, lang = 'es') {
         parsed_intent: 'SALE_CASH'
     });
 
-    await Merchant.updateStats(merchant.id, {
-        total_sales: (merchant.total_sales || 0) + amount
-    });
+    const effects = tx ? await applyEffects(merchant, tx) : {};
 
     let response = `${t(lang, 'sale_cash_registered')}\n\n`;
 
-    if (currency === 'USD') {
-        const fmtDual = await formatDualCurrency(amount, 'USD');
-        response += `💰 Monto: ${fmtDual}\n`;
-    } else {
-        response += `💰 Monto: ${formatPYG(amount)}\n`;
-    }
+    response += `${t(lang, 'amount_label')}: ${await formatMoney(amount, currency)}\n`;
 
-    if (customer_name) response += `👤 Cliente: ${customer_name}\n`;
-    if (product) response += `📦 Producto: ${product}`;
+    if (customer_name) response += `${t(lang, 'customer_label')}: ${customer_name}\n`;
+    if (product) response += `${t(lang, 'product_label')}: ${product}`;
     if (quantity) response += ` (x${quantity})`;
     if (product || quantity) response += '\n';
+    if (entities.priced_from_catalog) response += `${t(lang, 'priced_from_catalog', formatPYG(unit_price), quantity)}\n`;
+
+    response = appendStockWarning(response, effects.stock, lang);
 
     return response;
 }
 
+/**
+ * Add a "stock bajo" note when a sale took a product below zero
+ */
+function appendStockWarning(response, stock, lang = 'es') {
+    if (!stock || stock.item.stock >= 0) return response;
+    return `${response.trimEnd()}\n\n${t(lang, 'stock_low', stock.item.product, Math.max(0, stock.stockBefore), -stock.movement.quantity)}`;
+}
+
 async function handlePayment(merchant, entities, rawMessage, lang = 'es') {
     const { amount, customer_name, currency } = entities;
 
     if (!amount) {
-        return '🤔 ¿Cuánto te pagaron? Ej: "Cobré 200 mil de María"';
+        return t(lang, 'payment_no_amount');
     }
 
     if (!customer_name) {
-        return `🤔 Cobro de ${formatPYG(amount)}, pero ¿de quién? Ej: "Cobré ${formatCompact(amount)} de María"`;
+        return t(lang, 'payment_no_name', formatPYG(amount), formatCompact(amount));
     }
 
-    const customer = await Customer.findOrCreate(merchant.id, customer_name);
+    const customer = await customerFor(merchant, entities);
 
-    await Transaction.create({
+    // Reais paid against a debt in guaraníes only: book the payment in the currency owed
+    let payAmount = amount;
+    let payCurrency = currency || 'PYG';
+    const owed = customer ? Object.keys(Customer.balancesOf(customer)) : [];
+    if (owed.length === 1 && owed[0] !== payCurrency) {
+        payAmount = Math.round((await convert(amount, payCurrency, owed[0])).amount);
+        payCurrency = owed[0];
+    }
+
+    // "del fiado del lunes" → settle that fiado first
+    const wantsItem = Boolean(customer && (entities.applies_to_date || entities.applies_to_product));
+    const target = wantsItem
+        ? matchOpenItem(await getOpenItems(customer.id), {
+            date: resolveSaleDate(entities.applies_to_date),
+            product: entities.applies_to_product
+        })
+        : null;
+
+    const tx = await Transaction.create({
         merchant_id: merchant.id,
         customer_id: customer?.id || null,
         type: 'PAYMENT',
-        amount,
-        currency: currency || 'PYG',
+        amount: payAmount,
+        currency: payCurrency,
+        applies_to: target?.transaction_id || null,
         raw_message: rawMessage,
         parsed_intent: 'PAYMENT'
     });
 
-    if (customer) {
-        await Customer.updateDebt(customer.id, amount, 'PAYMENT');
-    }
-
-    await Merchant.updateStats(merchant.id, {
-        total_collected: (merchant.total_collected || 0) + amount
-    });
-
-    let response = `✅ *Cobro registrado*\n\n`;
-    response += `👤 Cliente: ${customer_name}\n`;
+    if (tx) await applyEffects(merchant, tx);
 
-    if (currency === 'USD') {
-        const fmtDual = await formatDualCurrency(amount, 'USD');
-        response += `💰 Cobrado: ${fmtDual}\n`;
-    } else {
-        response += `💰 Cobrado: ${formatPYG(amount)}\n`;
-    }
+    let response = `${t(lang, 'payment_registered')}\n\n`;
+    response += `${t(lang, 'customer_label')}: ${customer_name}\n`;
+    response += `${t(lang, 'collected_label')}: ${await formatMoney(amount, currency)}\n`;
 
     if (customer) {
         const updatedCustomer = await Customer.getById(customer.id);
         if (updatedCustomer) {
             if (updatedCustomer.total_debt <= 0) {
-                response += `\n🎉 ¡${customer_name} ya no te debe nada! Saldo: Gs. 0`;
+                response += `\n${t(lang, 'payment_debt_cleared', customer_name)}`;
             } else {
-                response += `\n📊 Saldo pendiente de ${customer_name}: ${formatPYG(updatedCustomer.total_debt)}`;
+                response += `\n${t(lang, 'payment_balance', customer_name, formatDebt(updatedCustomer))}`;
+                response += await describeDue(customer.id, lang);
             }
         }
+        if (target) {
+            const after = (await getOpenItems(customer.id)).find(i => i.transaction_id === target.transaction_id);
+            response += `\n${t(lang, 'ledger_applied', formatShortDate(target.date), target.product, after ? await formatMoney(after.balance, after.currency) : null)}`;
+        } else if (wantsItem) {
+            response += `\n${t(lang, 'ledger_target_missing')}`;
+        }
     }
 
     return response;
@@ -330,23 +591,28 @@ async function handleDebtQuery(merchant, lang = 'es') {
     const debtors = await Customer.getDebtors(merchant.id);
 
     if (debtors.length === 0) {
-        return '🎉 ¡No tenés deudas pendientes! Excelente gestión. 💪';
+        return t(lang, 'debt_no_debts');
     }
 
     const totalDebt = debtors.reduce((sum, d) => sum + d.total_debt, 0);
+    const { byCustomer, totals } = await getDebtorsAging(merchant.id, debtors);
 
-    let response = `📋 *Deudas pendientes*\n` +
+    let response = `${t(lang, 'debt_title')}\n` +
         `━━━━━━━━━━━━━━━━━━\n\n`;
 
     debtors.forEach((debtor, i) => {
         const riskEmoji = debtor.risk_level === 'high' ? '🔴' :
             debtor.risk_level === 'medium' ? '🟡' : '🟢';
-        response += `${riskEmoji} *${debtor.name}*: ${formatPYG(debtor.total_debt)}\n`;
+        const oldest = byCustomer.get(debtor.id)?.oldestAge;
+        const age = oldest > 7 ? t(lang, 'debt_oldest', oldest) : '';
+        response += `${riskEmoji} *${debtor.name}*: ${formatDebt(debtor)}${age}\n`;
     });
 
-    response += `\n━━━━━━━━━━━━━━━━━━\n`;
-    response += `💰 *Total pendiente: ${formatPYG(totalDebt)}*\n`;
-    response += `👥 ${debtors.length} cliente${debtors.length > 1 ? 's' : ''} con deuda`;
+    const aging = formatAging(totals, lang);
+    if (aging) response += `\n${aging}\n`;
+    response += `\n━━━━━━━━━━━━━━━━━━`;
+    response += `${t(lang, 'debt_total', formatPYG(totalDebt))}\n`;
+    response += t(lang, 'debt_customers_count', debtors.length);
 
     return response;
 }
@@ -356,40 +622,40 @@ async function handleSalesQuery(merchant, lang = 'es') {
     const daily = await Transaction.getDailySummary(merchant.id);
 
     if (weekly.count === 0 && daily.totalOps === 0) {
-        return '📊 No tenés ventas registradas todavía. ¡Registrá tu primera venta!';
+        return t(lang, 'sales_none');
     }
 
     let response = '';
 
     // Daily summary (today)
     if (daily.totalOps > 0) {
-        response += `📊 *Resumen de hoy*\n`;
+        response += `${t(lang, 'sales_today_title')}\n`;
         response += `━━━━━━━━━━━━━━━━━━\n\n`;
-        response += `💰 *Ventas totales: ${formatPYG(daily.totalSales)}*\n`;
+        response += `${t(lang, 'sales_total', formatPYG(daily.totalSales))}\n`;
         if (daily.countSalesCash > 0) {
-            response += `   💵 Contado: ${formatPYG(daily.salesCash)} (${daily.countSalesCash})\n`;
+            response += `${t(lang, 'sales_cash_line', formatPYG(daily.salesCash), daily.countSalesCash)}\n`;
         }
         if (daily.countSalesCredit > 0) {
-            response += `   📝 Fiado: ${formatPYG(daily.salesCredit)} (${daily.countSalesCredit})\n`;
+            response += `${t(lang, 'sales_credit_line', formatPYG(daily.salesCredit), daily.countSalesCredit)}\n`;
         }
         if (daily.countPayments > 0) {
-            response += `\n💵 *Cobros: ${formatPYG(daily.totalCollected)}* (${daily.countPayments})\n`;
+            response += `\n${t(lang, 'collections_line', formatPYG(daily.totalCollected), daily.countPayments)}\n`;
         }
-        response += `\n🧾 Operaciones del día: ${daily.totalOps}\n`;
+        response += `\n${t(lang, 'sales_ops_today', daily.totalOps)}\n`;
     } else {
-        response += `📊 *Hoy* — Sin actividad todavía.\n`;
+        response += `${t(lang, 'sales_today_empty')}\n`;
     }
 
     // Weekly summary
     if (weekly.count > 0) {
         response += `\n━━━━━━━━━━━━━━━━━━\n`;
-        response += `📈 *Semana:* ${formatPYG(weekly.total)} (${weekly.count} ops)\n`;
-        response += `📊 Ticket promedio: ${formatPYG(weekly.avgTicket)}\n`;
+        response += `${t(lang, 'sales_week_line', formatPYG(weekly.total), weekly.count)}\n`;
+        response += `${t(lang, 'sales_avg_ticket', formatPYG(weekly.avgTicket))}\n`;
     }
 
     // Motivational
     const emoji = daily.totalSales >= 1000000 ? '🔥' : daily.totalSales >= 500000 ? '💪' : '👍';
-    response += `\n${emoji} ¡Seguí así!`;
+    response += `\n${emoji} ${t(lang, 'keep_going')}`;
 
     return response;
 }
@@ -398,10 +664,10 @@ async function handleInventoryIn(merchant, entities, rawMessage, lang = 'es') {
     const { product, quantity, amount } = entities;
 
     if (!product && !quantity) {
-        return '🤔 ¿Qué te llegó y cuánto? Ej: "Me llegaron 30 cajas de cerveza"';
+        return t(lang, 'inventory_no_product');
     }
 
-    await Transaction.create({
+    const tx = await Transaction.create({
         merchant_id: merchant.id,
         type: 'INVENTORY_IN',
         amount: amount || 0,
@@ -411,10 +677,18 @@ async function handleInventoryIn(merchant, entities, rawMessage, lang = 'es') {
         parsed_intent: 'INVENTORY_IN'
     });
 
-    let response = `📦 *Inventario actualizado*\n\n`;
-    if (product) response += `📋 Producto: ${product}\n`;
-    if (quantity) response += `📊 Cantidad: ${quantity}\n`;
-    if (amount) response += `💰 Costo: ${formatPYG(amount)}\n`;
+    const effects = tx ? await applyEffects(merchant, tx) : {};
+
+    let response = `${t(lang, 'inventory_registered')}\n\n`;
+    if (product) response += `${t(lang, 'product_label')}: ${product}\n`;
+    if (quantity) response += `${t(lang, 'quantity_label')}: ${quantity}\n`;
+    if (amount) response += `${t(lang, 'cost_label')}: ${formatPYG(amount)}\n`;
+
+    if (effects.stock) {
+        const { item } = effects.stock;
+        response += `\n${t(lang, 'stock_now', item.stock, item.unit || 'unid')}`;
+        if (item.avg_cost) response += `\n${t(lang, 'avg_cost_label', formatPYG(item.avg_cost))}`;
+    }
 
     return response;
 }
@@ -423,10 +697,10 @@ async function handleReminder(merchant, entities, lang = 'es') {
     const { customer_name } = entities;
 
     if (!customer_name) {
-        return '🤔 ¿A quién le mando el recordatorio? Ej: _"Recordale a Carlos"_';
+        return t(lang, 'reminder_no_name');
     }
 
-    const result = await sendManualReminder(merchant.id, customer_name);
+    const result = await sendManualReminder(merchant.id, customer_name, lang, entities.customer_id);
 
     if (result && result.success) {
         return result.message;
@@ -434,108 +708,92 @@ async function handleReminder(merchant, entities, lang = 'es') {
         return result.message;
     }
 
-    return '❌ No pude enviar el recordatorio. Intentá más tarde.';
+    return t(lang, 'reminder_failed');
 }
 
 function handleBotGreeting(merchant, lang = 'es') {
-    const name = merchant.name || 'amigo';
+    const name = merchant.name || t(lang, 'merchant_friend_fallback');
     const saludo = getGreeting(lang);
     return `${saludo} ${t(lang, 'greeting_intro', name)}`;
 }
 
+/**
+ * The guide, with a list of shortcuts to tap
+ */
 function handleHelp(lang = 'es') {
-    return t(lang, 'help_title');
+    const titles = t(lang, 'help_actions');
+    return withList(t(lang, 'help_title'), t(lang, 'menu_button'), HELP_ACTIONS.map((id, i) => ({ id, title: titles[i] })));
 }
 
 function handleUnknown(lang = 'es') {
     return t(lang, 'unknown');
 }
 
+/**
+ * "Hablame en guaraní" → saved on the merchant profile
+ */
+async function handleSetLanguage(merchant, entities) {
+    const language = normalizeLanguage(entities.language);
+    await Merchant.updateStats(merchant.id, { language });
+    return t(language, 'language_set');
+}
+
 async function handleSetPin(merchant, entities, lang = 'es') {
     const { pin, cedula } = entities;
 
     // Check if the merchant already has a PIN to prevent unauthorized takeovers
     if (merchant.dashboard_pin) {
         if (!cedula) {
-            return `🔒 *Alerta de Seguridad*\n\n` +
-                `Ya tenés un PIN configurado. Si querés cambiarlo, necesito verificar tu identidad.\n\n` +
-                `👉 Enviá: *PIN ${pin} CI <TuNúmeroDeCédula>*\n` +
-                `_(Ej: PIN 1234 CI 4523871)_`;
+            return t(lang, 'pin_change_needs_cedula', pin);
         }
 
         // Verify cedula matches the database
         const dbCedula = merchant.cedula ? merchant.cedula.replace(/[^0-9]/g, '') : null;
         if (dbCedula && cedula !== dbCedula) {
-            return `❌ *Error de Seguridad*\nLa cédula ingresada no coincide con la registrada en tu cuenta. PIN no actualizado.`;
+            return t(lang, 'pin_cedula_mismatch');
         } else if (!dbCedula) {
             // Edge case: they never set a cedula during onboarding
-            return `❌ No tenés una cédula registrada para verificar el cambio. Contactá a soporte.`;
+            return t(lang, 'pin_no_cedula');
         }
     }
 
     const result = await setPin(merchant.id, pin);
 
     if (result.success) {
-        return `✅ ¡Tu nuevo PIN es *${pin}*!\n\nPor seguridad, hemos cerrado sesión en todos los demás dispositivos móviles. Tu información está a salvo.`;
+        return t(lang, 'pin_set', pin);
     }
 
-    return `❌ ${result.error || 'Error configurando el PIN'}`;
+    return t(lang, 'pin_error', result.error);
 }
 
 function handleForgotPin(merchant, lang = 'es') {
-    return `🔐 *Recuperación Segura de PIN*\n\n` +
-        `Para crear un nuevo PIN y volver a entrar a la App sin que nadie más pueda ver tus datos, verificamos tu identidad.\n\n` +
-        `👉 Enviame un mensaje que diga:\n*PIN 1234 CI <TuCédula>*\n\n` +
-        `_(Cambiá 1234 por tu nuevo número, y agregá tu número de cédula)._ 😉`;
+    return t(lang, 'pin_forgot');
 }
 
-async function handleReportIntent(merchant) {
+async function handleReportIntent(merchant, lang = 'es') {
     const now = new Date();
     const month = now.getMonth();
     const year = now.getFullYear();
-    const months = ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
-        'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'];
 
     const downloadUrl = `https://nexobot-mvp-1.onrender.com/api/reports/${merchant.id}?month=${month}&year=${year}`;
 
-    return `📄 *Reporte de ${months[month]} ${year}*\n\n` +
-        `Tu reporte PDF está listo para descargar:\n\n` +
-        `🔗 ${downloadUrl}\n\n` +
-        `Incluye:\n` +
-        `• Resumen de ventas (contado y fiado)\n` +
-        `• Lista de deudores\n` +
-        `• Clientes principales\n` +
-        `• Tu NexoScore\n\n` +
-        `_Hacé click en el link para descargarlo_`;
+    return t(lang, 'report_ready', t(lang, 'month_name', month), year, downloadUrl);
 }
 
-function handleExportIntent(merchant, exportType = 'sales') {
+function handleExportIntent(merchant, exportType = 'sales', lang = 'es') {
     const baseUrl = `https://nexobot-mvp-1.onrender.com/api/export/${merchant.id}`;
 
     if (exportType === 'debtors') {
-        return `📊 *Excel de Deudores* listo!\n\n` +
-            `🔗 ${baseUrl}/debtors\n\n` +
-            `Incluye:\n` +
-            `• Lista completa de deudores\n` +
-            `• Monto de cada deuda\n` +
-            `• Nivel de riesgo\n` +
-            `• Fecha de última transacción\n\n` +
-            `_Hacé click para descargar el .xlsx_`;
+        return t(lang, 'export_debtors_ready', `${baseUrl}/debtors`);
     }
 
     const now = new Date();
-    return `📊 *Excel de Ventas* listo!\n\n` +
-        `🔗 ${baseUrl}/sales?month=${now.getMonth()}&year=${now.getFullYear()}\n\n` +
-        `Incluye:\n` +
-        `• Todas las operaciones del mes\n` +
-        `• Totales por tipo (contado, fiado, cobros)\n` +
-        `• Filtros y formato profesional\n\n` +
-        `_Hacé click para descargar el .xlsx_`;
+    return t(lang, 'export_sales_ready', `${baseUrl}/sales?month=${now.getMonth()}&year=${now.getFullYear()}`);
 }
 
 async function handleExpense(merchant, entities, rawMessage, lang = 'es') {
     const { amount, product, currency } = entities;
-    if (!amount) return '🤔 ¿Cuánto gastaste? Ej: "Gasté 50 mil en pasaje"';
+    if (!amount) return t(lang, 'expense_no_amount');
 
     await Transaction.create({
         merchant_id: merchant.id,
@@ -547,58 +805,216 @@ async function handleExpense(merchant, entities, rawMessage, lang = 'es') {
         parsed_intent: 'EXPENSE'
     });
 
-    let response = `💸 *Gasto registrado*\n\n`;
-    if (currency === 'USD') {
-        const fmtDual = await formatDualCurrency(amount, 'USD');
-        response += `💰 Monto: ${fmtDual}\n`;
-    } else {
-        response += `💰 Monto: ${formatPYG(amount)}\n`;
-    }
-    if (product) response += `📝 Detalle: ${product}\n`;
+    let response = `${t(lang, 'expense_registered')}\n\n`;
+    response += `${t(lang, 'amount_label')}: ${await formatMoney(amount, currency)}\n`;
+    if (product) response += `${t(lang, 'detail_label')}: ${product}\n`;
 
     return response;
 }
 
-async function handleUndo(merchant, lang = 'es') {
-    const lastTx = await Transaction.undoLast(merchant.id);
-    if (!lastTx) {
-        return '❌ No encontré ninguna transacción reciente para anular.';
+async function handleUndo(merchant, entities, rawMessage, lang = 'es') {
+    const targets = await findReferencedTransactions(merchant, entities, entities.count || 1, true);
+    if (targets.length === 0) {
+        return t(lang, 'undo_not_found');
     }
 
-    // Revert debt if needed
-    if (lastTx.customer_id) {
-        if (lastTx.type === 'SALE_CREDIT' || lastTx.type === 'PAYMENT') {
-            await Customer.updateDebt(lastTx.customer_id, -lastTx.amount, lastTx.type);
-        }
+    const voided = [];
+    for (const tx of targets) {
+        const done = await Transaction.voidTransaction(tx.id, {
+            voided_by: merchant.phone,
+            void_reason: rawMessage
+        });
+        if (!done) continue;
+        await revertEffects(merchant, tx);
+        voided.push(tx);
+    }
+
+    if (voided.length === 0) return t(lang, 'error_generic');
+    await rememberUndone(merchant.id, voided, lang);
+
+    const lines = [];
+    for (const tx of voided) lines.push(`• ${await describeTransaction(tx, lang)}`);
+    return t(lang, 'undo_done', lines);
+}
+
+async function handleEdit(merchant, entities, rawMessage, lang = 'es') {
+    const { amount } = entities;
+    if (!amount) return t(lang, 'edit_no_amount');
+
+    // The amount is the NEW one, so it can't be used to find the old transaction
+    const [tx] = await findReferencedTransactions(merchant, entities, 1, false);
+    if (!tx) return t(lang, 'undo_not_found');
+    if (tx.amount === amount) return t(lang, 'edit_same_amount', formatPYG(amount));
+
+    const voided = await Transaction.voidTransaction(tx.id, {
+        voided_by: merchant.phone,
+        void_reason: rawMessage
+    });
+    if (!voided) return t(lang, 'error_generic');
+    await revertEffects(merchant, tx);
+
+    const replacement = await Transaction.create({
+        merchant_id: merchant.id,
+        customer_id: tx.customer_id || null,
+        type: tx.type,
+        amount,
+        currency: tx.currency || 'PYG',
+        product: tx.product || null,
+        quantity: tx.quantity || null,
+        unit_price: tx.quantity ? Math.round(amount / tx.quantity) : null,
+        due_date: tx.due_date || null,
+        installment_count: tx.installment_count || null,
+        installment_interval: tx.installment_interval || null,
+        applies_to: tx.applies_to || null,
+        raw_message: rawMessage,
+        parsed_intent: 'EDIT',
+        replaces_id: tx.id
+    });
+    if (replacement) {
+        // Payments made to the old fiado now settle the new one
+        if (tx.type === 'SALE_CREDIT') await Transaction.retarget(tx.id, replacement.id);
+        await applyEffects(merchant, replacement);
+    }
+
+    return t(lang, 'edit_done', await describeTransaction(tx, lang), formatPYG(tx.amount), formatPYG(amount));
+}
+
+/**
+ * Find the transactions a merchant is talking about:
+ * "la venta de Carlos de ayer", "las últimas 3", "el fiado de 500 mil"
+ */
+async function findReferencedTransactions(merchant, entities, limit, matchAmount) {
+    const { customer_name, tx_type, date_ref, amount } = entities;
+    const filters = { limit };
+
+    if (entities.customer_id) {
+        filters.customerId = entities.customer_id;
+    } else if (customer_name) {
+        const customer = await Customer.findByName(merchant.id, customer_name);
+        if (!customer) return [];
+        filters.customerId = customer.id;
     }
 
-    return `↩️ *Transacción anulada con éxito.* Se borró: ${lastTx.type} por ${formatPYG(lastTx.amount)}.`;
+    if (tx_type === 'SALE') filters.types = ['SALE_CASH', 'SALE_CREDIT'];
+    else if (tx_type) filters.types = [tx_type];
+
+    if (date_ref) Object.assign(filters, dayRange(date_ref));
+    if (matchAmount && amount) filters.amount = amount;
+
+    return Transaction.findActive(merchant.id, filters);
+}
+
+/**
+ * Start/end of "hoy", "ayer" or "anteayer" in Paraguay time (UTC-3)
+ */
+function dayRange(dateRef) {
+    const daysBack = { hoy: 0, ayer: 1, anteayer: 2 }[dateRef] ?? 0;
+    const now = new Date();
+    const from = new Date(now);
+    from.setUTCHours(3, 0, 0, 0); // Midnight PY = 3am UTC
+    if (now.getUTCHours() < 3) from.setUTCDate(from.getUTCDate() - 1);
+    from.setUTCDate(from.getUTCDate() - daysBack);
+
+    const to = new Date(from);
+    to.setUTCDate(to.getUTCDate() + 1);
+    return { from, to };
+}
+
+/**
+ * One-line description of a stored transaction
+ */
+async function describeTransaction(tx, lang = 'es') {
+    const date = new Date(tx.created_at).toLocaleDateString('es-PY', { day: '2-digit', month: '2-digit', timeZone: 'America/Asuncion' });
+    const customer = tx.customer_id ? await Customer.getById(tx.customer_id) : null;
+    return t(lang, `tx_label_${tx.type}`, formatPYG(tx.amount), customer?.name, tx.product, date);
 }
 
 async function handleInventoryQuery(merchant, entities, lang = 'es') {
     const { product } = entities;
-    if (!product) return '🤔 ¿De qué producto querés saber el precio? Ej: "A cuánto tengo la coca cola"';
+    if (!product) return t(lang, 'inventory_query_no_product');
 
     const item = await Inventory.getItem(merchant.id, product);
     if (!item) {
-        return `❌ No encontré el producto "${product}" en tu inventario. Podés agregarlo diciendo: "Me llegaron 10 ${product}" o "Actualizar precio de ${product} a 10 mil"`;
+        return t(lang, 'inventory_not_found', product);
     }
 
+    if (entities.ledger) return await handleStockLedger(merchant, item, lang);
+
     let response = `📦 *${item.product}*\n\n`;
-    response += `💰 Precio actual: ${formatPYG(item.avg_price || 0)}\n`;
-    response += `📊 Stock actual: ${item.stock || 0} ${item.unit || 'unid'}\n`;
+    response += `${t(lang, 'price_label')}: ${formatPYG(item.avg_price || 0)}\n`;
+    response += `${t(lang, 'stock_current', item.stock || 0, item.unit || 'unid')}\n`;
+    if (item.avg_cost) response += `${t(lang, 'avg_cost_label', formatPYG(item.avg_cost))}\n`;
+    return response;
+}
+
+async function handleStockLedger(merchant, item, lang = 'es') {
+    const { movements } = await Inventory.getMovements(merchant.id, item.product, 10);
+
+    let response = `${t(lang, 'stock_ledger_title', item.product)}\n━━━━━━━━━━━━━━━━━━\n\n`;
+    if (movements.length === 0) {
+        return response + t(lang, 'stock_ledger_empty');
+    }
+
+    for (const mov of movements) {
+        const date = new Date(mov.created_at).toLocaleDateString('es-PY', { day: '2-digit', month: '2-digit', timeZone: 'America/Asuncion' });
+        const sign = mov.quantity > 0 ? '+' : '';
+        response += `${date} ${t(lang, `stock_mov_${mov.type}`)} *${sign}${mov.quantity}* → ${mov.stock_after}\n`;
+    }
+
+    response += `\n${t(lang, 'stock_current', item.stock || 0, item.unit || 'unid')}`;
+    if (item.avg_cost) response += `\n${t(lang, 'avg_cost_label', formatPYG(item.avg_cost))}`;
     return response;
 }
 
 async function handleInventoryUpdate(merchant, entities, lang = 'es') {
     const { product, amount } = entities;
-    if (!product) return '🤔 ¿Qué producto querés actualizar?';
-    if (!amount) return `🤔 Faltó el nuevo precio. Ej: "Actualizar precio de ${product} a 15000"`;
+    if (!product) return t(lang, 'inventory_update_no_product');
+    if (!amount) return t(lang, 'inventory_update_no_price', product);
 
     const updated = await Inventory.updateItem(merchant.id, product, null, amount);
-    if (!updated) return '❌ Hubo un error al actualizar el producto.';
+    if (!updated) return t(lang, 'error_generic');
+
+    return t(lang, 'price_updated', product, formatPYG(amount));
+}
+
+async function handleStockAlert(merchant, entities, lang = 'es') {
+    const { product, min_stock } = entities;
+    if (!product) return t(lang, 'stock_alert_no_product');
+    if (min_stock === undefined || min_stock === null) return t(lang, 'stock_alert_no_min', product);
+
+    const item = await Inventory.setMinStock(merchant.id, product, min_stock);
+    if (!item) return t(lang, 'error_generic');
+
+    let response = t(lang, 'stock_alert_set', item.product, min_stock);
+    if ((item.stock || 0) <= min_stock) {
+        response += `\n\n${t(lang, 'stock_alert_already_low', item.stock || 0)}`;
+    }
+    return response;
+}
+
+async function handleCatalogUpdate(merchant, entities, lang = 'es') {
+    const { product, alias, sku, unit } = entities;
+    if (!product) return t(lang, 'catalog_no_product');
 
-    return `✅ Precio de *${product}* actualizado a ${formatPYG(amount)}.`;
+    const item = await Inventory.updateCatalog(merchant.id, product, { alias, sku, unit });
+    if (!item) return t(lang, 'error_generic');
+
+    if (alias) return t(lang, 'catalog_alias_set', item.product, alias);
+    if (sku) return t(lang, 'catalog_sku_set', item.product, item.sku);
+    return t(lang, 'catalog_unit_set', item.product, item.unit);
+}
+
+async function handleCatalogQuery(merchant, lang = 'es') {
+    const items = await Inventory.getItems(merchant.id);
+    if (items.length === 0) return t(lang, 'catalog_empty');
+
+    let response = `${t(lang, 'catalog_title', items.length)}\n━━━━━━━━━━━━━━━━━━\n\n`;
+    for (const item of [...items].sort((a, b) => a.product.localeCompare(b.product))) {
+        response += `📦 *${item.product}*${item.sku ? ` (${item.sku})` : ''}\n`;
+        response += `   ${item.avg_price ? formatPYG(item.avg_price) : '—'} · ${item.stock || 0} ${item.unit || 'unid'}\n`;
+        if (item.aliases?.length) response += `   _${t(lang, 'catalog_aliases')}: ${item.aliases.join(', ')}_\n`;
+    }
+    return response;
 }
 
 // =============================================
@@ -607,18 +1023,7 @@ async function handleInventoryUpdate(merchant, entities, lang = 'es') {
 
 function handleGetDashboard(merchant, lang = 'es') {
     const baseUrl = 'https://nexobot-mvp.onrender.com/dashboard'; // Cambiar por la url de render si se prefiere
-    let response = `📊 *Tu Panel de Control (Nexo Dashboard)*\n\n`;
-
-    response += `Acá podés ver todas tus ventas, deudores y métricas sin salir de WhatsApp:\n\n`;
-    response += `🔗 ${baseUrl}?phone=${merchant.phone.replace('+', '%2B')}\n\n`;
-
-    if (merchant.dashboard_pin) {
-        response += `_(Nota: El sistema te va a pedir tu PIN de 4 dígitos para entrar)._`;
-    } else {
-        response += `⚠️ *Aún no tenés un código de seguridad.*\nPara proteger tu información, te recomiendo crear uno.\n👉 Enviame un mensaje que diga: *PIN 1234* (cambiando 1234 por tu número secreto).`;
-    }
-
-    return response;
+    return t(lang, 'dashboard_link', `${baseUrl}?phone=${merchant.phone.replace('+', '%2B')}`, Boolean(merchant.dashboard_pin));
 }
 
 // =============================================
@@ -627,58 +1032,144 @@ function handleGetDashboard(merchant, lang = 'es') {
 
 function handleHumanHandoff(merchant, lang = 'es') {
     pausedMerchants.add(merchant.id);
-    return `⏸️ *Bot Pausado*\n\nHe avisado al equipo de soporte humano para que lea tu mensaje y te conteste a la brevedad.\n\n_(Para volver a usar el bot automático, escribí "activar bot")_`;
+    return t(lang, 'handoff_paused');
 }
 
 async function handlePaymentLink(merchant, entities, rawMessage, lang = 'es') {
     const { amount, customer_name, currency } = entities;
 
     if (!amount) {
-        return '🤔 ¿De cuánto querés generar el cobro QR / SIPAP? Ej: "Generame un QR de 50 mil"';
+        return t(lang, 'payment_link_no_amount');
     }
 
-    let response = `🏦 *Tu Link de Cobro SIPAP/QR*\n\n`;
-    if (customer_name) response += `👤 Para: ${customer_name}\n`;
-    response += `💰 Monto: ${amount.toLocaleString('es-PY')} ${(currency || 'PYG')}\n\n`;
+    return t(lang, 'payment_link', customer_name,
+        `${amount.toLocaleString('es-PY')} ${(currency || 'PYG')}`,
+        `https://nexobot-mvp.onrender.com/pay/${merchant.id}/${amount}`);
+}
 
-    response += `📲 Compartí este link con tu cliente para que te pague al instante:\n`;
-    response += `🔗 https://nexobot-mvp.onrender.com/pay/${merchant.id}/${amount}\n\n`;
-    response += `_(La app te avisará apenas el cliente transfiera 😉)_`;
+// =============================================
+// CUSTOMER PROFILE: nicknames, phones, rename, merge
+// =============================================
 
-    return response;
+async function handleCustomerUpdate(merchant, entities, lang = 'es') {
+    const { customer_name, nickname, phone } = entities;
+    if (!customer_name) return t(lang, 'customer_no_name');
+
+    const customer = await customerFor(merchant, entities);
+    if (!customer) return t(lang, 'error_generic');
+
+    const updated = await Customer.updateProfile(customer.id, { nickname, phone });
+    if (!updated) return t(lang, 'error_generic');
+
+    if (phone) return t(lang, 'customer_phone_set', updated.name, updated.phone);
+    return t(lang, 'customer_nickname_set', updated.name, nickname);
+}
+
+async function handleCustomerRename(merchant, entities, lang = 'es') {
+    const { customer_name, new_name } = entities;
+    if (!customer_name || !new_name) return t(lang, 'customer_no_name');
+
+    const customer = entities.customer_id ? await Customer.getById(entities.customer_id) : null;
+    if (!customer) return t(lang, 'customer_not_found', customer_name);
+
+    // Renaming onto an existing customer is really a merge
+    const existing = await Customer.resolve(merchant.id, new_name);
+    if (existing.customer && existing.customer.id !== customer.id &&
+        Customer.normalizeName(existing.customer.name) === Customer.normalizeName(new_name)) {
+        return t(lang, 'customer_rename_exists', customer.name, existing.customer.name);
+    }
+
+    const oldName = customer.name;
+    const updated = await Customer.updateProfile(customer.id, { name: new_name });
+    if (!updated) return t(lang, 'error_generic');
+    return t(lang, 'customer_renamed', oldName, updated.name);
+}
+
+async function handleCustomerMerge(merchant, entities, lang = 'es') {
+    const { customer_name, other_name } = entities;
+    if (!customer_name || !other_name) return t(lang, 'customer_no_name');
+
+    // Both names must point at exactly one customer
+    const pair = [];
+    for (const name of [customer_name, other_name]) {
+        const match = await Customer.resolve(merchant.id, name);
+        if (match.candidates) return t(lang, 'customer_merge_ambiguous', name, match.candidates.map(c => c.name));
+        if (!match.customer) return t(lang, 'customer_not_found', name);
+        pair.push(match.customer);
+    }
+    if (pair[0].id === pair[1].id) return t(lang, 'customer_merge_same', pair[0].name);
+
+    // Keep the one with more history; the other becomes a nickname
+    const [keep, drop] = [...pair].sort((a, b) =>
+        (b.total_transactions || 0) - (a.total_transactions || 0) ||
+        new Date(a.created_at) - new Date(b.created_at));
+
+    await Transaction.reassignCustomer(drop.id, keep.id);
+    await Installment.reassignCustomer(drop.id, keep.id);
+    const merged = await Customer.merge(keep.id, drop.id);
+    await rebalanceCustomer(keep.id);
+    if (!merged) return t(lang, 'error_generic');
+
+    return t(lang, 'customer_merged', drop.name, merged.name, formatDebt(merged));
+}
+
+async function handleCustomerStatement(merchant, entities, lang = 'es') {
+    const { customer_name, send, format } = entities;
+    if (!customer_name) return t(lang, 'statement_no_name');
+
+    // Never create a customer just to show an empty statement
+    const customer = entities.customer_id ? await Customer.getById(entities.customer_id) : null;
+    if (!customer) return t(lang, 'customer_not_found', customer_name);
+
+    if (send) {
+        const result = await sendStatement(merchant, customer, format);
+        if (result.error === 'no_phone') return t(lang, 'statement_no_phone', customer.name);
+        if (result.error === 'window_closed') {
+            // Free-form messages can't reach the customer: hand the merchant the text to forward
+            const statement = await buildStatement(merchant.id, customer);
+            return t(lang, 'statement_window_closed', customer.name) + '\n\n' + formatStatement(statement, lang);
+        }
+        if (!result.success) return t(lang, 'statement_send_failed', customer.name);
+        return t(lang, 'statement_sent', customer.name, customer.phone, format === 'pdf');
+    }
+
+    const statement = await buildStatement(merchant.id, customer);
+    if (statement.entries.length === 0 && !statement.closing) {
+        return t(lang, 'statement_empty', customer.name);
+    }
+
+    let response = formatStatement(statement, lang);
+    if (customer.total_debt > 0) {
+        const items = await getOpenItems(customer.id);
+        const itemized = items.reduce((sum, item) => sum + item.value, 0);
+        response += '\n\n' + formatOpenItems(items, lang, Math.max(0, customer.total_debt - itemized));
+    }
+    return response + '\n\n' + t(lang, 'statement_forward_hint', customer.name);
 }
 
 async function handleRegisterCedula(merchant, entities, lang = 'es') {
     const { customer_name, cedula } = entities;
 
     if (!customer_name || !cedula) {
-        return "🤔 Necesito el nombre y el número de cédula. Ej: 'Cédula de Carlos es 1234567'";
+        return t(lang, 'cedula_missing');
     }
 
-    const customer = await Customer.findOrCreate(merchant.id, customer_name);
+    const customer = await customerFor(merchant, entities);
 
     // Simular consulta a buró de crédito (Informconf)
     const cedulaStr = String(cedula);
     let mockRiskLevel = 'limpio'; // por defecto
-    let bureauMessage = '🟢 *Historial Limpio*: No registra morosidad activa en el sistema financiero.';
 
     // Lógica para demo: si la cédula termina en 4 o 5 simulamos deuda
     if (cedulaStr.endsWith('4')) {
         mockRiskLevel = 'alerta';
-        bureauMessage = '🟡 *Atención*: Registra pequeños atrasos recientes en telefonías o electrodomésticos.';
     } else if (cedulaStr.endsWith('5')) {
         mockRiskLevel = 'informconf';
-        bureauMessage = '🔴 *Cuidado (Informconf)*: Registra operaciones morosas graves o demandas no resueltas.';
     }
 
     await Customer.updateCedula(customer.id, cedulaStr, mockRiskLevel);
 
-    return `🛡️ *Identidad Guardada (KYC)*\n\n` +
-        `👤 Cliente: ${customer_name}\n` +
-        `🪪 Cédula: ${cedulaStr}\n\n` +
-        `🔍 *Chequeo Automático de Crédito:*\n` +
-        `${bureauMessage}\n\n` +
-        `_(Esta info te ayuda a decidir si darle fiado o no)_`;
+    return t(lang, 'cedula_saved', customer_name, cedulaStr, t(lang, 'bureau_result', mockRiskLevel));
 }
 
 export default { handleMessage };
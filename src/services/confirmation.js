@@ -0,0 +1,123 @@
+// =============================================
+// NexoBot MVP — Confirmation Service
+// =============================================
+// When the parser isn't sure about a write operation, the bot
+// echoes back what it understood and waits for "sí/no/corregir"
+// before touching any data.
+//
+// Pending operations are stored per merchant in conversation_state,
+// so they survive a restart and expire on their own.
+// The question comes with Sí / No / Corregir buttons; their IDs are
+// the typed answers, so classifyReply handles taps too.
+
+import * as ConversationState from '../models/conversationState.js';
+import { formatAmount } from './currency.js';
+import { t } from './guarani.js';
+import { withButtons } from './interactive.js';
+
+const STATE_KIND = 'confirmation';
+
+// Below this confidence, write operations need a "sí" first
+export const CONFIRMATION_THRESHOLD = parseFloat(process.env.CONFIRMATION_THRESHOLD || '0.7');
+
+// How long a pending confirmation stays valid
+const CONFIRMATION_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Only operations that write data are worth confirming,
+// and only once they carry what their handler needs
+const REQUIRED_ENTITIES = {
+    SALE_CREDIT: ['amount', 'customer_name'],
+    SALE_CASH: ['amount'],
+    PAYMENT: ['amount', 'customer_name'],
+    EXPENSE: ['amount'],
+    INVENTORY_IN: ['amount']
+};
+
+const YES_PATTERN = /^(s[ií]+|sip|dale|ok|okey|correcto|confirmo|confirmar|exacto|eso|as[ií]\s*es|he[eẽ]|upe[ií]cha|👍)(?:\s|!|\.|👍)*$/i;
+const NO_PATTERN = /^(no|nop|nah?|cancel(a|ar|á)|anul(a|ar|á)|dej[aá](lo)?|nada|nahániri|nahaniri|ani)[\s!.]*$/i;
+const EDIT_PATTERN = /^(correg[ií]r?|corrijo|correcci[oó]n|cambiar|modific(ar|á)|editar|est[aá]\s*mal|mal)(?![a-záéíóúñ])/i;
+
+/**
+ * Does this parsed message need the merchant's OK before executing?
+ * Incomplete operations are skipped: the handler will ask for what's missing anyway.
+ */
+export function needsConfirmation(parsed) {
+    const operations = parsed.operations?.length ? parsed.operations : [parsed];
+
+    return operations.some(op => {
+        const required = REQUIRED_ENTITIES[op.intent];
+        if (!required) return false;
+        if (!required.every(field => op.entities?.[field])) return false;
+        return (op.confidence ?? parsed.confidence ?? 0) < CONFIRMATION_THRESHOLD;
+    });
+}
+
+/**
+ * Classify a reply to a pending confirmation
+ * @returns {'yes'|'no'|'edit'|null} null = unrelated message
+ */
+export function classifyReply(text) {
+    const clean = (text || '').trim();
+    if (YES_PATTERN.test(clean)) return 'yes';
+    if (NO_PATTERN.test(clean)) return 'no';
+    if (EDIT_PATTERN.test(clean)) return 'edit';
+    return null;
+}
+
+/**
+ * Human-readable summary of one operation ("venta fiado de Gs. 500.000 a Carlos")
+ */
+export function describeOperation(op, lang = 'es') {
+    const e = op.entities || {};
+    const amount = e.amount ? formatAmount(e.amount, e.currency || 'PYG') : '?';
+    return t(lang, `confirm_desc_${op.intent}`, amount, e.customer_name, e.product, e.quantity);
+}
+
+// Button IDs: what classifyReply expects typed
+const REPLY_IDS = ['sí', 'no', 'corregir'];
+
+/**
+ * Store the parsed message as pending and build the question for the merchant
+ * (with Sí / No / Corregir buttons)
+ */
+export async function requestConfirmation(merchantId, parsed, rawMessage, lang = 'es') {
+    const operations = parsed.operations?.length ? parsed.operations : [{
+        intent: parsed.intent,
+        confidence: parsed.confidence,
+        entities: parsed.entities
+    }];
+
+    await ConversationState.setState(merchantId, STATE_KIND, {
+        operations,
+        raw_message: rawMessage,
+        lang
+    }, CONFIRMATION_TTL_MS);
+
+    const lines = operations.map(op => describeOperation(op, lang));
+    const titles = t(lang, 'confirm_buttons');
+    return withButtons(t(lang, 'confirm_prompt', lines), REPLY_IDS.map((id, i) => ({ id, title: titles[i] })));
+}
+
+/**
+ * Get the merchant's pending confirmation (null if none or expired)
+ */
+export async function getPendingConfirmation(merchantId) {
+    return ConversationState.getState(merchantId, STATE_KIND);
+}
+
+/**
+ * Forget the merchant's pending confirmation
+ */
+export async function clearPendingConfirmation(merchantId) {
+    return ConversationState.clearState(merchantId, STATE_KIND);
+}
+
+export default {
+    CONFIRMATION_THRESHOLD,
+    needsConfirmation,
+    classifyReply,
+    describeOperation,
+    requestConfirmation,
+    getPendingConfirmation,
+    clearPendingConfirmation
+};
@@ -0,0 +1,181 @@
+// =============================================
+// NexoBot MVP — Learning from Corrections
+// =============================================
+// "Anulá eso" right after the bot saved something, then the
+// same operation written again = the bot misread the first
+// message. The pair is stored as a labeled example:
+//   first message → intent/entities of the re-send
+// Used as few-shot examples in that merchant's LLM prompt
+// and exported as an NLP evaluation set.
+
+import * as ConversationState from '../models/conversationState.js';
+import * as NlpCorrection from '../models/nlpCorrection.js';
+import * as Customer from '../models/customer.js';
+
+const STATE_KIND = 'correction';
+
+// The re-send has to come soon after the undo
+const CORRECTION_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+
+// Few-shot examples per prompt
+const MAX_EXAMPLES = 5;
+
+const CORRECTABLE_INTENTS = ['SALE_CREDIT', 'SALE_CASH', 'PAYMENT', 'EXPENSE', 'INVENTORY_IN'];
+
+// Entities worth keeping in an example (the rest is derived or noise)
+const EXAMPLE_ENTITIES = ['amount', 'currency', 'customer_name', 'product', 'quantity', 'unit_price', 'due_ref', 'installments', 'installment_interval'];
+
+// Per-merchant examples, so every message doesn't query the DB
+const examplesCache = new Map(); // merchantId -> { at, examples }
+const EXAMPLES_TTL_MS = 5 * 60 * 1000;
+
+function pickEntities(entities = {}) {
+    const picked = {};
+    for (const key of EXAMPLE_ENTITIES) {
+        if (entities[key] !== undefined && entities[key] !== null) picked[key] = entities[key];
+    }
+    return picked;
+}
+
+// =============================================
+// DETECTION
+// =============================================
+
+/**
+ * After an UNDO: remember what was voided, in case the next message re-sends it.
+ * Only single-transaction undos that came from a message count.
+ */
+export async function rememberUndone(merchantId, voided, lang = 'es') {
+    if (voided.length !== 1) return;
+    const [tx] = voided;
+    if (!tx.raw_message || !CORRECTABLE_INTENTS.includes(tx.type)) return;
+
+    const customer = tx.customer_id ? await Customer.getById(tx.customer_id) : null;
+    await ConversationState.setState(merchantId, STATE_KIND, {
+        message: tx.raw_message,
+        intent: tx.type,
+        entities: pickEntities({ ...tx, customer_name: customer?.name }),
+        lang
+    }, CORRECTION_WINDOW_MS);
+}
+
+function words(text) {
+    return new Set(String(text || '').toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9ñ]+/)
+        .filter(w => w.length >= 3 || /^\d+$/.test(w)));
+}
+
+// Entities that make two parses different operations
+const KEY_ENTITIES = ['amount', 'customer_name', 'product'];
+
+// Share of words in common for the re-send to count as the same message rewritten
+const MIN_WORD_OVERLAP = 0.5;
+
+function sameValue(a, b) {
+    if (a === undefined || a === null || b === undefined || b === null) return a == b;
+    return typeof a === 'string' && typeof b === 'string'
+        ? a.trim().toLowerCase() === b.trim().toLowerCase()
+        : a === b;
+}
+
+/**
+ * Is the new operation a re-send of the undone one? The text has to be
+ * mostly the same words, and the parse has to differ (intent, amount,
+ * customer or product). A new operation that only shares the customer or
+ * the amount is a follow-up, not a correction; an identical parse teaches nothing.
+ */
+export function isCorrectionOf(undone, message, op) {
+    if (!CORRECTABLE_INTENTS.includes(op.intent)) return false;
+
+    const a = words(undone.message);
+    const b = words(message);
+    const common = [...a].filter(w => b.has(w)).length;
+    const union = new Set([...a, ...b]).size;
+    if (union === 0 || common / union < MIN_WORD_OVERLAP) return false;
+
+    const e = op.entities || {};
+    const before = undone.entities || {};
+    return op.intent !== undone.intent || KEY_ENTITIES.some(key => !sameValue(e[key], before[key]));
+}
+
+/**
+ * Before executing a new message: if it corrects a recent undo, store the pair.
+ * Never blocks the operation itself.
+ */
+export async function captureCorrection(merchantId, rawMessage, operations) {
+    // Queries in between ("cuánto me debe Carlos") don't end the window
+    if (!operations.some(op => CORRECTABLE_INTENTS.includes(op.intent))) return null;
+
+    const undone = await ConversationState.getState(merchantId, STATE_KIND);
+    if (!undone) return null;
+
+    await ConversationState.clearState(merchantId, STATE_KIND);
+    if (operations.length !== 1 || !isCorrectionOf(undone, rawMessage, operations[0])) return null;
+
+    const [op] = operations;
+    const correction = await NlpCorrection.create({
+        merchant_id: merchantId,
+        message: undone.message,
+        language: undone.lang || 'es',
+        original_intent: undone.intent,
+        original_entities: undone.entities,
+        corrected_message: rawMessage,
+        intent: op.intent,
+        entities: pickEntities(op.entities)
+    });
+
+    examplesCache.delete(merchantId);
+    if (correction) console.log(`📚 Corrección aprendida: "${undone.message}" → ${op.intent} (era ${undone.intent})`);
+    return correction;
+}
+
+// =============================================
+// FEW-SHOT EXAMPLES
+// =============================================
+
+/**
+ * A merchant's latest corrections, as few-shot examples for the LLM
+ */
+export async function examplesFor(merchantId) {
+    if (!merchantId) return [];
+
+    const cached = examplesCache.get(merchantId);
+    if (cached && Date.now() - cached.at < EXAMPLES_TTL_MS) return cached.examples;
+
+    const examples = (await NlpCorrection.getByMerchant(merchantId, MAX_EXAMPLES))
+        .map(c => ({ message: c.message, intent: c.intent, entities: c.entities || {} }));
+    examplesCache.set(merchantId, { at: Date.now(), examples });
+    return examples;
+}
+
+/**
+ * Prompt block with the merchant's examples ('' when there are none)
+ */
+export function formatExamples(examples) {
+    if (!examples?.length) return '';
+    const lines = examples.map(ex => `- "${ex.message}" → ${JSON.stringify({ intent: ex.intent, entities: ex.entities })}`);
+    return `\n\nCORRECCIONES DE ESTE COMERCIANTE (así quiso decir lo que escribió; interpretá igual los mensajes parecidos):\n${lines.join('\n')}`;
+}
+
+// =============================================
+// EVAL SET
+// =============================================
+
+/**
+ * Corrections as JSONL in the regression corpus format
+ * (tests/fixtures/nlp-corpus.jsonl): one case per line.
+ */
+export async function exportEvalSet() {
+    const corrections = await NlpCorrection.getAll();
+    return corrections.map(c => JSON.stringify({
+        id: `corr-${c.id}`,
+        message: c.message,
+        ...(c.language && c.language !== 'es' ? { language: c.language } : {}),
+        intent: c.intent,
+        entities: c.entities || {},
+        was: { intent: c.original_intent, entities: c.original_entities || {} }
+    })).join('\n') + (corrections.length ? '\n' : '');
+}
+
+export default { rememberUndone, isCorrectionOf, captureCorrection, examplesFor, formatExamples, exportEvalSet };
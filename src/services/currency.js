@@ -1,12 +1,14 @@
 // =============================================
 // NexoBot MVP — Multi-Currency Service
 // =============================================
-// Handles PYG ↔ USD conversion for Paraguay.
-// Uses a cached exchange rate (updated periodically).
+// Handles PYG, USD, BRL and ARS for Paraguay and its borders.
+// Every currency is quoted against PYG (USD_PYG, BRL_PYG, ARS_PYG);
+// other pairs cross through it. Each pair has its own cached rate.
 //
 // Exchange rate sources:
-//   1. BCP (Banco Central del Paraguay) — primary
-//   2. Fallback to a hardcoded conservative rate
+//   1. exchangerate-api (open.er-api.com) — primary
+//   2. Last rate saved in exchange_rates
+//   3. Fallback to a hardcoded conservative rate
 //
 // NOTE: In Paraguay, the informal market uses a different
 // rate than the official one. We use a middle-market rate.
@@ -17,16 +19,19 @@ import supabase from '../config/supabase.js';
 // CONFIGURATION
 // =============================================
 
-// Fallback rate (updated manually as backup)
-const FALLBACK_RATE = {
+export const CURRENCIES = ['PYG', 'USD', 'BRL', 'ARS'];
+
+// Fallback rates (updated manually as backup) — guaraníes per unit
+const FALLBACK_RATES = {
     USD_PYG: 7350,          // 1 USD = ~7,350 PYG (Feb 2026 approx)
+    BRL_PYG: 1330,          // 1 BRL = ~1,330 PYG
+    ARS_PYG: 5.6,           // 1 ARS = ~5.6 PYG
     last_updated: '2026-02-17',
     source: 'fallback'
 };
 
-// Cache with 6-hour TTL
-let rateCache = null;
-let rateCacheExpiry = 0;
+// Per-pair cache with 6-hour TTL: pair -> { rate, expiry }
+const rateCache = new Map();
 const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
 
 // =============================================
@@ -34,27 +39,30 @@ const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
 // =============================================
 
 /**
- * Get the current USD → PYG exchange rate
+ * Get the current exchange rate for a pair (guaraníes per unit)
  * Tries to fetch from external API, falls back to stored/hardcoded rate
+ * @param {string} pair - 'USD_PYG' | 'BRL_PYG' | 'ARS_PYG'
  * @returns {{ buy: number, sell: number, mid: number, source: string, updated: string }}
  */
-export async function getExchangeRate() {
+export async function getExchangeRate(pair = 'USD_PYG') {
+    if (!(pair in FALLBACK_RATES)) throw new Error(`Unknown currency pair: ${pair}`);
+
     // Return cached if fresh
-    if (rateCache && Date.now() < rateCacheExpiry) {
-        return rateCache;
+    const cached = rateCache.get(pair);
+    if (cached && Date.now() < cached.expiry) {
+        return cached.rate;
     }
 
     // Try to fetch fresh rate
     try {
-        const rate = await fetchExternalRate();
+        const rate = await fetchExternalRate(pair);
         if (rate) {
-            rateCache = rate;
-            rateCacheExpiry = Date.now() + CACHE_TTL_MS;
+            rateCache.set(pair, { rate, expiry: Date.now() + CACHE_TTL_MS });
 
             // Save to DB for persistence
-            await saveRate(rate);
+            await saveRate(pair, rate);
 
-            console.log(`💱 Exchange rate updated: 1 USD = ${rate.mid} PYG (${rate.source})`);
+            console.log(`💱 Exchange rate updated: 1 ${pair.split('_')[0]} = ${rate.mid} PYG (${rate.source})`);
             return rate;
         }
     } catch (error) {
@@ -63,10 +71,9 @@ export async function getExchangeRate() {
 
     // Try to load from DB
     try {
-        const dbRate = await loadRate();
+        const dbRate = await loadRate(pair);
         if (dbRate) {
-            rateCache = dbRate;
-            rateCacheExpiry = Date.now() + CACHE_TTL_MS / 2; // Shorter TTL for DB rate
+            rateCache.set(pair, { rate: dbRate, expiry: Date.now() + CACHE_TTL_MS / 2 }); // Shorter TTL for DB rate
             return dbRate;
         }
     } catch (error) {
@@ -74,16 +81,16 @@ export async function getExchangeRate() {
     }
 
     // Final fallback
+    const mid = FALLBACK_RATES[pair];
     const fallback = {
-        buy: FALLBACK_RATE.USD_PYG - 50,   // Banks buy cheaper
-        sell: FALLBACK_RATE.USD_PYG + 50,   // Banks sell higher
-        mid: FALLBACK_RATE.USD_PYG,
+        buy: roundRate(mid * 0.993),   // Banks buy cheaper
+        sell: roundRate(mid * 1.007),  // Banks sell higher
+        mid,
         source: 'fallback',
-        updated: FALLBACK_RATE.last_updated,
+        updated: FALLBACK_RATES.last_updated,
     };
 
-    rateCache = fallback;
-    rateCacheExpiry = Date.now() + 30 * 60 * 1000; // Only 30 min for fallback
+    rateCache.set(pair, { rate: fallback, expiry: Date.now() + 30 * 60 * 1000 }); // Only 30 min for fallback
     return fallback;
 }
 
@@ -91,21 +98,22 @@ export async function getExchangeRate() {
  * Fetch exchange rate from an external API
  * Using a free API that provides Paraguay rates
  */
-async function fetchExternalRate() {
+async function fetchExternalRate(pair) {
+    const [base, quote] = pair.split('_');
     try {
         // Try exchangerate-api.com (free tier)
-        const res = await fetch('https://open.er-api.com/v6/latest/USD', {
+        const res = await fetch(`https://open.er-api.com/v6/latest/${base}`, {
             signal: AbortSignal.timeout(5000)
         });
 
         if (!res.ok) return null;
         const data = await res.json();
 
-        if (data.rates?.PYG) {
-            const mid = Math.round(data.rates.PYG);
+        if (data.rates?.[quote]) {
+            const mid = roundRate(data.rates[quote]);
             return {
-                buy: Math.round(mid * 0.993),  // ~0.7% spread
-                sell: Math.round(mid * 1.007),
+                buy: roundRate(mid * 0.993),  // ~0.7% spread
+                sell: roundRate(mid * 1.007),
                 mid,
                 source: 'exchangerate-api',
                 updated: new Date().toISOString(),
@@ -117,6 +125,11 @@ async function fetchExternalRate() {
     return null;
 }
 
+// Whole guaraníes for big rates, cents for small ones (1 ARS ≈ 5.6 PYG)
+function roundRate(rate) {
+    return rate >= 100 ? Math.round(rate) : Math.round(rate * 100) / 100;
+}
+
 // =============================================
 // CONVERSION FUNCTIONS
 // =============================================
@@ -124,42 +137,52 @@ async function fetchExternalRate() {
 /**
  * Convert an amount between currencies
  * @param {number} amount - Amount to convert
- * @param {string} from - Source currency ('PYG' | 'USD')
- * @param {string} to - Target currency ('PYG' | 'USD')
- * @returns {{ amount: number, rate: number, from: string, to: string }}
+ * @param {string} from - Source currency ('PYG' | 'USD' | 'BRL' | 'ARS')
+ * @param {string} to - Target currency ('PYG' | 'USD' | 'BRL' | 'ARS')
+ * @returns {{ amount: number, original: number, rate: number, from: string, to: string, display: string }}
  */
 export async function convert(amount, from, to) {
     if (from === to) return { amount, rate: 1, from, to };
+    if (!CURRENCIES.includes(from) || !CURRENCIES.includes(to)) {
+        throw new Error(`Conversion not supported: ${from} → ${to}`);
+    }
 
-    const rate = await getExchangeRate();
+    // Both sides in guaraníes per unit; BRL → USD goes through PYG
+    const fromPyg = from === 'PYG' ? 1 : (await getExchangeRate(`${from}_PYG`)).mid;
+    const toPyg = to === 'PYG' ? 1 : (await getExchangeRate(`${to}_PYG`)).mid;
+    const converted = roundAmount(amount * fromPyg / toPyg, to);
+
+    return {
+        amount: converted,
+        original: amount,
+        rate: fromPyg / toPyg,
+        from,
+        to,
+        display: `${formatAmount(amount, from)} = ${formatAmount(converted, to)}`,
+    };
+}
 
-    if (from === 'USD' && to === 'PYG') {
-        // USD → PYG: use the sell rate (merchant is "buying" guaraníes)
-        const converted = Math.round(amount * rate.mid);
-        return {
-            amount: converted,
-            original: amount,
-            rate: rate.mid,
-            from: 'USD',
-            to: 'PYG',
-            display: `$${amount} USD = Gs. ${converted.toLocaleString('es-PY')}`,
-        };
+/**
+ * Guaraní value of a set of per-currency balances ({ PYG: 150000, BRL: 200 })
+ */
+export async function valueInPyg(balances = {}) {
+    let total = 0;
+    for (const [currency, amount] of Object.entries(balances)) {
+        if (amount) total += (await convert(amount, currency, 'PYG')).amount;
     }
+    return total;
+}
 
-    if (from === 'PYG' && to === 'USD') {
-        // PYG → USD: use the buy rate
-        const converted = Math.round((amount / rate.mid) * 100) / 100;
-        return {
-            amount: converted,
-            original: amount,
-            rate: rate.mid,
-            from: 'PYG',
-            to: 'USD',
-            display: `Gs. ${amount.toLocaleString('es-PY')} = $${converted} USD`,
-        };
+/**
+ * Guaraníes per unit of each currency: { PYG: 1, BRL: 1330 }
+ * Only fetches the rates asked for (guaraní-only merchants never hit the API)
+ */
+export async function pygRates(currencies = CURRENCIES) {
+    const rates = { PYG: 1 };
+    for (const currency of new Set(currencies)) {
+        if (currency && currency !== 'PYG') rates[currency] = (await getExchangeRate(`${currency}_PYG`)).mid;
     }
-
-    throw new Error(`Conversion not supported: ${from} → ${to}`);
+    return rates;
 }
 
 /**
@@ -178,6 +201,11 @@ export async function pygToUsd(pygAmount) {
     return result.amount;
 }
 
+// Guaraníes have no cents; the rest keep two decimals
+function roundAmount(amount, currency) {
+    return currency === 'PYG' ? Math.round(amount) : Math.round(amount * 100) / 100;
+}
+
 // =============================================
 // FORMAT HELPERS
 // =============================================
@@ -190,6 +218,14 @@ export function formatAmount(amount, currency = 'PYG') {
         return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })} USD`;
     }
 
+    if (currency === 'BRL') {
+        return `R$ ${amount.toLocaleString('pt-BR', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+    }
+
+    if (currency === 'ARS') {
+        return `$${amount.toLocaleString('es-AR', { minimumFractionDigits: 0, maximumFractionDigits: 2 })} ARS`;
+    }
+
     if (amount >= 1000000) {
         return `Gs. ${(amount / 1000000).toFixed(1).replace('.0', '')} millones`;
     }
@@ -199,30 +235,37 @@ export function formatAmount(amount, currency = 'PYG') {
 /**
  * Format a dual-currency display string
  * Shows amount in original currency with PYG equivalent
+ * (guaraníes show their USD equivalent instead)
  */
-export async function formatDualCurrency(amount, currency) {
+export async function formatDualCurrency(amount, currency = 'PYG') {
     if (currency === 'PYG') {
         const usd = await pygToUsd(amount);
         return `${formatAmount(amount, 'PYG')} (~$${usd} USD)`;
     }
 
-    if (currency === 'USD') {
-        const pyg = await usdToPyg(amount);
-        return `$${amount} USD (${formatAmount(pyg, 'PYG')})`;
-    }
+    const pyg = (await convert(amount, currency, 'PYG')).amount;
+    return `${formatAmount(amount, currency)} (${formatAmount(pyg, 'PYG')})`;
+}
 
-    return formatAmount(amount, currency);
+/**
+ * Per-currency balances in one line: "Gs. 150.000 + R$ 200"
+ */
+export function formatBalances(balances = {}) {
+    const parts = CURRENCIES
+        .filter(currency => balances[currency])
+        .map(currency => formatAmount(balances[currency], currency));
+    return parts.length > 0 ? parts.join(' + ') : formatAmount(0, 'PYG');
 }
 
 // =============================================
 // DATABASE PERSISTENCE
 // =============================================
 
-async function saveRate(rate) {
+async function saveRate(pair, rate) {
     if (!supabase) return;
     try {
         await supabase.from('exchange_rates').upsert({
-            currency_pair: 'USD_PYG',
+            currency_pair: pair,
             buy: rate.buy,
             sell: rate.sell,
             mid: rate.mid,
@@ -234,13 +277,13 @@ async function saveRate(rate) {
     }
 }
 
-async function loadRate() {
+async function loadRate(pair) {
     if (!supabase) return null;
     try {
         const { data } = await supabase
             .from('exchange_rates')
             .select('*')
-            .eq('currency_pair', 'USD_PYG')
+            .eq('currency_pair', pair)
             .single();
 
         if (!data) return null;
@@ -261,24 +304,32 @@ async function loadRate() {
 // =============================================
 
 export function startExchangeRateCron() {
+    const pairs = CURRENCIES.filter(c => c !== 'PYG').map(c => `${c}_PYG`);
+
     // Update immediately on boot
-    getExchangeRate().then(r => {
-        if (r) console.log(`💱 Exchange rate loaded: 1 USD = ${r.mid} PYG (${r.source})`);
-    }).catch(() => { });
+    for (const pair of pairs) {
+        getExchangeRate(pair).then(r => {
+            if (r) console.log(`💱 Exchange rate loaded: 1 ${pair.split('_')[0]} = ${r.mid} PYG (${r.source})`);
+        }).catch(() => { });
+    }
 
     // Then every 6 hours
     setInterval(() => {
-        rateCacheExpiry = 0; // Force refresh
-        getExchangeRate().catch(() => { });
+        rateCache.clear(); // Force refresh
+        for (const pair of pairs) getExchangeRate(pair).catch(() => { });
     }, CACHE_TTL_MS);
 }
 
 export default {
+    CURRENCIES,
     getExchangeRate,
     convert,
+    valueInPyg,
+    pygRates,
     usdToPyg,
     pygToUsd,
     formatAmount,
     formatDualCurrency,
+    formatBalances,
     startExchangeRateCron,
 };
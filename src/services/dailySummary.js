@@ -3,9 +3,12 @@
 // =============================================
 // Sends each active merchant a daily summary
 // at 8pm Paraguay time with today's performance.
+// Merchants who haven't written in 24h get the short
+// daily_summary template instead (templates.js).
 
 import supabase from '../config/supabase.js';
-import { sendMessage } from './whatsapp.js';
+import { sendTracked } from './delivery.js';
+import { t } from './guarani.js';
 
 function formatPYG(amount) {
     if (!amount || amount === 0) return 'Gs. 0';
@@ -36,7 +39,7 @@ export async function processDailySummaries() {
         // Get all active merchants
         const { data: merchants, error } = await supabase
             .from('merchants')
-            .select('id, phone, name, business_name')
+            .select('id, phone, name, business_name, language')
             .eq('status', 'active');
 
         if (error) {
@@ -90,6 +93,7 @@ export async function sendDailySummary(merchant) {
         .from('transactions')
         .select('type, amount, currency, customer_id')
         .eq('merchant_id', merchant.id)
+        .neq('status', 'voided')
         .gte('created_at', todayStart.toISOString());
 
     if (error) {
@@ -102,18 +106,19 @@ export async function sendDailySummary(merchant) {
         .from('transactions')
         .select('type, amount')
         .eq('merchant_id', merchant.id)
+        .neq('status', 'voided')
         .gte('created_at', yesterdayStart.toISOString())
         .lt('created_at', todayStart.toISOString());
 
     // Calculate today's stats
-    const salesCash = transactions?.filter(t => t.type === 'SALE_CASH') || [];
-    const salesCredit = transactions?.filter(t => t.type === 'SALE_CREDIT') || [];
-    const payments = transactions?.filter(t => t.type === 'PAYMENT') || [];
+    const salesCash = transactions?.filter(tx => tx.type === 'SALE_CASH') || [];
+    const salesCredit = transactions?.filter(tx => tx.type === 'SALE_CREDIT') || [];
+    const payments = transactions?.filter(tx => tx.type === 'PAYMENT') || [];
 
-    const totalSalesCash = salesCash.reduce((sum, t) => sum + t.amount, 0);
-    const totalSalesCredit = salesCredit.reduce((sum, t) => sum + t.amount, 0);
+    const totalSalesCash = salesCash.reduce((sum, tx) => sum + tx.amount, 0);
+    const totalSalesCredit = salesCredit.reduce((sum, tx) => sum + tx.amount, 0);
     const totalSales = totalSalesCash + totalSalesCredit;
-    const totalCollected = payments.reduce((sum, t) => sum + t.amount, 0);
+    const totalCollected = payments.reduce((sum, tx) => sum + tx.amount, 0);
     const totalOperations = (transactions || []).length;
 
     // Skip if no activity today
@@ -123,8 +128,8 @@ export async function sendDailySummary(merchant) {
 
     // Calculate yesterday's stats for comparison
     const yesterdaySales = (yesterdayTx || [])
-        .filter(t => t.type === 'SALE_CASH' || t.type === 'SALE_CREDIT')
-        .reduce((sum, t) => sum + t.amount, 0);
+        .filter(tx => tx.type === 'SALE_CASH' || tx.type === 'SALE_CREDIT')
+        .reduce((sum, tx) => sum + tx.amount, 0);
 
     // Get total outstanding debt
     const { data: debtors } = await supabase
@@ -138,11 +143,12 @@ export async function sendDailySummary(merchant) {
     const debtorsCount = (debtors || []).length;
 
     // Build summary message
-    const name = merchant.name || 'Comerciante';
+    const lang = merchant.language || 'es';
+    const name = merchant.name || t(lang, 'merchant_name_fallback');
 
-    let message = `📊 *Resumen del día — ${formatDate(now)}*\n`;
+    let message = `${t(lang, 'summary_title', formatDate(now, lang))}\n`;
     message += `━━━━━━━━━━━━━━━━━━\n\n`;
-    message += `Hola ${name}! Acá va tu resumen:\n\n`;
+    message += `${t(lang, 'summary_intro', name)}\n\n`;
 
     // Sales with comparison
     const trend = yesterdaySales > 0
@@ -150,38 +156,35 @@ export async function sendDailySummary(merchant) {
         : '';
     const pctChange = yesterdaySales > 0
         ? Math.round(((totalSales - yesterdaySales) / yesterdaySales) * 100)
-        : 0;
-    const changeText = yesterdaySales > 0
-        ? ` (${pctChange >= 0 ? '+' : ''}${pctChange}% vs ayer)`
-        : '';
+        : null;
 
-    message += `💰 *Ventas: ${formatPYG(totalSales)}* ${trend}${changeText}\n`;
+    message += `${t(lang, 'summary_sales', formatPYG(totalSales), trend, pctChange)}\n`;
     if (salesCash.length > 0) {
-        message += `   💵 Contado: ${formatPYG(totalSalesCash)} (${salesCash.length})\n`;
+        message += `${t(lang, 'sales_cash_line', formatPYG(totalSalesCash), salesCash.length)}\n`;
     }
     if (salesCredit.length > 0) {
-        message += `   📝 Fiado: ${formatPYG(totalSalesCredit)} (${salesCredit.length})\n`;
+        message += `${t(lang, 'sales_credit_line', formatPYG(totalSalesCredit), salesCredit.length)}\n`;
     }
 
     // Collections
     if (payments.length > 0) {
-        message += `\n💵 *Cobros: ${formatPYG(totalCollected)}* (${payments.length})\n`;
+        message += `\n${t(lang, 'collections_line', formatPYG(totalCollected), payments.length)}\n`;
     }
 
     // Cash vs Credit ratio
     if (totalSales > 0) {
         const cashPct = Math.round((totalSalesCash / totalSales) * 100);
-        message += `\n📊 Contado ${cashPct}% · Fiado ${100 - cashPct}%\n`;
+        message += `\n${t(lang, 'summary_mix', cashPct)}\n`;
     }
 
     // Total operations
-    message += `🧾 Operaciones: ${totalOperations}\n`;
+    message += `${t(lang, 'summary_ops', totalOperations)}\n`;
 
     // Outstanding debt
     if (totalDebt > 0) {
         message += `\n━━━━━━━━━━━━━━━━━━\n`;
-        message += `📋 *Deuda pendiente: ${formatPYG(totalDebt)}*\n`;
-        message += `👥 ${debtorsCount} cliente${debtorsCount > 1 ? 's' : ''} con deuda\n`;
+        message += `${t(lang, 'summary_debt', formatPYG(totalDebt))}\n`;
+        message += `${t(lang, 'debt_customers_count', debtorsCount)}\n`;
 
         // Show top 3 debtors
         const topDebtors = (debtors || []).slice(0, 3);
@@ -194,15 +197,24 @@ export async function sendDailySummary(merchant) {
 
     // Smart tip based on data
     message += `\n━━━━━━━━━━━━━━━━━━\n`;
-    const tip = generateSmartTip(totalSales, totalSalesCash, totalSalesCredit, totalCollected, totalDebt, debtorsCount);
-    message += `💡 *Tip:* ${tip}\n`;
+    const tip = generateSmartTip(totalSales, totalSalesCash, totalSalesCredit, totalCollected, totalDebt, debtorsCount, lang);
+    message += `${t(lang, 'summary_tip', tip)}\n`;
 
     // Motivational close
     const emoji = totalSales >= 1000000 ? '🔥' : totalSales >= 500000 ? '💪' : '👍';
-    message += `\n${emoji} ¡Buen trabajo, ${name}!`;
-
-    // Send
-    await sendMessage(merchant.phone, message);
+    message += `\n${emoji} ${t(lang, 'summary_close', name)}`;
+
+    // Send (as a template if the merchant's 24h window is closed)
+    const delivery = await sendTracked(merchant.phone, message, {
+        merchantId: merchant.id,
+        kind: 'daily_summary',
+        template: {
+            id: 'daily_summary',
+            lang,
+            data: { name, sales: formatPYG(totalSales), operations: totalOperations, debt: formatPYG(totalDebt) }
+        }
+    });
+    if (delivery.status === 'failed') throw new Error(delivery.error);
     console.log(`📊 Daily summary sent to ${merchant.name} (${merchant.phone})`);
     return true;
 }
@@ -210,47 +222,39 @@ export async function sendDailySummary(merchant) {
 /**
  * Generate a contextual smart tip based on merchant's daily data
  */
-function generateSmartTip(totalSales, cash, credit, collected, debt, debtorsCount) {
+function generateSmartTip(totalSales, cash, credit, collected, debt, debtorsCount, lang = 'es') {
     // High fiado ratio
     if (credit > cash && totalSales > 0) {
-        return 'Hoy fiaste más de lo que cobraste al contado. Intentá pedir al menos un 30% de entrada en los fiados.';
+        return t(lang, 'tip_credit_heavy');
     }
 
     // High outstanding debt
     if (debt > totalSales * 5 && totalSales > 0) {
-        return `Tenés ${formatPYG(debt)} en deudas pendientes. Respondé "deudas" para ver el detalle y mandar recordatorios.`;
+        return t(lang, 'tip_high_debt', formatPYG(debt));
     }
 
     // Good collection day
     if (collected > credit && collected > 0) {
-        return '¡Cobraste más de lo que fiaste hoy! Excelente gestión de cobranza 💪';
+        return t(lang, 'tip_good_collection');
     }
 
     // Many debtors
     if (debtorsCount >= 5) {
-        return `Tenés ${debtorsCount} clientes que te deben. Respondé "recordatorio Carlos" para enviar un recordatorio automático.`;
+        return t(lang, 'tip_many_debtors', debtorsCount);
     }
 
     // Default motivational
-    const tips = [
-        'Registrá todas tus ventas para tener un NexoScore más alto. Las cooperativas lo usan para darte crédito.',
-        'Podés pedir tu resumen semanal escribiendo "cómo me fue esta semana".',
-        'Tu historial de ventas en NexoBot te puede ayudar a conseguir financiamiento.',
-        'Respondé "ayuda" para conocer todo lo que puedo hacer por tu negocio.'
-    ];
+    const tips = t(lang, 'tips_generic');
     return tips[Math.floor(Math.random() * tips.length)];
 }
 
 /**
- * Format date in Spanish
+ * "Lunes 12 Oct" in the merchant's language
  */
-function formatDate(date) {
-    const days = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
-    const months = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
-
+function formatDate(date, lang = 'es') {
     // Adjust to PY timezone
     const pyDate = new Date(date.getTime() - 3 * 60 * 60 * 1000);
-    return `${days[pyDate.getUTCDay()]} ${pyDate.getUTCDate()} ${months[pyDate.getUTCMonth()]}`;
+    return `${t(lang, 'weekday_name', pyDate.getUTCDay())} ${pyDate.getUTCDate()} ${t(lang, 'month_short', pyDate.getUTCMonth())}`;
 }
 
 // =============================================
@@ -0,0 +1,126 @@
+// =============================================
+// NexoBot MVP — Outbound Delivery Tracking
+// =============================================
+// Every message the bot sends goes through sendTracked(): it is
+// logged in message_log with its WhatsApp message ID, and Meta's
+// status webhooks (sent → delivered → read, or failed) update it.
+//
+// Features that care about the outcome register a handler for
+// their kind of message (reminders.js: only "sent" once delivered,
+// retry or tell the merchant when it failed).
+//
+// Proactive messages (reminders, summaries, alerts) come with a
+// template fallback: outside the recipient's 24h window the
+// approved template goes instead of the text (templates.js).
+
+import { sendMessage, sendInteractive, sendDocument, extractStatusesFromWebhook } from './whatsapp.js';
+import { isWindowOpen, sendRegisteredTemplate } from './templates.js';
+import { replyText } from './interactive.js';
+import * as MessageLog from '../models/messageLog.js';
+
+// Statuses only move forward (Meta can deliver "read" before "delivered")
+const STATUS_RANK = { simulated: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+const handlers = new Map(); // kind -> async (logRow, { status, error }) => void
+
+/**
+ * Be told when a message of this kind changes status
+ */
+export function onDeliveryStatus(kind, handler) {
+    handlers.set(kind, handler);
+}
+
+/**
+ * Send a text (or a menu, see interactive.js, or a document) and log it. Never throws:
+ * a failed send comes back as { status: 'failed', error } and is logged as such.
+ * @param {string|Object} message - Text, { text, interactive }, or { text, document: { file, filename } }
+ *                                  (the text goes as the document's caption)
+ * @param {Object} options - { merchantId, kind, refId, latencyMs,
+ *                             template: { id, data, lang, force } sent instead of the text
+ *                             when the 24h window is closed (or always, with force) }
+ * @returns {{ status: 'sent'|'simulated'|'failed', waMessageId, error, template, log }}
+ */
+export async function sendTracked(to, message, { merchantId = null, kind = 'reply', refId = null, latencyMs = null, template = null } = {}) {
+    const useTemplate = template && (template.force || !(await isWindowOpen(to)));
+    const interactive = !useTemplate && message?.interactive;
+    const document = !useTemplate && message?.document;
+    let result, logged = replyText(message);
+    try {
+        let sent;
+        if (useTemplate) {
+            sent = await sendRegisteredTemplate(to, template.id, template.data, template.lang);
+            logged = sent.text;
+        } else if (interactive) {
+            sent = await sendInteractive(to, interactive);
+        } else if (document) {
+            sent = await sendDocument(to, document.file, document.filename, logged || '');
+        } else {
+            sent = await sendMessage(to, logged);
+        }
+        result = {
+            status: sent?.simulated ? 'simulated' : 'sent',
+            waMessageId: sent?.messages?.[0]?.id || null,
+            error: null
+        };
+    } catch (error) {
+        result = { status: 'failed', waMessageId: null, error: error.message };
+    }
+
+    const type = useTemplate ? 'template' : interactive ? 'interactive' : document ? 'document' : 'text';
+    const log = await MessageLog.logOutbound({ phone: to, merchantId, text: logged, kind, refId, latencyMs, type, ...result });
+    return { ...result, template: useTemplate ? template.id : null, log };
+}
+
+// =============================================
+// STATUS WEBHOOKS
+// =============================================
+
+function describeError(error) {
+    return error ? `${error.code}: ${error.message}` : null;
+}
+
+/**
+ * Apply one status to its message. Returns the updated log row,
+ * or null when the message is unknown or the status is stale.
+ */
+export async function applyStatus({ waMessageId, status, error = null }) {
+    if (!(status in STATUS_RANK)) return null;
+
+    const message = await MessageLog.getByWaMessageId(waMessageId);
+    if (!message) return null;
+
+    const current = STATUS_RANK[message.delivery_status] ?? 0;
+    if (message.delivery_status === 'failed' || STATUS_RANK[status] <= current) return null;
+    // "failed" after delivered/read is noise
+    if (status === 'failed' && current >= STATUS_RANK.delivered) return null;
+
+    const updated = await MessageLog.updateDelivery(message.id, status, describeError(error));
+    if (!updated) return null;
+
+    if (status === 'failed') {
+        console.warn(`📪 Message to ${message.phone} failed (${describeError(error) || 'no details'})`);
+    }
+
+    const handler = handlers.get(message.kind);
+    if (handler) {
+        try {
+            await handler(updated, { status, error });
+        } catch (handlerError) {
+            console.error(`❌ Delivery handler (${message.kind}) error:`, handlerError.message);
+        }
+    }
+    return updated;
+}
+
+/**
+ * Apply every status in a Meta webhook payload. Returns how many changed something.
+ */
+export async function applyStatusWebhook(body) {
+    let applied = 0;
+    for (const status of extractStatusesFromWebhook(body)) {
+        if (await applyStatus(status)) applied++;
+    }
+    return applied;
+}
+
+export default { onDeliveryStatus, sendTracked, applyStatus, applyStatusWebhook };
@@ -0,0 +1,161 @@
+// =============================================
+// NexoBot MVP — Dialogue State (slot filling)
+// =============================================
+// When a command arrives incomplete ("le fié 300 mil", "cobré de Carlos"),
+// the bot remembers the partial intent for a few minutes and asks only
+// for what's missing. The next message ("a Carlos", "300 mil") completes it.
+//
+// State lives in conversation_state (kind 'slot'), one per merchant.
+
+import * as ConversationState from '../models/conversationState.js';
+import { t } from './guarani.js';
+
+const STATE_KIND = 'slot';
+
+// How long the bot waits for the missing piece
+const SLOT_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Required entities per intent, in the order they're asked
+export const SLOT_INTENTS = {
+    SALE_CREDIT: ['amount', 'customer_name'],
+    PAYMENT: ['amount', 'customer_name'],
+    EXPENSE: ['amount'],
+    INVENTORY_UPDATE: ['product', 'amount']
+};
+
+// Words that never count as a customer name or product on their own
+const FILLER_WORDS = /^(s[ií]|no|ok|dale|gracias|hola|listo|bueno|nada|ya)$/i;
+
+/**
+ * Which required entities are still missing for this intent
+ */
+export function missingSlots(intent, entities = {}) {
+    const required = SLOT_INTENTS[intent];
+    if (!required) return [];
+    return required.filter(slot => !entities[slot]);
+}
+
+/**
+ * Question for the next missing slot
+ */
+export function slotQuestion(intent, entities, lang = 'es') {
+    const [slot] = missingSlots(intent, entities);
+    if (!slot) return null;
+    return t(lang, `slot_${intent}_${slot}`, entities);
+}
+
+/**
+ * Remember an incomplete command and ask for the first missing piece
+ */
+export async function startSlotFilling(merchantId, intent, entities, rawMessage, lang = 'es') {
+    await ConversationState.setState(merchantId, STATE_KIND, {
+        intent,
+        entities,
+        raw_message: rawMessage,
+        lang
+    }, SLOT_TTL_MS);
+
+    return slotQuestion(intent, entities, lang);
+}
+
+/**
+ * Get the merchant's incomplete command (null if none or expired)
+ */
+export async function getPendingSlots(merchantId) {
+    return ConversationState.getState(merchantId, STATE_KIND);
+}
+
+/**
+ * Forget the merchant's incomplete command
+ */
+export async function clearPendingSlots(merchantId) {
+    return ConversationState.clearState(merchantId, STATE_KIND);
+}
+
+/**
+ * Does this follow-up look like a brand new command rather than an answer?
+ */
+export function isNewCommand(pending, parsed) {
+    // Short answers often look like greetings ("100" ~ "10", "Carlos dale")
+    if (!parsed || parsed.intent === 'UNKNOWN' || parsed.intent === 'GREETING') return false;
+    if (parsed.intent === pending.intent) return false;
+    if (parsed.operations?.length > 1) return true;
+    return (parsed.confidence || 0) >= 0.8;
+}
+
+/**
+ * Try to complete the pending entities with a follow-up message.
+ * Only missing slots are filled; what the merchant already said is kept.
+ * @returns {Object|null} merged entities, or null if nothing useful was found
+ */
+export function fillSlots(pending, text, parsedEntities = {}) {
+    const entities = { ...pending.entities };
+    let filled = false;
+
+    for (const slot of missingSlots(pending.intent, entities)) {
+        let value = parsedEntities[slot];
+
+        if (!value && slot === 'amount') value = bareAmount(text);
+        if (!value && slot === 'customer_name') value = bareName(text);
+        if (!value && slot === 'product') value = bareProduct(text);
+
+        if (value) {
+            entities[slot] = value;
+            filled = true;
+            if (slot === 'amount' && parsedEntities.currency) entities.currency = parsedEntities.currency;
+        }
+    }
+
+    return filled ? entities : null;
+}
+
+// =============================================
+// FOLLOW-UP HELPERS
+// =============================================
+
+// "300" → 300.000 (nobody sells for Gs. 300)
+function bareAmount(text) {
+    const match = text.trim().match(/^(\d{1,3})$/);
+    return match ? parseInt(match[1]) * 1000 : null;
+}
+
+// "Carlos", "a don Pedro", "de María López"
+function bareName(text) {
+    const clean = text.trim()
+        .replace(/[.!?¿¡,]/g, '')
+        .replace(/^(?:a|de|para|al|le)\s+/i, '')
+        .replace(/^(?:don|doña|dona)\s+/i, '');
+
+    if (!clean || /\d/.test(clean) || FILLER_WORDS.test(clean)) return null;
+
+    const words = clean.split(/\s+/);
+    if (words.length > 3) return null;
+
+    return words
+        .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+        .join(' ');
+}
+
+// "la coca", "yerba pajarito"
+function bareProduct(text) {
+    const clean = text.trim()
+        .toLowerCase()
+        .replace(/[.!?¿¡,]/g, '')
+        .replace(/^(?:la|el|las|los|de|del)\s+/, '');
+
+    if (!clean || /\d/.test(clean) || FILLER_WORDS.test(clean)) return null;
+    if (clean.split(/\s+/).length > 4) return null;
+
+    return clean;
+}
+
+export default {
+    SLOT_INTENTS,
+    missingSlots,
+    slotQuestion,
+    startSlotFilling,
+    getPendingSlots,
+    clearPendingSlots,
+    isNewCommand,
+    fillSlots
+};
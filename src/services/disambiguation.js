@@ -0,0 +1,123 @@
+// =============================================
+// NexoBot MVP — Customer Disambiguation
+// =============================================
+// "Le fié 100 mil a Carlos" when the merchant has two Carlos:
+// instead of guessing, the bot asks "¿Carlos Benítez o Carlos Duarte?"
+// and keeps the operations until the merchant picks one.
+//
+// State lives in conversation_state (kind 'customer_choice').
+
+import * as ConversationState from '../models/conversationState.js';
+import * as Customer from '../models/customer.js';
+import { classifyReply } from './confirmation.js';
+import { t } from './guarani.js';
+
+const STATE_KIND = 'customer_choice';
+
+// How long the question stays open
+const CHOICE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Intents whose customer_name refers to one of the merchant's customers
+export const CUSTOMER_INTENTS = [
+    'SALE_CREDIT', 'SALE_CASH', 'PAYMENT', 'REMINDER', 'REGISTER_CEDULA',
+    'UNDO', 'EDIT', 'CUSTOMER_UPDATE', 'CUSTOMER_RENAME', 'CUSTOMER_STATEMENT'
+];
+
+const ORDINALS = [/^(?:el\s+|la\s+)?(?:1|primer[oa]?|1ro|1ra)$/, /^(?:el\s+|la\s+)?(?:2|segund[oa]|2do|2da)$/, /^(?:el\s+|la\s+)?(?:3|tercer[oa]?|3ro|3ra)$/];
+const NEW_PATTERN = /^(?:(?:es\s+)?(?:otr[oa]|nuev[oa]|ningun[oa]?)(?:\s+(?:persona|cliente))?)[\s!.]*$/i;
+
+/**
+ * Pin each operation to a concrete customer (entities.customer_id).
+ * Stops at the first ambiguous name, remembers the operations and asks.
+ * @returns {string|null} the question, or null when every name is clear
+ */
+export async function resolveCustomers(merchantId, operations, rawMessage, lang = 'es') {
+    for (const [index, op] of operations.entries()) {
+        const e = op.entities;
+        if (!CUSTOMER_INTENTS.includes(op.intent) || !e?.customer_name) continue;
+        if (e.customer_id || e.new_customer) continue;
+
+        const match = await Customer.resolve(merchantId, e.customer_name);
+        if (match.customer) {
+            e.customer_id = match.customer.id;
+            e.customer_name = match.customer.name;
+            continue;
+        }
+        if (!match.candidates) continue; // Nobody: the handler creates it
+
+        const candidates = match.candidates.map(c => ({ id: c.id, name: c.name }));
+        await ConversationState.setState(merchantId, STATE_KIND, {
+            operations,
+            index,
+            candidates,
+            raw_message: rawMessage,
+            lang
+        }, CHOICE_TTL_MS);
+
+        return t(lang, 'customer_which', candidates.map(c => c.name));
+    }
+    return null;
+}
+
+/**
+ * Which candidate the merchant picked
+ * @returns {Object|'new'|'cancel'|null} candidate, a new customer, cancel, or null = unrelated message
+ */
+export function pickCandidate(text, candidates) {
+    const clean = (text || '').trim().toLowerCase().replace(/[.!?¿¡]/g, '');
+
+    const ordinal = ORDINALS.findIndex(pattern => pattern.test(clean));
+    if (ordinal >= 0 && candidates[ordinal]) return candidates[ordinal];
+    if (NEW_PATTERN.test(clean)) return 'new';
+    if (classifyReply(clean) === 'no') return 'cancel';
+
+    // "Benítez", "el de Duarte", "Carlos Duarte"
+    const query = Customer.normalizeName(clean.replace(/^(?:el|la)\s+(?:de\s+)?/, ''));
+    const scored = candidates
+        .map(c => ({ c, score: Customer.customerScore(query, c) }))
+        .filter(s => s.score >= 0.75)
+        .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) return null;
+    if (scored.length > 1 && scored[1].score === scored[0].score) return null;
+    return scored[0].c;
+}
+
+/**
+ * Apply the merchant's pick to the pending operations
+ */
+export function applyChoice(pending, choice) {
+    const operations = pending.operations;
+    const entities = operations[pending.index].entities;
+
+    if (choice === 'new') {
+        entities.new_customer = true;
+    } else {
+        entities.customer_id = choice.id;
+        entities.customer_name = choice.name;
+    }
+    return operations;
+}
+
+/**
+ * Get the merchant's open "¿cuál Carlos?" question (null if none or expired)
+ */
+export async function getPendingChoice(merchantId) {
+    return ConversationState.getState(merchantId, STATE_KIND);
+}
+
+/**
+ * Forget the merchant's open question
+ */
+export async function clearPendingChoice(merchantId) {
+    return ConversationState.clearState(merchantId, STATE_KIND);
+}
+
+export default {
+    CUSTOMER_INTENTS,
+    resolveCustomers,
+    pickCandidate,
+    applyChoice,
+    getPendingChoice,
+    clearPendingChoice
+};
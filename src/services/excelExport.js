@@ -4,13 +4,14 @@
 // Generates Excel (.xlsx) files for merchants.
 // Available exports:
 //   - Ventas del mes
-//   - Lista de deudores
+//   - Lista de deudores (con antigüedad de la deuda)
 //   - Historial completo
 // 
 // Triggered via WhatsApp or Dashboard API
 
 import ExcelJS from 'exceljs';
 import supabase from '../config/supabase.js';
+import { getDebtorsAging, AGING_BUCKETS } from './ledger.js';
 
 const MONTHS_ES = [
     'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
@@ -41,6 +42,7 @@ export async function exportSales(merchantId, month = null, year = null) {
         supabase.from('transactions')
             .select('*, merchant_customers(name)')
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .gte('created_at', monthStart.toISOString())
             .lte('created_at', monthEnd.toISOString())
             .order('created_at', { ascending: false })
@@ -173,6 +175,8 @@ export async function exportDebtors(merchantId) {
 
     const merchant = merchantRes.data;
     const debtors = customersRes.data || [];
+    const { byCustomer, totals } = await getDebtorsAging(merchantId, debtors);
+    const agingKeys = [...AGING_BUCKETS.map(b => b.key), 'undated'];
 
     const wb = new ExcelJS.Workbook();
     wb.creator = 'NexoBot';
@@ -182,18 +186,18 @@ export async function exportDebtors(merchantId) {
     });
 
     // Header
-    ws.mergeCells('A1:F1');
+    ws.mergeCells('A1:K1');
     ws.getCell('A1').value = `Lista de Deudores - ${merchant?.business_name || 'Negocio'}`;
     ws.getCell('A1').font = { size: 16, bold: true, color: { argb: 'E74C3C' } };
     ws.getCell('A1').alignment = { horizontal: 'center' };
 
-    ws.mergeCells('A2:F2');
+    ws.mergeCells('A2:K2');
     ws.getCell('A2').value = `Generado el ${new Date().toLocaleDateString('es-PY')} — ${debtors.length} deudores`;
     ws.getCell('A2').font = { size: 10, color: { argb: '888888' } };
     ws.getCell('A2').alignment = { horizontal: 'center' };
 
     // Columns
-    ws.getRow(4).values = ['#', 'Cliente', 'Teléfono', 'Deuda (Gs.)', 'Riesgo', 'Última Transacción'];
+    ws.getRow(4).values = ['#', 'Cliente', 'Teléfono', 'Deuda (Gs.)', '0–7 días', '8–30 días', '31–60 días', '+60 días', 'Sin fecha', 'Riesgo', 'Última Transacción'];
     ws.getRow(4).font = { bold: true, color: { argb: 'FFFFFF' } };
     ws.getRow(4).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'E74C3C' } };
 
@@ -202,6 +206,11 @@ export async function exportDebtors(merchantId) {
         { width: 24 },
         { width: 18 },
         { width: 18 },
+        { width: 14 },
+        { width: 14 },
+        { width: 14 },
+        { width: 14 },
+        { width: 14 },
         { width: 12 },
         { width: 20 }
     ];
@@ -214,21 +223,23 @@ export async function exportDebtors(merchantId) {
             ? new Date(d.last_transaction_at).toLocaleDateString('es-PY')
             : 'Sin datos';
 
+        const aging = byCustomer.get(d.id).aging;
         const row = ws.addRow([
             i + 1,
             d.name,
             d.phone || '-',
             d.total_debt,
+            ...agingKeys.map(key => aging[key]),
             d.risk_level === 'high' ? 'ALTO' : d.risk_level === 'medium' ? 'MEDIO' : 'BAJO',
             lastTx
         ]);
 
-        row.getCell(4).numFmt = '#,##0';
+        for (let col = 4; col <= 9; col++) row.getCell(col).numFmt = '#,##0';
 
         // Color risk
         const riskColor = d.risk_level === 'high' ? 'E74C3C' :
             d.risk_level === 'medium' ? 'F39C12' : '27AE60';
-        row.getCell(5).font = { bold: true, color: { argb: riskColor } };
+        row.getCell(10).font = { bold: true, color: { argb: riskColor } };
 
         if (i % 2 === 0) {
             row.eachCell(cell => {
@@ -239,11 +250,11 @@ export async function exportDebtors(merchantId) {
 
     // Total
     ws.addRow([]);
-    const totalRow = ws.addRow(['', '', 'TOTAL DEUDA:', totalDebt]);
-    totalRow.getCell(4).numFmt = '#,##0';
+    const totalRow = ws.addRow(['', '', 'TOTAL DEUDA:', totalDebt, ...agingKeys.map(key => totals[key])]);
+    for (let col = 4; col <= 9; col++) totalRow.getCell(col).numFmt = '#,##0';
     totalRow.font = { bold: true, size: 14, color: { argb: 'E74C3C' } };
 
-    ws.autoFilter = { from: 'A4', to: 'F4' };
+    ws.autoFilter = { from: 'A4', to: 'K4' };
 
     return await wb.xlsx.writeBuffer();
 }
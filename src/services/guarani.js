@@ -1,167 +1,1506 @@
 // =============================================
 // NexoBot — Guaraní / Jopará Localization
 // =============================================
-// Provides bilingual responses when merchant
-// writes in guaraní or jopará.
+// Every message the bot sends lives here, in
+// Spanish, Guaraní (jopará) and Brazilian Portuguese
+// for the border. The language is the merchant's
+// profile preference (merchants.language).
 // 
 // Usage: import { t } from './guarani.js';
-//        t(lang, 'sale_registered') → guaraní or spanish
+//        t(merchant.language, 'sale_cash_registered') → guaraní, spanish, ...
 // =============================================
 
+// Every key needs a variant for each of these
+export const LANGUAGES = ['es', 'gn', 'pt'];
+
+// Regional variants only override what changes; the rest
+// comes from their base language
+export const REGIONAL_LOCALES = { 'es-AR': 'es' };
+
 // Response templates in Spanish and Guaraní
 const messages = {
     // === GREETINGS ===
     greeting_morning: {
         es: 'Buen día',
-        gn: 'Mba\'éichapa ndepyhare'
+        gn: 'Mba\'éichapa ndepyhare',
+        pt: 'Bom dia'
     },
     greeting_afternoon: {
         es: 'Buenas tardes',
-        gn: 'Mba\'éichapa nde ka\'aru'
+        gn: 'Mba\'éichapa nde ka\'aru',
+        pt: 'Boa tarde'
     },
     greeting_evening: {
         es: 'Buenas noches',
-        gn: 'Mba\'éichapa nde pyhareve'
+        gn: 'Mba\'éichapa nde pyhareve',
+        pt: 'Boa noite'
     },
     greeting_intro: {
         es: (name) => `${name}! 👋\n\nSoy *NexoBot* 🤖, tu asistente comercial.\n\nPuedo ayudarte a:\n📝 Registrar ventas (fiado y contado)\n💰 Registrar cobros\n📊 Ver quién te debe\n📈 Resumen de ventas\n📦 Controlar inventario\n\nHablame tranquilo, como si fuera tu socio. Ej:\n_"Vendí 500 mil a Don Carlos, fiado"_\n_"Cobré 200 mil de María"_\n_"¿Cuánto me deben?"_`,
-        gn: (name) => `${name}! 👋\n\nChe ha'e *NexoBot* 🤖, nde pytyvõhára negociope.\n\nIkatu roipytyvõ:\n📝 Oñeregistra venta (fiado ha contado)\n💰 Oñeregistra cobro\n📊 Eporandu mávapa ndéve ojedebe\n📈 Resumen de venta\n📦 Oñecontrola mercadería\n\nEñe'ẽ chéve tranquilo, socio rami. Ej:\n_"Avendé 500 mil Don Carlos-pe, fiado"_\n_"Acobra 200 mil María-gui"_\n_"Mbovy ojedebe chéve?"_`
+        gn: (name) => `${name}! 👋\n\nChe ha'e *NexoBot* 🤖, nde pytyvõhára negociope.\n\nIkatu roipytyvõ:\n📝 Oñeregistra venta (fiado ha contado)\n💰 Oñeregistra cobro\n📊 Eporandu mávapa ndéve ojedebe\n📈 Resumen de venta\n📦 Oñecontrola mercadería\n\nEñe'ẽ chéve tranquilo, socio rami. Ej:\n_"Avendé 500 mil Don Carlos-pe, fiado"_\n_"Acobra 200 mil María-gui"_\n_"Mbovy ojedebe chéve?"_`,
+        pt: (name) => `${name}! 👋\n\nSou o *NexoBot* 🤖, seu assistente comercial.\n\nPosso te ajudar a:\n📝 Registrar vendas (fiado e à vista)\n💰 Registrar recebimentos\n📊 Ver quem te deve\n📈 Resumo de vendas\n📦 Controlar o estoque\n\nFala comigo tranquilo, como se fosse seu sócio. Ex:\n_"Vendi 500 mil pro Carlos, fiado"_\n_"Recebi 200 mil da Maria"_\n_"Quanto me devem?"_`,
+        'es-AR': (name) => `${name}! 👋\n\nSoy *NexoBot* 🤖, tu asistente comercial.\n\nTe doy una mano para:\n📝 Anotar ventas (fiado y contado)\n💰 Anotar cobros\n📊 Ver quién te debe\n📈 Resumen de ventas\n📦 Controlar el stock\n\nHablame tranqui, como si fuera tu socio. Ej:\n_"Vendí 50 lucas a Carlos, fiado"_\n_"Cobré 20 lucas de María"_\n_"¿Cuánto me deben?"_`
     },
 
     // === SALES ===
     sale_cash_registered: {
         es: '✅ *Venta al contado registrada*',
-        gn: '✅ *Venta contado oñeregistra*'
+        gn: '✅ *Venta contado oñeregistra*',
+        pt: '✅ *Venda à vista registrada*'
     },
     sale_credit_registered: {
         es: '✅ *Venta fiado registrada*',
-        gn: '✅ *Venta fiado oñeregistra*'
+        gn: '✅ *Venta fiado oñeregistra*',
+        pt: '✅ *Venda fiado registrada*'
     },
     sale_no_amount: {
         es: '🤔 Entendí que querés registrar una venta, pero no encontré el monto. Ej: "Vendí 300 mil al contado"',
-        gn: '🤔 Aikuaa reipotaha eregistra peteĩ venta, pero ndaikatúi ajuhu mbovy. Ej: "Avendé 300 mil contado"'
+        gn: '🤔 Aikuaa reipotaha eregistra peteĩ venta, pero ndaikatúi ajuhu mbovy. Ej: "Avendé 300 mil contado"',
+        pt: '🤔 Entendi que você quer registrar uma venda, mas não achei o valor. Ex: "Vendi 300 mil à vista"'
     },
     sale_credit_no_name: {
         es: '🤔 Para registrar un fiado necesito saber a quién. Ej: "Le fié 200 mil a Carlos"',
-        gn: '🤔 Fiado oñeregistra haguã, aikotevẽ aikuaa mávape. Ej: "Afié 200 mil Carlos-pe"'
+        gn: '🤔 Fiado oñeregistra haguã, aikotevẽ aikuaa mávape. Ej: "Afié 200 mil Carlos-pe"',
+        pt: '🤔 Para registrar um fiado preciso saber pra quem. Ex: "Fiei 200 mil pro Carlos"'
     },
     amount_label: {
         es: '💰 Monto',
-        gn: '💰 Mbovy'
+        gn: '💰 Mbovy',
+        pt: '💰 Valor'
     },
     customer_label: {
         es: '👤 Cliente',
-        gn: '👤 Marchante'
+        gn: '👤 Marchante',
+        pt: '👤 Cliente'
     },
     product_label: {
         es: '📦 Producto',
-        gn: '📦 Producto'
+        gn: '📦 Producto',
+        pt: '📦 Produto'
     },
     due_date_label: {
         es: '⏰ Vence',
-        gn: '⏰ Opa'
+        gn: '⏰ Opa',
+        pt: '⏰ Vence'
+    },
+    installments_plan: {
+        es: (count, amount, interval, first) => `📅 ${count} cuotas ${interval} de ${amount}, la 1ª vence ${first}`,
+        gn: (count, amount, interval, first) => `📅 ${count} cuota ${interval} ${amount}, peteĩha opa ${first}`,
+        pt: (count, amount, interval, first) => `📅 ${count} parcelas ${interval} de ${amount}, a 1ª vence ${first}`
+    },
+    interval_week: { es: 'semanales', gn: 'semanal', pt: 'semanais' },
+    interval_fortnight: { es: 'quincenales', gn: 'quincenal', pt: 'quinzenais' },
+    interval_month: { es: 'mensuales', gn: 'mensual', pt: 'mensais' },
+    due_overdue: {
+        es: (amount, days) => days > 0 ? `⚠️ Vencido: ${amount} (${days} día${days > 1 ? 's' : ''} de atraso)` : `⏰ Vence hoy: ${amount}`,
+        gn: (amount, days) => days > 0 ? `⚠️ Opa va: ${amount} (${days} ára atraso)` : `⏰ Opa ko'ápe: ${amount}`,
+        pt: (amount, days) => days > 0 ? `⚠️ Vencido: ${amount} (${days} dia${days > 1 ? 's' : ''} de atraso)` : `⏰ Vence hoje: ${amount}`
+    },
+    due_next: {
+        es: (amount, date) => `⏰ Próximo vencimiento: ${amount} el ${date}`,
+        gn: (amount, date) => `⏰ Upeigua vencimiento: ${amount} ${date}`,
+        pt: (amount, date) => `⏰ Próximo vencimento: ${amount} em ${date}`
+    },
+    due_ref_unknown: {
+        es: (ref, days) => `⚠️ No entendí la fecha "${ref}", le puse ${days} días de plazo.`,
+        gn: (ref, days) => `⚠️ Ndaikuaái fecha "${ref}", amoĩ ${days} ára plazo.`,
+        pt: (ref, days) => `⚠️ Não entendi a data "${ref}", coloquei ${days} dias de prazo.`
     },
     pending_debt: {
-        es: (name, total) => `📋 Deuda total de ${name}: ${total}`,
-        gn: (name, total) => `📋 ${name} ojedebe opavave: ${total}`
+        es: (name, total) => `📊 Deuda total de ${name}: ${total}`,
+        gn: (name, total) => `📊 ${name} ojedebe opavave: ${total}`,
+        pt: (name, total) => `📊 Dívida total de ${name}: ${total}`
     },
 
     // === PAYMENTS ===
     payment_registered: {
         es: '✅ *Cobro registrado*',
-        gn: '✅ *Cobro oñeregistra*'
+        gn: '✅ *Cobro oñeregistra*',
+        pt: '✅ *Recebimento registrado*'
     },
     payment_no_amount: {
         es: '🤔 ¿Cuánto cobraste? Ej: "Cobré 200 mil de Carlos"',
-        gn: '🤔 Mbovy recobra? Ej: "Acobra 200 mil Carlos-gui"'
+        gn: '🤔 Mbovy recobra? Ej: "Acobra 200 mil Carlos-gui"',
+        pt: '🤔 Quanto você recebeu? Ex: "Recebi 200 mil do Carlos"'
     },
 
     // === DEBT QUERY ===
     debt_title: {
         es: '📋 *Deudas pendientes*',
-        gn: '📋 *Deuda pendiente kuéra*'
+        gn: '📋 *Deuda pendiente kuéra*',
+        pt: '📋 *Dívidas pendentes*'
     },
     debt_no_debts: {
         es: '🎉 *¡No tenés deudas pendientes!*\n\nTodas las cuentas al día 💪',
-        gn: '🎉 *Ndaipóri deuda pendiente!*\n\nOpavave cuenta al día 💪'
+        gn: '🎉 *Ndaipóri deuda pendiente!*\n\nOpavave cuenta al día 💪',
+        pt: '🎉 *Você não tem dívidas pendentes!*\n\nTodas as contas em dia 💪'
     },
     debt_total: {
         es: (total) => `\n💰 *Total pendiente: ${total}*`,
-        gn: (total) => `\n💰 *Opavave ojedebe: ${total}*`
+        gn: (total) => `\n💰 *Opavave ojedebe: ${total}*`,
+        pt: (total) => `\n💰 *Total pendente: ${total}*`
     },
 
     // === SALES QUERY ===
     sales_title: {
         es: '📊 *Resumen de ventas*',
-        gn: '📊 *Venta resumen*'
+        gn: '📊 *Venta resumen*',
+        pt: '📊 *Resumo de vendas*'
     },
     sales_today: {
         es: '📅 Hoy',
-        gn: '📅 Ko\'ára'
+        gn: '📅 Ko\'ára',
+        pt: '📅 Hoje'
     },
     sales_week: {
         es: '📆 Esta semana',
-        gn: '📆 Ko semana'
+        gn: '📆 Ko semana',
+        pt: '📆 Esta semana'
     },
     sales_month: {
         es: '📅 Este mes',
-        gn: '📅 Ko jasy'
+        gn: '📅 Ko jasy',
+        pt: '📅 Este mês'
     },
 
     // === INVENTORY ===
     inventory_registered: {
         es: '✅ *Mercadería registrada*',
-        gn: '✅ *Mercadería oñeregistra*'
+        gn: '✅ *Mercadería oñeregistra*',
+        pt: '✅ *Mercadoria registrada*'
+    },
+
+    // === MULTI-OPERATION ===
+    multi_op_title: {
+        es: (n) => `✅ *Anoté ${n} operaciones*`,
+        gn: (n) => `✅ *Ahai ${n} operación*`,
+        pt: (n) => `✅ *Anotei ${n} operações*`
+    },
+
+    // === CONFIRMATION ===
+    confirm_prompt: {
+        es: (lines) => `🤔 *¿Registro esto?*\n\n${lines.map(l => `• ${l}`).join('\n')}\n\nRespondé *sí*, *no* o *corregir*`,
+        gn: (lines) => `🤔 *Ahaipa kóva?*\n\n${lines.map(l => `• ${l}`).join('\n')}\n\nEmbohovái *heẽ*, *nahániri* térã *corregir*`,
+        pt: (lines) => `🤔 *Registro isso?*\n\n${lines.map(l => `• ${l}`).join('\n')}\n\nResponda *sim*, *não* ou *corrigir*`
+    },
+    confirm_buttons: {
+        es: ['✅ Sí', '❌ No', '✏️ Corregir'],
+        gn: ['✅ Heẽ', '❌ Nahániri', '✏️ Corregir'],
+        pt: ['✅ Sim', '❌ Não', '✏️ Corrigir']
+    },
+    confirm_desc_SALE_CREDIT: {
+        es: (amount, name) => `Venta fiado de ${amount}${name ? ` a ${name}` : ''}`,
+        gn: (amount, name) => `Venta fiado ${amount}${name ? ` ${name}-pe` : ''}`,
+        pt: (amount, name) => `Venda fiado de ${amount}${name ? ` para ${name}` : ''}`
+    },
+    confirm_desc_SALE_CASH: {
+        es: (amount, name, product) => `Venta contado de ${amount}${product ? ` (${product})` : ''}${name ? ` a ${name}` : ''}`,
+        gn: (amount, name, product) => `Venta contado ${amount}${product ? ` (${product})` : ''}${name ? ` ${name}-pe` : ''}`,
+        pt: (amount, name, product) => `Venda à vista de ${amount}${product ? ` (${product})` : ''}${name ? ` para ${name}` : ''}`
+    },
+    confirm_desc_PAYMENT: {
+        es: (amount, name) => `Cobro de ${amount}${name ? ` de ${name}` : ''}`,
+        gn: (amount, name) => `Cobro ${amount}${name ? ` ${name}-gui` : ''}`,
+        pt: (amount, name) => `Recebimento de ${amount}${name ? ` de ${name}` : ''}`
+    },
+    confirm_desc_EXPENSE: {
+        es: (amount, name, product) => `Gasto de ${amount}${product ? ` en ${product}` : ''}`,
+        gn: (amount, name, product) => `Gasto ${amount}${product ? ` ${product}-pe` : ''}`,
+        pt: (amount, name, product) => `Gasto de ${amount}${product ? ` em ${product}` : ''}`
+    },
+    confirm_desc_INVENTORY_IN: {
+        es: (amount, name, product, quantity) => `Mercadería${quantity ? ` ${quantity}` : ''}${product ? ` ${product}` : ''} por ${amount}`,
+        gn: (amount, name, product, quantity) => `Mercadería${quantity ? ` ${quantity}` : ''}${product ? ` ${product}` : ''} ${amount}`,
+        pt: (amount, name, product, quantity) => `Mercadoria${quantity ? ` ${quantity}` : ''}${product ? ` ${product}` : ''} por ${amount}`
+    },
+    confirm_cancelled: {
+        es: '👌 Listo, no registré nada.',
+        gn: '👌 Oĩma, ndahaíri mba\'eve.',
+        pt: '👌 Pronto, não registrei nada.'
+    },
+    confirm_edit: {
+        es: '✏️ Dale, escribime la operación corregida.',
+        gn: '✏️ Ehai jey la operación oñemoĩ porãva.',
+        pt: '✏️ Beleza, me escreve a operação corrigida.',
+        'es-AR': '✏️ Dale, pasame la operación corregida.'
+    },
+
+    // === SLOT FILLING ===
+    slot_SALE_CREDIT_amount: {
+        es: (e) => `🤔 ¿De cuánto fue el fiado${e.customer_name ? ` a ${e.customer_name}` : ''}? Ej: _"300 mil"_`,
+        gn: (e) => `🤔 Mboy-pa pe fiado${e.customer_name ? ` ${e.customer_name}-pe` : ''}? Ej: _"300 mil"_`,
+        pt: (e) => `🤔 De quanto foi o fiado${e.customer_name ? ` pro ${e.customer_name}` : ''}? Ex: _"300 mil"_`
+    },
+    slot_SALE_CREDIT_customer_name: {
+        es: () => `🤔 ¿A quién le fiaste? Ej: _"a Carlos"_`,
+        gn: () => `🤔 Máva-pe refia? Ej: _"Carlos-pe"_`,
+        pt: () => `🤔 Pra quem você fiou? Ex: _"pro Carlos"_`
+    },
+    slot_PAYMENT_amount: {
+        es: (e) => `🤔 ¿Cuánto te pagó${e.customer_name ? ` ${e.customer_name}` : ''}? Ej: _"200 mil"_`,
+        gn: (e) => `🤔 Mboy-pa ohepaga${e.customer_name ? ` ${e.customer_name}` : ''}? Ej: _"200 mil"_`,
+        pt: (e) => `🤔 Quanto ${e.customer_name ? `o ${e.customer_name} te pagou` : 'te pagaram'}? Ex: _"200 mil"_`
+    },
+    slot_PAYMENT_customer_name: {
+        es: () => `🤔 ¿Quién te pagó? Ej: _"María"_`,
+        gn: () => `🤔 Máva-pa ohepaga ndéve? Ej: _"María"_`,
+        pt: () => `🤔 Quem te pagou? Ex: _"Maria"_`
+    },
+    slot_EXPENSE_amount: {
+        es: (e) => `🤔 ¿Cuánto gastaste${e.product ? ` en ${e.product}` : ''}? Ej: _"50 mil"_`,
+        gn: (e) => `🤔 Mboy-pa reiporu${e.product ? ` ${e.product}-pe` : ''}? Ej: _"50 mil"_`,
+        pt: (e) => `🤔 Quanto você gastou${e.product ? ` em ${e.product}` : ''}? Ex: _"50 mil"_`
+    },
+    slot_INVENTORY_UPDATE_product: {
+        es: () => `🤔 ¿De qué producto? Ej: _"la coca"_`,
+        gn: () => `🤔 Mba'e producto-pa? Ej: _"coca"_`,
+        pt: () => `🤔 De qual produto? Ex: _"a coca"_`
+    },
+    slot_INVENTORY_UPDATE_amount: {
+        es: (e) => `🤔 ¿A cuánto queda ${e.product || 'el producto'}? Ej: _"15 mil"_`,
+        gn: (e) => `🤔 Mboy-pa ${e.product || 'producto'}? Ej: _"15 mil"_`,
+        pt: (e) => `🤔 Por quanto fica ${e.product || 'o produto'}? Ex: _"15 mil"_`
+    },
+
+    // === UNDO / EDIT ===
+    undo_not_found: {
+        es: '❌ No encontré ninguna transacción que coincida para anular.',
+        gn: '❌ Ndajuhúi mba\'eve transacción ajapo haguã anular.',
+        pt: '❌ Não encontrei nenhuma transação que combine para anular.'
+    },
+    undo_done: {
+        es: (lines) => `↩️ *${lines.length > 1 ? `${lines.length} transacciones anuladas` : 'Transacción anulada'}*\n\n${lines.join('\n')}\n\n_Deudas, totales y stock ya están corregidos._`,
+        gn: (lines) => `↩️ *${lines.length > 1 ? `${lines.length} transacción oñeanula` : 'Transacción oñeanula'}*\n\n${lines.join('\n')}\n\n_Deuda, total ha stock oñemoĩ porãma._`,
+        pt: (lines) => `↩️ *${lines.length > 1 ? `${lines.length} transações anuladas` : 'Transação anulada'}*\n\n${lines.join('\n')}\n\n_Dívidas, totais e estoque já estão corrigidos._`
+    },
+    edit_no_amount: {
+        es: '🤔 ¿A cuánto lo cambio? Ej: _"Editar último monto a 250 mil"_',
+        gn: '🤔 Mboy-pe amoambue? Ej: _"Editar último monto a 250 mil"_',
+        pt: '🤔 Mudo pra quanto? Ex: _"Editar último valor para 250 mil"_'
+    },
+    edit_same_amount: {
+        es: (amount) => `👌 Ya estaba en ${amount}, no cambié nada.`,
+        gn: (amount) => `👌 ${amount} voi oĩ, ndamoambuéi mba\'eve.`,
+        pt: (amount) => `👌 Já estava em ${amount}, não mudei nada.`
+    },
+    edit_done: {
+        es: (label, before, after) => `✏️ *Monto corregido*\n\n${label}\n${before} → *${after}*\n\n_La original quedó anulada (se guarda en el historial)._`,
+        gn: (label, before, after) => `✏️ *Monto oñemoĩ porã*\n\n${label}\n${before} → *${after}*\n\n_Pe original oñeanula (oñeñongatu historial-pe)._`,
+        pt: (label, before, after) => `✏️ *Valor corrigido*\n\n${label}\n${before} → *${after}*\n\n_A original ficou anulada (fica guardada no histórico)._`
+    },
+    tx_label_SALE_CREDIT: {
+        es: (amount, name, product, date) => `Fiado ${amount}${name ? ` a ${name}` : ''} (${date})`,
+        gn: (amount, name, product, date) => `Fiado ${amount}${name ? ` ${name}-pe` : ''} (${date})`,
+        pt: (amount, name, product, date) => `Fiado ${amount}${name ? ` para ${name}` : ''} (${date})`
+    },
+    tx_label_SALE_CASH: {
+        es: (amount, name, product, date) => `Venta contado ${amount}${product ? ` de ${product}` : ''} (${date})`,
+        gn: (amount, name, product, date) => `Venta contado ${amount}${product ? ` ${product}` : ''} (${date})`,
+        pt: (amount, name, product, date) => `Venda à vista ${amount}${product ? ` de ${product}` : ''} (${date})`
+    },
+    tx_label_PAYMENT: {
+        es: (amount, name, product, date) => `Cobro ${amount}${name ? ` de ${name}` : ''} (${date})`,
+        gn: (amount, name, product, date) => `Cobro ${amount}${name ? ` ${name}-gui` : ''} (${date})`,
+        pt: (amount, name, product, date) => `Recebimento ${amount}${name ? ` de ${name}` : ''} (${date})`
+    },
+    tx_label_EXPENSE: {
+        es: (amount, name, product, date) => `Gasto ${amount}${product ? ` en ${product}` : ''} (${date})`,
+        gn: (amount, name, product, date) => `Gasto ${amount}${product ? ` ${product}-pe` : ''} (${date})`,
+        pt: (amount, name, product, date) => `Gasto ${amount}${product ? ` em ${product}` : ''} (${date})`
+    },
+    tx_label_INVENTORY_IN: {
+        es: (amount, name, product, date) => `Mercadería${product ? ` ${product}` : ''} ${amount} (${date})`,
+        gn: (amount, name, product, date) => `Mercadería${product ? ` ${product}` : ''} ${amount} (${date})`,
+        pt: (amount, name, product, date) => `Mercadoria${product ? ` ${product}` : ''} ${amount} (${date})`
+    },
+
+    // === STOCK ===
+    stock_low: {
+        es: (product, had, sold) => `⚠️ *Stock bajo:* tenías ${had} de ${product} y se vendieron ${sold}. ¿Te llegó mercadería sin anotar?`,
+        gn: (product, had, sold) => `⚠️ *Stock michĩ:* rerekokuri ${had} ${product} ha oñevende ${sold}. Oguahẽpa mercadería nderehaíri?`,
+        pt: (product, had, sold) => `⚠️ *Estoque baixo:* você tinha ${had} de ${product} e foram vendidos ${sold}. Chegou mercadoria sem anotar?`
+    },
+    stock_now: {
+        es: (stock, unit) => `📊 Stock ahora: ${stock} ${unit}`,
+        gn: (stock, unit) => `📊 Stock ko'ágã: ${stock} ${unit}`,
+        pt: (stock, unit) => `📊 Estoque agora: ${stock} ${unit}`
+    },
+    avg_cost_label: {
+        es: (cost) => `🏷️ Costo promedio: ${cost}`,
+        gn: (cost) => `🏷️ Costo promedio: ${cost}`,
+        pt: (cost) => `🏷️ Custo médio: ${cost}`
+    },
+    stock_ledger_title: {
+        es: (product) => `📒 *Movimientos de ${product}*`,
+        gn: (product) => `📒 *${product} movimiento*`,
+        pt: (product) => `📒 *Movimentos de ${product}*`
+    },
+    stock_ledger_empty: {
+        es: 'Todavía no hay movimientos de este producto.',
+        gn: 'Ndaipóri gueteri movimiento ko producto-pe.',
+        pt: 'Ainda não há movimentos deste produto.'
+    },
+    stock_mov_IN: { es: '📥 Entrada', gn: '📥 Oike', pt: '📥 Entrada' },
+    stock_mov_OUT: { es: '📤 Venta', gn: '📤 Venta', pt: '📤 Venda' },
+    stock_mov_REVERSAL: { es: '↩️ Anulación', gn: '↩️ Anulación', pt: '↩️ Anulação' },
+    stock_alert_set: {
+        es: (product, min) => `🔔 Listo, te aviso cuando queden *${min}* o menos de *${product}*.`,
+        gn: (product, min) => `🔔 Oĩma, ha'éta ndéve opytávo *${min}* térã sa'ive *${product}*.`,
+        pt: (product, min) => `🔔 Pronto, te aviso quando sobrarem *${min}* ou menos de *${product}*.`
+    },
+    stock_alert_already_low: {
+        es: (stock) => `⚠️ Ojo: ahora tenés ${stock}, ya llegaste al mínimo.`,
+        gn: (stock) => `⚠️ Ema'ẽ: ko'ágã rereko ${stock}, oĩma mínimo-pe.`,
+        pt: (stock) => `⚠️ Olha: agora você tem ${stock}, já chegou no mínimo.`
+    },
+    stock_alert_no_min: {
+        es: (product) => `🤔 ¿Con cuántas *${product}* te aviso? Ej: "Avisame cuando queden 5 ${product}"`,
+        gn: (product) => `🤔 Mbovýpe *${product}* ha'éta ndéve? Ej: "Avisame cuando queden 5 ${product}"`,
+        pt: (product) => `🤔 Com quantas unidades de *${product}* te aviso? Ex: "Me avisa quando sobrarem 5 ${product}"`
+    },
+    stock_alert_no_product: {
+        es: '🤔 ¿De qué producto? Ej: "Avisame cuando queden 5 cocas"',
+        gn: '🤔 Mba\'e producto? Ej: "Avisame cuando queden 5 cocas"',
+        pt: '🤔 De qual produto? Ex: "Me avisa quando sobrarem 5 cocas"'
+    },
+
+    // === CUSTOMERS ===
+    customer_which: {
+        es: (names) => `🤔 ¿${names.slice(0, -1).join(', ')} o ${names[names.length - 1]}?\n\n${names.map((n, i) => `${i + 1}. ${n}`).join('\n')}\n\nRespondé el número o el apellido, o *otro* si es un cliente nuevo`,
+        gn: (names) => `🤔 ¿${names.slice(0, -1).join(', ')} térã ${names[names.length - 1]}?\n\n${names.map((n, i) => `${i + 1}. ${n}`).join('\n')}\n\nEmbohovái número térã apellido, térã *otro* ha'éramo cliente pyahu`,
+        pt: (names) => `🤔 ${names.slice(0, -1).join(', ')} ou ${names[names.length - 1]}?\n\n${names.map((n, i) => `${i + 1}. ${n}`).join('\n')}\n\nResponda o número ou o sobrenome, ou *outro* se for um cliente novo`
+    },
+    customer_no_name: {
+        es: '🤔 ¿De qué cliente? Ej: "El número de Carlos es 0981 123456"',
+        gn: '🤔 Mba\'e cliente? Ej: "El número de Carlos es 0981 123456"',
+        pt: '🤔 De qual cliente? Ex: "O número do Carlos é 0981 123456"'
+    },
+    customer_not_found: {
+        es: (name) => `❌ No encontré un cliente "${name}".`,
+        gn: (name) => `❌ Ndajuhúi cliente "${name}".`,
+        pt: (name) => `❌ Não encontrei um cliente "${name}".`
+    },
+    customer_phone_set: {
+        es: (name, phone) => `📱 Listo, el número de *${name}* es ${phone}.`,
+        gn: (name, phone) => `📱 Oĩma, *${name}* número ha'e ${phone}.`,
+        pt: (name, phone) => `📱 Pronto, o número de *${name}* é ${phone}.`
+    },
+    customer_nickname_set: {
+        es: (name, nickname) => `✅ Listo, cuando digas "${nickname}" entiendo *${name}*.`,
+        gn: (name, nickname) => `✅ Oĩma, ere jave "${nickname}" aikuaa *${name}*.`,
+        pt: (name, nickname) => `✅ Pronto, quando você disser "${nickname}" eu entendo *${name}*.`
+    },
+    customer_renamed: {
+        es: (oldName, newName) => `✅ *${oldName}* ahora se llama *${newName}*.`,
+        gn: (oldName, newName) => `✅ *${oldName}* ko'ágã héra *${newName}*.`,
+        pt: (oldName, newName) => `✅ *${oldName}* agora se chama *${newName}*.`
+    },
+    customer_rename_exists: {
+        es: (name, existing) => `⚠️ Ya tenés un cliente *${existing}*. Si son la misma persona, escribí: _"Unir ${name} con ${existing}"_`,
+        gn: (name, existing) => `⚠️ Rerekoma peteĩ cliente *${existing}*. Ha'éramo peteĩ persona, ehai: _"Unir ${name} con ${existing}"_`,
+        pt: (name, existing) => `⚠️ Você já tem um cliente *${existing}*. Se forem a mesma pessoa, escreva: _"Unir ${name} com ${existing}"_`
+    },
+    customer_merge_ambiguous: {
+        es: (name, names) => `🤔 "${name}" puede ser ${names.join(' o ')}. Usá el nombre completo.`,
+        gn: (name, names) => `🤔 "${name}" ikatu ${names.join(' térã ')}. Ehai héra paite.`,
+        pt: (name, names) => `🤔 "${name}" pode ser ${names.join(' ou ')}. Use o nome completo.`
+    },
+    customer_merge_same: {
+        es: (name) => `🤔 Los dos nombres son *${name}*, no hay nada que unir.`,
+        gn: (name) => `🤔 Mokõive héra *${name}*, ndaipóri mba'e ojoaju haguã.`,
+        pt: (name) => `🤔 Os dois nomes são *${name}*, não há nada para unir.`
+    },
+    customer_merged: {
+        es: (dropName, keepName, debt) => `🔗 Listo, uní *${dropName}* con *${keepName}*.\n\n📊 Deuda total: ${debt}`,
+        gn: (dropName, keepName, debt) => `🔗 Oĩma, ambojoaju *${dropName}* *${keepName}* ndive.\n\n📊 Deuda total: ${debt}`,
+        pt: (dropName, keepName, debt) => `🔗 Pronto, juntei *${dropName}* com *${keepName}*.\n\n📊 Dívida total: ${debt}`
+    },
+
+    // === CATALOG ===
+    priced_from_catalog: {
+        es: (price, qty) => `🏷️ Precio de tu lista: ${price} × ${qty}`,
+        gn: (price, qty) => `🏷️ Nde lista repy: ${price} × ${qty}`,
+        pt: (price, qty) => `🏷️ Preço da sua lista: ${price} × ${qty}`
+    },
+    catalog_title: {
+        es: (n) => `🗂️ *Tus productos* (${n})`,
+        gn: (n) => `🗂️ *Nde producto* (${n})`,
+        pt: (n) => `🗂️ *Seus produtos* (${n})`
+    },
+    catalog_empty: {
+        es: '🗂️ Todavía no tenés productos. Se agregan solos cuando anotás mercadería, o con: "Actualizar precio de coca a 8 mil"',
+        gn: '🗂️ Ndaipóri gueteri producto. Oñemoĩ ijehegui rehaívo mercadería, térã: "Actualizar precio de coca a 8 mil"',
+        pt: '🗂️ Você ainda não tem produtos. Eles entram sozinhos quando você anota mercadoria, ou com: "Atualizar preço da coca para 8 mil"'
+    },
+    catalog_aliases: { es: 'También', gn: 'Avei', pt: 'Também' },
+    catalog_alias_set: {
+        es: (product, alias) => `✅ Listo, cuando digas "${alias}" entiendo *${product}*.`,
+        gn: (product, alias) => `✅ Oĩma, ere jave "${alias}" aikuaa *${product}*.`,
+        pt: (product, alias) => `✅ Pronto, quando você disser "${alias}" eu entendo *${product}*.`
+    },
+    catalog_sku_set: {
+        es: (product, sku) => `✅ Código de *${product}*: ${sku}`,
+        gn: (product, sku) => `✅ *${product}* código: ${sku}`,
+        pt: (product, sku) => `✅ Código de *${product}*: ${sku}`
+    },
+    catalog_unit_set: {
+        es: (product, unit) => `✅ *${product}* se cuenta en ${unit}.`,
+        gn: (product, unit) => `✅ *${product}* oñeipapa ${unit}-pe.`,
+        pt: (product, unit) => `✅ *${product}* é contado em ${unit}.`
+    },
+    catalog_no_product: {
+        es: '🤔 ¿De qué producto? Ej: "La coca también se llama gaseosa coca"',
+        gn: '🤔 Mba\'e producto? Ej: "La coca también se llama gaseosa coca"',
+        pt: '🤔 De qual produto? Ex: "A coca também se chama refri coca"'
+    },
+
+    // === CUSTOMER STATEMENT ===
+    statement_header: {
+        es: (name) => `📒 *Estado de cuenta — ${name}*`,
+        gn: (name) => `📒 *Estado de cuenta — ${name}*`,
+        pt: (name) => `📒 *Extrato da conta — ${name}*`
+    },
+    statement_opening: {
+        es: (amount) => `↪️ Saldo anterior: ${amount}`,
+        gn: (amount) => `↪️ Saldo yma: ${amount}`,
+        pt: (amount) => `↪️ Saldo anterior: ${amount}`
+    },
+    statement_SALE_CREDIT: { es: 'Fiado', gn: 'Fiado', pt: 'Fiado' },
+    statement_PAYMENT: { es: 'Pago', gn: 'Pago', pt: 'Pagamento' },
+    statement_closing: {
+        es: (amount) => `💰 *Saldo actual: ${amount}*`,
+        gn: (amount) => `💰 *Saldo ko'ágã: ${amount}*`,
+        pt: (amount) => `💰 *Saldo atual: ${amount}*`
+    },
+    statement_empty: {
+        es: (name) => `📒 *${name}* no tiene fiados ni pagos registrados.`,
+        gn: (name) => `📒 *${name}* ndoguerekói fiado ni pago.`,
+        pt: (name) => `📒 *${name}* não tem fiados nem pagamentos registrados.`
+    },
+    statement_no_name: {
+        es: '🤔 ¿De qué cliente? Ej: "¿Cuánto me debe Carlos?"',
+        gn: '🤔 Mba\'e cliente? Ej: "¿Cuánto me debe Carlos?"',
+        pt: '🤔 De qual cliente? Ex: "Quanto o Carlos me deve?"'
+    },
+    statement_forward_hint: {
+        es: (name) => `📤 Para mandárselo: _"Mandale el estado de cuenta a ${name}"_ (o _"en pdf"_)`,
+        gn: (name) => `📤 Emondo haguã: _"Mandale el estado de cuenta a ${name}"_ (térã _"en pdf"_)`,
+        pt: (name) => `📤 Para mandar pra ele: _"Manda o extrato para ${name}"_ (ou _"em pdf"_)`
+    },
+    statement_no_phone: {
+        es: (name) => `📱 No tengo el número de *${name}*. Decime: _"El número de ${name} es 0981..."_`,
+        gn: (name) => `📱 Ndarekói *${name}* número. Ere chéve: _"El número de ${name} es 0981..."_`,
+        pt: (name) => `📱 Não tenho o número de *${name}*. Me diz: _"O número de ${name} é 0981..."_`
+    },
+    statement_window_closed: {
+        es: (name) => `📵 *${name}* no le escribió a este número en las últimas 24 horas y WhatsApp no me deja mandarle mensajes. Reenviale vos el estado de cuenta:`,
+        gn: (name) => `📵 *${name}* ndohaíri ko número-pe 24 aravo ohasáva ha WhatsApp nome'ẽi amondo hese. Emondo nde estado de cuenta:`,
+        pt: (name) => `📵 *${name}* não escreveu para este número nas últimas 24 horas e o WhatsApp não me deixa mandar mensagens. Encaminhe você o extrato:`
+    },
+    statement_send_failed: {
+        es: (name) => `❌ No pude enviarle el estado de cuenta a *${name}*. Intentá de nuevo en un momento.`,
+        gn: (name) => `❌ Ndaikatúi amondo estado de cuenta *${name}*-pe. Eha'ã jey.`,
+        pt: (name) => `❌ Não consegui enviar o extrato para *${name}*. Tente de novo em um momento.`
+    },
+    statement_sent: {
+        es: (name, phone, pdf) => `📤 Le mandé ${pdf ? 'el PDF del' : 'el'} estado de cuenta a *${name}* (${phone}).`,
+        gn: (name, phone, pdf) => `📤 Amondo ${pdf ? 'PDF' : ''} estado de cuenta *${name}*-pe (${phone}).`,
+        pt: (name, phone, pdf) => `📤 Mandei ${pdf ? 'o PDF do' : 'o'} extrato para *${name}* (${phone}).`
+    },
+    statement_forward_caption: {
+        es: (name, business) => `Hola ${name} 👋 Te paso tu estado de cuenta con *${business}*.`,
+        gn: (name, business) => `Mba'éichapa ${name} 👋 Amondo ndéve nde estado de cuenta *${business}* ndive.`,
+        pt: (name, business) => `Olá ${name} 👋 Segue seu extrato com *${business}*.`
+    },
+
+    // === OPEN ITEMS / AGING ===
+    ledger_open_items_title: {
+        es: '🧾 *Fiados pendientes:*',
+        gn: '🧾 *Fiado ojepaga\'ỹva:*',
+        pt: '🧾 *Fiados pendentes:*'
+    },
+    ledger_item: {
+        es: (date, product, balance, of, age) => `• ${date}${product ? ` ${product}` : ''}: ${balance}${of ? ` de ${of}` : ''} (${age} día${age === 1 ? '' : 's'})`,
+        gn: (date, product, balance, of, age) => `• ${date}${product ? ` ${product}` : ''}: ${balance}${of ? ` ${of}-gui` : ''} (${age} ára)`,
+        pt: (date, product, balance, of, age) => `• ${date}${product ? ` ${product}` : ''}: ${balance}${of ? ` de ${of}` : ''} (${age} dia${age === 1 ? '' : 's'})`
+    },
+    ledger_undated: {
+        es: (amount) => `• Sin fecha: ${amount}`,
+        gn: (amount) => `• Fecha'ỹre: ${amount}`,
+        pt: (amount) => `• Sem data: ${amount}`
+    },
+    ledger_applied: {
+        es: (date, product, balance) => `🧾 Aplicado al fiado del ${date}${product ? ` (${product})` : ''}: ${balance ? `queda ${balance}` : 'saldado ✅'}`,
+        gn: (date, product, balance) => `🧾 Oñemoĩ fiado ${date}${product ? ` (${product})` : ''}-pe: ${balance ? `opyta ${balance}` : 'ojepaga pa ✅'}`,
+        pt: (date, product, balance) => `🧾 Aplicado ao fiado de ${date}${product ? ` (${product})` : ''}: ${balance ? `falta ${balance}` : 'quitado ✅'}`
+    },
+    ledger_target_missing: {
+        es: '⚠️ No encontré ese fiado pendiente, lo apliqué a lo más viejo.',
+        gn: '⚠️ Ndajuhúi upe fiado, amoĩ itujavévape.',
+        pt: '⚠️ Não encontrei esse fiado pendente, apliquei no mais antigo.'
+    },
+    aging_title: {
+        es: '⏳ *Antigüedad de la deuda:*',
+        gn: '⏳ *Deuda itujakue:*',
+        pt: '⏳ *Idade da dívida:*'
+    },
+    aging_bucket: {
+        es: (key) => ({ '0-7': '0–7 días', '8-30': '8–30 días', '31-60': '31–60 días', '60+': '+60 días', undated: 'Sin fecha' })[key],
+        gn: (key) => ({ '0-7': '0–7 ára', '8-30': '8–30 ára', '31-60': '31–60 ára', '60+': '+60 ára', undated: 'Fecha\'ỹre' })[key],
+        pt: (key) => ({ '0-7': '0–7 dias', '8-30': '8–30 dias', '31-60': '31–60 dias', '60+': '+60 dias', undated: 'Sem data' })[key]
+    },
+
+    // === LANGUAGE ===
+    language_set: {
+        es: '🇵🇾 Listo, desde ahora te hablo en *español*.\n\n_Para cambiar: "hablame en guaraní"_',
+        gn: '🇵🇾 Oĩma, ko\'águi añe\'ẽta ndéve *guaraníme* (jopará).\n\n_Emoambue haguã: "hablame en español"_',
+        pt: '🇧🇷 Pronto, a partir de agora falo com você em *português*.\n\n_Para mudar: "fala em espanhol"_',
+        'es-AR': '🇦🇷 Listo, desde ahora te hablo *como en Argentina*.\n\n_Para volver: "hablame en español"_'
+    },
+
+    // === BOT STATUS ===
+    bot_resumed: {
+        es: '🤖 Modo IA automático *reactivado*. ¡Hola de nuevo! ¿Qué anotamos?',
+        gn: '🤖 Modo IA automático *oñemyendy jey*. Mba\'éichapa jey! Mba\'épa jahai?',
+        pt: '🤖 Modo IA automático *reativado*. Olá de novo! O que vamos anotar?'
+    },
+    handoff_paused: {
+        es: '⏸️ *Bot Pausado*\n\nHe avisado al equipo de soporte humano para que lea tu mensaje y te conteste a la brevedad.\n\n_(Para volver a usar el bot automático, escribí "activar bot")_',
+        gn: '⏸️ *Bot oñepyta*\n\nAmomarandu equipo de soporte-pe olee haguã nde mensaje ha ombohovái ndéve pya\'e.\n\n_(Eipuru jey haguã bot automático, ehai "activar bot")_',
+        pt: '⏸️ *Bot pausado*\n\nAvisei a equipe de suporte humano para ler sua mensagem e te responder o quanto antes.\n\n_(Para voltar a usar o bot automático, escreva "activar bot")_'
+    },
+    merchant_name_fallback: { es: 'Comerciante', gn: 'Comerciante', pt: 'Comerciante' },
+    merchant_friend_fallback: { es: 'amigo', gn: 'che irũ', pt: 'amigo' },
+    supplier_fallback: { es: 'tu proveedor', gn: 'nde proveedor', pt: 'seu fornecedor' },
+    customer_fallback: { es: 'Cliente', gn: 'Cliente', pt: 'Cliente' },
+    unnamed: { es: 'Sin nombre', gn: 'Héra\'ỹre', pt: 'Sem nome' },
+
+    // === PAYMENTS (detail) ===
+    payment_no_name: {
+        es: (amount, compact) => `🤔 Cobro de ${amount}, pero ¿de quién? Ej: "Cobré ${compact} de María"`,
+        gn: (amount, compact) => `🤔 Cobro ${amount}, ha máva-gui? Ej: "Acobra ${compact} María-gui"`,
+        pt: (amount, compact) => `🤔 Recebimento de ${amount}, mas de quem? Ex: "Recebi ${compact} da Maria"`
+    },
+    collected_label: {
+        es: '💰 Cobrado',
+        gn: '💰 Ojecobra',
+        pt: '💰 Recebido'
+    },
+    payment_debt_cleared: {
+        es: (name) => `🎉 ¡${name} ya no te debe nada! Saldo: Gs. 0`,
+        gn: (name) => `🎉 ${name} ndojedebevéima ndéve mba'eve! Saldo: Gs. 0`,
+        pt: (name) => `🎉 ${name} não te deve mais nada! Saldo: Gs. 0`
+    },
+    payment_balance: {
+        es: (name, amount) => `📊 Saldo pendiente de ${name}: ${amount}`,
+        gn: (name, amount) => `📊 ${name} ojedebe gueteri: ${amount}`,
+        pt: (name, amount) => `📊 Saldo pendente de ${name}: ${amount}`
+    },
+
+    // === DEBT QUERY (detail) ===
+    debt_oldest: {
+        es: (days) => ` _(⏳ ${days} días)_`,
+        gn: (days) => ` _(⏳ ${days} ára)_`,
+        pt: (days) => ` _(⏳ ${days} dias)_`
+    },
+    debt_customers_count: {
+        es: (n) => `👥 ${n} cliente${n > 1 ? 's' : ''} con deuda`,
+        gn: (n) => `👥 ${n} cliente ojedebéva`,
+        pt: (n) => `👥 ${n} cliente${n > 1 ? 's' : ''} com dívida`
+    },
+
+    // === SALES QUERY (detail) ===
+    sales_none: {
+        es: '📊 No tenés ventas registradas todavía. ¡Registrá tu primera venta!',
+        gn: '📊 Ndaipóri gueteri venta. Ehai nde venta peteĩha!',
+        pt: '📊 Você ainda não tem vendas registradas. Registre sua primeira venda!'
+    },
+    sales_today_title: {
+        es: '📊 *Resumen de hoy*',
+        gn: '📊 *Ko\'ára resumen*',
+        pt: '📊 *Resumo de hoje*'
+    },
+    sales_today_empty: {
+        es: '📊 *Hoy* — Sin actividad todavía.',
+        gn: '📊 *Ko\'ára* — Ndaipóri mba\'eve gueteri.',
+        pt: '📊 *Hoje* — Sem movimento ainda.'
+    },
+    sales_total: {
+        es: (amount) => `💰 *Ventas totales: ${amount}*`,
+        gn: (amount) => `💰 *Venta opavave: ${amount}*`,
+        pt: (amount) => `💰 *Vendas totais: ${amount}*`
+    },
+    sales_cash_line: {
+        es: (amount, count) => `   💵 Contado: ${amount} (${count})`,
+        gn: (amount, count) => `   💵 Contado: ${amount} (${count})`,
+        pt: (amount, count) => `   💵 À vista: ${amount} (${count})`
+    },
+    sales_credit_line: {
+        es: (amount, count) => `   📝 Fiado: ${amount} (${count})`,
+        gn: (amount, count) => `   📝 Fiado: ${amount} (${count})`,
+        pt: (amount, count) => `   📝 Fiado: ${amount} (${count})`
+    },
+    collections_line: {
+        es: (amount, count) => `💵 *Cobros: ${amount}* (${count})`,
+        gn: (amount, count) => `💵 *Cobro: ${amount}* (${count})`,
+        pt: (amount, count) => `💵 *Recebimentos: ${amount}* (${count})`
+    },
+    sales_ops_today: {
+        es: (n) => `🧾 Operaciones del día: ${n}`,
+        gn: (n) => `🧾 Ko'ára operación: ${n}`,
+        pt: (n) => `🧾 Operações do dia: ${n}`
+    },
+    sales_week_line: {
+        es: (amount, count) => `📈 *Semana:* ${amount} (${count} ops)`,
+        gn: (amount, count) => `📈 *Semana:* ${amount} (${count} ops)`,
+        pt: (amount, count) => `📈 *Semana:* ${amount} (${count} ops)`
+    },
+    sales_avg_ticket: {
+        es: (amount) => `📊 Ticket promedio: ${amount}`,
+        gn: (amount) => `📊 Ticket promedio: ${amount}`,
+        pt: (amount) => `📊 Ticket médio: ${amount}`
+    },
+    keep_going: {
+        es: '¡Seguí así!',
+        gn: 'Segui péicha!',
+        pt: 'Continue assim!',
+        'es-AR': '¡Dale que va!'
+    },
+
+    // === INVENTORY (detail) ===
+    inventory_no_product: {
+        es: '🤔 ¿Qué te llegó y cuánto? Ej: "Me llegaron 30 cajas de cerveza"',
+        gn: '🤔 Mba\'épa oguahẽ ha mbovy? Ej: "Oguahẽ 30 caja cerveza"',
+        pt: '🤔 O que chegou e quanto? Ex: "Chegaram 30 caixas de cerveja"'
+    },
+    quantity_label: { es: '📊 Cantidad', gn: '📊 Cantidad', pt: '📊 Quantidade' },
+    cost_label: { es: '💰 Costo', gn: '💰 Costo', pt: '💰 Custo' },
+    price_label: { es: '💰 Precio actual', gn: '💰 Precio ko\'ágã', pt: '💰 Preço atual' },
+    stock_current: {
+        es: (stock, unit) => `📊 Stock actual: ${stock} ${unit}`,
+        gn: (stock, unit) => `📊 Stock ko'ágã: ${stock} ${unit}`,
+        pt: (stock, unit) => `📊 Estoque atual: ${stock} ${unit}`
+    },
+    inventory_query_no_product: {
+        es: '🤔 ¿De qué producto querés saber el precio? Ej: "A cuánto tengo la coca cola"',
+        gn: '🤔 Mba\'e producto repy reikuaase? Ej: "A cuánto tengo la coca cola"',
+        pt: '🤔 De qual produto você quer saber o preço? Ex: "Quanto está a coca cola"'
+    },
+    inventory_not_found: {
+        es: (product) => `❌ No encontré el producto "${product}" en tu inventario. Podés agregarlo diciendo: "Me llegaron 10 ${product}" o "Actualizar precio de ${product} a 10 mil"`,
+        gn: (product) => `❌ Ndajuhúi producto "${product}" nde inventario-pe. Emoĩ haguã ehai: "Me llegaron 10 ${product}" térã "Actualizar precio de ${product} a 10 mil"`,
+        pt: (product) => `❌ Não encontrei o produto "${product}" no seu estoque. Você pode adicionar dizendo: "Chegaram 10 ${product}" ou "Atualizar preço de ${product} para 10 mil"`
+    },
+    inventory_update_no_product: {
+        es: '🤔 ¿Qué producto querés actualizar?',
+        gn: '🤔 Mba\'e producto-pa remoambuese?',
+        pt: '🤔 Qual produto você quer atualizar?'
+    },
+    inventory_update_no_price: {
+        es: (product) => `🤔 Faltó el nuevo precio. Ej: "Actualizar precio de ${product} a 15000"`,
+        gn: (product) => `🤔 Ofalta precio pyahu. Ej: "Actualizar precio de ${product} a 15000"`,
+        pt: (product) => `🤔 Faltou o novo preço. Ex: "Atualizar preço de ${product} para 15000"`
+    },
+    price_updated: {
+        es: (product, amount) => `✅ Precio de *${product}* actualizado a ${amount}.`,
+        gn: (product, amount) => `✅ *${product}* repy ko'ágã ${amount}.`,
+        pt: (product, amount) => `✅ Preço de *${product}* atualizado para ${amount}.`
+    },
+
+    // === EXPENSES ===
+    expense_no_amount: {
+        es: '🤔 ¿Cuánto gastaste? Ej: "Gasté 50 mil en pasaje"',
+        gn: '🤔 Mbovy reiporu? Ej: "Gasté 50 mil en pasaje"',
+        pt: '🤔 Quanto você gastou? Ex: "Gastei 50 mil de passagem"'
+    },
+    expense_registered: {
+        es: '💸 *Gasto registrado*',
+        gn: '💸 *Gasto oñeregistra*',
+        pt: '💸 *Gasto registrado*'
+    },
+    detail_label: { es: '📝 Detalle', gn: '📝 Detalle', pt: '📝 Detalhe' },
+
+    // === REMINDERS (to the customer) ===
+    reminder_friendly: {
+        es: (customer, amount, merchant) => `Hola ${customer} 👋\n\nTe recordamos que tenés un saldo pendiente de *${amount}* con ${merchant}.\n\n¿Podés pasar a abonar? ¡Gracias! 🙏\n\n_Mensaje enviado por NexoBot en nombre de ${merchant}_`,
+        gn: (customer, amount, merchant) => `Mba'éichapa ${customer} 👋\n\nRomomandu'a rerekoha saldo pendiente *${amount}* ${merchant} ndive.\n\nIkatúpa reju rehepaga? Aguyje! 🙏\n\n_Mensaje omondo NexoBot ${merchant} rérape_`,
+        pt: (customer, amount, merchant) => `Olá ${customer} 👋\n\nLembramos que você tem um saldo pendente de *${amount}* com ${merchant}.\n\nPode passar para pagar? Obrigado! 🙏\n\n_Mensagem enviada pelo NexoBot em nome de ${merchant}_`
+    },
+    reminder_firm: {
+        es: (customer, amount, merchant, days) => `Hola ${customer},\n\nTu deuda de *${amount}* con ${merchant} venció hace ${days} días.\n\n¿Querés coordinar un plan de pago? Podés pagar en cuotas. Respondé a este mensaje para coordinar.\n\n_Mensaje de cobranza de ${merchant} via NexoBot_`,
+        gn: (customer, amount, merchant, days) => `Mba'éichapa ${customer},\n\nNde deuda *${amount}* ${merchant} ndive opa ${days} ára ohasáva.\n\nRejapose peteĩ plan de pago? Ikatu rehepaga cuota-pe. Embohovái ko mensaje ñakoordina haguã.\n\n_Cobranza ${merchant} mba'e, NexoBot rupive_`,
+        pt: (customer, amount, merchant, days) => `Olá ${customer},\n\nSua dívida de *${amount}* com ${merchant} venceu há ${days} dias.\n\nQuer combinar um plano de pagamento? Dá para pagar em parcelas. Responda esta mensagem para combinar.\n\n_Mensagem de cobrança de ${merchant} via NexoBot_`
+    },
+    reminder_urgent: {
+        es: (customer, amount, merchant, days) => `${customer}, \n\nTu deuda de *${amount}* con ${merchant} tiene *${days} días* de atraso.\n\nEs importante regularizar tu situación lo antes posible. Contactá a ${merchant} para coordinar el pago.\n\n_Cobranza de ${merchant} via NexoBot_`,
+        gn: (customer, amount, merchant, days) => `${customer}, \n\nNde deuda *${amount}* ${merchant} ndive oreko *${days} ára* atraso.\n\nIñimportante eregulariza pya'eve. Eñe'ẽ ${merchant} ndive pe pago rehe.\n\n_Cobranza ${merchant} mba'e, NexoBot rupive_`,
+        pt: (customer, amount, merchant, days) => `${customer}, \n\nSua dívida de *${amount}* com ${merchant} tem *${days} dias* de atraso.\n\nÉ importante regularizar sua situação o quanto antes. Fale com ${merchant} para combinar o pagamento.\n\n_Cobrança de ${merchant} via NexoBot_`
+    },
+
+    // === REMINDERS (to the merchant) ===
+    reminder_tone: {
+        es: (tone) => ({ friendly: 'amigable', firm: 'firme', urgent: 'urgente' })[tone],
+        gn: (tone) => ({ friendly: 'py\'aporã', firm: 'firme', urgent: 'urgente' })[tone],
+        pt: (tone) => ({ friendly: 'amigável', firm: 'firme', urgent: 'urgente' })[tone]
+    },
+    reminder_notice: {
+        es: (tone, name, due, total, days) => `🔔 *Recordatorio enviado*\n\nSe envió un recordatorio ${tone} a *${name}* por ${due} vencidos (deuda total ${total}).\n\n${days > 0 ? `📅 ${days} días de atraso` : '📅 Vence hoy'}`,
+        gn: (tone, name, due, total, days) => `🔔 *Recordatorio oñemondo*\n\nOñemondo peteĩ recordatorio ${tone} *${name}*-pe ${due} opa vaekue rehe (deuda total ${total}).\n\n${days > 0 ? `📅 ${days} ára atraso` : '📅 Opa ko\'ára'}`,
+        pt: (tone, name, due, total, days) => `🔔 *Lembrete enviado*\n\nFoi enviado um lembrete ${tone} para *${name}* por ${due} vencidos (dívida total ${total}).\n\n${days > 0 ? `📅 ${days} dias de atraso` : '📅 Vence hoje'}`
+    },
+    reminder_no_debt: {
+        es: (name) => `${name} no tiene deudas pendientes 🎉`,
+        gn: (name) => `${name} ndojedebéi mba'eve 🎉`,
+        pt: (name) => `${name} não tem dívidas pendentes 🎉`
+    },
+    reminder_no_phone: {
+        es: (name) => `No tengo el teléfono de ${name}. Decime su número para registrarlo.`,
+        gn: (name) => `Ndarekói ${name} teléfono. Ere chéve número ahai haguã.`,
+        pt: (name) => `Não tenho o telefone de ${name}. Me diz o número para eu registrar.`
+    },
+    reminder_failed: {
+        es: '❌ No pude enviar el recordatorio. Intentá más tarde.',
+        gn: '❌ Ndaikatúi amondo recordatorio. Eha\'ã jey upe rire.',
+        pt: '❌ Não consegui enviar o lembrete. Tente mais tarde.'
+    },
+    reminder_undelivered: {
+        es: (name, phone) => `⚠️ *Recordatorio no entregado*\n\nWhatsApp no le pudo entregar el recordatorio a *${name}* (${phone}). Revisá que el número sea correcto o avisale vos directamente.`,
+        gn: (name, phone) => `⚠️ *Recordatorio ndoguahẽi*\n\nWhatsApp ndaikatúi omog̃uahẽ pe recordatorio *${name}*-pe (${phone}). Ehecha pe número iporãpa térã eñe'ẽ chupe nde voi.`,
+        pt: (name, phone) => `⚠️ *Lembrete não entregue*\n\nO WhatsApp não conseguiu entregar o lembrete para *${name}* (${phone}). Confira se o número está certo ou avise você mesmo.`
+    },
+
+    // === PIN (detail) ===
+    pin_change_needs_cedula: {
+        es: (pin) => `🔒 *Alerta de Seguridad*\n\nYa tenés un PIN configurado. Si querés cambiarlo, necesito verificar tu identidad.\n\n👉 Enviá: *PIN ${pin} CI <TuNúmeroDeCédula>*\n_(Ej: PIN 1234 CI 4523871)_`,
+        gn: (pin) => `🔒 *Alerta de Seguridad*\n\nRerekoma PIN. Remoambuese ramo, aikotevẽ ahecha máva piko nde.\n\n👉 Emondo: *PIN ${pin} CI <NdeCédula>*\n_(Ej: PIN 1234 CI 4523871)_`,
+        pt: (pin) => `🔒 *Alerta de Segurança*\n\nVocê já tem um PIN configurado. Se quiser mudar, preciso verificar sua identidade.\n\n👉 Envie: *PIN ${pin} CI <SeuNúmeroDeCédula>*\n_(Ex: PIN 1234 CI 4523871)_`
+    },
+    pin_cedula_mismatch: {
+        es: '❌ *Error de Seguridad*\nLa cédula ingresada no coincide con la registrada en tu cuenta. PIN no actualizado.',
+        gn: '❌ *Error de Seguridad*\nPe cédula nojojoguái nde cuenta-pe oĩva ndive. PIN ndoñemoambuéi.',
+        pt: '❌ *Erro de Segurança*\nA cédula informada não confere com a registrada na sua conta. PIN não atualizado.'
+    },
+    pin_no_cedula: {
+        es: '❌ No tenés una cédula registrada para verificar el cambio. Contactá a soporte.',
+        gn: '❌ Ndererekói cédula registrada ahecha haguã. Eñe\'ẽ soporte ndive.',
+        pt: '❌ Você não tem uma cédula registrada para verificar a mudança. Fale com o suporte.'
+    },
+    pin_error: {
+        es: (error) => `❌ ${error || 'Error configurando el PIN'}`,
+        gn: (error) => `❌ ${error || 'Error oñeconfigurávo PIN'}`,
+        pt: (error) => `❌ ${error || 'Erro ao configurar o PIN'}`
+    },
+    pin_forgot: {
+        es: '🔐 *Recuperación Segura de PIN*\n\nPara crear un nuevo PIN y volver a entrar a la App sin que nadie más pueda ver tus datos, verificamos tu identidad.\n\n👉 Enviame un mensaje que diga:\n*PIN 1234 CI <TuCédula>*\n\n_(Cambiá 1234 por tu nuevo número, y agregá tu número de cédula)._ 😉',
+        gn: '🔐 *PIN Recuperación*\n\nRejapo haguã PIN pyahu ha reike jey App-pe ni mavave ohecha\'ỹre nde dato, ahecha raẽ máva piko nde.\n\n👉 Emondo chéve:\n*PIN 1234 CI <NdeCédula>*\n\n_(Emoambue 1234 nde número pyahúpe, ha emoĩ nde cédula)._ 😉',
+        pt: '🔐 *Recuperação Segura de PIN*\n\nPara criar um PIN novo e voltar a entrar no App sem que mais ninguém veja seus dados, verificamos sua identidade.\n\n👉 Me mande uma mensagem assim:\n*PIN 1234 CI <SuaCédula>*\n\n_(Troque 1234 pelo seu novo número e coloque o número da sua cédula)._ 😉'
+    },
+
+    // === REPORTS & EXPORTS ===
+    month_name: {
+        es: (m) => ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'][m],
+        gn: (m) => ['Jasyteĩ', 'Jasykõi', 'Jasyapy', 'Jasyrundy', 'Jasypo', 'Jasypoteĩ', 'Jasypokõi', 'Jasypoapy', 'Jasyporundy', 'Jasypa', 'Jasypateĩ', 'Jasypakõi'][m],
+        pt: (m) => ['Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho', 'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'][m]
+    },
+    report_ready: {
+        es: (month, year, url) => `📄 *Reporte de ${month} ${year}*\n\nTu reporte PDF está listo para descargar:\n\n🔗 ${url}\n\nIncluye:\n• Resumen de ventas (contado y fiado)\n• Lista de deudores\n• Clientes principales\n• Tu NexoScore\n\n_Hacé click en el link para descargarlo_`,
+        gn: (month, year, url) => `📄 *Reporte ${month} ${year}*\n\nNde reporte PDF oĩma emboguejy haguã:\n\n🔗 ${url}\n\nOguereko:\n• Venta resumen (contado ha fiado)\n• Ojedebéva lista\n• Cliente tenondegua\n• Nde NexoScore\n\n_Eñemi link-pe emboguejy haguã_`,
+        pt: (month, year, url) => `📄 *Relatório de ${month} ${year}*\n\nSeu relatório em PDF está pronto para baixar:\n\n🔗 ${url}\n\nInclui:\n• Resumo de vendas (à vista e fiado)\n• Lista de devedores\n• Principais clientes\n• Seu NexoScore\n\n_Clique no link para baixar_`
+    },
+    export_debtors_ready: {
+        es: (url) => `📊 *Excel de Deudores* listo!\n\n🔗 ${url}\n\nIncluye:\n• Lista completa de deudores\n• Monto de cada deuda\n• Nivel de riesgo\n• Fecha de última transacción\n\n_Hacé click para descargar el .xlsx_`,
+        gn: (url) => `📊 *Excel Ojedebéva* oĩma!\n\n🔗 ${url}\n\nOguereko:\n• Ojedebéva lista paite\n• Mbovy ojedebe peteĩteĩ\n• Riesgo\n• Transacción pahague fecha\n\n_Eñemi emboguejy haguã .xlsx_`,
+        pt: (url) => `📊 *Excel de Devedores* pronto!\n\n🔗 ${url}\n\nInclui:\n• Lista completa de devedores\n• Valor de cada dívida\n• Nível de risco\n• Data da última transação\n\n_Clique para baixar o .xlsx_`
+    },
+    export_sales_ready: {
+        es: (url) => `📊 *Excel de Ventas* listo!\n\n🔗 ${url}\n\nIncluye:\n• Todas las operaciones del mes\n• Totales por tipo (contado, fiado, cobros)\n• Filtros y formato profesional\n\n_Hacé click para descargar el .xlsx_`,
+        gn: (url) => `📊 *Excel Venta* oĩma!\n\n🔗 ${url}\n\nOguereko:\n• Ko jasy operación opavave\n• Total tipo rupi (contado, fiado, cobro)\n• Filtro ha formato profesional\n\n_Eñemi emboguejy haguã .xlsx_`,
+        pt: (url) => `📊 *Excel de Vendas* pronto!\n\n🔗 ${url}\n\nInclui:\n• Todas as operações do mês\n• Totais por tipo (à vista, fiado, recebimentos)\n• Filtros e formato profissional\n\n_Clique para baixar o .xlsx_`
+    },
+
+    // === DASHBOARD & PAYMENT LINK ===
+    dashboard_link: {
+        es: (url, hasPin) => `📊 *Tu Panel de Control (Nexo Dashboard)*\n\nAcá podés ver todas tus ventas, deudores y métricas sin salir de WhatsApp:\n\n🔗 ${url}\n\n` +
+            (hasPin
+                ? '_(Nota: El sistema te va a pedir tu PIN de 4 dígitos para entrar)._'
+                : '⚠️ *Aún no tenés un código de seguridad.*\nPara proteger tu información, te recomiendo crear uno.\n👉 Enviame un mensaje que diga: *PIN 1234* (cambiando 1234 por tu número secreto).'),
+        gn: (url, hasPin) => `📊 *Nde Panel de Control (Nexo Dashboard)*\n\nKo'ápe rehecha nde venta, ojedebéva ha métrica WhatsApp-gui resẽ'ỹre:\n\n🔗 ${url}\n\n` +
+            (hasPin
+                ? '_(Nota: Sistema ojerurúta nde PIN 4 dígito reike haguã)._'
+                : '⚠️ *Ndererekói gueteri código de seguridad.*\nRemo\'ã haguã nde información, ejapo peteĩ.\n👉 Emondo chéve: *PIN 1234* (emoambue 1234 nde número ñemiguápe).'),
+        pt: (url, hasPin) => `📊 *Seu Painel de Controle (Nexo Dashboard)*\n\nAqui você vê todas as suas vendas, devedores e métricas sem sair do WhatsApp:\n\n🔗 ${url}\n\n` +
+            (hasPin
+                ? '_(Obs: o sistema vai pedir seu PIN de 4 dígitos para entrar)._'
+                : '⚠️ *Você ainda não tem um código de segurança.*\nPara proteger suas informações, recomendo criar um.\n👉 Me mande uma mensagem assim: *PIN 1234* (trocando 1234 pelo seu número secreto).')
+    },
+    payment_link_no_amount: {
+        es: '🤔 ¿De cuánto querés generar el cobro QR / SIPAP? Ej: "Generame un QR de 50 mil"',
+        gn: '🤔 Mbovýpe rejapose cobro QR / SIPAP? Ej: "Generame un QR de 50 mil"',
+        pt: '🤔 De quanto você quer gerar a cobrança QR / SIPAP? Ex: "Gera um QR de 50 mil"'
+    },
+    payment_link: {
+        es: (name, amount, url) => `🏦 *Tu Link de Cobro SIPAP/QR*\n\n${name ? `👤 Para: ${name}\n` : ''}💰 Monto: ${amount}\n\n📲 Compartí este link con tu cliente para que te pague al instante:\n🔗 ${url}\n\n_(La app te avisará apenas el cliente transfiera 😉)_`,
+        gn: (name, amount, url) => `🏦 *Nde Link de Cobro SIPAP/QR*\n\n${name ? `👤 ${name}-pe guarã\n` : ''}💰 Mbovy: ${amount}\n\n📲 Emondo ko link nde cliente-pe ohepaga haguã pya'e:\n🔗 ${url}\n\n_(App ha'éta ndéve cliente otransferi vove 😉)_`,
+        pt: (name, amount, url) => `🏦 *Seu Link de Cobrança SIPAP/QR*\n\n${name ? `👤 Para: ${name}\n` : ''}💰 Valor: ${amount}\n\n📲 Compartilhe este link com seu cliente para ele pagar na hora:\n🔗 ${url}\n\n_(O app te avisa assim que o cliente transferir 😉)_`
+    },
+
+    // === CUSTOMER KYC ===
+    cedula_missing: {
+        es: '🤔 Necesito el nombre y el número de cédula. Ej: \'Cédula de Carlos es 1234567\'',
+        gn: '🤔 Aikotevẽ héra ha cédula número. Ej: \'Cédula de Carlos es 1234567\'',
+        pt: '🤔 Preciso do nome e do número da cédula. Ex: \'Cédula do Carlos é 1234567\''
+    },
+    bureau_result: {
+        es: (level) => ({
+            limpio: '🟢 *Historial Limpio*: No registra morosidad activa en el sistema financiero.',
+            alerta: '🟡 *Atención*: Registra pequeños atrasos recientes en telefonías o electrodomésticos.',
+            informconf: '🔴 *Cuidado (Informconf)*: Registra operaciones morosas graves o demandas no resueltas.'
+        })[level],
+        gn: (level) => ({
+            limpio: '🟢 *Historial Limpio*: Ndoguerekói morosidad sistema financiero-pe.',
+            alerta: '🟡 *Ema\'ẽ*: Oguereko atraso michĩ telefonía térã electrodoméstico-pe.',
+            informconf: '🔴 *Cuidado (Informconf)*: Oguereko operación morosa vai térã demanda oñesolusiona\'ỹva.'
+        })[level],
+        pt: (level) => ({
+            limpio: '🟢 *Histórico Limpo*: Não registra inadimplência ativa no sistema financeiro.',
+            alerta: '🟡 *Atenção*: Registra pequenos atrasos recentes em telefonia ou eletrodomésticos.',
+            informconf: '🔴 *Cuidado (Informconf)*: Registra inadimplências graves ou processos não resolvidos.'
+        })[level]
+    },
+    cedula_saved: {
+        es: (name, cedula, bureau) => `🛡️ *Identidad Guardada (KYC)*\n\n👤 Cliente: ${name}\n🪪 Cédula: ${cedula}\n\n🔍 *Chequeo Automático de Crédito:*\n${bureau}\n\n_(Esta info te ayuda a decidir si darle fiado o no)_`,
+        gn: (name, cedula, bureau) => `🛡️ *Identidad oñeñongatu (KYC)*\n\n👤 Cliente: ${name}\n🪪 Cédula: ${cedula}\n\n🔍 *Crédito jehecha automático:*\n${bureau}\n\n_(Ko info nepytyvõ reikuaa haguã refiátapa térãpa nahániri)_`,
+        pt: (name, cedula, bureau) => `🛡️ *Identidade Guardada (KYC)*\n\n👤 Cliente: ${name}\n🪪 Cédula: ${cedula}\n\n🔍 *Checagem Automática de Crédito:*\n${bureau}\n\n_(Essa informação te ajuda a decidir se vende fiado ou não)_`
+    },
+
+    // === DAILY SUMMARY (detail) ===
+    weekday_name: {
+        es: (d) => ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'][d],
+        gn: (d) => ['Arateĩ', 'Arakõi', 'Araapy', 'Ararundy', 'Arapo', 'Arapoteĩ', 'Arapokõi'][d],
+        pt: (d) => ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'][d]
+    },
+    month_short: {
+        es: (m) => ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'][m],
+        gn: (m) => ['Jteĩ', 'Jkõi', 'Japy', 'Jrun', 'Jpo', 'Jpteĩ', 'Jpkõi', 'Jpapy', 'Jprun', 'Jpa', 'Jpateĩ', 'Jpakõi'][m],
+        pt: (m) => ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'][m]
+    },
+    summary_intro: {
+        es: (name) => `Hola ${name}! Acá va tu resumen:`,
+        gn: (name) => `Mba'éichapa ${name}! Ko'ápe nde resumen:`,
+        pt: (name) => `Olá ${name}! Aqui vai seu resumo:`
+    },
+    summary_sales: {
+        es: (amount, trend, pct) => `💰 *Ventas: ${amount}* ${trend}${pct !== null ? ` (${pct >= 0 ? '+' : ''}${pct}% vs ayer)` : ''}`,
+        gn: (amount, trend, pct) => `💰 *Venta: ${amount}* ${trend}${pct !== null ? ` (${pct >= 0 ? '+' : ''}${pct}% kuehe ndive)` : ''}`,
+        pt: (amount, trend, pct) => `💰 *Vendas: ${amount}* ${trend}${pct !== null ? ` (${pct >= 0 ? '+' : ''}${pct}% vs ontem)` : ''}`
+    },
+    summary_mix: {
+        es: (cashPct) => `📊 Contado ${cashPct}% · Fiado ${100 - cashPct}%`,
+        gn: (cashPct) => `📊 Contado ${cashPct}% · Fiado ${100 - cashPct}%`,
+        pt: (cashPct) => `📊 À vista ${cashPct}% · Fiado ${100 - cashPct}%`
+    },
+    summary_ops: {
+        es: (n) => `🧾 Operaciones: ${n}`,
+        gn: (n) => `🧾 Operación: ${n}`,
+        pt: (n) => `🧾 Operações: ${n}`
+    },
+    summary_debt: {
+        es: (amount) => `📋 *Deuda pendiente: ${amount}*`,
+        gn: (amount) => `📋 *Deuda pendiente: ${amount}*`,
+        pt: (amount) => `📋 *Dívida pendente: ${amount}*`
+    },
+    summary_tip: {
+        es: (tip) => `💡 *Tip:* ${tip}`,
+        gn: (tip) => `💡 *Consejo:* ${tip}`,
+        pt: (tip) => `💡 *Dica:* ${tip}`
+    },
+    summary_close: {
+        es: (name) => `¡Buen trabajo, ${name}!`,
+        gn: (name) => `Rembaapo porã, ${name}!`,
+        pt: (name) => `Bom trabalho, ${name}!`,
+        'es-AR': (name) => `¡Buenísimo, ${name}! Mañana seguimos.`
+    },
+    tip_credit_heavy: {
+        es: 'Hoy fiaste más de lo que cobraste al contado. Intentá pedir al menos un 30% de entrada en los fiados.',
+        gn: 'Ko\'ára refia hetave recobrágui contado. Eha\'ã rejerure 30% entrada fiado-pe.',
+        pt: 'Hoje você vendeu mais fiado do que recebeu à vista. Tente pedir pelo menos 30% de entrada nos fiados.'
+    },
+    tip_high_debt: {
+        es: (debt) => `Tenés ${debt} en deudas pendientes. Respondé "deudas" para ver el detalle y mandar recordatorios.`,
+        gn: (debt) => `Rereko ${debt} deuda pendiente. Ehai "deudas" rehecha haguã ha remondo haguã recordatorio.`,
+        pt: (debt) => `Você tem ${debt} em dívidas pendentes. Responda "dívidas" para ver o detalhe e mandar lembretes.`
+    },
+    tip_good_collection: {
+        es: '¡Cobraste más de lo que fiaste hoy! Excelente gestión de cobranza 💪',
+        gn: 'Ko\'ára recobra hetave refiágui! Cobranza porãiterei 💪',
+        pt: 'Você recebeu mais do que fiou hoje! Excelente gestão de cobrança 💪'
+    },
+    tip_many_debtors: {
+        es: (n) => `Tenés ${n} clientes que te deben. Respondé "recordatorio Carlos" para enviar un recordatorio automático.`,
+        gn: (n) => `Rereko ${n} cliente ojedebéva ndéve. Ehai "recordatorio Carlos" remondo haguã recordatorio automático.`,
+        pt: (n) => `Você tem ${n} clientes que te devem. Responda "lembrete Carlos" para enviar um lembrete automático.`
+    },
+    tips_generic: {
+        es: [
+            'Registrá todas tus ventas para tener un NexoScore más alto. Las cooperativas lo usan para darte crédito.',
+            'Podés pedir tu resumen semanal escribiendo "cómo me fue esta semana".',
+            'Tu historial de ventas en NexoBot te puede ayudar a conseguir financiamiento.',
+            'Respondé "ayuda" para conocer todo lo que puedo hacer por tu negocio.'
+        ],
+        gn: [
+            'Ehai opavave nde venta reguereko haguã NexoScore yvateve. Cooperativa kuéra oipuru ome\'ẽ haguã ndéve crédito.',
+            'Ikatu rejerure nde resumen semanal rehaívo "cómo me fue esta semana".',
+            'Nde historial de venta NexoBot-pe nepytyvõkuaa rehupyty haguã financiamiento.',
+            'Ehai "pytyvõ" reikuaa haguã opa mba\'e ikatúva ajapo nde negocio-pe guarã.'
+        ],
+        pt: [
+            'Registre todas as suas vendas para ter um NexoScore mais alto. As cooperativas usam ele para te dar crédito.',
+            'Você pode pedir seu resumo semanal escrevendo "como foi a semana".',
+            'Seu histórico de vendas no NexoBot pode te ajudar a conseguir financiamento.',
+            'Responda "ajuda" para conhecer tudo o que eu posso fazer pelo seu negócio.'
+        ]
+    },
+
+    // === SMART ALERTS ===
+    alerts_title: {
+        es: '🧠 *Alertas inteligentes*',
+        gn: '🧠 *Alerta arandu*',
+        pt: '🧠 *Alertas inteligentes*'
+    },
+    alerts_intro: {
+        es: (name) => `Hola ${name}, NexoBot detectó lo siguiente:`,
+        gn: (name) => `Mba'éichapa ${name}, NexoBot ohecha ko'ã mba'e:`,
+        pt: (name) => `Olá ${name}, o NexoBot detectou o seguinte:`
+    },
+    alerts_reorder_title: {
+        es: (days) => `🛒 *Sugerencia de pedido* (para ~${days} días):`,
+        gn: (days) => `🛒 *Pedido rejapo va'erã* (~${days} árape guarã):`,
+        pt: (days) => `🛒 *Sugestão de pedido* (para ~${days} dias):`
+    },
+    alerts_footer: {
+        es: '_Respondé "ayuda" para aprender a usar estos datos._',
+        gn: '_Ehai "pytyvõ" reikuaa haguã mba\'éichapa reipurúta ko\'ã dato._',
+        pt: '_Responda "ajuda" para aprender a usar esses dados._'
+    },
+    alert_overdue_week: {
+        es: (name, amount) => `*${name}* tiene ${amount} vencidos hace *1 semana*. ¿Le mandamos recordatorio?`,
+        gn: (name, amount) => `*${name}* oguereko ${amount} opa *1 semana* ohasáva. Romondópa chupe recordatorio?`,
+        pt: (name, amount) => `*${name}* tem ${amount} vencidos há *1 semana*. Mandamos um lembrete?`
+    },
+    alert_overdue_2weeks: {
+        es: (name, amount) => `*${name}* lleva *2 semanas* de atraso (${amount}). Considerá contactarle directamente.`,
+        gn: (name, amount) => `*${name}* oguereko *2 semana* atraso (${amount}). Eñe'ẽ chupe directamente.`,
+        pt: (name, amount) => `*${name}* está com *2 semanas* de atraso (${amount}). Considere falar com ele diretamente.`
+    },
+    alert_overdue_month: {
+        es: (name, amount) => `*${name}* tiene ${amount} vencidos hace *1 mes*. Riesgo alto de no cobrar.`,
+        gn: (name, amount) => `*${name}* oguereko ${amount} opa *1 jasy* ohasáva. Riesgo yvate nderecobrái haguã.`,
+        pt: (name, amount) => `*${name}* tem ${amount} vencidos há *1 mês*. Risco alto de não receber.`
+    },
+    alert_many_overdue: {
+        es: (n, amount) => `Tenés *${n} clientes* con más de 2 semanas de atraso, total vencido: ${amount}. Respondé "deudas" para ver la lista.`,
+        gn: (n, amount) => `Rereko *${n} cliente* 2 semana atraso ári, total opa vaekue: ${amount}. Ehai "deudas" rehecha haguã lista.`,
+        pt: (n, amount) => `Você tem *${n} clientes* com mais de 2 semanas de atraso, total vencido: ${amount}. Responda "dívidas" para ver a lista.`
+    },
+    alert_sales_high: {
+        es: (amount, pct) => `¡Ayer fue un *gran día*! Vendiste ${amount}, *${pct}%* de tu promedio. ¡Seguí así!`,
+        gn: (amount, pct) => `Kuehe *ára porã* kuri! Revende ${amount}, *${pct}%* nde promedio. Segui péicha!`,
+        pt: (amount, pct) => `Ontem foi um *grande dia*! Você vendeu ${amount}, *${pct}%* da sua média. Continue assim!`
+    },
+    alert_sales_low: {
+        es: (amount, avg) => `Ayer vendiste ${amount}, bastante menos que tu promedio de ${avg}. ¿Todo bien?`,
+        gn: (amount, avg) => `Kuehe revende ${amount}, sa'ive nde promedio ${avg}-gui. Oĩporãpa opa mba'e?`,
+        pt: (amount, avg) => `Ontem você vendeu ${amount}, bem menos que sua média de ${avg}. Tudo bem?`
+    },
+    alert_plata: {
+        es: (debt, ratio) => `Tu deuda pendiente (${debt}) es *${ratio}x* tus ventas semanales al contado. Considerá cobrar antes de fiar más.`,
+        gn: (debt, ratio) => `Nde deuda pendiente (${debt}) ha'e *${ratio}x* nde venta semanal contado. Ecobra raẽ refia jey mboyve.`,
+        pt: (debt, ratio) => `Sua dívida pendente (${debt}) é *${ratio}x* suas vendas semanais à vista. Considere cobrar antes de fiar mais.`
+    },
+    alert_collection_window: {
+        es: (name, avgDays, daysSince, debt) => `*${name}* suele pagar a los ${avgDays} días. Hoy es el día ${daysSince}. Buen momento para recordarle su deuda de ${debt}.`,
+        gn: (name, avgDays, daysSince, debt) => `*${name}* ohepagakuri ${avgDays} ára rire. Ko'ára ha'e ára ${daysSince}. Momento porã remomandu'a haguã chupe ideuda ${debt}.`,
+        pt: (name, avgDays, daysSince, debt) => `*${name}* costuma pagar em ${avgDays} dias. Hoje é o dia ${daysSince}. Bom momento para lembrar da dívida de ${debt}.`
+    },
+    alert_milestone_top: {
+        es: (amount, count, name) => `¡Semana increíble! Vendiste ${amount} en ${count} operaciones. ¡Sos un crack, ${name}! 🎉`,
+        gn: (amount, count, name) => `Semana porãiterei! Revende ${amount} ${count} operación-pe. Nde crack, ${name}! 🎉`,
+        pt: (amount, count, name) => `Semana incrível! Você vendeu ${amount} em ${count} operações. Você é fera, ${name}! 🎉`,
+        'es-AR': (amount, count, name) => `¡Semana bárbara! Vendiste ${amount} en ${count} operaciones. ¡Sos un crack, ${name}! 🎉`
+    },
+    alert_milestone_great: {
+        es: (amount, count) => `¡Gran semana! ${amount} en ventas con ${count} operaciones. ¡Seguí así! 💪`,
+        gn: (amount, count) => `Semana porã! ${amount} venta ${count} operación ndive. Segui péicha! 💪`,
+        pt: (amount, count) => `Ótima semana! ${amount} em vendas com ${count} operações. Continue assim! 💪`
+    },
+    alert_milestone_good: {
+        es: (amount) => `Buena semana: ${amount} en ventas. Cada semana es más fácil con NexoBot 📈`,
+        gn: (amount) => `Semana porã: ${amount} venta. Semana ha semana hasy'ive NexoBot ndive 📈`,
+        pt: (amount) => `Boa semana: ${amount} em vendas. Cada semana fica mais fácil com o NexoBot 📈`
+    },
+    alert_stock_min: {
+        es: (stock, product, min) => `Te quedan *${stock}* de *${product}* (tu mínimo es ${min}).`,
+        gn: (stock, product, min) => `Opyta *${stock}* *${product}* (nde mínimo ha'e ${min}).`,
+        pt: (stock, product, min) => `Restam *${stock}* de *${product}* (seu mínimo é ${min}).`
+    },
+    alert_stock_rate: {
+        es: (stock, product, rate) => `Te quedan *${stock}* de *${product}* y vendés unas ${rate} por día.`,
+        gn: (stock, product, rate) => `Opyta *${stock}* *${product}* ha revende ${rate} ára ha ára.`,
+        pt: (stock, product, rate) => `Restam *${stock}* de *${product}* e você vende umas ${rate} por dia.`
+    },
+    alert_stock_out: {
+        es: ' Ya no te queda.',
+        gn: ' Ndopytavéima.',
+        pt: ' Já acabou.'
+    },
+    alert_stock_days: {
+        es: (days) => ` Al ritmo actual te alcanza para *${days} día${days === 1 ? '' : 's'}*.`,
+        gn: (days) => ` Ko ritmo-pe ohupyty *${days} ára* peguarã.`,
+        pt: (days) => ` No ritmo atual dá para *${days} dia${days === 1 ? '' : 's'}*.`
+    },
+
+    // === MULTI-BUSINESS ===
+    biz_only_one: {
+        es: 'Solo tenés un negocio registrado.\n\nPara agregar otro, escribí:\n_"agregar negocio [nombre del negocio]"_',
+        gn: 'Rereko peteĩ negocio añónte.\n\nEmoĩ haguã ambue, ehai:\n_"agregar negocio [negocio réra]"_',
+        pt: 'Você só tem um negócio registrado.\n\nPara adicionar outro, escreva:\n_"agregar negocio [nome do negócio]"_'
+    },
+    biz_not_found: {
+        es: (lines) => `⚠️ No encontré un negocio con ese nombre.\n\nTus negocios:\n${lines.join('\n')}\n\n_Escribí "cambiar a [nombre]"_`,
+        gn: (lines) => `⚠️ Ndajuhúi negocio upe héra ndive.\n\nNde negocio kuéra:\n${lines.join('\n')}\n\n_Ehai "cambiar a [héra]"_`,
+        pt: (lines) => `⚠️ Não encontrei um negócio com esse nome.\n\nSeus negócios:\n${lines.join('\n')}\n\n_Escreva "cambiar a [nome]"_`
+    },
+    biz_switched: {
+        es: (name, sales, city) => `✅ *Cambiaste a: ${name}*\n\nTodas las ventas, cobros y consultas ahora se registran en este negocio.\n\n📊 Ventas totales: ${sales}\n📍 ${city || 'Sin ciudad'}\n\n_Para volver, escribí "cambiar a [otro negocio]"_`,
+        gn: (name, sales, city) => `✅ *Reñemoambue: ${name}*\n\nOpavave venta, cobro ha consulta ko'ágã oñeregistra ko negocio-pe.\n\n📊 Venta opavave: ${sales}\n📍 ${city || 'Ciudad\'ỹre'}\n\n_Rejevy haguã, ehai "cambiar a [ambue negocio]"_`,
+        pt: (name, sales, city) => `✅ *Você mudou para: ${name}*\n\nTodas as vendas, recebimentos e consultas agora ficam neste negócio.\n\n📊 Vendas totais: ${sales}\n📍 ${city || 'Sem cidade'}\n\n_Para voltar, escreva "cambiar a [outro negócio]"_`
+    },
+    biz_unavailable: {
+        es: 'Base de datos no disponible',
+        gn: 'Base de datos ndaipóri ko\'ágã',
+        pt: 'Banco de dados indisponível'
+    },
+    biz_create_failed: {
+        es: 'Error al crear el negocio',
+        gn: 'Error ojejapóvo negocio',
+        pt: 'Erro ao criar o negócio'
+    },
+    biz_created: {
+        es: (name, city) => `🏪 *¡Nuevo negocio creado!*\n\n📋 ${name}\n📍 ${city || ''}\n\nYa estás usando este negocio. Todas las ventas y cobros se registran acá.\n\n_Para cambiar de negocio, escribí "mis negocios"_`,
+        gn: (name, city) => `🏪 *Negocio pyahu oĩma!*\n\n📋 ${name}\n📍 ${city || ''}\n\nKo'ágã reipuru ko negocio. Opavave venta ha cobro oñeregistra ko'ápe.\n\n_Remoambue haguã negocio, ehai "mis negocios"_`,
+        pt: (name, city) => `🏪 *Novo negócio criado!*\n\n📋 ${name}\n📍 ${city || ''}\n\nVocê já está usando este negócio. Todas as vendas e recebimentos ficam aqui.\n\n_Para mudar de negócio, escreva "mis negocios"_`
+    },
+    biz_list_single: {
+        es: (name) => `🏪 Tenés *1 negocio* registrado: *${name}*\n\nPara agregar otro, escribí:\n_"agregar negocio Distribuidora López"_`,
+        gn: (name) => `🏪 Rereko *1 negocio*: *${name}*\n\nEmoĩ haguã ambue, ehai:\n_"agregar negocio Distribuidora López"_`,
+        pt: (name) => `🏪 Você tem *1 negócio* registrado: *${name}*\n\nPara adicionar outro, escreva:\n_"agregar negocio Distribuidora López"_`
+    },
+    biz_list_title: {
+        es: '🏪 *Tus negocios:*',
+        gn: '🏪 *Nde negocio kuéra:*',
+        pt: '🏪 *Seus negócios:*'
+    },
+    biz_active: { es: '_(activo)_', gn: '_(ko\'ágã)_', pt: '_(ativo)_' },
+    biz_sales: {
+        es: (amount) => `Ventas: ${amount}`,
+        gn: (amount) => `Venta: ${amount}`,
+        pt: (amount) => `Vendas: ${amount}`
+    },
+    biz_list_footer: {
+        es: '_Para cambiar, escribí "cambiar a [nombre]"_\n_Para agregar, escribí "agregar negocio [nombre]"_',
+        gn: '_Remoambue haguã, ehai "cambiar a [héra]"_\n_Emoĩ haguã, ehai "agregar negocio [héra]"_',
+        pt: '_Para mudar, escreva "cambiar a [nome]"_\n_Para adicionar, escreva "agregar negocio [nome]"_'
+    },
+    biz_switch_no_name: {
+        es: '📱 Decime a qué negocio querés cambiar.\n\n_Ej: "cambiar a Distribuidora López"_\n\n_O escribí "mis negocios" para ver la lista_',
+        gn: '📱 Ere chéve mba\'e negocio-pe reñemoambuese.\n\n_Ej: "cambiar a Distribuidora López"_\n\n_Térã ehai "mis negocios" rehecha haguã lista_',
+        pt: '📱 Me diz para qual negócio você quer mudar.\n\n_Ex: "cambiar a Distribuidora López"_\n\n_Ou escreva "mis negocios" para ver a lista_'
+    },
+    biz_add_no_name: {
+        es: '🏪 Decime el nombre del nuevo negocio.\n\n_Ej: "agregar negocio Distribuidora López"_',
+        gn: '🏪 Ere chéve negocio pyahu réra.\n\n_Ej: "agregar negocio Distribuidora López"_',
+        pt: '🏪 Me diz o nome do novo negócio.\n\n_Ex: "agregar negocio Distribuidora López"_'
+    },
+
+    // === REFERRALS ===
+    referral_code_error: {
+        es: '❌ Error al obtener tu código de referido.',
+        gn: '❌ Error ahekávo nde código de referido.',
+        pt: '❌ Erro ao obter seu código de indicação.'
+    },
+    referral_code: {
+        es: (code, total) => `🎁 *Tu código de referido:*\n\n\`${code}\`\n\n📊 Referidos activos: *${total}*\n\nCompartí este código con otros comerciantes. Cuando se registren en NexoBot con tu código, ¡ambos ganan!\n\nPara invitar directamente, escribí:\n_"invitar a 0981234567"_`,
+        gn: (code, total) => `🎁 *Nde código de referido:*\n\n\`${code}\`\n\n📊 Referido activo: *${total}*\n\nEmoherakuã ko código ambue comerciante-pe. Oñeregistrávo NexoBot-pe nde código ndive, mokõivéva ogana!\n\nRemoinvita haguã, ehai:\n_"invitar a 0981234567"_`,
+        pt: (code, total) => `🎁 *Seu código de indicação:*\n\n\`${code}\`\n\n📊 Indicações ativas: *${total}*\n\nCompartilhe este código com outros comerciantes. Quando eles se cadastrarem no NexoBot com seu código, os dois ganham!\n\nPara convidar direto, escreva:\n_"invitar a 0981234567"_`
+    },
+    referral_invite_no_phone: {
+        es: '📱 Decime el número de teléfono del comerciante que querés invitar.\n\n_Ej: "invitar a 0981234567"_',
+        gn: '📱 Ere chéve comerciante reinvitaséva teléfono número.\n\n_Ej: "invitar a 0981234567"_',
+        pt: '📱 Me diz o número de telefone do comerciante que você quer convidar.\n\n_Ex: "invitar a 0981234567"_'
+    },
+    referral_not_found: {
+        es: 'Código de referido no encontrado',
+        gn: 'Ndajuhúi código de referido',
+        pt: 'Código de indicação não encontrado'
+    },
+    referral_self: {
+        es: 'No podés usar tu propio código',
+        gn: 'Ndaikatúi reipuru nde código voi',
+        pt: 'Você não pode usar seu próprio código'
+    },
+    referral_new: {
+        es: (code, name) => `🎉 *¡Nuevo referido!*\n\nAlguien se registró usando tu código *${code}*.\n\n¡Gracias por recomendar NexoBot, ${name}! 🙌\n\nSeguí compartiendo tu código para acumular beneficios.`,
+        gn: (code, name) => `🎉 *Referido pyahu!*\n\nPeteĩ oñeregistra nde código *${code}* ndive.\n\nAguyje remomba'e haguére NexoBot, ${name}! 🙌\n\nEmoherakuã nde código rembyaty haguã beneficio.`,
+        pt: (code, name) => `🎉 *Nova indicação!*\n\nAlguém se cadastrou usando seu código *${code}*.\n\nObrigado por recomendar o NexoBot, ${name}! 🙌\n\nContinue compartilhando seu código para acumular benefícios.`
+    },
+    referral_applied: {
+        es: (name) => `✅ ¡Código aplicado! Gracias a ${name} por la recomendación.`,
+        gn: (name) => `✅ Código oñemoĩma! Aguyje ${name}-pe recomendación rehe.`,
+        pt: (name) => `✅ Código aplicado! Obrigado a ${name} pela recomendação.`
+    },
+    referral_invite: {
+        es: (merchant, code) => `👋 Hola! *${merchant}* te invita a usar *NexoBot* 🦄\n\nNexoBot es un asistente por WhatsApp que te ayuda a:\n✅ Registrar tus ventas\n✅ Controlar quién te debe\n✅ Recibir resúmenes diarios de tu negocio\n\nEs *gratis* y se configura en 1 minuto.\n\n📱 Escribile a este número para empezar.\nCuando te pregunte, usá el código: *${code}*\n\n_Enviado por NexoBot en nombre de ${merchant}_`,
+        gn: (merchant, code) => `👋 Mba'éichapa! *${merchant}* neinvita reipuru haguã *NexoBot* 🦄\n\nNexoBot ha'e pytyvõhára WhatsApp-pe nepytyvõva:\n✅ Rehai haguã nde venta\n✅ Reikuaa haguã máva ojedebe ndéve\n✅ Rehupyty haguã resumen ára ha ára\n\n*Gratis* ha oñeconfigura 1 minuto-pe.\n\n📱 Ehai ko número-pe reñepyrũ haguã.\nOporandu vove, eipuru código: *${code}*\n\n_Omondo NexoBot ${merchant} rérape_`,
+        pt: (merchant, code) => `👋 Olá! *${merchant}* te convida para usar o *NexoBot* 🦄\n\nO NexoBot é um assistente no WhatsApp que te ajuda a:\n✅ Registrar suas vendas\n✅ Controlar quem te deve\n✅ Receber resumos diários do seu negócio\n\nÉ *grátis* e se configura em 1 minuto.\n\n📱 Escreva para este número para começar.\nQuando ele perguntar, use o código: *${code}*\n\n_Enviado pelo NexoBot em nome de ${merchant}_`
+    },
+    referral_invite_sent: {
+        es: (phone, code) => `✅ *Invitación enviada* a ${phone}\n\nTu código de referido: *${code}*\nCuando se registre usando tu código, ambos ganan! 🎉`,
+        gn: (phone, code) => `✅ *Invitación oñemondo* ${phone}-pe\n\nNde código de referido: *${code}*\nOñeregistrávo nde código ndive, mokõivéva ogana! 🎉`,
+        pt: (phone, code) => `✅ *Convite enviado* para ${phone}\n\nSeu código de indicação: *${code}*\nQuando ele se cadastrar usando seu código, os dois ganham! 🎉`
+    },
+
+    // === RECEIPTS (photo OCR) ===
+    receipt_download_failed: {
+        es: '⚠️ No pude descargar la imagen. Intentá de nuevo.\n\n_Si querés registrar una compra manualmente, escribí:_\n_"Me llegó 50 unidades de aceite a 15mil c/u"_',
+        gn: '⚠️ Ndaikatúi amboguejy ta\'anga. Eha\'ã jey.\n\n_Rehaise ramo peteĩ compra nde po\'ite, ehai:_\n_"Me llegó 50 unidades de aceite a 15mil c/u"_',
+        pt: '⚠️ Não consegui baixar a imagem. Tente de novo.\n\n_Se quiser registrar uma compra manualmente, escreva:_\n_"Chegaram 50 unidades de óleo a 15 mil cada"_'
+    },
+    receipt_not_invoice: {
+        es: '📸 Recibí tu foto pero *no reconozco una factura o boleta*.\n\nPodés enviarme fotos de:\n📄 Facturas de proveedores\n🧾 Remitos de entrega\n🎫 Tickets de compra\n\n_O registrá manualmente: "Me llegó mercadería de 500 mil"_',
+        gn: '📸 Ahupyty nde ta\'anga ha *ndaikuaái factura térã boleta*.\n\nIkatu remondo chéve ta\'anga:\n📄 Proveedor factura\n🧾 Remito de entrega\n🎫 Ticket de compra\n\n_Térã ehai: "Me llegó mercadería de 500 mil"_',
+        pt: '📸 Recebi sua foto, mas *não reconheço uma nota ou recibo*.\n\nVocê pode me mandar fotos de:\n📄 Notas de fornecedores\n🧾 Romaneios de entrega\n🎫 Cupons de compra\n\n_Ou registre manualmente: "Chegou mercadoria de 500 mil"_'
+    },
+    receipt_scanned: {
+        es: (confidence) => `📄 *¡Boleta escaneada!* (${confidence}% confianza)`,
+        gn: (confidence) => `📄 *Boleta oñeescanea!* (${confidence}% confianza)`,
+        pt: (confidence) => `📄 *Nota escaneada!* (${confidence}% de confiança)`
+    },
+    receipt_type: { es: '📋 Tipo', gn: '📋 Tipo', pt: '📋 Tipo' },
+    receipt_supplier: { es: '🏢 Proveedor', gn: '🏢 Proveedor', pt: '🏢 Fornecedor' },
+    receipt_date: { es: '📅 Fecha', gn: '📅 Fecha', pt: '📅 Data' },
+    receipt_total: { es: '💰 Total', gn: '💰 Total', pt: '💰 Total' },
+    receipt_products: { es: '📦 *Productos:*', gn: '📦 *Producto kuéra:*', pt: '📦 *Produtos:*' },
+    receipt_more_items: {
+        es: (n) => `_... y ${n} más_`,
+        gn: (n) => `_... ha ${n} ambue_`,
+        pt: (n) => `_... e mais ${n}_`
+    },
+    receipt_items_registered: {
+        es: (n) => `✅ *${n} productos* registrados en tu inventario`,
+        gn: (n) => `✅ *${n} producto* oñeregistra nde inventario-pe`,
+        pt: (n) => `✅ *${n} produtos* registrados no seu estoque`
+    },
+    receipt_expense_registered: {
+        es: (amount) => `📝 Compra de *${amount}* registrada automáticamente`,
+        gn: (amount) => `📝 Compra *${amount}* oñeregistra ijehegui`,
+        pt: (amount) => `📝 Compra de *${amount}* registrada automaticamente`
+    },
+    receipt_undo_hint: {
+        es: '_Si algo no está bien, escribí "anular última"_',
+        gn: '_Oĩ ramo mba\'e vai, ehai "anular última"_',
+        pt: '_Se algo não estiver certo, escreva "anular última"_'
+    },
+    receipt_error: {
+        es: '⚠️ Hubo un error procesando la imagen.\n\n_Podés registrar la compra manualmente:_\n_"Me llegó mercadería de 500 mil"_',
+        gn: '⚠️ Oĩ error ta\'anga ndive.\n\n_Ikatu rehai compra nde po\'ite:_\n_"Me llegó mercadería de 500 mil"_',
+        pt: '⚠️ Houve um erro ao processar a imagem.\n\n_Você pode registrar a compra manualmente:_\n_"Chegou mercadoria de 500 mil"_'
+    },
+
+    // === INBOUND MEDIA ===
+    image_not_supported: {
+        es: '📸 Recibí tu imagen, pero por ahora solo proceso fotos de *cédula* durante el registro.\n\nPronto podré leer facturas y remitos también. 🚀\n\nPara registrar operaciones, escribime. Ej:\n_"Vendí 500 mil a Carlos, fiado"_',
+        gn: '📸 Ahupyty nde ta\'anga, ha ko\'ágã amoñe\'ẽkuaa *cédula* ta\'anga añónte registro jave.\n\nPya\'e amoñe\'ẽkuaáta avei factura ha remito. 🚀\n\nRehai haguã operación, ehai chéve. Ej:\n_"Avendé 500 mil Carlos-pe, fiado"_',
+        pt: '📸 Recebi sua imagem, mas por enquanto só processo fotos de *cédula* durante o cadastro.\n\nEm breve vou ler notas e romaneios também. 🚀\n\nPara registrar operações, me escreva. Ex:\n_"Vendi 500 mil pro Carlos, fiado"_'
+    },
+    audio_unheard: {
+        es: '🎙️ No pude escuchar lo que dijiste. ¿Podés repetirme o escribirlo?',
+        gn: '🎙️ Nahenduporãi mba\'épa ere. Ikatúpa ere jey térã rehai?',
+        pt: '🎙️ Não consegui ouvir o que você disse. Pode repetir ou escrever?'
+    },
+    audio_error: {
+        es: '⚠️ Hubo un error al procesar tu audio. Por favor, escribime el mensaje.',
+        gn: '⚠️ Oĩ error nde audio ndive. Ehai chéve pe mensaje, por favor.',
+        pt: '⚠️ Houve um erro ao processar seu áudio. Por favor, me escreva a mensagem.'
+    },
+
+    // === ONBOARDING ===
+    onb_skipped: {
+        es: '⏭️ ¡Dale! Saltamos el registro.\n\nPodés empezar a usar el bot ahora. Escribí *ayuda* para ver qué puedo hacer 💪',
+        gn: '⏭️ Oĩma! Ñasaltea registro.\n\nIkatu reipuru bot ko\'ágã. Ehai *pytyvõ* rehecha haguã mba\'épa ikatu ajapo 💪',
+        pt: '⏭️ Beleza! Pulamos o cadastro.\n\nVocê já pode usar o bot. Escreva *ajuda* para ver o que eu posso fazer 💪'
+    },
+    onb_welcome: {
+        es: '🦄 *¡Bienvenido a NexoFinanzas!* 🇵🇾\n\nSoy *NexoBot*, tu asistente financiero por WhatsApp.\n\n🔒 *Privacidad y Seguridad*\nPara proteger tus datos (Ley N° 6534/20), necesitamos tu consentimiento para procesar tu información transaccional.\n\n👉 *Leé nuestras políticas acá:* https://nexobot-mvp-1.onrender.com/privacy\n\nPara continuar, respondé *ACEPTO* o *SI*.',
+        gn: '🦄 *Eguahẽporã NexoFinanzas-pe!* 🇵🇾\n\nChe ha\'e *NexoBot*, nde pytyvõhára financiero WhatsApp-pe.\n\n🔒 *Privacidad ha Seguridad*\nRoñangareko haguã nde dato rehe (Ley N° 6534/20), roikotevẽ nde consentimiento roprocesa haguã nde información transaccional.\n\n👉 *Emoñe\'ẽ ore política ko\'ápe:* https://nexobot-mvp-1.onrender.com/privacy\n\nReho haguã tenonde, embohovái *ACEPTO* térã *HEẼ*.',
+        pt: '🦄 *Bem-vindo à NexoFinanzas!* 🇵🇾\n\nSou o *NexoBot*, seu assistente financeiro no WhatsApp.\n\n🔒 *Privacidade e Segurança*\nPara proteger seus dados (Lei N° 6534/20), precisamos do seu consentimento para processar suas informações de transações.\n\n👉 *Leia nossas políticas aqui:* https://nexobot-mvp-1.onrender.com/privacy\n\nPara continuar, responda *ACEITO* ou *SIM*.'
+    },
+    onb_terms_required: {
+        es: '⚠️ Es necesario aceptar los términos para brindarte el servicio de NexoBot de forma segura y legal.\n\nRespondé *ACEPTO* para continuar.',
+        gn: '⚠️ Tekotevẽ reaceptá términos rome\'ẽ haguã ndéve NexoBot servicio seguro ha legal.\n\nEmbohovái *ACEPTO* reho haguã tenonde.',
+        pt: '⚠️ É necessário aceitar os termos para oferecer o serviço do NexoBot de forma segura e legal.\n\nResponda *ACEITO* para continuar.'
+    },
+    onb_terms_ok: {
+        es: '✅ ¡Excelente! Vamos a crear tu cuenta en *1 minuto* (8 pasos rápidos).',
+        gn: '✅ Iporãiterei! Jajapóta nde cuenta *1 minuto*-pe (8 paso pya\'e).',
+        pt: '✅ Excelente! Vamos criar sua conta em *1 minuto* (8 passos rápidos).'
+    },
+    onb_step: {
+        es: (bar, n) => n === 8 ? `${bar} Último paso!` : `${bar} Paso ${n} de 8`,
+        gn: (bar, n) => n === 8 ? `${bar} Paso paha!` : `${bar} Paso ${n} 8-gui`,
+        pt: (bar, n) => n === 8 ? `${bar} Último passo!` : `${bar} Passo ${n} de 8`
+    },
+    onb_skip_hint: {
+        es: '_Escribí "saltar" si querés configurar después_',
+        gn: '_Ehai "saltar" reconfiguraséramo upe rire_',
+        pt: '_Escreva "saltar" se quiser configurar depois_'
+    },
+    onb_ask_name: {
+        es: '👤 *¿Cuál es tu nombre completo?*\n_(Ej: "Juan Carlos Pérez González")_',
+        gn: '👤 *Mba\'éichapa nde réra paite?*\n_(Ej: "Juan Carlos Pérez González")_',
+        pt: '👤 *Qual é o seu nome completo?*\n_(Ex: "João Carlos Pereira da Silva")_'
+    },
+    onb_name_invalid: {
+        es: '⚠️ Necesito tu *nombre completo* (nombre y apellido).\n\n👤 *¿Cuál es tu nombre y apellido?*\n_(Ej: "Juan Carlos Pérez")_',
+        gn: '⚠️ Aikotevẽ nde *réra paite* (réra ha apellido).\n\n👤 *Mba\'éichapa nde réra ha apellido?*\n_(Ej: "Juan Carlos Pérez")_',
+        pt: '⚠️ Preciso do seu *nome completo* (nome e sobrenome).\n\n👤 *Qual é o seu nome e sobrenome?*\n_(Ex: "João Carlos Pereira")_'
+    },
+    onb_name_ok: {
+        es: (name) => `👍 *${name}* — ¡un gusto!`,
+        gn: (name) => `👍 *${name}* — vy'apavẽ!`,
+        pt: (name) => `👍 *${name}* — prazer!`
+    },
+    onb_ask_cedula: {
+        es: '🪪 *¿Cuál es tu número de cédula?*\n_(Solo los números, sin puntos. Ej: 4523871)_\n\n📸 *O mejor:* mandame una *foto de tu cédula* y extraigo los datos automáticamente.',
+        gn: '🪪 *Mboy nde cédula número?*\n_(Número añónte, punto\'ỹre. Ej: 4523871)_\n\n📸 *Térã iporãve:* emondo chéve nde *cédula ta\'anga* ha aguenohẽ dato ijehegui.',
+        pt: '🪪 *Qual é o número da sua cédula?*\n_(Só os números, sem pontos. Ex: 4523871)_\n\n📸 *Ou melhor:* me mande uma *foto da sua cédula* e eu extraio os dados automaticamente.'
+    },
+    onb_cedula_invalid: {
+        es: '⚠️ Ese número no parece una cédula válida.\n\n🪪 *Escribí tu número de cédula* (solo los números).\n_(Ej: 4523871)_\n\n📸 O mandame una *foto de tu cédula*.',
+        gn: '⚠️ Upe número ndojoguái cédula válida-pe.\n\n🪪 *Ehai nde cédula número* (número añónte).\n_(Ej: 4523871)_\n\n📸 Térã emondo chéve nde *cédula ta\'anga*.',
+        pt: '⚠️ Esse número não parece uma cédula válida.\n\n🪪 *Escreva o número da sua cédula* (só os números).\n_(Ex: 4523871)_\n\n📸 Ou me mande uma *foto da sua cédula*.'
+    },
+    onb_cedula_ok: {
+        es: (display) => `✅ Cédula: *${display}*`,
+        gn: (display) => `✅ Cédula: *${display}*`,
+        pt: (display) => `✅ Cédula: *${display}*`
+    },
+    onb_ask_email: {
+        es: '📧 *¿Cuál es tu email?*\n_(Ej: juan@gmail.com)_\n\n_Escribí "saltar" si no tenés o querés ponerlo después_',
+        gn: '📧 *Mba\'éichapa nde email?*\n_(Ej: juan@gmail.com)_\n\n_Ehai "saltar" ndererekóiramo térã remoĩseramo upe rire_',
+        pt: '📧 *Qual é o seu email?*\n_(Ex: joao@gmail.com)_\n\n_Escreva "saltar" se não tiver ou quiser colocar depois_'
+    },
+    onb_email_invalid: {
+        es: '⚠️ Ese email no parece válido.\n\n📧 *Escribí tu email correctamente*\n_(Ej: juan@gmail.com)_\n\n_O escribí "saltar" si no tenés_',
+        gn: '⚠️ Upe email ndaha\'éi válido.\n\n📧 *Ehai porã nde email*\n_(Ej: juan@gmail.com)_\n\n_Térã ehai "saltar" ndererekóiramo_',
+        pt: '⚠️ Esse email não parece válido.\n\n📧 *Escreva seu email corretamente*\n_(Ex: joao@gmail.com)_\n\n_Ou escreva "saltar" se não tiver_'
+    },
+    onb_email_skipped: {
+        es: '👍 Sin problema, podés agregarlo después.',
+        gn: '👍 Ndaipóri problema, ikatu remoĩ upe rire.',
+        pt: '👍 Sem problema, você pode adicionar depois.'
+    },
+    onb_email_ok: {
+        es: (email) => `✅ Email: *${email}*`,
+        gn: (email) => `✅ Email: *${email}*`,
+        pt: (email) => `✅ Email: *${email}*`
+    },
+    onb_ask_address: {
+        es: '🏠 *¿Cuál es tu dirección?*\n_(Calle, número, barrio. Ej: "Av. Mariscal López 1234, Barrio Jara")_',
+        gn: '🏠 *Moõpa reiko?*\n_(Calle, número, barrio. Ej: "Av. Mariscal López 1234, Barrio Jara")_',
+        pt: '🏠 *Qual é o seu endereço?*\n_(Rua, número, bairro. Ex: "Av. Mariscal López 1234, Barrio Jara")_'
+    },
+    onb_address_invalid: {
+        es: '⚠️ Necesito una dirección más completa.\n\n🏠 *Escribí tu dirección* (calle, número, barrio).\n_(Ej: "Av. Mariscal López 1234, Barrio Jara")_',
+        gn: '⚠️ Aikotevẽ dirección completave.\n\n🏠 *Ehai nde dirección* (calle, número, barrio).\n_(Ej: "Av. Mariscal López 1234, Barrio Jara")_',
+        pt: '⚠️ Preciso de um endereço mais completo.\n\n🏠 *Escreva seu endereço* (rua, número, bairro).\n_(Ex: "Av. Mariscal López 1234, Barrio Jara")_'
+    },
+    onb_address_ok: {
+        es: '✅ Dirección registrada.',
+        gn: '✅ Dirección oñeregistra.',
+        pt: '✅ Endereço registrado.'
+    },
+    onb_ask_city: {
+        es: '📍 *¿En qué ciudad estás?*\n_(Ej: Asunción, Ciudad del Este, Encarnación, Luque...)_',
+        gn: '📍 *Mba\'e táva-pe reime?*\n_(Ej: Asunción, Ciudad del Este, Encarnación, Luque...)_',
+        pt: '📍 *Em que cidade você está?*\n_(Ex: Ciudad del Este, Pedro Juan Caballero, Salto del Guairá...)_'
+    },
+    onb_city_ok: {
+        es: (city) => `📍 *${city}* — perfecto!`,
+        gn: (city) => `📍 *${city}* — iporã!`,
+        pt: (city) => `📍 *${city}* — perfeito!`
+    },
+    onb_ask_business_type: {
+        es: '🏪 *¿Qué tipo de negocio tenés?*\n\nRespondé con el número:\n1️⃣ Almacén / Supermercado\n2️⃣ Despensa / Minimarket\n3️⃣ Distribuidora\n4️⃣ Kiosco\n5️⃣ Ferretería\n6️⃣ Farmacia\n7️⃣ Restaurante / Bar\n8️⃣ Taller / Servicio\n9️⃣ Otro',
+        gn: '🏪 *Mba\'e negocio-pa rereko?*\n\nEmbohovái número ndive:\n1️⃣ Almacén / Supermercado\n2️⃣ Despensa / Minimarket\n3️⃣ Distribuidora\n4️⃣ Kiosco\n5️⃣ Ferretería\n6️⃣ Farmacia\n7️⃣ Restaurante / Bar\n8️⃣ Taller / Servicio\n9️⃣ Ambue',
+        pt: '🏪 *Que tipo de negócio você tem?*\n\nResponda com o número:\n1️⃣ Armazém / Supermercado\n2️⃣ Mercearia / Minimercado\n3️⃣ Distribuidora\n4️⃣ Banca / Quiosque\n5️⃣ Loja de ferragens\n6️⃣ Farmácia\n7️⃣ Restaurante / Bar\n8️⃣ Oficina / Serviço\n9️⃣ Outro'
+    },
+    onb_business_type_question: {
+        es: '🏪 *¿Qué tipo de negocio tenés?*\n\nTocá *Ver opciones* o respondé con el número.',
+        gn: '🏪 *Mba\'e negocio-pa rereko?*\n\nEpoko *Ehecha opción* térã embohovái número ndive.',
+        pt: '🏪 *Que tipo de negócio você tem?*\n\nToque em *Ver opções* ou responda com o número.'
+    },
+    onb_business_types: {
+        es: ['Almacén / Supermercado', 'Despensa / Minimarket', 'Distribuidora', 'Kiosco', 'Ferretería', 'Farmacia', 'Restaurante / Bar', 'Taller / Servicio', 'Otro'],
+        gn: ['Almacén / Supermercado', 'Despensa / Minimarket', 'Distribuidora', 'Kiosco', 'Ferretería', 'Farmacia', 'Restaurante / Bar', 'Taller / Servicio', 'Ambue'],
+        pt: ['Armazém / Supermercado', 'Mercearia / Minimercado', 'Distribuidora', 'Banca / Quiosque', 'Loja de ferragens', 'Farmácia', 'Restaurante / Bar', 'Oficina / Serviço', 'Outro']
+    },
+    onb_business_type_ok: {
+        es: (type) => `✅ Tipo: *${type}*`,
+        gn: (type) => `✅ Tipo: *${type}*`,
+        pt: (type) => `✅ Tipo: *${type}*`
+    },
+    onb_ask_business_name: {
+        es: '🏷️ *¿Cómo se llama tu negocio?*\n_(Ej: "Despensa Don Carlos", "Distribuidora López")_',
+        gn: '🏷️ *Mba\'éichapa héra nde negocio?*\n_(Ej: "Despensa Don Carlos", "Distribuidora López")_',
+        pt: '🏷️ *Qual é o nome do seu negócio?*\n_(Ex: "Mercearia Seu Carlos", "Distribuidora López")_'
+    },
+    onb_business_name_ok: {
+        es: (name) => `👍 *${name}* — ¡buenísimo!`,
+        gn: (name) => `👍 *${name}* — iporãiterei!`,
+        pt: (name) => `👍 *${name}* — muito bom!`
+    },
+    onb_ask_volume: {
+        es: '💰 *¿Cuánto vendés aproximadamente por mes?*\n\nRespondé con el número:\n1️⃣ Menos de 5 millones Gs.\n2️⃣ 5 a 20 millones Gs.\n3️⃣ 20 a 50 millones Gs.\n4️⃣ 50 a 100 millones Gs.\n5️⃣ Más de 100 millones Gs.',
+        gn: '💰 *Mbovy revende jasy ha jasy?*\n\nEmbohovái número ndive:\n1️⃣ 5 millones Gs. gui sa\'ive\n2️⃣ 5 - 20 millones Gs.\n3️⃣ 20 - 50 millones Gs.\n4️⃣ 50 - 100 millones Gs.\n5️⃣ 100 millones Gs. ári',
+        pt: '💰 *Quanto você vende mais ou menos por mês?*\n\nResponda com o número:\n1️⃣ Menos de 5 milhões Gs.\n2️⃣ 5 a 20 milhões Gs.\n3️⃣ 20 a 50 milhões Gs.\n4️⃣ 50 a 100 milhões Gs.\n5️⃣ Mais de 100 milhões Gs.'
+    },
+    onb_volume_question: {
+        es: '💰 *¿Cuánto vendés aproximadamente por mes?*\n\nTocá *Ver opciones* o respondé con el número.',
+        gn: '💰 *Mbovy revende jasy ha jasy?*\n\nEpoko *Ehecha opción* térã embohovái número ndive.',
+        pt: '💰 *Quanto você vende mais ou menos por mês?*\n\nToque em *Ver opções* ou responda com o número.'
+    },
+    onb_volumes: {
+        es: ['Menos de 5 millones Gs.', '5 a 20 millones Gs.', '20 a 50 millones Gs.', '50 a 100 millones Gs.', 'Más de 100 millones Gs.'],
+        gn: ['5 millones gui sa\'ive', '5 - 20 millones Gs.', '20 - 50 millones Gs.', '50 - 100 millones Gs.', '100 millones Gs. ári'],
+        pt: ['Menos de 5 milhões Gs.', '5 a 20 milhões Gs.', '20 a 50 milhões Gs.', '50 a 100 milhões Gs.', 'Mais de 100 milhões Gs.']
+    },
+    onb_complete: {
+        es: (bar, profile) => `🎉 *¡Registro completo!* ${bar}\n\n📋 Tu perfil NexoFinanzas:\n━━━━━━━━━━━━━━━━━━\n${profile}\n━━━━━━━━━━━━━━━━━━\n\n✅ *Tu cuenta comercial está verificada.*\n\n🎁 *Tu Regalo de Bienvenida:*\nPreparamos un *Manual de Uso Rápido* para que aprendas todos los trucos y atajos ninja del Asistente:\n👉 *Descargalo aquí:* https://nexobot-mvp-1.onrender.com/manual-comerciantes.html\n\n🎓 *Probá tu primer comando ahora mismo:*\nEscribime: *"Vendí 500 mil a Carlos"* y empecemos a hacer plata. 💪`,
+        gn: (bar, profile) => `🎉 *Registro oĩma!* ${bar}\n\n📋 Nde perfil NexoFinanzas:\n━━━━━━━━━━━━━━━━━━\n${profile}\n━━━━━━━━━━━━━━━━━━\n\n✅ *Nde cuenta comercial oñeverifica.*\n\n🎁 *Nde Regalo de Bienvenida:*\nRombosako\'i peteĩ *Manual de Uso Rápido* reikuaa haguã opa truco Asistente rehegua:\n👉 *Emboguejy ko\'ápe:* https://nexobot-mvp-1.onrender.com/manual-comerciantes.html\n\n🎓 *Eha\'ã nde comando peteĩha ko\'ágã voi:*\nEhai chéve: *"Avendé 500 mil Carlos-pe"* ha ñañepyrũ jajapo plata. 💪`,
+        pt: (bar, profile) => `🎉 *Cadastro completo!* ${bar}\n\n📋 Seu perfil NexoFinanzas:\n━━━━━━━━━━━━━━━━━━\n${profile}\n━━━━━━━━━━━━━━━━━━\n\n✅ *Sua conta comercial está verificada.*\n\n🎁 *Seu Presente de Boas-vindas:*\nPreparamos um *Manual de Uso Rápido* para você aprender todos os truques e atalhos do Assistente:\n👉 *Baixe aqui:* https://nexobot-mvp-1.onrender.com/manual-comerciantes.html\n\n🎓 *Teste seu primeiro comando agora mesmo:*\nMe escreva: *"Vendi 500 mil pro Carlos"* e vamos começar a ganhar dinheiro. 💪`
+    },
+    onb_photo_download_failed: {
+        es: '⚠️ No pude descargar la imagen. Intentá de nuevo o escribí tu número de cédula manualmente.\n\n🪪 *¿Cuál es tu número de cédula?*\n_(Ej: 4523871)_',
+        gn: '⚠️ Ndaikatúi amboguejy ta\'anga. Eha\'ã jey térã ehai nde cédula número.\n\n🪪 *Mboy nde cédula número?*\n_(Ej: 4523871)_',
+        pt: '⚠️ Não consegui baixar a imagem. Tente de novo ou escreva o número da sua cédula manualmente.\n\n🪪 *Qual é o número da sua cédula?*\n_(Ex: 4523871)_'
+    },
+    onb_photo_not_cedula: {
+        es: '⚠️ No pude reconocer una cédula en esa imagen.\n\n📸 Intentá con otra foto (más nítida, buena luz), o escribí tu número de cédula manualmente.\n_(Ej: 4523871)_',
+        gn: '⚠️ Ndahechái cédula upe ta\'anga-pe.\n\n📸 Eha\'ã ambue ta\'anga ndive (hesakãve, tesape porã), térã ehai nde cédula número.\n_(Ej: 4523871)_',
+        pt: '⚠️ Não consegui reconhecer uma cédula nessa imagem.\n\n📸 Tente outra foto (mais nítida, com boa luz), ou escreva o número da sua cédula manualmente.\n_(Ex: 4523871)_'
+    },
+    onb_photo_unreadable: {
+        es: '⚠️ Reconocí la cédula pero no pude leer el número claramente.\n\n🪪 *Escribí tu número de cédula manualmente:*\n_(Ej: 4523871)_',
+        gn: '⚠️ Ahecha cédula ha ndaikatúi amoñe\'ẽ porã número.\n\n🪪 *Ehai nde cédula número:*\n_(Ej: 4523871)_',
+        pt: '⚠️ Reconheci a cédula mas não consegui ler o número direito.\n\n🪪 *Escreva o número da sua cédula manualmente:*\n_(Ex: 4523871)_'
+    },
+    onb_photo_ok: {
+        es: '📸 *¡Cédula escaneada con éxito!*',
+        gn: '📸 *Cédula oñeescanea porã!*',
+        pt: '📸 *Cédula escaneada com sucesso!*'
+    },
+    onb_photo_name: { es: '👤 Nombre', gn: '👤 Téra', pt: '👤 Nome' },
+    onb_photo_birth: { es: '📅 Nacimiento', gn: '📅 Heñói', pt: '📅 Nascimento' },
+    onb_photo_confidence: {
+        es: (pct) => `✅ Verificación: ${pct}% confianza`,
+        gn: (pct) => `✅ Verificación: ${pct}% confianza`,
+        pt: (pct) => `✅ Verificação: ${pct}% de confiança`
+    },
+    onb_photo_error: {
+        es: '⚠️ Hubo un error procesando la foto. Escribí tu número de cédula manualmente.\n\n🪪 *¿Cuál es tu número de cédula?*\n_(Ej: 4523871)_',
+        gn: '⚠️ Oĩ error ta\'anga ndive. Ehai nde cédula número.\n\n🪪 *Mboy nde cédula número?*\n_(Ej: 4523871)_',
+        pt: '⚠️ Houve um erro ao processar a foto. Escreva o número da sua cédula manualmente.\n\n🪪 *Qual é o número da sua cédula?*\n_(Ex: 4523871)_'
     },
 
     // === HELP ===
     help_title: {
-        es: `📖 *Guía de NexoBot* 🇵🇾\n━━━━━━━━━━━━━━━━━━\n\n📝 *Venta fiado:*\n_"Vendí 500 mil a Carlos, fiado"_\n_"Le fié 200 mil a María"_\n\n💵 *Venta contado:*\n_"Vendí 300 mil al contado"_\n_"Venta de 1 palo en efectivo"_\n\n💰 *Registrar cobro:*\n_"Cobré 200 mil de María"_\n_"Carlos me pagó 500 mil"_\n\n📋 *Consultar deudas:*\n_"¿Cuánto me deben?"_\n_"¿Quién me debe más?"_\n\n📊 *Resumen:*\n_"¿Cuánto vendí esta semana?"_\n_"¿Cómo me fue hoy?"_\n\n📦 *Inventario:*\n_"Me llegaron 30 cajas de cerveza"_\n\n💡 Podés escribir como quieras, ¡entiendo todo! 🇵🇾`,
-        gn: `📖 *NexoBot Guía* 🇵🇾\n━━━━━━━━━━━━━━━━━━\n\n📝 *Venta fiado:*\n_"Avendé 500 mil Carlos-pe, fiado"_\n_"Afié 200 mil María-pe"_\n\n💵 *Venta contado:*\n_"Avendé 300 mil contado"_\n_"Venta 1 palo efectivo-pe"_\n\n💰 *Cobro:*\n_"Acobra 200 mil María-gui"_\n_"Carlos ohepaga 500 mil"_\n\n📋 *Deuda:*\n_"Mbovy ojedebe chéve?"_\n_"Máva ojedebe chéve?"_\n\n📊 *Resumen:*\n_"Mbovy avendé ko semana?"_\n_"Mba'éichapa che negocio?"_\n\n📦 *Mercadería:*\n_"Oguahẽ 30 caja cerveza"_\n\n💡 Eñe'ẽ chéve nde háicha, aikuaa opavave! 🇵🇾`
+        es: `📖 *Guía de NexoBot* 🇵🇾\n━━━━━━━━━━━━━━━━━━\n\n📝 *Venta fiado:*\n_"Vendí 500 mil a Carlos, fiado"_\n_"Le fié 200 mil a María"_\n_"A pagar el viernes"_ · _"En 4 cuotas semanales"_\n\n💵 *Venta contado:*\n_"Vendí 300 mil al contado"_\n_"Venta de 1 palo en efectivo"_\n\n💰 *Registrar cobro:*\n_"Cobré 200 mil de María"_\n_"Carlos me pagó 500 mil"_\n\n📋 *Consultar deudas:*\n_"¿Cuánto me deben?"_\n_"¿Cuánto me debe Carlos?"_\n_"Mandale el estado de cuenta a Carlos"_\n\n📊 *Resumen:*\n_"¿Cuánto vendí esta semana?"_\n_"¿Cómo me fue hoy?"_\n\n📦 *Inventario:*\n_"Me llegaron 30 cajas de cerveza"_\n_"Avisame cuando queden 5 cocas"_\n\n💡 Podés escribir como quieras, ¡entiendo todo! 🇵🇾`,
+        gn: `📖 *NexoBot Guía* 🇵🇾\n━━━━━━━━━━━━━━━━━━\n\n📝 *Venta fiado:*\n_"Avendé 500 mil Carlos-pe, fiado"_\n_"Afié 200 mil María-pe"_\n_"A pagar el viernes"_ · _"En 4 cuotas semanales"_\n\n💵 *Venta contado:*\n_"Avendé 300 mil contado"_\n_"Venta 1 palo efectivo-pe"_\n\n💰 *Cobro:*\n_"Acobra 200 mil María-gui"_\n_"Carlos ohepaga 500 mil"_\n\n📋 *Deuda:*\n_"Mbovy ojedebe chéve?"_\n_"¿Cuánto me debe Carlos?"_\n_"Mandale el estado de cuenta a Carlos"_\n\n📊 *Resumen:*\n_"Mbovy avendé ko semana?"_\n_"Mba'éichapa che negocio?"_\n\n📦 *Mercadería:*\n_"Oguahẽ 30 caja cerveza"_\n_"Avisame cuando queden 5 cocas"_\n\n💡 Eñe'ẽ chéve nde háicha, aikuaa opavave! 🇵🇾`,
+        pt: `📖 *Guia do NexoBot* 🇧🇷\n━━━━━━━━━━━━━━━━━━\n\n📝 *Venda fiado:*\n_"Vendi 500 mil pro Carlos, fiado"_\n_"Fiei 200 mil pra Maria"_\n_"Pra pagar na sexta"_ · _"Em 4 parcelas semanais"_\n\n💵 *Venda à vista:*\n_"Vendi 300 mil à vista"_\n_"Venda de 200 conto no dinheiro"_\n\n💰 *Registrar recebimento:*\n_"Recebi 200 mil da Maria"_\n_"O Carlos me pagou 500 mil"_\n\n📋 *Consultar dívidas:*\n_"Quanto me devem?"_\n_"Quanto o Carlos me deve?"_\n_"Manda o extrato pro Carlos"_\n\n📊 *Resumo:*\n_"Quanto vendi essa semana?"_\n_"Como foi hoje?"_\n\n📦 *Estoque:*\n_"Chegaram 30 caixas de cerveja"_\n_"Me avisa quando sobrarem 5 cocas"_\n\n💡 Pode escrever do seu jeito, eu entendo! 🇧🇷🇵🇾`,
+        'es-AR': `📖 *Guía de NexoBot* 🇦🇷\n━━━━━━━━━━━━━━━━━━\n\n📝 *Venta fiado:*\n_"Vendí 50 lucas a Carlos, fiado"_\n_"Le fié 20 lucas a María"_\n_"A pagar el viernes"_ · _"En 4 cuotas semanales"_\n\n💵 *Venta contado:*\n_"Vendí 30 lucas al contado"_\n_"Venta de 1 palo en efectivo"_\n\n💰 *Registrar cobro:*\n_"Cobré 20 lucas de María"_\n_"Carlos me pagó 50 lucas"_\n\n📋 *Consultar deudas:*\n_"¿Cuánto me deben?"_\n_"¿Cuánto me debe Carlos?"_\n_"Mandale el estado de cuenta a Carlos"_\n\n📊 *Resumen:*\n_"¿Cuánto vendí esta semana?"_\n_"¿Cómo me fue hoy?"_\n\n📦 *Inventario:*\n_"Me llegaron 30 cajas de cerveza"_\n_"Avisame cuando queden 5 cocas"_\n\n💡 Escribime como te salga, ¡entiendo todo! 🇦🇷`
+    },
+    help_actions: {
+        es: ['📋 ¿Quién me debe?', '📊 ¿Cómo me fue hoy?', '🧾 Resumen del día', '📦 Mis productos', '🏪 Mis negocios', '💻 Mi panel web', '📄 Reporte PDF', '🙋 Hablar con alguien'],
+        gn: ['📋 Máva ojedebe chéve?', '📊 Mba\'éichapa ko\'ára?', '🧾 Ko ára resumen', '📦 Che producto-kuéra', '🏪 Che negocio-kuéra', '💻 Che panel web', '📄 Reporte PDF', '🙋 Añe\'ẽse peteĩ ndive'],
+        pt: ['📋 Quem me deve?', '📊 Como foi hoje?', '🧾 Resumo do dia', '📦 Meus produtos', '🏪 Meus negócios', '💻 Meu painel web', '📄 Relatório PDF', '🙋 Falar com alguém']
+    },
+    menu_button: {
+        es: 'Ver opciones',
+        gn: 'Ehecha opción',
+        pt: 'Ver opções'
     },
 
     // === UNKNOWN ===
     unknown: {
         es: `🤔 No te entendí bien, disculpá.\n\nProbá con algo así:\n📝 _"Vendí 500 mil a Carlos, fiado"_\n💰 _"Cobré 200 mil de María"_\n📋 _"¿Cuánto me deben?"_\n📊 _"¿Cómo me fue esta semana?"_\n\nEscribí *ayuda* para ver todo lo que puedo hacer 💪`,
-        gn: `🤔 Ndaikuaái mba'épa ere, disculpá.\n\nEhai ko'ã rami:\n📝 _"Avendé 500 mil Carlos-pe, fiado"_\n💰 _"Acobra 200 mil María-gui"_\n📋 _"Mbovy ojedebe chéve?"_\n📊 _"Mba'éichapa ko semana?"_\n\nEhai *pytyvõ* ehecha haguã mba'e aikuaápa 💪`
+        gn: `🤔 Ndaikuaái mba'épa ere, disculpá.\n\nEhai ko'ã rami:\n📝 _"Avendé 500 mil Carlos-pe, fiado"_\n💰 _"Acobra 200 mil María-gui"_\n📋 _"Mbovy ojedebe chéve?"_\n📊 _"Mba'éichapa ko semana?"_\n\nEhai *pytyvõ* ehecha haguã mba'e aikuaápa 💪`,
+        pt: `🤔 Não entendi direito, desculpa.\n\nTenta algo assim:\n📝 _"Vendi 500 mil pro Carlos, fiado"_\n💰 _"Recebi 200 mil da Maria"_\n📋 _"Quanto me devem?"_\n📊 _"Como foi essa semana?"_\n\nEscreva *ajuda* para ver tudo o que eu posso fazer 💪`,
+        'es-AR': `🤔 No te entendí bien, perdón.\n\nProbá con algo así:\n📝 _"Vendí 50 lucas a Carlos, fiado"_\n💰 _"Cobré 20 lucas de María"_\n📋 _"¿Cuánto me deben?"_\n📊 _"¿Cómo me fue esta semana?"_\n\nEscribí *ayuda* para ver todo lo que puedo hacer 💪`
     },
 
     // === ERRORS ===
     error_generic: {
         es: '❌ Hubo un error procesando tu mensaje. Intentá de nuevo.',
-        gn: '❌ Oĩ peteĩ error. Eha\'ã jey.'
+        gn: '❌ Oĩ peteĩ error. Eha\'ã jey.',
+        pt: '❌ Houve um erro ao processar sua mensagem. Tente de novo.'
     },
     error_internal: {
         es: '❌ Error interno. Intentá de nuevo en un momento.',
-        gn: '❌ Error interno. Eha\'ã jey.'
+        gn: '❌ Error interno. Eha\'ã jey.',
+        pt: '❌ Erro interno. Tente de novo em um momento.'
     },
 
     // === REMINDERS ===
     reminder_sent: {
-        es: (name) => `✅ Le mandé un recordatorio a *${name}*`,
-        gn: (name) => `✅ Amondó peteĩ recordatorio *${name}*-pe`
+        es: (name, phone, debt) => `✅ *Recordatorio enviado* a ${name} (${phone})\n💰 Deuda: ${debt}`,
+        gn: (name, phone, debt) => `✅ *Recordatorio oñemondo* ${name}-pe (${phone})\n💰 Deuda: ${debt}`,
+        pt: (name, phone, debt) => `✅ *Lembrete enviado* para ${name} (${phone})\n💰 Dívida: ${debt}`
     },
     reminder_no_name: {
-        es: '🤔 ¿A quién le mando el recordatorio? Ej: "Recordale a Carlos"',
-        gn: '🤔 Mávape amondó recordatorio? Ej: "Erecordále Carlos-pe"'
+        es: '🤔 ¿A quién le mando el recordatorio? Ej: _"Recordale a Carlos"_',
+        gn: '🤔 Mávape amondo recordatorio? Ej: _"Erecordále Carlos-pe"_',
+        pt: '🤔 Pra quem eu mando o lembrete? Ex: _"Lembra o Carlos"_'
     },
 
     // === PIN ===
     pin_set: {
-        es: (pin) => `🔐 *PIN configurado correctamente*\n\nTu PIN del dashboard es: *${pin}*\nGuardalo en un lugar seguro.\n\n📊 Accedé a tu dashboard en:\nhttps://nexobot-mvp-1.onrender.com\n\nUsá tu número de teléfono + este PIN para ingresar.`,
-        gn: (pin) => `🔐 *PIN oñeconfigura porã*\n\nNde PIN dashboard pegua: *${pin}*\nEñongatu porã.\n\n📊 Eike nde dashboard-pe:\nhttps://nexobot-mvp-1.onrender.com\n\nEipuru nde teléfono número + ko PIN eike haguã.`
+        es: (pin) => `✅ ¡Tu nuevo PIN es *${pin}*!\n\nPor seguridad, hemos cerrado sesión en todos los demás dispositivos móviles. Tu información está a salvo.`,
+        gn: (pin) => `✅ Nde PIN pyahu ha'e *${pin}*!\n\nSeguridad-rã, rombotypa sesión ambue celular kuérape. Nde información oĩ porã.`,
+        pt: (pin) => `✅ Seu novo PIN é *${pin}*!\n\nPor segurança, encerramos a sessão em todos os outros celulares. Suas informações estão seguras.`
     },
 
     // === DAILY SUMMARY ===
     summary_title: {
-        es: '📊 *Resumen del día*',
-        gn: '📊 *Ko ára resumen*'
+        es: (date) => `📊 *Resumen del día — ${date}*`,
+        gn: (date) => `📊 *Ko ára resumen — ${date}*`,
+        pt: (date) => `📊 *Resumo do dia — ${date}*`
     }
 };
 
+/**
+ * Catalog locale for a detected/stored one: jopará → 'gn', pt-BR → 'pt'
+ */
+export function normalizeLanguage(lang) {
+    const code = String(lang || '').toLowerCase().replace('_', '-');
+    if (code === 'gn' || code === 'jopara') return 'gn';
+    if (code === 'pt' || code === 'pt-br') return 'pt';
+    if (code === 'es-ar') return 'es-AR';
+    return 'es';
+}
+
 /**
  * Get a translated message
- * @param {string} lang - 'es', 'gn', or 'jopara'
+ * @param {string} lang - 'es', 'gn', 'jopara', 'pt' or 'es-AR'
  * @param {string} key - message key
  * @param  {...any} args - arguments for template functions
  * @returns {string}
@@ -171,8 +1510,8 @@ export function t(lang, key, ...args) {
     if (!msg) return key;
 
     // Jopará uses guaraní translations with some spanish mixed in
-    const target = (lang === 'gn' || lang === 'jopara') ? 'gn' : 'es';
-    const val = msg[target] || msg['es'];
+    const locale = normalizeLanguage(lang);
+    const val = msg[locale] || msg[REGIONAL_LOCALES[locale]] || msg['es'];
 
     if (typeof val === 'function') return val(...args);
     return val;
@@ -190,4 +1529,39 @@ export function getGreeting(lang) {
     return t(lang, 'greeting_evening');
 }
 
-export default { t, getGreeting, messages };
+// =============================================
+// MISSING-KEY REPORT
+// =============================================
+
+/**
+ * Catalog entries without a variant for some language
+ * @returns {Array} ['sale_no_amount.gn', ...]
+ */
+export function missingKeys(langs = LANGUAGES) {
+    const missing = [];
+    for (const [key, msg] of Object.entries(messages)) {
+        for (const lang of langs) {
+            if (msg[lang] === undefined || msg[lang] === '') missing.push(`${key}.${lang}`);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Keys used by t() in a source file that aren't in the catalog.
+ * Dynamic keys (`interval_${...}`) need at least one key with that prefix.
+ * @param {string} source - JS source code
+ * @returns {Array} ['unknown_key', 'prefix_*', ...]
+ */
+export function unknownKeys(source) {
+    const unknown = new Set();
+    for (const [, key] of source.matchAll(/\bt\([^,()]+,\s*'([a-z0-9_]+)'/gi)) {
+        if (!messages[key]) unknown.add(key);
+    }
+    for (const [, prefix] of source.matchAll(/\bt\([^,()]+,\s*`([a-z0-9_]+)\$\{/gi)) {
+        if (!Object.keys(messages).some(key => key.startsWith(prefix))) unknown.add(`${prefix}*`);
+    }
+    return [...unknown];
+}
+
+export default { LANGUAGES, REGIONAL_LOCALES, t, normalizeLanguage, getGreeting, missingKeys, unknownKeys, messages };
@@ -0,0 +1,214 @@
+// =============================================
+// NexoBot MVP — Inbound Message Queue
+// =============================================
+// The webhook only persists the message (models/inboundJob.js) and
+// answers 200; a worker handles it afterwards. A crash mid-handle
+// no longer loses the message: the job is picked up again.
+//
+// - Idempotency: one job per WhatsApp message ID (Meta retries)
+// - Ordering: one job at a time per phone, oldest first — a retry
+//   holds back that phone's later messages, not everyone else's
+// - Retries: exponential backoff, then the dead-letter list
+//   (GET /api/admin/queue/dead, POST .../:id/retry)
+// - Side effects run once: the handler wraps them in step(name, fn);
+//   a retry gets the stored result instead of running them again
+//   (the sale saved before the reply failed isn't saved twice)
+
+import * as InboundJob from '../models/inboundJob.js';
+import { extractMessageFromWebhook } from './whatsapp.js';
+
+export const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+const BACKOFF_BASE_MS = 5 * 1000;        // 5s, 10s, 20s, 40s...
+const BACKOFF_MAX_MS = 10 * 60 * 1000;   // ...capped at 10 minutes
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;   // 'processing' with no heartbeat for this long = crashed worker
+const HEARTBEAT_MS = 30 * 1000;          // a live worker refreshes locked_at this often
+const POLL_MS = 2000;
+const CONCURRENCY = 4;                    // different phones handled in parallel
+const KEEP_DONE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Same text from the same phone within 20s = accidental double send (different message IDs)
+const BOUNCE_WINDOW_MS = 20 * 1000;
+const recentTexts = new Map(); // `${phone}_${text}` -> { at, messageId }
+
+/**
+ * Delay before the next attempt, after `attempts` failed ones
+ */
+export function backoffDelay(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// =============================================
+// ENQUEUE
+// =============================================
+
+/**
+ * Persist a webhook payload as a job. Returns { job, duplicate, skipped },
+ * null for payloads without a message (statuses) and throws if it couldn't be saved,
+ * so the webhook answers 500 and Meta retries.
+ */
+export async function enqueueWebhook(body) {
+    const message = extractMessageFromWebhook(body);
+    if (!message?.messageId) return null;
+
+    // 🛡️ Anti-bounce: double-tapped "Send" arrives with a new message ID
+    // (Meta's retry of the same ID goes on to enqueue, which dedupes it)
+    const textKey = message.type === 'text' && message.text ? `${message.from}_${message.text.trim()}` : null;
+    if (textKey) {
+        const seen = recentTexts.get(textKey);
+        if (seen && seen.messageId !== message.messageId && Date.now() - seen.at < BOUNCE_WINDOW_MS) {
+            console.log(`♻️ Skipping duplicate text message from same user (Anti-Bounce): ${textKey}`);
+            return { job: null, duplicate: true, skipped: true };
+        }
+    }
+
+    const result = await InboundJob.enqueue({ wa_message_id: message.messageId, phone: message.from, payload: body });
+    if (!result) throw new Error(`Could not queue message ${message.messageId}`);
+
+    // Only a saved message counts for anti-bounce: if the save failed, Meta's retry must get through
+    if (textKey && !result.duplicate) recentTexts.set(textKey, { at: Date.now(), messageId: message.messageId });
+
+    if (result.duplicate) console.log(`♻️ Skipping already queued message ID: ${message.messageId}`);
+    return { ...result, skipped: false };
+}
+
+// =============================================
+// WORKER
+// =============================================
+
+/**
+ * Jobs that can run now: the oldest active job of each phone, if it is due
+ * and that phone has nothing in flight
+ */
+function runnableJobs(jobs, at) {
+    const heads = new Map();
+    for (const job of jobs) {
+        if (!heads.has(job.phone)) heads.set(job.phone, job);
+    }
+    return [...heads.values()].filter(job => job.status === 'pending' && new Date(job.next_attempt_at) <= at);
+}
+
+/**
+ * step(name, fn) for one job: runs fn the first time, stores its result
+ * on the job and returns the stored result on every retry.
+ * Throws (error.lostJob) when the job was released and claimed again
+ * meanwhile: the new owner runs the remaining steps, not this worker.
+ */
+function jobSteps(job) {
+    const done = { ...(job.steps || {}) };
+    return async (name, fn) => {
+        if (name in done) return done[name];
+        const result = await fn();
+        done[name] = result ?? null;
+        if (!await InboundJob.saveSteps(job.id, done, job.locked_by)) {
+            throw Object.assign(new Error(`lost message ${job.wa_message_id} after step "${name}"`), { lostJob: true });
+        }
+        return result;
+    };
+}
+
+async function runJob(job, handler, at) {
+    const claimed = await InboundJob.claim(job.id);
+    if (!claimed) return false;
+
+    // Slow but alive (LLM retries, transcription, OCR): keep the job from being released as stale
+    const heartbeat = setInterval(() => {
+        InboundJob.heartbeat(claimed.id, claimed.locked_by).catch(error => console.error('❌ Queue heartbeat error:', error.message));
+    }, HEARTBEAT_MS);
+
+    try {
+        await handler(claimed.payload, { step: jobSteps(claimed) });
+        if (!await InboundJob.complete(claimed.id, claimed.locked_by)) {
+            console.warn(`🔓 Message ${claimed.wa_message_id} was released while handled; its new owner finishes it`);
+        }
+    } catch (error) {
+        if (error.lostJob) {
+            console.warn(`🔓 Stopped handling: ${error.message}`);
+        } else if (claimed.attempts >= MAX_ATTEMPTS) {
+            console.error(`☠️ Message ${claimed.wa_message_id} from ${claimed.phone} dead-lettered after ${claimed.attempts} attempts:`, error.message);
+            await InboundJob.fail(claimed.id, error.message, null, claimed.locked_by);
+        } else {
+            const delay = backoffDelay(claimed.attempts);
+            console.warn(`🔁 Message ${claimed.wa_message_id} failed (attempt ${claimed.attempts}/${MAX_ATTEMPTS}), retrying in ${delay / 1000}s:`, error.message);
+            await InboundJob.fail(claimed.id, error.message, new Date(at.getTime() + delay), claimed.locked_by);
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+    return true;
+}
+
+let draining = null;
+let drainAgain = false;
+
+/**
+ * Handle every job that is ready, phone by phone, until none is left.
+ * Concurrent calls share the running drain (and trigger one more pass).
+ * @param {Function} handler - async (payload, { step }) => void; throwing = retry
+ * @param {Object} options - { now } to evaluate due dates at another time (tests)
+ */
+export function drainQueue(handler, { now = null } = {}) {
+    if (draining) {
+        drainAgain = true;
+        return draining;
+    }
+
+    draining = (async () => {
+        do {
+            drainAgain = false;
+            let batch, at;
+            while ((batch = runnableJobs(await InboundJob.getActive(), at = now || new Date()).slice(0, CONCURRENCY)).length) {
+                const ran = await Promise.all(batch.map(job => runJob(job, handler, at)));
+                if (!ran.some(Boolean)) break; // all taken by another worker
+            }
+        } while (drainAgain);
+    })().finally(() => { draining = null; });
+
+    return draining;
+}
+
+let workerTimer = null;
+
+/**
+ * Start polling the queue (retries come due, jobs left by a crash)
+ */
+export function startQueueWorker(handler) {
+    if (workerTimer) return;
+
+    let lastPurge = 0;
+    const tick = async () => {
+        try {
+            const released = await InboundJob.releaseStale(new Date(Date.now() - LOCK_TIMEOUT_MS).toISOString());
+            if (released) console.warn(`🔓 Queue: ${released} interrupted message(s) back to pending`);
+
+            if (Date.now() - lastPurge > 60 * 60 * 1000) {
+                lastPurge = Date.now();
+                await InboundJob.purgeDone(new Date(Date.now() - KEEP_DONE_MS).toISOString());
+                for (const [key, seen] of recentTexts) {
+                    if (Date.now() - seen.at > BOUNCE_WINDOW_MS) recentTexts.delete(key);
+                }
+            }
+
+            await drainQueue(handler);
+        } catch (error) {
+            console.error('❌ Queue worker error:', error.message);
+        }
+    };
+
+    workerTimer = setInterval(tick, POLL_MS);
+    tick();
+    console.log('📥 Inbound queue worker started');
+}
+
+export function stopQueueWorker() {
+    clearInterval(workerTimer);
+    workerTimer = null;
+}
+
+/**
+ * Jobs per status (admin)
+ */
+export async function getQueueStats() {
+    return { counts: await InboundJob.countByStatus(), max_attempts: MAX_ATTEMPTS };
+}
+
+export default { enqueueWebhook, drainQueue, startQueueWorker, stopQueueWorker, backoffDelay, getQueueStats };
@@ -0,0 +1,358 @@
+// =============================================
+// NexoBot MVP — Due Dates & Installments
+// =============================================
+// "Le fié 200 mil a Carlos, a pagar el viernes"
+// "Vendí 400 mil a María en 4 cuotas semanales"
+//
+// Every fiado gets a schedule (one installment due in
+// DEFAULT_TERM_DAYS when nothing is said). Payments are applied
+// to the oldest installment first (or to the fiado they name, see
+// services/ledger.js); the allocation is recomputed
+// from scratch after every payment or void, so reversals are exact.
+
+import * as Installment from '../models/installment.js';
+import * as Transaction from '../models/transaction.js';
+import { pygRates } from './currency.js';
+
+// Term of a fiado with no due date
+export const DEFAULT_TERM_DAYS = 7;
+
+// Longest plan accepted in one message
+const MAX_INSTALLMENTS = 24;
+
+export const INTERVALS = ['week', 'fortnight', 'month'];
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const WORD_NUMBERS = { un: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6 };
+
+// =============================================
+// DATES (YYYY-MM-DD, Paraguay time)
+// =============================================
+
+/**
+ * Today's date in Paraguay (UTC-3)
+ */
+export function todayPY(now = new Date()) {
+    return toPYDate(now);
+}
+
+/**
+ * Paraguay date of a timestamp
+ */
+export function toPYDate(date) {
+    return new Date(new Date(date).getTime() - 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function parseDate(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatISO(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+export function addDays(iso, days) {
+    const date = parseDate(iso);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatISO(date);
+}
+
+// Jan 31 + 1 month = Feb 28/29, not Mar 3
+export function addMonths(iso, months) {
+    const date = parseDate(iso);
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    date.setUTCDate(Math.min(day, daysInMonth(date)));
+    return formatISO(date);
+}
+
+function endOfMonth(iso) {
+    const date = parseDate(iso);
+    return formatISO(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), daysInMonth(date))));
+}
+
+function daysInMonth(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+function addInterval(iso, interval, times) {
+    if (interval === 'week') return addDays(iso, 7 * times);
+    if (interval === 'fortnight') return addDays(iso, 14 * times);
+    return addMonths(iso, times);
+}
+
+/**
+ * Days from one date to another (negative if `to` is earlier)
+ */
+export function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * "viernes", "fin de mes", "el 15", "30 días", "15/11" → YYYY-MM-DD
+ * @returns {string|null} null when the phrase isn't a date
+ */
+export function resolveDueDate(ref, today = todayPY()) {
+    if (!ref) return null;
+    const text = String(ref).toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/^(?:el|la|este|esta)\s+/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+    if (text === 'hoy') return today;
+    if (text === 'manana') return addDays(today, 1);
+    if (text === 'pasado manana') return addDays(today, 2);
+
+    // "viernes", "el viernes que viene", "el próximo lunes"
+    const weekday = WEEKDAYS.findIndex(d => new RegExp(`^(?:proximo\\s+)?${d}(?:\\s+que\\s+viene)?$`).test(text));
+    if (weekday >= 0) {
+        const ahead = (weekday - parseDate(today).getUTCDay() + 7) % 7 || 7;
+        return addDays(today, ahead);
+    }
+
+    if (/^fin\s+de(?:l)?\s+mes$/.test(text)) {
+        const end = endOfMonth(today);
+        return end === today ? endOfMonth(addDays(today, 1)) : end;
+    }
+    if (text === 'quincena') return resolveDayOfMonth(15, today);
+
+    // "30 días", "2 semanas", "un mes"
+    const span = text.match(/^(?:a\s+|en\s+)?(\d+|un|una|dos|tres|cuatro|cinco|seis)\s+(dias?|semanas?|mes(?:es)?)$/);
+    if (span) {
+        const n = parseInt(span[1]) || WORD_NUMBERS[span[1]];
+        if (span[2].startsWith('dia')) return addDays(today, n);
+        if (span[2].startsWith('semana')) return addDays(today, 7 * n);
+        return addMonths(today, n);
+    }
+    if (/^(?:semana\s+que\s+viene|proxima\s+semana|otra\s+semana)$/.test(text)) return addDays(today, 7);
+    if (/^(?:mes\s+que\s+viene|proximo\s+mes|otro\s+mes)$/.test(text)) return addMonths(today, 1);
+
+    // "15/11", "15/11/2026"
+    const dm = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    if (dm) {
+        const year = dm[3] ? (dm[3].length === 2 ? 2000 + parseInt(dm[3]) : parseInt(dm[3])) : parseInt(today.slice(0, 4));
+        const iso = `${year}-${dm[2].padStart(2, '0')}-${dm[1].padStart(2, '0')}`;
+        if (isNaN(parseDate(iso)) || formatISO(parseDate(iso)) !== iso) return null;
+        return !dm[3] && iso < today ? `${year + 1}${iso.slice(4)}` : iso;
+    }
+
+    // "el 15" → this month, or next month if it already passed
+    const day = text.match(/^(\d{1,2})$/);
+    if (day && parseInt(day[1]) >= 1 && parseInt(day[1]) <= 31) return resolveDayOfMonth(parseInt(day[1]), today);
+
+    return null;
+}
+
+function resolveDayOfMonth(day, today) {
+    const date = parseDate(today);
+    const candidate = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    if (day < date.getUTCDate()) candidate.setUTCMonth(candidate.getUTCMonth() + 1);
+    candidate.setUTCDate(Math.min(day, daysInMonth(candidate)));
+    return formatISO(candidate);
+}
+
+// =============================================
+// SCHEDULE
+// =============================================
+
+/**
+ * Split a fiado into installments
+ * @param {Object} terms - { due_date, installment_count, installment_interval } (as stored on the transaction)
+ * @param {string} start - sale date (YYYY-MM-DD)
+ * @returns {Array} [{ seq, due_date, amount }]
+ */
+export function buildSchedule(amount, terms = {}, start = todayPY()) {
+    const count = Math.min(Math.max(parseInt(terms.installment_count) || 1, 1), MAX_INSTALLMENTS);
+    const interval = INTERVALS.includes(terms.installment_interval) ? terms.installment_interval : 'month';
+    const first = terms.due_date ||
+        (count > 1 ? addInterval(start, interval, 1) : addDays(start, DEFAULT_TERM_DAYS));
+
+    // Even split; the last installment absorbs the rounding
+    const base = Math.floor(amount / count);
+    return Array.from({ length: count }, (_, i) => ({
+        seq: i + 1,
+        due_date: addInterval(first, interval, i),
+        amount: i === count - 1 ? amount - base * (count - 1) : base
+    }));
+}
+
+/**
+ * Apply a customer's total payments to their installments, oldest due first
+ * @param {Array} installments - sorted by due date
+ * @returns {Array} copies with paid_amount and status
+ */
+export function allocateFifo(installments, totalPaid) {
+    return allocatePayments(installments, [{ amount: totalPaid }]);
+}
+
+/**
+ * Apply payments to installments: a payment with `applies_to` settles that
+ * fiado first; everything else (and any excess) goes to the oldest due.
+ * Payments only settle fiados in their own currency (reais pay reais).
+ * @param {Array} installments - sorted by due date
+ * @param {Array} payments - [{ amount, currency?, applies_to? }]
+ * @returns {Array} copies with paid_amount and status
+ */
+export function allocatePayments(installments, payments) {
+    const paid = installments.map(() => 0);
+    const pool = {};
+
+    for (const payment of payments) {
+        const currency = payment.currency || 'PYG';
+        let remaining = Math.max(0, payment.amount);
+        if (payment.applies_to) {
+            installments.forEach((inst, i) => {
+                if (inst.transaction_id !== payment.applies_to || (inst.currency || 'PYG') !== currency) return;
+                const take = Math.min(inst.amount - paid[i], remaining);
+                paid[i] += take;
+                remaining -= take;
+            });
+        }
+        pool[currency] = (pool[currency] || 0) + remaining;
+    }
+
+    installments.forEach((inst, i) => {
+        const currency = inst.currency || 'PYG';
+        const take = Math.min(inst.amount - paid[i], pool[currency] || 0);
+        paid[i] += take;
+        pool[currency] = (pool[currency] || 0) - take;
+    });
+
+    return installments.map((inst, i) => ({
+        ...inst,
+        paid_amount: paid[i],
+        status: paid[i] >= inst.amount ? 'paid' : 'open'
+    }));
+}
+
+/**
+ * Keep a customer's schedule in step with a transaction (called from transactionEffects)
+ * @param {number} sign - 1 when the transaction is created, -1 when voided
+ * @returns {Array|null} the new schedule of a fiado
+ */
+export async function syncSchedule(tx, sign) {
+    if (!tx.customer_id) return null;
+
+    if (tx.type === 'SALE_CREDIT') {
+        if (sign < 0) {
+            await Installment.voidByTransaction(tx.id);
+            await rebalanceCustomer(tx.customer_id);
+            return null;
+        }
+
+        const rows = buildSchedule(tx.amount, tx, toPYDate(tx.created_at || new Date()));
+        const created = await Installment.createMany(rows.map(row => ({
+            merchant_id: tx.merchant_id,
+            customer_id: tx.customer_id,
+            transaction_id: tx.id,
+            currency: tx.currency || 'PYG',
+            ...row
+        })));
+        await rebalanceCustomer(tx.customer_id);
+        return created;
+    }
+
+    if (tx.type === 'PAYMENT') await rebalanceCustomer(tx.customer_id);
+    return null;
+}
+
+/**
+ * Recompute paid_amount / status of every installment of a customer
+ */
+export async function rebalanceCustomer(customerId) {
+    const [installments, payments] = await Promise.all([
+        Installment.getByCustomer(customerId),
+        Transaction.findByCustomer(customerId, 'PAYMENT')
+    ]);
+
+    const now = new Date().toISOString();
+    const allocated = allocatePayments(installments, payments);
+
+    for (const [i, next] of allocated.entries()) {
+        const prev = installments[i];
+        if (prev.paid_amount === next.paid_amount && prev.status === next.status) continue;
+        await Installment.update(next.id, {
+            paid_amount: next.paid_amount,
+            status: next.status,
+            paid_at: next.status === 'paid' ? (prev.paid_at || now) : null
+        });
+    }
+    return allocated;
+}
+
+// =============================================
+// DAYS PAST DUE
+// =============================================
+
+/**
+ * Per-customer due status from open installments, in guaraníes
+ * @param {Object} rates - guaraníes per unit of each currency present (pygRates)
+ * @returns {Map} customerId → { daysPastDue, overdueAmount, dueNow, nextDueDate, nextDueAmount, openAmount }
+ *   daysPastDue: age of the oldest unpaid installment already due (0 = due today or nothing due)
+ *   dueNow: owed as of today (overdue + due today)
+ *   nextDueDate / nextDueAmount: the next installment not yet due
+ */
+export function summarizeDue(installments, today = todayPY(), rates = { PYG: 1 }) {
+    const byCustomer = new Map();
+
+    for (const inst of installments) {
+        if (inst.status === 'voided') continue;
+        const remaining = Math.round((inst.amount - (inst.paid_amount || 0)) * (rates[inst.currency || 'PYG'] ?? 1));
+        if (remaining <= 0) continue;
+
+        if (!byCustomer.has(inst.customer_id)) {
+            byCustomer.set(inst.customer_id, emptyDue());
+        }
+        const due = byCustomer.get(inst.customer_id);
+        const late = daysBetween(inst.due_date, today);
+
+        due.openAmount += remaining;
+        if (late >= 0) due.dueNow += remaining;
+        if (late > 0) due.overdueAmount += remaining;
+        due.daysPastDue = Math.max(due.daysPastDue, late);
+        if (late < 0) {
+            if (!due.nextDueDate || inst.due_date < due.nextDueDate) {
+                due.nextDueDate = inst.due_date;
+                due.nextDueAmount = 0;
+            }
+            if (inst.due_date === due.nextDueDate) due.nextDueAmount += remaining;
+        }
+    }
+
+    return byCustomer;
+}
+
+/**
+ * Due status of one customer
+ */
+export async function getCustomerDue(customerId, today = todayPY()) {
+    const installments = await Installment.getByCustomer(customerId);
+    const rates = await pygRates(installments.map(inst => inst.currency));
+    return summarizeDue(installments, today, rates).get(customerId) || emptyDue();
+}
+
+function emptyDue() {
+    return { daysPastDue: 0, overdueAmount: 0, dueNow: 0, nextDueDate: null, nextDueAmount: 0, openAmount: 0 };
+}
+
+export default {
+    DEFAULT_TERM_DAYS,
+    INTERVALS,
+    todayPY,
+    toPYDate,
+    addDays,
+    addMonths,
+    daysBetween,
+    resolveDueDate,
+    buildSchedule,
+    allocateFifo,
+    allocatePayments,
+    syncSchedule,
+    rebalanceCustomer,
+    summarizeDue,
+    getCustomerDue
+};
@@ -0,0 +1,92 @@
+// =============================================
+// NexoBot MVP — Interactive Replies
+// =============================================
+// Menus the merchant taps instead of typing: reply buttons (up to 3)
+// and list messages (up to 10 rows). A bot reply is normally a string;
+// a menu is { text, interactive }:
+//   text        — the same reply as plain text (typed answers keep
+//                 working; logs, simulator, voice replies)
+//   interactive — the Graph API `interactive` object, sent as is
+//
+// Each button/row ID is what the bot would have received if the
+// merchant had typed the answer ("sí", "3", "cambiar a Despensa"),
+// so a tap goes through the normal NLP → bot flow.
+
+// WhatsApp limits
+const BODY_MAX = 1024;
+const BUTTON_TITLE_MAX = 20;
+const LIST_BUTTON_MAX = 20;
+const ROW_TITLE_MAX = 24;
+const ROW_DESCRIPTION_MAX = 72;
+const ID_MAX = 200;
+const MAX_BUTTONS = 3;
+const MAX_ROWS = 10;
+
+function clip(text, max) {
+    const value = String(text ?? '').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Reply buttons under a message
+ * @param {string} text - Plain-text version of the reply
+ * @param {Array<{id: string, title: string}>} buttons - Up to 3
+ * @param {Object} options - { body } when the interactive body should differ from `text`
+ * @returns {{ text, interactive }|string} The plain text when the body is too long for WhatsApp
+ */
+export function withButtons(text, buttons, { body = text } = {}) {
+    if (body.length > BODY_MAX || !buttons.length) return text;
+
+    return {
+        text,
+        interactive: {
+            type: 'button',
+            body: { text: body },
+            action: {
+                buttons: buttons.slice(0, MAX_BUTTONS).map(b => ({
+                    type: 'reply',
+                    reply: { id: clip(b.id, ID_MAX), title: clip(b.title, BUTTON_TITLE_MAX) }
+                }))
+            }
+        }
+    };
+}
+
+/**
+ * A list message: one button that opens up to 10 rows
+ * @param {string} text - Plain-text version of the reply
+ * @param {string} button - Label of the button that opens the list
+ * @param {Array<{id: string, title: string, description?: string}>} rows
+ * @param {Object} options - { body } when the interactive body should differ from `text`
+ * @returns {{ text, interactive }|string} The plain text when the body is too long for WhatsApp
+ */
+export function withList(text, button, rows, { body = text } = {}) {
+    if (body.length > BODY_MAX || !rows.length) return text;
+
+    return {
+        text,
+        interactive: {
+            type: 'list',
+            body: { text: body },
+            action: {
+                button: clip(button, LIST_BUTTON_MAX),
+                sections: [{
+                    rows: rows.slice(0, MAX_ROWS).map(r => ({
+                        id: clip(r.id, ID_MAX),
+                        title: clip(r.title, ROW_TITLE_MAX),
+                        ...(r.description ? { description: clip(r.description, ROW_DESCRIPTION_MAX) } : {})
+                    }))
+                }]
+            }
+        }
+    };
+}
+
+/**
+ * The text of a bot reply, whether it is a string or a menu
+ */
+export function replyText(reply) {
+    return typeof reply === 'string' ? reply : reply?.text ?? null;
+}
+
+export default { withButtons, withList, replyText };
@@ -0,0 +1,261 @@
+// =============================================
+// NexoBot MVP — Open Items Ledger & Aging
+// =============================================
+// Every fiado is an open item with its own balance (the sum of its
+// installments still unpaid). Payments settle the oldest item first,
+// or the one they name: "Carlos pagó 50 mil del fiado del lunes".
+// Aging buckets say how old the money on the street is.
+
+import * as Installment from '../models/installment.js';
+import * as Transaction from '../models/transaction.js';
+import { todayPY, toPYDate, addDays, addMonths, daysBetween } from './installments.js';
+import { t } from './guarani.js';
+import { formatAmount, pygRates } from './currency.js';
+
+// Age of an open item = days since the sale
+export const AGING_BUCKETS = [
+    { key: '0-7', max: 7 },
+    { key: '8-30', max: 30 },
+    { key: '31-60', max: 60 },
+    { key: '60+', max: Infinity }
+];
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+function formatPYG(amount) {
+    if (!amount) return 'Gs. 0';
+    return `Gs. ${amount.toLocaleString('es-PY')}`;
+}
+
+// A fiado's own currency: reais stay in reais
+function formatIn(amount, currency) {
+    return currency && currency !== 'PYG' ? formatAmount(amount, currency) : formatPYG(amount);
+}
+
+// YYYY-MM-DD → dd/mm
+export function formatShortDate(iso) {
+    return `${iso.slice(8, 10)}/${iso.slice(5, 7)}`;
+}
+
+function normalize(text) {
+    return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+// =============================================
+// OPEN ITEMS
+// =============================================
+
+/**
+ * Group installments into one open item per fiado
+ * @param {Array} sales - the fiado transactions
+ * @param {Array} installments - their installments (with paid_amount)
+ * @param {Object} rates - guaraníes per unit of each currency present (pygRates)
+ * @returns {Array} [{ transaction_id, customer_id, date, product, currency, amount, paid, balance, value, next_due, age, bucket }],
+ *   oldest first; `value` is the balance in guaraníes
+ */
+export function buildOpenItems(sales, installments, today = todayPY(), rates = { PYG: 1 }) {
+    const salesById = new Map(sales.map(sale => [sale.id, sale]));
+    const items = new Map();
+
+    for (const inst of installments) {
+        const sale = salesById.get(inst.transaction_id);
+        if (!sale || sale.status === 'voided' || inst.status === 'voided') continue;
+
+        if (!items.has(sale.id)) {
+            const date = toPYDate(sale.created_at);
+            items.set(sale.id, {
+                transaction_id: sale.id,
+                customer_id: inst.customer_id,
+                date,
+                product: sale.product || null,
+                currency: sale.currency || 'PYG',
+                amount: 0,
+                paid: 0,
+                balance: 0,
+                next_due: null,
+                age: Math.max(0, daysBetween(date, today))
+            });
+        }
+
+        const item = items.get(sale.id);
+        const remaining = inst.amount - (inst.paid_amount || 0);
+        item.amount += inst.amount;
+        item.paid += inst.paid_amount || 0;
+        item.balance += remaining;
+        if (remaining > 0 && (!item.next_due || inst.due_date < item.next_due)) item.next_due = inst.due_date;
+    }
+
+    return [...items.values()]
+        .filter(item => item.balance > 0)
+        .map(item => ({ ...item, value: Math.round(item.balance * (rates[item.currency] ?? 1)), bucket: bucketOf(item.age) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * A customer's open fiados, oldest first
+ */
+export async function getOpenItems(customerId, today = todayPY()) {
+    const installments = await Installment.getByCustomer(customerId);
+    const sales = await Transaction.getByIds([...new Set(installments.map(i => i.transaction_id))]);
+    return buildOpenItems(sales, installments, today, await pygRates(sales.map(sale => sale.currency)));
+}
+
+/**
+ * The open fiado a payment names: by sale date and/or product
+ * @param {Object} ref - { date: 'YYYY-MM-DD', product }
+ * @returns {Object|null} the oldest match
+ */
+export function matchOpenItem(items, { date, product } = {}) {
+    if (!date && !product) return null;
+    const wanted = product ? normalize(product).replace(/s$/, '') : null;
+
+    return items.find(item =>
+        (!date || item.date === date) &&
+        (!wanted || (item.product && sameProduct(normalize(item.product), wanted)))
+    ) || null;
+}
+
+// "coca" ~ "coca cola", "panes" ~ "pan"
+function sameProduct(product, wanted) {
+    return product.includes(wanted) || wanted.includes(product);
+}
+
+// =============================================
+// AGING
+// =============================================
+
+export function bucketOf(ageDays) {
+    return AGING_BUCKETS.find(b => ageDays <= b.max).key;
+}
+
+/**
+ * Balance per bucket, plus `undated` debt with no fiado behind it
+ * (loaded before NexoBot or from the dashboard)
+ */
+export function emptyAging() {
+    return Object.fromEntries([...AGING_BUCKETS.map(b => [b.key, 0]), ['undated', 0]]);
+}
+
+export function agingOf(items) {
+    const aging = emptyAging();
+    for (const item of items) aging[item.bucket] += item.value ?? item.balance;
+    return aging;
+}
+
+/**
+ * Open items and aging of each debtor of a merchant
+ * @param {Array} debtors - customers with total_debt > 0
+ * @returns {Object} { byCustomer: Map(customerId → { items, aging, oldestAge }), totals }
+ */
+export async function getDebtorsAging(merchantId, debtors, today = todayPY()) {
+    const installments = await Installment.getOpen(merchantId);
+    const sales = await Transaction.getByIds([...new Set(installments.map(i => i.transaction_id))]);
+    const items = buildOpenItems(sales, installments, today, await pygRates(sales.map(sale => sale.currency)));
+
+    const byCustomer = new Map();
+    const totals = emptyAging();
+
+    for (const debtor of debtors) {
+        const own = items.filter(item => item.customer_id === debtor.id);
+        const aging = agingOf(own);
+        const itemized = own.reduce((sum, item) => sum + item.value, 0);
+        aging.undated = Math.max(0, (debtor.total_debt || 0) - itemized);
+
+        for (const key of Object.keys(totals)) totals[key] += aging[key];
+        byCustomer.set(debtor.id, { items: own, aging, oldestAge: own.length ? own[0].age : null });
+    }
+
+    return { byCustomer, totals };
+}
+
+// =============================================
+// SALE DATES ("del fiado del lunes")
+// =============================================
+
+/**
+ * "ayer", "el lunes", "el 12", "12/10" → YYYY-MM-DD, looking back
+ * @returns {string|null}
+ */
+export function resolveSaleDate(ref, today = todayPY()) {
+    if (!ref) return null;
+    const text = normalize(ref).replace(/^(?:el|la|este|esta)\s+/, '').replace(/\s+/g, ' ');
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+    if (text === 'hoy') return today;
+    if (text === 'ayer') return addDays(today, -1);
+    if (text === 'anteayer' || text === 'antes de ayer') return addDays(today, -2);
+
+    // "lunes", "el lunes pasado" → the last one (today counts)
+    const weekday = WEEKDAYS.findIndex(d => new RegExp(`^${d}(?:\\s+pasado)?$`).test(text));
+    if (weekday >= 0) {
+        const back = (new Date(`${today}T12:00:00Z`).getUTCDay() - weekday + 7) % 7;
+        return addDays(today, -back);
+    }
+
+    // "12/10", "12/10/2026" → last year if it's still ahead
+    const dm = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    if (dm) {
+        const year = dm[3] ? (dm[3].length === 2 ? 2000 + parseInt(dm[3]) : parseInt(dm[3])) : parseInt(today.slice(0, 4));
+        const iso = `${year}-${dm[2].padStart(2, '0')}-${dm[1].padStart(2, '0')}`;
+        if (addDays(iso, 0) !== iso) return null;
+        return !dm[3] && iso > today ? `${year - 1}${iso.slice(4)}` : iso;
+    }
+
+    // "el 12" → this month, or last month if it's still ahead
+    const day = text.match(/^(\d{1,2})$/);
+    if (day) {
+        const n = parseInt(day[1]);
+        if (n < 1 || n > 31) return null;
+        if (n <= parseInt(today.slice(8, 10))) return `${today.slice(0, 8)}${day[1].padStart(2, '0')}`;
+        const lastMonth = addMonths(`${today.slice(0, 8)}01`, -1);
+        const length = daysBetween(lastMonth, `${today.slice(0, 8)}01`);
+        return addDays(lastMonth, Math.min(n, length) - 1);
+    }
+
+    return null;
+}
+
+// =============================================
+// TEXT (WhatsApp)
+// =============================================
+
+/**
+ * "🧾 Fiados pendientes" list of one customer
+ */
+export function formatOpenItems(items, lang = 'es', undated = 0) {
+    if (items.length === 0 && !undated) return '';
+
+    let text = t(lang, 'ledger_open_items_title') + '\n';
+    for (const item of items) {
+        const of = item.paid > 0 ? formatIn(item.amount, item.currency) : null;
+        text += t(lang, 'ledger_item', formatShortDate(item.date), item.product, formatIn(item.balance, item.currency), of, item.age) + '\n';
+    }
+    if (undated) text += t(lang, 'ledger_undated', formatPYG(undated)) + '\n';
+    return text.trimEnd();
+}
+
+/**
+ * "⏳ Antigüedad" block: one line per non-empty bucket
+ */
+export function formatAging(aging, lang = 'es') {
+    const lines = Object.entries(aging)
+        .filter(([, amount]) => amount > 0)
+        .map(([key, amount]) => `${t(lang, 'aging_bucket', key)}: ${formatPYG(amount)}`);
+    if (lines.length === 0) return '';
+    return t(lang, 'aging_title') + '\n' + lines.join('\n');
+}
+
+export default {
+    AGING_BUCKETS,
+    buildOpenItems,
+    getOpenItems,
+    matchOpenItem,
+    bucketOf,
+    emptyAging,
+    agingOf,
+    getDebtorsAging,
+    resolveSaleDate,
+    formatShortDate,
+    formatOpenItems,
+    formatAging
+};
@@ -0,0 +1,164 @@
+// =============================================
+// NexoBot MVP — LLM Provider (NLP, OCR, Audio)
+// =============================================
+// One interface for everything we ask a model to do:
+//   parseIntent({ system, message })            → { parsed, usage }
+//   extractImageJson({ kind, prompt, image })   → parsed JSON
+//   transcribe({ file, mediaId, language })     → text
+//
+// LLM_PROVIDER picks the implementation:
+//   openai  — GPT-4o-mini / GPT-4o Vision / Whisper (default when OPENAI_API_KEY is set)
+//   offline — deterministic fixtures, no network (tests, local dev)
+// Without either, getProvider() returns null and callers use their fallbacks.
+
+import { readFileSync, createReadStream } from 'fs';
+import OpenAI from 'openai';
+
+// =============================================
+// OPENAI
+// =============================================
+
+// Created on first use, so modules can be imported (tests, scripts) without an API key
+let openai = null;
+export function openaiClient() {
+    if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return openai;
+}
+
+export function openaiConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'sk-your-openai-key');
+}
+
+/**
+ * Parse model output that should be JSON (Vision sometimes wraps it in markdown)
+ */
+function parseJson(content) {
+    return JSON.parse(content.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+}
+
+const openaiProvider = {
+    name: 'openai',
+    offline: false,
+    // gpt-4o-mini, USD per 1M tokens
+    pricing: { input: 0.15, output: 0.60 },
+
+    async parseIntent({ system, message }) {
+        const response = await openaiClient().chat.completions.create({
+            model: 'gpt-4o-mini',
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: message }
+            ],
+            temperature: 0.1,
+            max_tokens: 600,
+            response_format: { type: 'json_object' }
+        });
+        return {
+            parsed: JSON.parse(response.choices[0].message.content),
+            usage: { input_tokens: response.usage?.prompt_tokens || 0, output_tokens: response.usage?.completion_tokens || 0 }
+        };
+    },
+
+    async extractImageJson({ prompt, image, maxTokens = 500 }) {
+        const response = await openaiClient().chat.completions.create({
+            model: 'gpt-4o',
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: prompt },
+                    { type: 'image_url', image_url: { url: image, detail: 'high' } }
+                ]
+            }],
+            max_tokens: maxTokens,
+            temperature: 0.1
+        });
+        return parseJson(response.choices[0].message.content);
+    },
+
+    async transcribe({ file, language = 'es' }) {
+        const transcription = await openaiClient().audio.transcriptions.create({
+            file: createReadStream(file),
+            model: 'whisper-1',
+            language, // Force Spanish/Guarani context
+            response_format: 'text'
+        });
+        return transcription.trim();
+    }
+};
+
+// =============================================
+// OFFLINE (fixtures)
+// =============================================
+
+const FIXTURES_FILE = new URL('./llmOffline.json', import.meta.url);
+
+let fixtures = null;
+function offlineFixtures() {
+    if (!fixtures) fixtures = JSON.parse(readFileSync(process.env.LLM_FIXTURES || FIXTURES_FILE, 'utf8'));
+    return fixtures;
+}
+
+const fixtureKey = text => String(text || '').trim().toLowerCase();
+const copy = value => value === undefined || value === null ? null : structuredClone(value);
+
+const offlineProvider = {
+    name: 'offline',
+    offline: true,
+    pricing: { input: 0, output: 0 },
+
+    /** Fixture for the exact message; parsed is null so the fast parser answers */
+    async parseIntent({ message }) {
+        return { parsed: copy(offlineFixtures().intents?.[fixtureKey(message)]), usage: null };
+    },
+
+    /** Fixture by document kind (cedula, invoice) */
+    async extractImageJson({ kind }) {
+        return copy(offlineFixtures().images?.[kind]);
+    },
+
+    /** Fixture by WhatsApp media ID, then the default transcription */
+    async transcribe({ mediaId }) {
+        const transcriptions = offlineFixtures().transcriptions || {};
+        return transcriptions[mediaId] ?? transcriptions.default ?? '';
+    }
+};
+
+// =============================================
+// SELECTION
+// =============================================
+
+const PROVIDERS = { openai: openaiProvider, offline: offlineProvider };
+
+/**
+ * Provider chosen by LLM_PROVIDER, or OpenAI when its key is set. Null = no LLM.
+ */
+export function getProvider() {
+    const name = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+    if (name) {
+        if (!PROVIDERS[name]) {
+            console.warn(`⚠️ LLM: unknown provider "${name}", using none`);
+            return null;
+        }
+        return PROVIDERS[name];
+    }
+    return openaiConfigured() ? openaiProvider : null;
+}
+
+/**
+ * USD cost of a call from its token usage
+ */
+export function costOf(provider, usage) {
+    if (!usage || !provider?.pricing) return 0;
+    return (usage.input_tokens * provider.pricing.input + usage.output_tokens * provider.pricing.output) / 1e6;
+}
+
+/**
+ * Short label for the startup banner and admin health
+ */
+export function describeProvider() {
+    const provider = getProvider();
+    if (!provider) return null;
+    return provider.offline ? 'offline fixtures' : 'OpenAI GPT-4o-mini';
+}
+
+export default { getProvider, describeProvider, costOf, openaiClient, openaiConfigured };
@@ -11,8 +11,11 @@
 //
 // Each "business" is a separate merchant profile
 // linked via the multi_business_owner_id field.
+// Lists come as a tappable menu: each row sends "cambiar a [nombre]".
 
 import supabase from '../config/supabase.js';
+import { t } from './guarani.js';
+import { withList } from './interactive.js';
 
 // In-memory active business selection
 // Key: phone, Value: merchantId (the currently active business)
@@ -22,6 +25,19 @@ const activeBusiness = new Map();
 // CORE FUNCTIONS
 // =============================================
 
+/**
+ * Businesses as a list to tap; each row switches to that business
+ */
+function businessMenu(text, businesses, lang, activeId = null) {
+    return withList(text, t(lang, 'menu_button'), businesses
+        .filter(b => b.business_name && b.id !== activeId)
+        .map(b => ({
+            id: `cambiar a ${b.business_name}`,
+            title: b.business_name,
+            description: [b.business_type, b.city].filter(Boolean).join(' · ')
+        })));
+}
+
 /**
  * Get the active merchant ID for a phone number
  * If multi-business is not set up, returns the main merchant
@@ -72,32 +88,21 @@ export async function listBusinesses(merchantId) {
 /**
  * Switch active business
  */
-export async function switchBusiness(phone, merchantId, targetName) {
+export async function switchBusiness(phone, merchantId, targetName, lang = 'es') {
     const businesses = await listBusinesses(merchantId);
 
     if (businesses.length <= 1) {
-        return {
-            success: false,
-            message: `Solo tenés un negocio registrado.\n\n` +
-                `Para agregar otro, escribí:\n` +
-                `_"agregar negocio [nombre del negocio]"_`
-        };
+        return { success: false, message: t(lang, 'biz_only_one') };
     }
 
-    // Find matching business by name
+    // Find matching business by name (exact first: a tapped row sends the full name)
     const lower = targetName.toLowerCase();
-    const match = businesses.find(b =>
-        (b.business_name || '').toLowerCase().includes(lower)
-    );
+    const match = businesses.find(b => (b.business_name || '').toLowerCase() === lower) ||
+        businesses.find(b => (b.business_name || '').toLowerCase().includes(lower));
 
     if (!match) {
-        let msg = `⚠️ No encontré un negocio con ese nombre.\n\n`;
-        msg += `Tus negocios:\n`;
-        businesses.forEach((b, i) => {
-            msg += `${i + 1}️⃣ *${b.business_name || 'Sin nombre'}*\n`;
-        });
-        msg += `\n_Escribí "cambiar a [nombre]"_`;
-        return { success: false, message: msg };
+        const lines = businesses.map((b, i) => `${i + 1}️⃣ *${b.business_name || t(lang, 'unnamed')}*`);
+        return { success: false, message: businessMenu(t(lang, 'biz_not_found', lines), businesses, lang) };
     }
 
     // Set active business
@@ -106,19 +111,15 @@ export async function switchBusiness(phone, merchantId, targetName) {
     return {
         success: true,
         merchantId: match.id,
-        message: `✅ *Cambiaste a: ${match.business_name}*\n\n` +
-            `Todas las ventas, cobros y consultas ahora se registran en este negocio.\n\n` +
-            `📊 Ventas totales: Gs. ${(match.total_sales || 0).toLocaleString('es-PY')}\n` +
-            `📍 ${match.city || 'Sin ciudad'}\n\n` +
-            `_Para volver, escribí "cambiar a [otro negocio]"_`
+        message: t(lang, 'biz_switched', match.business_name, `Gs. ${(match.total_sales || 0).toLocaleString('es-PY')}`, match.city)
     };
 }
 
 /**
  * Create a new business for the merchant
  */
-export async function addBusiness(phone, merchantId, businessName, businessType = 'general') {
-    if (!supabase) return { success: false, message: 'Base de datos no disponible' };
+export async function addBusiness(phone, merchantId, businessName, businessType = 'general', lang = 'es') {
+    if (!supabase) return { success: false, message: t(lang, 'biz_unavailable') };
 
     // Get current merchant
     const { data: owner } = await supabase
@@ -127,7 +128,7 @@ export async function addBusiness(phone, merchantId, businessName, businessType
         .eq('id', merchantId)
         .single();
 
-    if (!owner) return { success: false, message: 'Error' };
+    if (!owner) return { success: false, message: t(lang, 'biz_create_failed') };
 
     const ownerId = owner.multi_business_owner_id || owner.id;
 
@@ -160,7 +161,7 @@ export async function addBusiness(phone, merchantId, businessName, businessType
 
     if (error) {
         console.error('Error creating business:', error);
-        return { success: false, message: 'Error al crear el negocio' };
+        return { success: false, message: t(lang, 'biz_create_failed') };
     }
 
     // Switch to the new business
@@ -169,11 +170,7 @@ export async function addBusiness(phone, merchantId, businessName, businessType
     return {
         success: true,
         merchantId: newBiz.id,
-        message: `🏪 *¡Nuevo negocio creado!*\n\n` +
-            `📋 ${businessName}\n` +
-            `📍 ${owner.city || ''}\n\n` +
-            `Ya estás usando este negocio. Todas las ventas y cobros se registran acá.\n\n` +
-            `_Para cambiar de negocio, escribí "mis negocios"_`
+        message: t(lang, 'biz_created', businessName, owner.city)
     };
 }
 
@@ -184,52 +181,49 @@ export async function addBusiness(phone, merchantId, businessName, businessType
 /**
  * Handle multi-business intents
  */
-export async function handleMultiBusinessIntent(merchant, phone, subIntent, entities = {}) {
+export async function handleMultiBusinessIntent(merchant, phone, subIntent, entities = {}, lang = 'es') {
     switch (subIntent) {
         case 'LIST': {
             const businesses = await listBusinesses(merchant.id);
 
             if (businesses.length <= 1) {
-                return `🏪 Tenés *1 negocio* registrado: *${merchant.business_name || 'Sin nombre'}*\n\n` +
-                    `Para agregar otro, escribí:\n` +
-                    `_"agregar negocio Distribuidora López"_`;
+                return t(lang, 'biz_list_single', merchant.business_name || t(lang, 'unnamed'));
             }
 
             const activeId = activeBusiness.get(phone) || merchant.id;
-            let msg = `🏪 *Tus negocios:*\n\n`;
+            let msg = `${t(lang, 'biz_list_title')}\n\n`;
 
             businesses.forEach((b, i) => {
                 const isActive = b.id === activeId;
-                msg += `${i + 1}️⃣ ${isActive ? '👉 ' : ''}*${b.business_name || 'Sin nombre'}*`;
-                if (isActive) msg += ' _(activo)_';
+                msg += `${i + 1}️⃣ ${isActive ? '👉 ' : ''}*${b.business_name || t(lang, 'unnamed')}*`;
+                if (isActive) msg += ` ${t(lang, 'biz_active')}`;
                 msg += `\n   ${b.business_type || 'general'} · ${b.city || ''}`;
-                msg += `\n   Ventas: Gs. ${(b.total_sales || 0).toLocaleString('es-PY')}\n\n`;
+                msg += `\n   ${t(lang, 'biz_sales', `Gs. ${(b.total_sales || 0).toLocaleString('es-PY')}`)}\n\n`;
             });
 
-            msg += `_Para cambiar, escribí "cambiar a [nombre]"_\n`;
-            msg += `_Para agregar, escribí "agregar negocio [nombre]"_`;
+            msg += t(lang, 'biz_list_footer');
 
-            return msg;
+            return businessMenu(msg, businesses, lang, activeId);
         }
 
         case 'SWITCH': {
             const targetName = entities.businessName;
             if (!targetName) {
-                return `📱 Decime a qué negocio querés cambiar.\n\n` +
-                    `_Ej: "cambiar a Distribuidora López"_\n\n` +
-                    `_O escribí "mis negocios" para ver la lista_`;
+                const businesses = await listBusinesses(merchant.id);
+                return businesses.length > 1
+                    ? businessMenu(t(lang, 'biz_switch_no_name'), businesses, lang, activeBusiness.get(phone) || merchant.id)
+                    : t(lang, 'biz_switch_no_name');
             }
-            const result = await switchBusiness(phone, merchant.id, targetName);
+            const result = await switchBusiness(phone, merchant.id, targetName, lang);
             return result.message;
         }
 
         case 'ADD': {
             const bizName = entities.businessName;
             if (!bizName) {
-                return `🏪 Decime el nombre del nuevo negocio.\n\n` +
-                    `_Ej: "agregar negocio Distribuidora López"_`;
+                return t(lang, 'biz_add_no_name');
             }
-            const result = await addBusiness(phone, merchant.id, bizName);
+            const result = await addBusiness(phone, merchant.id, bizName, 'general', lang);
             return result.message;
         }
 
@@ -2,53 +2,365 @@
 // NexoBot MVP — NLP Service (Fast + Smart)
 // =============================================
 // Strategy: Try FAST regex parser first (0ms).
-// Only call OpenAI for complex/ambiguous messages.
+// Only call the LLM provider (llm.js) for complex/ambiguous messages.
 // This gives instant responses for 80%+ of messages.
 
-import OpenAI from 'openai';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { getProvider, costOf } from './llm.js';
+import { recordRoute, recordParse, recordAgreement, recordCache, getNlpMetrics } from './nlpMetrics.js';
+import { normalizeProduct, matchProduct, findProductInText } from '../models/inventory.js';
+import { normalizeLanguage } from './guarani.js';
+import { examplesFor, formatExamples } from './corrections.js';
 
 // =============================================
 // MAIN ENTRY POINT
 // =============================================
 
-export async function processMessage(message) {
+/**
+ * Parse a merchant message into { intent, confidence, entities, language }.
+ * `language` is the merchant's stored locale (es, gn, pt, es-AR); without it
+ * the locale detected from the message is used for idioms and the AI prompt.
+ * `merchantId` adds that merchant's learned corrections to the AI prompt.
+ */
+export async function processMessage(message, language = null, { merchantId = null } = {}) {
     const startTime = Date.now();
 
     // 1. Evaluar comandos estelares y exactos primero con Regex para ahorrar tiempo y tokens
-    const fastResult = fastParser(message);
-    const adminIntents = ['GET_DASHBOARD', 'SET_PIN', 'FORGOT_PIN', 'HELP', 'GREETING', 'HUMAN_HANDOFF'];
+    const fastResult = fastParser(message, language);
+    const locale = normalizeLanguage(language || fastResult.language);
+    recordParse('fast', { ms: Date.now() - startTime });
+
+    // Correcciones del comerciante: si ya nos corrigió este mismo mensaje, el regex no manda
+    const examples = await examplesFor(merchantId);
+    const corrected = examples.some(ex => cacheKey(ex.message, locale) === cacheKey(message, locale));
+
+    // 2. Regex seguro (comandos o confianza alta): no pagamos un round trip a la IA
+    if (!corrected && trustFast(fastResult)) {
+        recordRoute('fast');
+        shadowCompare(fastResult, message, locale);
+        return logged(fastResult, message, startTime, 'FAST');
+    }
+
+    const provider = getProvider();
+    if (provider) {
+        // 3. Mismo mensaje (normalizado) ya resuelto por la IA.
+        //    Con ejemplos propios el prompt es del comercio, y la respuesta también.
+        const key = (examples.length ? `${merchantId}|` : '') + cacheKey(message, locale);
+        const cached = cacheGet(key);
+        if (cached) {
+            recordRoute('cache');
+            return logged(cached, message, startTime, 'CACHE');
+        }
 
-    if (adminIntents.includes(fastResult.intent)) {
-        fastResult.processing_time_ms = Date.now() - startTime;
-        console.log(`⚡ NLP: "${message}" → ${fastResult.intent} (${fastResult.confidence}) [${fastResult.processing_time_ms}ms] [FAST]`);
-        return fastResult;
+        // 4. Ambiguo: mandamos a la IA (proveedor LLM) para interpretar el contexto financiero
+        const parsed = await llmParser(provider, message, locale, examples);
+        if (parsed) {
+            const aiResult = withOperations(parsed);
+            recordRoute('llm');
+            recordAgreement(fastResult, aiResult);
+            cacheSet(key, aiResult);
+            return logged(aiResult, message, startTime, `AI:${provider.name}`);
+        }
     }
 
-    // 2. Si no es comando exacto, mandamos a la IA (OpenAI) para interpretar el contexto financiero
-    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'sk-your-openai-key') {
-        try {
-            const aiResult = await openaiParser(message);
-            aiResult.processing_time_ms = Date.now() - startTime;
-            console.log(`🧠 NLP: "${message}" → ${aiResult.intent} (${aiResult.confidence}) [${aiResult.processing_time_ms}ms] [AI]`);
-            return aiResult;
-        } catch (error) {
-            console.error('❌ OpenAI Error, usando fallback (fast parser):', error.message);
+    // 5. Fallback a Regex si la IA falla o no tiene respuesta
+    recordRoute('fallback');
+    return logged(fastResult, message, startTime, 'FAST-FALLBACK');
+}
+
+function logged(result, message, startTime, tag) {
+    result.processing_time_ms = Date.now() - startTime;
+    console.log(`${tag.startsWith('AI') ? '🧠' : '⚡'} NLP: "${message}" → ${result.intent} (${result.confidence}) [${result.processing_time_ms}ms] [${tag}]`);
+    return result;
+}
+
+// =============================================
+// ROUTING: FAST PARSER vs LLM
+// =============================================
+
+// Commands the regex always gets right
+const ADMIN_INTENTS = ['GET_DASHBOARD', 'SET_PIN', 'FORGOT_PIN', 'SET_LANGUAGE', 'HELP', 'GREETING', 'HUMAN_HANDOFF'];
+
+// Fast results at or above this confidence skip the LLM ("vendí 100 mil" is 0.85)
+export const FAST_THRESHOLD = parseFloat(process.env.NLP_FAST_THRESHOLD || '0.85');
+
+// Share of trusted fast results also sent to the LLM, only to measure agreement
+const SHADOW_RATE = parseFloat(process.env.NLP_SHADOW_RATE || '0');
+
+/**
+ * Whether the fast result is good enough on its own. Multi-operation
+ * messages are only as sure as their weakest operation.
+ */
+export function trustFast(result, threshold = FAST_THRESHOLD) {
+    if (ADMIN_INTENTS.includes(result.intent)) return true;
+    if (result.intent === 'UNKNOWN') return false;
+    const confidence = Math.min(result.confidence ?? 0, ...(result.operations || []).map(op => op.confidence ?? 0));
+    return confidence >= threshold;
+}
+
+/**
+ * Ask the provider with the locale's prompt (plus the merchant's examples),
+ * recording latency and cost.
+ * Null when it fails or has no answer (the offline provider only knows its fixtures).
+ */
+async function llmParser(provider, message, locale = 'es', examples = []) {
+    const start = Date.now();
+    try {
+        const { parsed, usage } = await provider.parseIntent({ system: systemPromptFor(locale, examples), message });
+        recordParse(provider.name, { ms: Date.now() - start, usage, costUsd: costOf(provider, usage) });
+        if (!parsed) return null;
+        parsed.parser = provider.name;
+        return parsed;
+    } catch (error) {
+        recordParse(provider.name, { ms: Date.now() - start, error: true });
+        console.error(`❌ LLM Error (${provider.name}), usando fallback (fast parser):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Sample trusted fast results against the LLM in the background, so the
+ * agreement rate covers high confidences too. Never changes the answer.
+ */
+function shadowCompare(fastResult, message, locale) {
+    if (!SHADOW_RATE || ADMIN_INTENTS.includes(fastResult.intent) || Math.random() >= SHADOW_RATE) return;
+    const provider = getProvider();
+    if (!provider) return;
+    llmParser(provider, message, locale)
+        .then(parsed => { if (parsed) recordAgreement(fastResult, parsed); })
+        .catch(() => { });
+}
+
+// =============================================
+// RESULT CACHE (LRU)
+// =============================================
+// Identical messages ("cuánto me deben", "vendí 100 mil") don't need a second LLM call
+
+const CACHE_SIZE = parseInt(process.env.NLP_CACHE_SIZE || '500', 10);
+const resultCache = new Map();
+
+/**
+ * Lowercase, single spaces, no ¡!¿? or trailing dots, plus the locale
+ * (idioms like "20 lucas" depend on it). Accents stay: "pagó" ≠ "pago".
+ */
+export function cacheKey(message, locale = 'es') {
+    const text = message.toLowerCase().replace(/[¡!¿?"“”]/g, ' ').replace(/\s+/g, ' ').trim().replace(/\.+$/, '');
+    return `${locale}|${text}`;
+}
+
+function cacheGet(key) {
+    const hit = resultCache.get(key);
+    recordCache(Boolean(hit));
+    if (!hit) return null;
+    // Move to the end: Map keeps insertion order, the first key is the least recently used
+    resultCache.delete(key);
+    resultCache.set(key, hit);
+    return structuredClone(hit);
+}
+
+function cacheSet(key, result) {
+    if (CACHE_SIZE <= 0) return;
+    resultCache.delete(key);
+    resultCache.set(key, structuredClone(result));
+    while (resultCache.size > CACHE_SIZE) resultCache.delete(resultCache.keys().next().value);
+}
+
+/**
+ * Routing metrics plus the current threshold and cache size (GET /api/admin/nlp)
+ */
+export function getRoutingMetrics() {
+    return getNlpMetrics({
+        threshold: FAST_THRESHOLD,
+        shadow_rate: SHADOW_RATE,
+        cache_entries: resultCache.size,
+        cache_max: CACHE_SIZE
+    });
+}
+
+export function clearResultCache() {
+    resultCache.clear();
+}
+
+// =============================================
+// MULTI-OPERATION MESSAGES
+// =============================================
+// "Vendí 200 mil a Carlos fiado y cobré 150 de María, gasté 30 mil en pasaje"
+// → 3 operations, executed in order by the bot.
+
+// Intents that write something (only these justify splitting a message)
+const TRANSACTIONAL_INTENTS = ['SALE_CREDIT', 'SALE_CASH', 'PAYMENT', 'EXPENSE', 'INVENTORY_IN'];
+
+// A clause must START with one of these to count as a new operation.
+// Anything else ("fiado", "3 cocas", "al contado") stays glued to the previous clause.
+const OPERATION_START = [
+    /^(?:le\s+|ya\s+)?(?:vend[ií]|vendimos|fi[eé]|afi[eé]|cobr[eé]|acobra|gast[eé]|pagu[eé]|compr[eé]|recib[ií]|anot[eé]|carg[aá]le|avend[eé]|llegaron|trajeron|fiei|cobrei|gastei|paguei|comprei|recebi)(?![a-záéíóúñ])/i,
+    /^me\s+(?:pag[oó]|abon[oó]|cancel[oó]|trajo|deposit[oó]|lleg[oó]|llegaron|trajeron)(?![a-záéíóúñ])/i,
+    /^[A-ZÁÉÍÓÚÑ][a-záéíóúñ]+\s+(?:me\s+)?(?:pag[oó]|abon[oó]|cancel[oó]|ohepaga)(?![a-záéíóúñ])/
+];
+
+// Clause separators: punctuation, new lines and connectors ("y", "después", "también")
+const CLAUSE_SEPARATOR = /\s*(?:[,;\n]+|\s+y\s+|\s+despu[eé]s\s+|\s+tambi[eé]n\s+|\s+adem[aá]s\s+)\s*/i;
+
+/**
+ * Split a message into operation clauses.
+ * Returns a single-element array when the message is one operation.
+ * Exported for tests.
+ */
+export function splitOperations(message) {
+    // Capturing the separator keeps it: split() puts it between the pieces
+    const parts = message.trim().split(new RegExp(`(${CLAUSE_SEPARATOR.source})`, CLAUSE_SEPARATOR.flags));
+    const clauses = [];
+
+    for (let i = 0; i < parts.length; i += 2) {
+        const piece = parts[i].trim();
+        if (!piece) continue;
+
+        if (clauses.length === 0 || OPERATION_START.some(re => re.test(piece))) {
+            clauses.push(piece);
+        } else {
+            // Not a new operation → belongs to the previous clause, connector included
+            // ("arroz y fideos" stays "arroz y fideos")
+            clauses[clauses.length - 1] += `${parts[i - 1]}${piece}`;
+        }
+    }
+
+    return clauses;
+}
+
+/**
+ * "vendí 200 mil ... y cobré 150 de María" — the second amount has no
+ * multiplier but obviously means 150 mil. If a sibling clause used "mil",
+ * bare 1-3 digit numbers inherit that scale. Exported for tests.
+ */
+export function inheritAmountScale(operations) {
+    const usesMil = operations.some(op => /\d\s*mil\b/i.test(op.text || ''));
+    if (!usesMil) return;
+
+    for (const op of operations) {
+        if (op.entities.amount || !TRANSACTIONAL_INTENTS.includes(op.intent)) continue;
+        // "vendí 2 cocas": the 2 is the quantity, not the amount
+        const bare = [...(op.text || '').matchAll(/(?<=^|\s)(\d{1,3})(?=\s|$)/g)]
+            .map(m => parseInt(m[1]))
+            .find(n => n !== op.entities.quantity);
+        if (bare) {
+            op.entities.amount = bare * 1000;
+            op.entities.currency = op.entities.currency || 'PYG';
         }
     }
+}
 
-    // 3. Fallback a Regex si todo OpenAI falla
-    fastResult.processing_time_ms = Date.now() - startTime;
-    console.log(`⚡ NLP: "${message}" → ${fastResult.intent} (${fastResult.confidence}) [${fastResult.processing_time_ms}ms] [FAST-FALLBACK]`);
-    return fastResult;
+/**
+ * Make sure a parse result carries an ordered `operations` list.
+ * Top-level intent/entities always mirror the first operation so
+ * callers that only read `parsed.intent` keep working.
+ */
+function withOperations(result) {
+    if (!Array.isArray(result.operations) || result.operations.length === 0) {
+        result.operations = [{
+            intent: result.intent,
+            confidence: result.confidence,
+            entities: result.entities || {}
+        }];
+        return result;
+    }
+
+    result.operations = result.operations.map(op => ({
+        intent: op.intent || 'UNKNOWN',
+        confidence: op.confidence ?? result.confidence ?? 0.5,
+        entities: op.entities || {},
+        ...(op.text ? { text: op.text } : {})
+    }));
+
+    const [first] = result.operations;
+    result.intent = first.intent;
+    result.entities = first.entities;
+    result.confidence = Math.min(...result.operations.map(op => op.confidence));
+    return result;
+}
+
+// =============================================
+// CATALOG RESOLUTION
+// =============================================
+// The parser only knows a generic product list. Once the merchant is
+// known, mentions are mapped to their own catalog: "gaseosa coca",
+// "cocas" or "CC2L" all become the product they registered.
+
+// Intents whose `product` is a stock item (not "pasaje", "luz"...)
+const PRODUCT_INTENTS = ['SALE_CASH', 'SALE_CREDIT', 'INVENTORY_IN', 'INVENTORY_QUERY', 'INVENTORY_UPDATE', 'STOCK_ALERT'];
+
+/**
+ * Replace product mentions with the merchant's catalog names.
+ * A catalog name found in the text beats the generic list's guess.
+ * @param {Function} loadCatalog - async () => inventory items (only called if needed)
+ */
+export async function resolveProducts(parsed, message, loadCatalog) {
+    const operations = parsed.operations?.length ? parsed.operations : [parsed];
+    const targets = operations.filter(op => PRODUCT_INTENTS.includes(op.intent) && op.entities);
+    if (targets.length === 0) return parsed;
+
+    const catalog = await loadCatalog();
+    if (!catalog?.length) return parsed;
+
+    for (const op of targets) {
+        const text = op.text || (operations.length === 1 ? message : null);
+        const item = (text && findProductInText(catalog, text)) ||
+            (op.entities.product && matchProduct(catalog, op.entities.product));
+        if (!item) continue;
+
+        op.entities.product = item.product;
+        if (!op.entities.quantity && text) {
+            const quantity = quantityBefore(text, item);
+            if (quantity) op.entities.quantity = quantity;
+        }
+    }
+
+    return parsed;
+}
+
+// "vendí 3 chipitas" → 3, for catalog names the generic parser doesn't know
+function quantityBefore(text, item) {
+    const words = normalizeProduct(text);
+    for (const name of [item.product, ...(item.aliases || [])].map(normalizeProduct)) {
+        const match = words.match(new RegExp(`(?:^| )(\\d{1,3}) (?:[a-z]+ de )?${escapeRegex(name)}(?: |$)`));
+        if (match) return parseInt(match[1]);
+    }
+    return null;
 }
 
 // =============================================
 // FAST REGEX PARSER (0ms, handles 80%+ of messages)
 // =============================================
 
-function fastParser(message) {
+/**
+ * Regex parser: intent, entities and language without calling the LLM.
+ * Exported for the regression corpus (tests/fixtures/nlp-corpus.jsonl).
+ */
+export function fastParser(message, language = null) {
+    const clauses = splitOperations(message);
+
+    if (clauses.length > 1) {
+        const operations = clauses.map(text => {
+            const clause = parseClause(text, language);
+            return { intent: clause.intent, confidence: clause.confidence, entities: clause.entities, text };
+        });
+
+        const transactional = operations.filter(op => TRANSACTIONAL_INTENTS.includes(op.intent));
+        if (transactional.length > 1) {
+            inheritAmountScale(operations);
+            return withOperations({
+                intent: operations[0].intent,
+                confidence: operations[0].confidence,
+                entities: operations[0].entities,
+                operations,
+                language: detectLanguage(message.toLowerCase()),
+                parser: 'fast'
+            });
+        }
+    }
+
+    return withOperations(parseClause(message, language));
+}
+
+function parseClause(message, language = null) {
     const lower = message.toLowerCase().trim();
     const original = message.trim();
     const result = {
@@ -58,6 +370,8 @@ function fastParser(message) {
         language: detectLanguage(lower),
         parser: 'fast'
     };
+    // Amount idioms follow the merchant's locale ("20 lucas" are pesos for an Argentine)
+    const locale = normalizeLanguage(language || result.language);
 
     // ─── INTENT DETECTION ─── (order matters!)
 
@@ -80,6 +394,21 @@ function fastParser(message) {
         return result;
     }
 
+    // 0.6 LANGUAGE ("hablame en guaraní", "ñe'ẽ guaraníme", "fala em português", "hablame como argentino")
+    const langMatch = lower.match(/^(?:h[aá]blame|habl[aá]|escrib[ií]me|respond[eé]me|contest[aá]me|cambi[aá]r?\s+(?:el\s+)?idioma|idioma:?)\s+(?:en\s+|a\s+|como\s+(?:un\s+)?)?(guaran[ií]|jopar[aá]|espa[nñ]ol|castellano|portugu[eéê]s|brasile[nñ]o|argentino|rioplatense)/)
+        || lower.match(/^(?:fala|fale|escreve|escreva|responde|responda|muda(?:r)?\s+(?:o\s+)?idioma)(?:\s+comigo)?\s+(?:em\s+|para\s+(?:o\s+)?)?(portugu[eê]s|espanhol|castelhano|guarani)/)
+        || lower.match(/e?ñe[''´]?ẽ\s+(guaran[ií]me|castellano-?pe|espa[nñ]ol-?pe)/);
+    if (langMatch) {
+        result.intent = 'SET_LANGUAGE';
+        result.confidence = 0.95;
+        const requested = langMatch[1];
+        result.entities.language = /^(?:guaran|jopar)/.test(requested) ? 'gn'
+            : /^(?:portug|brasil)/.test(requested) ? 'pt'
+            : /^(?:argentin|rioplat)/.test(requested) ? 'es-AR'
+            : 'es';
+        return result;
+    }
+
     // 0.8 DASHBOARD MAGIC LINK
     if (/(mi|el)\s*panel|ver\s*(mi|el)?\s*cuenta|dashboard|mi\s*sistema|mi\s*libreta|entrar\s*(al)?\s*sistema|entrar|abrir\s*(la)?\s*app|abrir/i.test(lower)) {
         result.intent = 'GET_DASHBOARD';
@@ -88,14 +417,14 @@ function fastParser(message) {
     }
 
     // 1. GREETINGS (short messages, check first)
-    if (/^(hola|buenas?|buen[oa]?s?\s*(d[ií]as?|tardes?|noches?)?|qu[eé]\s*tal|hey|hi|ola|epa|que\s*hay|alo|aló|mba[''´]?[eé]ichapa|nde\s*haku|mba[''´]?eichapa\s*nde|iporã|ipo|terere|holi|holaa*|buena|wenas|saludos|bienvenido|mba[''´]?[eé]iko|ndeko|nde\s*py[''´]a\s*guasu)/i.test(lower) && lower.length < 40) {
+    if (/^(hola|buenas?|buen[oa]?s?\s*(d[ií]as?|tardes?|noches?)?|qu[eé]\s*tal|hey|hi|ola|epa|que\s*hay|alo|aló|mba[''´]?[eé]ichapa|nde\s*haku|mba[''´]?eichapa\s*nde|iporã|ipo|terere|holi|holaa*|buena|wenas|saludos|bienvenido|mba[''´]?[eé]iko|ndeko|nde\s*py[''´]a\s*guasu|oi(?![a-záéíóúñ])|ol[aá]|bom\s*dia|boa\s*(?:tarde|noite)|tudo\s*bem)/i.test(lower) && lower.length < 40) {
         result.intent = 'GREETING';
         result.confidence = 0.95;
         return result;
     }
 
     // 2. HELP
-    if (/^(ayuda|help|menu|menú|comandos|opciones|que\s*(podes|pod[eé]s|puedo|puedes)\s*hacer|c[oó]mo\s*(funciona|te\s*uso|uso)|instrucciones|info|que\s*sos|para\s*qu[eé]\s*serv[ií]s|que\s*haces|funciones|pytyvõ|epytyvõ\s*che|mba[''´]?[eé]pa\s*ejapo)/i.test(lower)) {
+    if (/^(ayuda|help|menu|menú|comandos|opciones|que\s*(podes|pod[eé]s|puedo|puedes)\s*hacer|c[oó]mo\s*(funciona|te\s*uso|uso)|instrucciones|info|que\s*sos|para\s*qu[eé]\s*serv[ií]s|que\s*haces|funciones|pytyvõ|epytyvõ\s*che|mba[''´]?[eé]pa\s*ejapo|ajuda|o\s*que\s*voc[eê]\s*faz)/i.test(lower)) {
         result.intent = 'HELP';
         result.confidence = 0.95;
         return result;
@@ -108,20 +437,161 @@ function fastParser(message) {
         return result;
     }
 
+    // 2.8 EDIT / UNDO BY REFERENCE (before sales: "anular la venta de Carlos")
+    if (/^(?:quiero\s+|pod[eé]s\s+)?(?:editar|corregir|cambiar|modificar)\s+(?:el|la|los|las)?\s*(?:[uú]ltim[oa]s?|monto|venta|fiado|cobro|pago|gasto)/i.test(lower)) {
+        result.intent = 'EDIT';
+        result.confidence = 0.9;
+        extractEntities(lower, original, result, locale);
+        extractTransactionReference(lower, result);
+        if (!result.entities.amount) result.confidence = 0.6;
+        return result;
+    }
+
+    if (/deshacer|me\s*equivoqu[eé]|anul[aá]r?|cancel[aá]r?\s*(el|la|los|las)?\s*([uú]ltim|venta|fiado|cobro|pago|gasto)|borr[aá]r?\s*(el|la|los|las)?\s*([uú]ltim|venta|fiado|cobro|pago|gasto)/i.test(lower)) {
+        result.intent = 'UNDO';
+        result.confidence = 0.95;
+        extractEntities(lower, original, result, locale);
+        extractTransactionReference(lower, result);
+        return result;
+    }
+
+    // 2.8.5 CATALOG: aliases, SKUs, units, product list
+    const aliasMatch = lower.match(/^(?:la\s+|el\s+|los\s+|las\s+)?(.+?)\s+tambi[eé]n\s+(?:se\s+llama|le\s+dicen|es)\s+(.+?)[.!]*$/) ||
+        lower.match(/^alias\s+(?:de\s+)?(?:la\s+|el\s+)?(.+?)\s*(?::|=|\ses\s)\s*(.+?)[.!]*$/);
+    if (aliasMatch) {
+        result.intent = 'CATALOG_UPDATE';
+        result.confidence = 0.9;
+        result.entities.product = aliasMatch[1].trim();
+        result.entities.alias = aliasMatch[2].trim();
+        return result;
+    }
+
+    const skuMatch = lower.match(/^(?:el\s+)?(?:c[oó]digo|sku)\s+(?:de\s+)?(?:la\s+|el\s+)?(.+?)\s*(?::|=|\ses\s)\s*([a-z0-9][a-z0-9\-_.]*)$/);
+    if (skuMatch) {
+        result.intent = 'CATALOG_UPDATE';
+        result.confidence = 0.9;
+        result.entities.product = skuMatch[1].trim();
+        result.entities.sku = skuMatch[2].toUpperCase();
+        return result;
+    }
+
+    const unitMatch = lower.match(/^(?:la\s+|el\s+|los\s+|las\s+)?(.+?)\s+se\s+vende\s+(?:por|en|x)\s+(?:la\s+|el\s+)?(unidad|caja|kilo|kg|litro|paquete|docena|bolsa|pack|metro|botella|lata|atado)(?:e?s)?(?![a-z])/);
+    if (unitMatch) {
+        result.intent = 'CATALOG_UPDATE';
+        result.confidence = 0.9;
+        result.entities.product = unitMatch[1].trim();
+        result.entities.unit = UNIT_NAMES[unitMatch[2]] || `${unitMatch[2]}s`;
+        return result;
+    }
+
+    // 2.8.6 CUSTOMERS: phone, nickname, rename, merge
+    const phoneMatch = lower.match(/^(?:el\s+)?(?:n[uú]mero|tel[eé]fono|cel(?:ular)?|whatsapp)\s+(?:de\s+)?(?:don\s+|doña\s+)?(.+?)\s*(?:es|:)?\s*(\+?\d[\d\s-]{5,})$/);
+    if (phoneMatch) {
+        result.intent = 'CUSTOMER_UPDATE';
+        result.confidence = 0.9;
+        result.entities.customer_name = capitalizeName(phoneMatch[1]);
+        result.entities.phone = phoneMatch[2].replace(/[\s-]/g, '');
+        return result;
+    }
+
+    const nicknameMatch = lower.match(/^(?:a\s+)?(?:don\s+|doña\s+)?(.+?)\s+le\s+dicen\s+(.+?)[.!]*$/) ||
+        lower.match(/^(?:el\s+)?apodo\s+de\s+(.+?)\s*(?::|\ses\s)\s*(.+?)[.!]*$/);
+    if (nicknameMatch) {
+        result.intent = 'CUSTOMER_UPDATE';
+        result.confidence = 0.9;
+        result.entities.customer_name = capitalizeName(nicknameMatch[1]);
+        result.entities.nickname = capitalizeName(nicknameMatch[2]);
+        return result;
+    }
+
+    const renameMatch = lower.match(/^(?:cambi[aá]r?(?:le)?\s+(?:el\s+)?nombre\s+(?:de|a)\s+|renombr[aá]r?\s+(?:a\s+)?)(.+?)\s+(?:a|por|como)\s+(.+?)[.!]*$/);
+    if (renameMatch) {
+        result.intent = 'CUSTOMER_RENAME';
+        result.confidence = 0.9;
+        result.entities.customer_name = capitalizeName(renameMatch[1]);
+        result.entities.new_name = capitalizeName(renameMatch[2]);
+        return result;
+    }
+
+    const mergeMatch = lower.match(/^(?:un[ií]r?|junt[aá]r?|fusion[aá]r?)\s+(?:a\s+)?(.+?)\s+(?:con|y)\s+(.+?)[.!]*$/) ||
+        lower.match(/^(.+?)\s+y\s+(.+?)\s+son\s+(?:la\s+misma(?:\s+persona)?|el\s+mismo(?:\s+cliente)?)/);
+    if (mergeMatch) {
+        result.intent = 'CUSTOMER_MERGE';
+        result.confidence = 0.9;
+        result.entities.customer_name = capitalizeName(mergeMatch[1]);
+        result.entities.other_name = capitalizeName(mergeMatch[2]);
+        return result;
+    }
+
+    if (/mis\s+productos|cat[aá]logo|lista\s+de\s+productos|qu[eé]\s+productos\s+tengo/.test(lower)) {
+        result.intent = 'CATALOG_QUERY';
+        result.confidence = 0.9;
+        return result;
+    }
+
+    // 2.9 STOCK QUERIES (before "stock" is taken as incoming goods)
+    if (/kardex|movimientos\s*(?:del?\s*)?(?:stock|inventario)|historial\s*(?:del?\s*)?(?:stock|inventario)|entradas\s*y\s*salidas/i.test(lower)) {
+        result.intent = 'INVENTORY_QUERY';
+        result.confidence = 0.9;
+        extractEntities(lower, original, result, locale);
+        result.entities.ledger = true;
+        return result;
+    }
+
+    // "avisame cuando queden 5 cocas", "stock mínimo de yerba 10"
+    const minStockMatch = lower.match(/avis[aá]me\s+cuando\s+(?:me\s+)?(?:queden?|haya|tenga)\s+(?:menos\s+de\s+)?(\d+)/) ||
+        lower.match(/(?:stock|inventario)\s+m[ií]nimo\s+(?:de\s+|para\s+)?\D*?(\d+)/) ||
+        lower.match(/m[ií]nimo\s+de\s+(\d+)\s+\S+/);
+    if (minStockMatch) {
+        result.intent = 'STOCK_ALERT';
+        result.confidence = 0.9;
+        extractEntities(lower, original, result, locale);
+        result.entities.min_stock = parseInt(minStockMatch[1]);
+        delete result.entities.amount;
+        delete result.entities.quantity;
+        return result;
+    }
+
+    if (/cu[aá]nt[oa]s?\s+(?:\S+\s+){0,2}(?:me\s+)?quedan|cu[aá]nto\s+(?:stock|hay)\s+de/i.test(lower)) {
+        result.intent = 'INVENTORY_QUERY';
+        result.confidence = 0.85;
+        extractEntities(lower, original, result, locale);
+        return result;
+    }
+
+    // 2.95 CUSTOMER STATEMENT — "¿cuánto me debe Carlos?", "movimientos de Carlos",
+    // "mandale el estado de cuenta a Carlos en pdf" (before "mandale" is a reminder)
+    const statementName = '(?:el\\s+|la\\s+|del?\\s+|al?\\s+)?([a-záéíóúñ][a-záéíóúñ\\s]*?)';
+    const statementEnd = '(?:\\s+(?:en|por|como)\\s+(?:pdf|texto|whatsapp|mensaje))?\\s*[?.!]*$';
+    const statementSend = lower.match(new RegExp(`(?:mand|envi|pas|reenvi)[aá](?:le|selo)?\\s+(?:el\\s+|su\\s+)?(?:estado\\s+de\\s+cuenta|extracto|resumen\\s+de\\s+cuenta|movimientos)\\s+${statementName}${statementEnd}`)) ||
+        lower.match(new RegExp(`(?:mand|envi|pas|reenvi)[aá]le\\s+${statementName}\\s+su\\s+(?:estado\\s+de\\s+cuenta|extracto|resumen\\s+de\\s+cuenta|movimientos)${statementEnd}`));
+    const statementView = lower.match(new RegExp(`(?:cu[aá]nto\\s+(?:me\\s+)?debe|estado\\s+de\\s+cuenta\\s+de|extracto\\s+de|movimientos\\s+de|historial\\s+de|cuenta\\s+de|deuda\\s+de)\\s+${statementName}${statementEnd}`));
+    const statementMatch = statementSend || statementView;
+    if (statementMatch && !/^(?:hoy|ayer|la\s+semana|esta\s+semana|este\s+mes|el\s+mes|caja|ventas?|stock|inventario|todos|mis\s+clientes)$/.test(statementMatch[1].trim())) {
+        result.intent = 'CUSTOMER_STATEMENT';
+        result.confidence = 0.9;
+        result.entities.customer_name = capitalizeName(statementMatch[1].trim());
+        if (statementSend) {
+            result.entities.send = true;
+            result.entities.format = /\bpdf\b/.test(lower) ? 'pdf' : 'text';
+        }
+        return result;
+    }
+
     // 3. REMINDER REQUEST (merchant asks to remind a customer)
     if (/record[aá]le|mand[aá]le\s*(un\s*)?(mensaje|recordatorio|aviso)|avis[aá]le|cobr[aá]le|decile\s*que\s*(pague|me\s*debe)|envi[aá]le\s*(un\s*)?recordatorio/i.test(lower)) {
         result.intent = 'REMINDER';
         result.confidence = 0.9;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
         if (!result.entities.customer_name) result.confidence = 0.6; // Let OpenAI find the name
         return result;
     }
 
     // 4. DEBT QUERY (before sales to avoid conflicts)
-    if (/cu[áa]nto\s*me\s*deben|qui[eé]n(es)?\s*me\s*debe|deudas?|pendientes?|saldos?|deudores?|morosos?|qui[eé]n\s*me\s*debe\s*m[aá]s|lista\s*de\s*deud(?:ores|as)|me\s*deben|los\s*que\s*me\s*deben|gente\s*que\s*me\s*debe|cu[aá]nto\s*deben|clientes?\s*que\s*deben|cobrar|por\s*cobrar|cuentas?\s*pendientes?|fiados?\s*pendientes?|mo[oõ]pa\s*oje[''´]?debe|mbovy\s*oje[''´]?debe\s*ch[eé]ve|m[aá]vapa\s*oje[''´]?debe|mbovy\s*ojedebe|quien\s*falta\s*pagar|falta\s*cobrar|quien\s*no\s*pago/i.test(lower)) {
+    if (/cu[áa]nto\s*me\s*deben|qui[eé]n(es)?\s*me\s*debe|deudas?|pendientes?|saldos?|deudores?|morosos?|qui[eé]n\s*me\s*debe\s*m[aá]s|lista\s*de\s*deud(?:ores|as)|me\s*deben|los\s*que\s*me\s*deben|gente\s*que\s*me\s*debe|cu[aá]nto\s*deben|clientes?\s*que\s*deben|cobrar|por\s*cobrar|cuentas?\s*pendientes?|fiados?\s*pendientes?|mo[oõ]pa\s*oje[''´]?debe|mbovy\s*oje[''´]?debe\s*ch[eé]ve|m[aá]vapa\s*oje[''´]?debe|mbovy\s*ojedebe|quien\s*falta\s*pagar|falta\s*cobrar|quien\s*no\s*pago|quanto\s*me\s*devem|quem\s*me\s*deve|d[ií]vidas?/i.test(lower)) {
         result.intent = 'DEBT_QUERY';
         result.confidence = 0.9;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
         return result;
     }
 
@@ -132,7 +602,14 @@ function fastParser(message) {
         return result;
     }
 
-    if (/cu[áa]nto\s*vend[ií]|mis\s*ventas|ventas?\s*de\s*(hoy|esta\s*semana|este\s*mes|ayer)|total\s*de\s*ventas|cu[áa]nto\s*hice|c[oó]mo\s*(me\s*fue|estoy|voy|va|ando)|estad[ií]sticas?|reporte|balance|como\s*va\s*el\s*negocio|como\s*anda\s*el\s*negocio|mba[''´]?[eé]pa\s*avend[eé]|cuanto\s*gane|cuanto\s*gan[eé]|ganancia|utilidad|mbovy\s*avendé|mba[''´]?[eé]ichapa\s*che\s*negocio/i.test(lower)) {
+    // 4. REPORT (PDF) — before SALES QUERY, which also matches "reporte"
+    if (/mi\s*reporte|reporte\s*(mensual|pdf|del\s*mes)|descargar\s*reporte|generar\s*reporte|baj[aá]r?\s*reporte|link\s*reporte/i.test(lower)) {
+        result.intent = 'REPORT';
+        result.confidence = 0.9;
+        return result;
+    }
+
+    if (/cu[áa]nto\s*vend[ií]|^resumen$|mis\s*ventas|ventas?\s*de\s*(hoy|esta\s*semana|este\s*mes|ayer)|total\s*de\s*ventas|cu[áa]nto\s*hice|c[oó]mo\s*(me\s*fue|estoy|voy|va|ando)|estad[ií]sticas?|reporte|balance|como\s*va\s*el\s*negocio|como\s*anda\s*el\s*negocio|mba[''´]?[eé]pa\s*avend[eé]|cuanto\s*gane|cuanto\s*gan[eé]|ganancia|utilidad|mbovy\s*avendé|mba[''´]?[eé]ichapa\s*che\s*negocio|quanto\s*vendi|minhas\s*vendas|como\s*foi/i.test(lower)) {
         result.intent = 'SALES_QUERY';
         result.confidence = 0.9;
         return result;
@@ -142,43 +619,46 @@ function fastParser(message) {
     if (/cobrar\s*con\s*qr|gener[aá]r?\s*(un)?\s*qr|cre[aá]r?\s*(un)?\s*qr|mand[aá]le\s*(un)?\s*qr|link\s*de\s*pago|gener[aá]r?\s*link|sipap/i.test(lower)) {
         result.intent = 'PAYMENT_LINK';
         result.confidence = 0.9;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
         return result;
     }
 
     // 5. PAYMENT / COLLECTION
-    if (/cobr[eéé]|me\s*pag[oó]|recib[ií]\s*pago|me\s*trajo|ya\s*pag[oó]|me\s*cancel[oó]|entr[oó]\s*plata|me\s*deposit[oó]|pag[oó]\s*su\s*deuda|sald[oó]\s*su\s*cuenta|abon[oó]|pago\s*parcial|pag[oó]\s*algo|me\s*dio|me\s*dej[oó]\s*plata|ohepaga|ohepyty|cancel[oó]\s*su|liqui?d[oó]|acobr[aé]|vino\s*a\s*pagar|acerc[oó]\s*plata|me\s*transfiri[oó]|transferencia\s*de|giro\s*de/i.test(lower) ||
-        /^[A-ZÁÉÍÓÚÑ][a-záéíóúñ]+\s+(?:me\s+)?pag[oó]/i.test(original)) {
+    if (/cobr[eéé]|me\s*pag[oó]|recib[ií]\s*pago|me\s*trajo|ya\s*pag[oó]|me\s*cancel[oó]|entr[oó]\s*plata|me\s*deposit[oó]|pag[oó]\s*su\s*deuda|sald[oó]\s*su\s*cuenta|abon[oó]|pago\s*parcial|pag[oó]\s*algo|me\s*dio|me\s*dej[oó]\s*plata|ohepaga|ohepyty|cancel[oó]\s*su|liqui?d[oó]|acobr[aé]|vino\s*a\s*pagar|acerc[oó]\s*plata|me\s*transfiri[oó]|transferencia\s*de|giro\s*de|recebi(?!\s+mercadoria)|me\s*pagou/i.test(lower) ||
+        /^[A-ZÁÉÍÓÚÑ][a-záéíóúñ]+\s+(?:me\s+)?pag[oó]/i.test(original) ||
+        /^pag[oó]\s+\d/.test(lower)) {
         result.intent = 'PAYMENT';
         result.confidence = 0.85;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
+        extractPaymentTarget(lower, result);
         if (!result.entities.customer_name) result.confidence = 0.6; // Let OpenAI find the name
         return result;
     }
 
     // 6. SALE CREDIT (fiado)
-    if (/fiad[oa]|fi[eé]|a\s*cr[eé]dito|le\s*(di|dej[eé]|fi[eé]|llev[oó])\s*a|a\s*cuenta|le\s*anot[eé]|anot[aá]le|carg[aá]le|me\s*qued[oó]\s*debiendo|le\s*entregu[eé]|se\s*llev[oó]\s*fiado|dej[oó]\s*a\s*deber|qued[oó]\s*debiendo|va\s*a\s*pagar\s*despu[eé]s|despu[eé]s\s*me\s*paga|le\s*abr[ií]\s*cuenta|oñeme[''´]?[eê]|afi[eé]|anot[aá]\s*en\s*su\s*cuenta|para\s*fin\s*de\s*mes|llev[oó]\s*para\s*pagar/i.test(lower)) {
+    if (/fiad[oa]|fi[eé]|a\s*cr[eé]dito|le\s*(di|dej[eé]|fi[eé]|llev[oó])\s*a|a\s*cuenta|le\s*anot[eé]|anot[aá]le|le\s*prest[eé]|carg[aá]le|me\s*qued[oó]\s*debiendo|le\s*entregu[eé]|se\s*llev[oó]\s*fiado|dej[oó]\s*a\s*deber|qued[oó]\s*debiendo|va\s*a\s*pagar\s*despu[eé]s|despu[eé]s\s*me\s*paga|le\s*abr[ií]\s*cuenta|oñeme[''´]?[eê]|afi[eé]|anot[aá]\s*en\s*su\s*cuenta|para\s*fin\s*de\s*mes|llev[oó]\s*para\s*pagar|en\s*\w+\s*cuotas/i.test(lower)) {
         result.intent = 'SALE_CREDIT';
         result.confidence = 0.9;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
+        extractCreditTerms(lower, result);
         if (!result.entities.customer_name) result.confidence = 0.6; // Let OpenAI find the name
         return result;
     }
 
     // 7. SALE CASH
-    if (/al\s*contado|en\s*efectivo|cash|pag[oó]\s*al\s*toque|pag[oó]\s*en\s*el\s*momento|cobr[eé]\s*al\s*momento|ya\s*me\s*pag[oó]|pago\s*t[uú]k[aá]t[aeé]|taka\s*taka|tiki\s*taka|efectivo|vendi\s*al\s*contado|venta\s*contado/i.test(lower)) {
+    if (/al\s*contado|en\s*efectivo|cash|pag[oó]\s*al\s*toque|pag[oó]\s*en\s*el\s*momento|cobr[eé]\s*al\s*momento|ya\s*me\s*pag[oó]|pago\s*t[uú]k[aá]t[aeé]|taka\s*taka|tiki\s*taka|efectivo|vendi\s*al\s*contado|venta\s*contado|[aà]\s*vista|no\s*dinheiro/i.test(lower)) {
         result.intent = 'SALE_CASH';
         result.confidence = 0.85;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
         return result;
     }
 
     // 8. General SALE (need to determine credit vs cash)
-    if (/vend[ií]|vendido|venta\s|le\s*vend[ií]|hice\s*una\s*venta|cerr[eé]\s*una\s*venta|sal[ií][oó]?\s*una\s*venta|compr[oó]|me\s*compr[oó]|le\s*despa(ch|ché)|se\s*llev[oó]|avendé|avend[eé]/i.test(lower)) {
+    if (/vend[ií]|vendido|venta\s|le\s*vend[ií]|hice\s*una\s*venta|cerr[eé]\s*una\s*venta|sal[ií][oó]?\s*una\s*venta|compr[oó]|me\s*compr[oó]|le\s*despa(ch|ché)|se\s*llev[oó]|avendé|avend[eé]|venda\s/i.test(lower)) {
         // Determine if credit or cash based on context
-        if (/fiad[oa]|fi[eé]|cr[eé]dito|le\s*di|le\s*dej[eé]|a\s*cuenta|despu[eé]s\s*paga|me\s*va\s*a\s*pagar/i.test(lower)) {
+        if (/fiad[oa]|fi[eé]|cr[eé]dito|le\s*di|le\s*dej[eé]|a\s*cuenta|despu[eé]s\s*paga|me\s*va\s*a\s*pagar|cuotas?|a\s*pagar\s*(?:el|la|a|en)\s/i.test(lower)) {
             result.intent = 'SALE_CREDIT';
-        } else if (/contado|efectivo|cash|pag[oó]\s*ya/i.test(lower)) {
+        } else if (/contado|efectivo|cash|pag[oó]\s*ya|[aà]\s*vista|no\s*dinheiro/i.test(lower)) {
             result.intent = 'SALE_CASH';
         } else {
             // Default to SALE_CASH if no credit indicator
@@ -186,16 +666,17 @@ function fastParser(message) {
             result.confidence = 0.75; // Lower confidence - might need clarification
         }
         result.confidence = Math.max(result.confidence, 0.85);
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
+        if (result.intent === 'SALE_CREDIT') extractCreditTerms(lower, result);
         if (result.intent === 'SALE_CREDIT' && !result.entities.customer_name) result.confidence = 0.6;
         return result;
     }
 
     // 9. INVENTORY
-    if (/lleg[aoóa]r?on|me\s*lleg[oó]|recibi|mercader[ií]a|stock|inventario|tengo\s+\d+|me\s*trajeron|descarg[ueé]|entr[oó]\s*mercader|reponer|repuse|repos?ici[oó]n|oguah[eẽ]/i.test(lower)) {
+    if (/lleg[aoóa]r?on|me\s*lleg[oó]|recibi|mercader[ií]a|stock|inventario|tengo\s+\d+|me\s*trajeron|descarg[ueé]|entr[oó]\s*mercader|reponer|repuse|repos?ici[oó]n|oguah[eẽ]|chegaram|mercadoria/i.test(lower)) {
         result.intent = 'INVENTORY_IN';
         result.confidence = 0.8;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
         return result;
     }
 
@@ -216,13 +697,6 @@ function fastParser(message) {
         return result;
     }
 
-    // 11. REPORT (PDF)
-    if (/mi\s*reporte|reporte\s*(mensual|pdf|del\s*mes)|descargar\s*reporte|generar\s*reporte|baj[aá]r?\s*reporte|link\s*reporte/i.test(lower)) {
-        result.intent = 'REPORT';
-        result.confidence = 0.9;
-        return result;
-    }
-
     // 12. MULTI-BUSINESS
     if (/mis\s*negocios|mis\s*comercios|mis\s*tiendas|listar\s*negocios/i.test(lower)) {
         result.intent = 'MULTI_BUSINESS';
@@ -261,17 +735,10 @@ function fastParser(message) {
     }
 
     // 14. EXPENSE
-    if (/gast[eéé]|compr[eé]|pagu[eé]\s*por|egreso|gast[oó]|saqu[eé]\s*plata/i.test(lower)) {
+    if (/gast[eéé]|compr[eé]|pagu[eé]\s*por|egreso|gast[oó]|saqu[eé]\s*plata|paguei/i.test(lower)) {
         result.intent = 'EXPENSE';
         result.confidence = 0.85;
-        extractEntities(lower, original, result);
-        return result;
-    }
-
-    // 15. UNDO
-    if (/deshacer|me\s*equivoqu[eé]|anular|cancelar\s*(el|la)?\s*[uú]ltim|borrar\s*(el|la)?\s*[uú]ltim/i.test(lower)) {
-        result.intent = 'UNDO';
-        result.confidence = 0.95;
+        extractEntities(lower, original, result, locale);
         return result;
     }
 
@@ -279,7 +746,10 @@ function fastParser(message) {
     if (/(actualizar\s*precio|precio\s*ahora\s*es|cambiar\s*precio)\b/i.test(lower)) {
         result.intent = 'INVENTORY_UPDATE';
         result.confidence = 0.85;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
+        // Products not in the static list: "actualizar precio de chipita a 2 mil"
+        const namedProduct = lower.match(/precio\s+(?:de\s+)?(?:la\s+|el\s+|los\s+|las\s+)?(.+?)\s+(?:a|es|en)\s+\d/);
+        if (namedProduct && !result.entities.product) result.entities.product = namedProduct[1].trim();
         return result;
     }
 
@@ -306,7 +776,7 @@ function fastParser(message) {
     if (/(a\s*cu[aá]nto|precio\s*de|cu[aá]nto\s*est[aá]|cu[aá]nto\s*cuesta)/i.test(lower)) {
         result.intent = 'INVENTORY_QUERY';
         result.confidence = 0.85;
-        extractEntities(lower, original, result);
+        extractEntities(lower, original, result, locale);
         return result;
     }
 
@@ -318,7 +788,7 @@ function fastParser(message) {
     }
 
     // If we found entities even without clear intent, try to infer
-    extractEntities(lower, original, result);
+    extractEntities(lower, original, result, locale);
     if (result.entities.amount && result.entities.customer_name) {
         // Has amount + name = probably a sale
         result.intent = 'SALE_CASH';
@@ -332,15 +802,40 @@ function fastParser(message) {
 // ENTITY EXTRACTION (shared by fast + fallback)
 // =============================================
 
-function extractEntities(lower, original, result) {
+// "se vende por caja" → unit shown next to stock
+const UNIT_NAMES = { unidad: 'unidades', kilo: 'kg', kg: 'kg', litro: 'litros' };
+
+// "don carlos benítez" → "Carlos Benítez"
+function capitalizeName(name) {
+    return name.trim()
+        .replace(/^(?:a|al|de|del)\s+/, '')
+        .replace(/^(?:don|doña|dona)\s+/, '')
+        .split(/\s+/)
+        .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+        .join(' ');
+}
+
+/**
+ * "1.500" → 1500 (dotted thousands), "12,50" → 12.5, "200" → 200
+ */
+function parseLocalNumber(text) {
+    if (/^\d{1,3}(?:\.\d{3})+$/.test(text)) return parseInt(text.replace(/\./g, ''));
+    return parseFloat(text.replace(',', '.'));
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function extractEntities(lower, original, result, locale = 'es') {
     // ─── AMOUNT PARSING ───
     let amount = null;
     let detectedCurrency = 'PYG'; // Default
 
     // ─── USD Detection FIRST (before PYG) ───
 
-    // "$50", "$100", "$1500" — dollar sign prefix
-    let amountMatch = lower.match(/\$\s*(\d+[.,]?\d*)/);
+    // "$50", "$100", "$1500" — dollar sign prefix (but not "R$")
+    let amountMatch = lower.match(/(?<!r)\$\s*(\d+[.,]?\d*)/);
     if (amountMatch) {
         amount = parseFloat(amountMatch[1].replace(',', '.'));
         detectedCurrency = 'USD';
@@ -373,18 +868,58 @@ function extractEntities(lower, original, result) {
         }
     }
 
+    // ─── BRL / ARS idioms (border merchants) ───
+
+    // "R$ 200", "200 reais", "200 reales", "200 conto", "50 pila", "2 mil reais", "mil reais"
+    if (!amount) {
+        amountMatch = lower.match(/r\$\s*(\d{1,3}(?:\.\d{3})+|\d+(?:[.,]\d+)?)(\s*mil(?![a-záéíóúñ]))?/) ||
+            lower.match(/(\d{1,3}(?:\.\d{3})+|\d+(?:[.,]\d+)?)(\s*mil)?\s*(?:reais|reales|real|brl|contos?|pilas?)(?![a-záéíóúñ])/);
+        if (amountMatch) {
+            amount = parseLocalNumber(amountMatch[1]) * (amountMatch[2] ? 1000 : 1);
+            detectedCurrency = 'BRL';
+        } else if (/(?<![a-záéíóúñ])mil\s+(?:reais|reales|contos?)(?![a-záéíóúñ])/.test(lower)) {
+            amount = 1000;
+            detectedCurrency = 'BRL';
+        }
+    }
+
+    // "300 pesos", "20 mil pesos", "mil pesos argentinos" — in Paraguay "pesos" are always Argentine
+    if (!amount) {
+        amountMatch = lower.match(/(\d{1,3}(?:\.\d{3})+|\d+(?:[.,]\d+)?)(\s*mil)?\s*(?:pesos|ars)(?![a-záéíóúñ])/);
+        if (amountMatch) {
+            amount = parseLocalNumber(amountMatch[1]) * (amountMatch[2] ? 1000 : 1);
+            detectedCurrency = 'ARS';
+        } else if (/(?<![a-záéíóúñ])mil\s+pesos(?![a-záéíóúñ])/.test(lower)) {
+            amount = 1000;
+            detectedCurrency = 'ARS';
+        }
+    }
+
+    // Argentine slang only counts for es-AR merchants: in Paraguay "mangos" are fruit
+    // "5 gambas" = 500 pesos, "300 mangos" = 300 pesos ("lucas" are handled below)
+    if (!amount && locale === 'es-AR') {
+        amountMatch = lower.match(/(\d+[.,]?\d*)\s*gambas?(?![a-záéíóúñ])/);
+        if (amountMatch) {
+            amount = parseFloat(amountMatch[1].replace(',', '.')) * 100;
+            detectedCurrency = 'ARS';
+        } else if ((amountMatch = lower.match(/(\d{1,3}(?:\.\d{3})+|\d+)\s*mangos(?![a-záéíóúñ])/))) {
+            amount = parseLocalNumber(amountMatch[1]);
+            detectedCurrency = 'ARS';
+        }
+    }
+
     // ─── PYG Amounts ───
 
-    // "1 millón", "2 millones", "1.5 millón", "medio millón"
+    // "1 millón", "2 millones", "1.5 millón", "medio millón", "meio milhão"
     if (!amount) {
-        amountMatch = lower.match(/medio\s*mill[oó]n/i);
+        amountMatch = lower.match(/medio\s*mill[oó]n|meio\s*milh[aã]o/i);
         if (amountMatch) {
             amount = 500000;
         }
     }
 
     if (!amount) {
-        amountMatch = lower.match(/(\d+[\.,]?\d*)\s*mill[oó]n/i);
+        amountMatch = lower.match(/(\d+[\.,]?\d*)\s*(?:mill[oó]n|milh[aã]o|milh[oõ]es)/i);
         if (amountMatch) {
             amount = parseFloat(amountMatch[1].replace(',', '.')) * 1000000;
         }
@@ -398,11 +933,12 @@ function extractEntities(lower, original, result) {
         }
     }
 
-    // "1 luca" = 1000, "500 lucas" = 500,000 (sometimes used)
+    // "1 luca" = 1000, "500 lucas" = 500,000 (sometimes used); for an Argentine, thousands of pesos
     if (!amount) {
         amountMatch = lower.match(/(\d+[\.,]?\d*)\s*lucas?/i);
         if (amountMatch) {
             amount = parseFloat(amountMatch[1].replace(',', '.')) * 1000;
+            if (locale === 'es-AR') detectedCurrency = 'ARS';
         }
     }
 
@@ -443,8 +979,12 @@ function extractEntities(lower, original, result) {
     }
 
     // ─── CURRENCY ─── (can also be set above during amount detection)
-    if (/d[oó]lar(es)?|usd|\$\s*\d|verdes?\b/i.test(lower)) {
+    if (/d[oó]lar(es)?|usd|(?<!r)\$\s*\d|verdes?\b/i.test(lower)) {
         detectedCurrency = 'USD';
+    } else if (/r\$|(?<![a-záéíóúñ])(?:reais|reales|brl|contos?)(?![a-záéíóúñ])/.test(lower)) {
+        detectedCurrency = 'BRL';
+    } else if (/(?<![a-záéíóúñ])(?:pesos|ars)(?![a-záéíóúñ])/.test(lower)) {
+        detectedCurrency = 'ARS';
     }
     result.entities.currency = detectedCurrency;
 
@@ -469,9 +1009,9 @@ function extractEntities(lower, original, result) {
         customerName = nameMatch[1];
     }
 
-    // Pattern: "a Carlos", "de María"
+    // Pattern: "a Carlos", "de María", "del Pelado" (nicknames)
     if (!customerName) {
-        nameMatch = original.match(/\b(?:a|A|de|De|DE)\s+([A-ZÁÉÍÓÚÑ][a-záéíóúñ]+(?:\s+[A-ZÁÉÍÓÚÑ][a-záéíóúñ]+)?)/);
+        nameMatch = original.match(/\b(?:a|A|al|Al|de|De|DE|del|Del)\s+([A-ZÁÉÍÓÚÑ][a-záéíóúñ]+(?:\s+[A-ZÁÉÍÓÚÑ][a-záéíóúñ]+)?)/);
         if (nameMatch && !skipWords.has(nameMatch[1].toLowerCase().split(' ')[0])) {
             customerName = nameMatch[1];
         }
@@ -501,6 +1041,14 @@ function extractEntities(lower, original, result) {
         }
     }
 
+    // Portuguese: "pro Carlos", "pra Maria", "da Maria", "do Carlos"
+    if (!customerName) {
+        nameMatch = original.match(/\b(?:pro|Pro|pra|Pra|da|Da|do|Do)\s+([A-ZÁÉÍÓÚÑ][a-záéíóúñãõç]+(?:\s+[A-ZÁÉÍÓÚÑ][a-záéíóúñãõç]+)?)/);
+        if (nameMatch && !skipWords.has(nameMatch[1].toLowerCase().split(' ')[0])) {
+            customerName = nameMatch[1];
+        }
+    }
+
     if (customerName) {
         // Capitalize first letter of each word
         result.entities.customer_name = customerName.split(' ')
@@ -549,11 +1097,12 @@ function extractEntities(lower, original, result) {
         'foco', 'cable', 'enchufe', 'cinta', 'pegamento', 'pvc'
     ];
 
-    for (const p of products) {
-        if (lower.includes(p)) {
-            result.entities.product = p;
-            break;
-        }
+    // Longest names first ("coca cola" before "coca"), whole words only ("gas" ≠ "gasté")
+    const productMention = [...products]
+        .sort((a, b) => b.length - a.length)
+        .find(p => new RegExp(`(?<![a-záéíóúñ])${escapeRegex(p)}(?:e?s)?(?![a-záéíóúñ])`).test(lower));
+    if (productMention) {
+        result.entities.product = productMention;
     }
 
     // ─── QUANTITY ───
@@ -569,6 +1118,16 @@ function extractEntities(lower, original, result) {
         }
     }
 
+    // "vendí 3 cocas" — a small number right before the product
+    let bareQuantity = false;
+    if (!result.entities.quantity && productMention) {
+        const beforeProduct = lower.match(new RegExp(`(?<![\\d.,])(\\d{1,3})\\s+${escapeRegex(productMention)}`));
+        if (beforeProduct) {
+            result.entities.quantity = parseInt(beforeProduct[1]);
+            bareQuantity = true;
+        }
+    }
+
     // ─── UNIT PRICE ───
     const unitPriceMatch = lower.match(/(\d+[\.,]?\d*)\s*(?:mil\s+)?(?:c\/u|cada\s*uno|cada\s*una|por\s*unidad|c\.u\.|la\s*unidad)/i);
     if (unitPriceMatch) {
@@ -580,12 +1139,15 @@ function extractEntities(lower, original, result) {
     }
 
     // Calculate total if quantity × unit_price
-    if (result.entities.quantity && result.entities.unit_price && !result.entities.amount) {
+    // ("a 8 mil c/u" is also read as the amount: the total is quantity × 8 mil)
+    if (result.entities.quantity && result.entities.unit_price &&
+        (!result.entities.amount || result.entities.amount === result.entities.unit_price)) {
         result.entities.amount = result.entities.quantity * result.entities.unit_price;
     }
 
     // If amount looks like unit price (small) and we have quantity
-    if (result.entities.quantity && result.entities.amount && !result.entities.unit_price) {
+    // ("3 cocas 30 mil" stays a 30 mil total: no unit word, no guessing)
+    if (result.entities.quantity && result.entities.amount && !result.entities.unit_price && !bareQuantity) {
         if (result.entities.amount < 200000 && result.entities.quantity > 1) {
             result.entities.unit_price = result.entities.amount;
             result.entities.amount = result.entities.quantity * result.entities.unit_price;
@@ -594,7 +1156,82 @@ function extractEntities(lower, original, result) {
 }
 
 // =============================================
-// OPENAI PARSER (for complex messages only)
+// TRANSACTION REFERENCE ("la venta de Carlos de ayer", "las últimas 3")
+// =============================================
+
+const NUMBER_WORDS = { un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10 };
+
+// "en 4 cuotas semanales", "a pagar el viernes", "para fin de mes", "a 30 días".
+// The date stays a phrase (due_ref); the bot turns it into a date.
+const INSTALLMENT_INTERVALS = { semanales: 'week', quincenales: 'fortnight', mensuales: 'month' };
+const DUE_REF = '(hoy|pasado\\s+ma[ñn]ana|ma[ñn]ana|(?:pr[oó]ximo\\s+)?(?:lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo)(?:\\s+que\\s+viene)?|fin\\s+de(?:l)?\\s+mes|quincena|(?:la\\s+)?semana\\s+que\\s+viene|(?:la\\s+)?pr[oó]xima\\s+semana|(?:el\\s+)?mes\\s+que\\s+viene|(?:el\\s+)?pr[oó]ximo\\s+mes|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|(?:\\d+|un|una|dos|tres)\\s+(?:d[ií]as|semanas?|mes(?:es)?)|\\d{1,2}(?!\\s*(?:mil|k|cuotas?|[.,]?\\d)))(?![a-záéíóúñ\\d])';
+
+function extractCreditTerms(lower, result) {
+    const e = result.entities;
+
+    const plan = lower.match(/(\d+|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez)\s+cuotas(?:\s+(semanales|quincenales|mensuales))?/);
+    if (plan) {
+        const count = parseInt(plan[1]) || NUMBER_WORDS[plan[1]];
+        if (count > 1) {
+            e.installments = count;
+            e.installment_interval = INSTALLMENT_INTERVALS[plan[2]] || 'month';
+        }
+        // The "4" of "4 cuotas" is neither money nor units
+        if (e.quantity === count) delete e.quantity;
+    }
+
+    const due = lower.match(new RegExp(`(?:a\\s+pagar|para|paga|pagar[aá]|vence|hasta)\\s+(?:el\\s+|la\\s+|a\\s+)?${DUE_REF}`)) ||
+        lower.match(new RegExp(`(?:^|\\s)a\\s+((?:\\d+|un|una|dos|tres)\\s+(?:d[ií]as|semanas?|mes(?:es)?))(?![a-záéíóúñ])`));
+    if (due) e.due_ref = due[1].trim();
+}
+
+// "del fiado del lunes", "por la venta del 12/10", "del fiado de la coca"
+const SALE_REF = '(hoy|anteayer|antes\\s+de\\s+ayer|ayer|(?:lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo)(?:\\s+pasado)?|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|\\d{1,2}(?!\\s*(?:mil|k|[.,]?\\d)))(?![a-záéíóúñ\\d])';
+
+function extractPaymentTarget(lower, result) {
+    const e = result.entities;
+    const item = '(?:del|de\\s+la|por\\s+el|por\\s+la|para\\s+el|para\\s+la)\\s+(?:fiado|venta|compra|cuenta|factura)';
+
+    const date = lower.match(new RegExp(`${item}\\s+(?:del?\\s+|de\\s+la\\s+)?${SALE_REF}`));
+    if (date) e.applies_to_date = date[1].trim();
+
+    const product = lower.match(new RegExp(`${item}\\s+(?:del|de(?:\\s+(?:la|el|los|las))?)\\s+([a-záéíóúñ]+)`));
+    if (product && !new RegExp(`^${SALE_REF}$`).test(product[1]) &&
+        product[1] !== (e.customer_name || '').toLowerCase()) {
+        e.applies_to_product = product[1];
+    }
+}
+
+function extractTransactionReference(lower, result) {
+    const e = result.entities;
+
+    // "las últimas 3", "los 2 últimos", "últimas tres"
+    const countMatch = lower.match(/[uú]ltim[oa]s\s+(\d+|\w+)/) || lower.match(/(\d+|\w+)\s+[uú]ltim[oa]s/);
+    if (countMatch) {
+        const n = parseInt(countMatch[1]) || NUMBER_WORDS[countMatch[1]];
+        if (n) e.count = Math.min(n, 10);
+    }
+
+    // Type of transaction
+    if (/fiado|cr[eé]dito/.test(lower)) e.tx_type = 'SALE_CREDIT';
+    else if (/contado|efectivo/.test(lower)) e.tx_type = 'SALE_CASH';
+    else if (/venta|vend/.test(lower)) e.tx_type = 'SALE';
+    else if (/cobro|pago|cobr[eé]/.test(lower)) e.tx_type = 'PAYMENT';
+    else if (/gasto|gast[eé]/.test(lower)) e.tx_type = 'EXPENSE';
+    else if (/mercader[ií]a|entrada|lleg/.test(lower)) e.tx_type = 'INVENTORY_IN';
+
+    // Day
+    if (/anteayer|antes\s*de\s*ayer/.test(lower)) e.date_ref = 'anteayer';
+    else if (/ayer/.test(lower)) e.date_ref = 'ayer';
+    else if (/hoy/.test(lower)) e.date_ref = 'hoy';
+
+    // The "3" of "últimas 3" isn't money
+    if (e.count && e.amount === e.count) delete e.amount;
+    if (e.currency && !e.amount) delete e.currency;
+}
+
+// =============================================
+// LLM PARSER (for complex messages only)
 // =============================================
 
 const SYSTEM_PROMPT = `Eres el motor NLP de NexoFinanzas, un bot de WhatsApp para comerciantes informales en Paraguay.
@@ -614,11 +1251,20 @@ DEBES responder SOLO con JSON válido, sin texto adicional.
 - INVENTORY_IN: Llegada de mercadería
 - INVENTORY_QUERY: Consulta de precio/stock de un producto
 - INVENTORY_UPDATE: Actualización de precio de un producto
+- STOCK_ALERT: Fijar el stock mínimo de un producto para recibir alertas
+- CATALOG_UPDATE: Agregar alias, código (SKU) o unidad de venta a un producto
+- CATALOG_QUERY: Ver la lista de productos del catálogo
+- CUSTOMER_UPDATE: Guardar el teléfono o un apodo de un cliente
+- CUSTOMER_RENAME: Cambiar el nombre de un cliente
+- CUSTOMER_MERGE: Unir dos clientes que son la misma persona
+- CUSTOMER_STATEMENT: Estado de cuenta de UN cliente (fiados y pagos con saldo), o enviárselo
 - EXPENSE: Gasto o egreso del negocio
-- UNDO: Deshacer o anular la última transacción
+- UNDO: Anular una o varias transacciones (la última por defecto, o por referencia)
+- EDIT: Corregir el monto de una transacción ya registrada
 - GREETING: Saludo
 - HELP: Pedido de ayuda
 - HUMAN_HANDOFF: Pedir hablar con una persona humana o soporte
+- SET_LANGUAGE: Cambiar el idioma del bot (entities.language: es | gn | pt | es-AR)
 - REGISTER_CEDULA: Registrar o guardar la cédula de identidad de un cliente
 - UNKNOWN: No se entiende
 
@@ -638,6 +1284,23 @@ DEBES responder SOLO con JSON válido, sin texto adicional.
   "language": "es"
 }
 
+## Varias operaciones en un mensaje:
+Si el mensaje tiene MÁS DE UNA operación (ej: "vendí 200 mil a Carlos fiado y cobré 150 de María, gasté 30 mil en pasaje"),
+agregá "operations" con cada una EN EL ORDEN en que aparecen. El "intent" y "entities" de arriba son los de la primera.
+{
+  "intent": "SALE_CREDIT",
+  "confidence": 0.9,
+  "entities": { "amount": 200000, "currency": "PYG", "customer_name": "Carlos" },
+  "operations": [
+    { "intent": "SALE_CREDIT", "confidence": 0.9, "entities": { "amount": 200000, "currency": "PYG", "customer_name": "Carlos" } },
+    { "intent": "PAYMENT", "confidence": 0.9, "entities": { "amount": 150000, "currency": "PYG", "customer_name": "María" } },
+    { "intent": "EXPENSE", "confidence": 0.9, "entities": { "amount": 30000, "currency": "PYG", "product": "pasaje" } }
+  ],
+  "language": "es"
+}
+- Un monto sin "mil" al lado de otro que sí lo tiene ("200 mil ... 150") se entiende en miles.
+- Si hay una sola operación, omití "operations".
+
 ## Reglas:
 - "fiado", "a crédito", "me debe", "le fié", "le dejé", "a cuenta" → SALE_CREDIT
 - "al contado", "en efectivo", "cash", "pagó ya" → SALE_CASH
@@ -650,11 +1313,30 @@ DEBES responder SOLO con JSON válido, sin texto adicional.
 - "me llegó", "llegaron", "recibí mercadería", "stock" → INVENTORY_IN
 - "gasté", "compré", "pagué de luz", "egreso" → EXPENSE
 - "me equivoqué", "deshacer", "cancelar último" → UNDO
-- "a cuánto tengo", "precio de", "cuánto está" → INVENTORY_QUERY
+- UNDO/EDIT por referencia: extraer "customer_name", "tx_type" (SALE, SALE_CREDIT, SALE_CASH, PAYMENT, EXPENSE, INVENTORY_IN),
+  "date_ref" (hoy, ayer, anteayer) y "count" (cuántas). Ej: "anular la venta de Carlos de ayer" → UNDO { customer_name: "Carlos", tx_type: "SALE", date_ref: "ayer" };
+  "anular las últimas 3" → UNDO { count: 3 }; "editar último monto a 250 mil" → EDIT { amount: 250000 } (amount = monto NUEVO)
+- "a cuánto tengo", "precio de", "cuánto está", "cuántas cocas me quedan" → INVENTORY_QUERY
+- "kardex de coca", "movimientos de stock de coca", "entradas y salidas de yerba" → INVENTORY_QUERY con "ledger": true
 - "actualizar precio", "cambiar precio", "precio ahora es" → INVENTORY_UPDATE
+- "avisame cuando queden 5 cocas", "stock mínimo de yerba 10" → STOCK_ALERT { product, min_stock }
+- "la coca también se llama gaseosa coca" → CATALOG_UPDATE { product: "coca", alias: "gaseosa coca" };
+  "código de coca cola 2l es CC2L" → CATALOG_UPDATE { product, sku }; "la yerba se vende por kilo" → CATALOG_UPDATE { product, unit: "kg" }
+- "mis productos", "catálogo" → CATALOG_QUERY
+- "el número de Carlos es 0981 123456" → CUSTOMER_UPDATE { customer_name, phone }; "a Carlos Benítez le dicen Charly" → CUSTOMER_UPDATE { customer_name, nickname }
+- "cambiar nombre de Carlso a Carlos Benítez" → CUSTOMER_RENAME { customer_name, new_name }
+- "unir Carlso con Carlos", "Carlos B y Carlos Benítez son la misma persona" → CUSTOMER_MERGE { customer_name, other_name }
+- Plazo de un fiado: "a pagar el viernes", "para fin de mes", "a 30 días", "paga el 15" → SALE_CREDIT con "due_ref" (la frase tal cual: "viernes", "fin de mes", "30 días", "15");
+  "en 4 cuotas semanales" → "installments": 4, "installment_interval": "week" ("fortnight" = quincenales, "month" = mensuales o sin decir)
+- Cobro de un fiado puntual: "del fiado del lunes", "de la venta del 12/10", "del fiado de la coca" → PAYMENT con
+  "applies_to_date" (la frase: "lunes", "12/10", "ayer") y/o "applies_to_product" ("coca")
+- "¿cuánto me debe Carlos?", "movimientos de Carlos", "estado de cuenta de María" → CUSTOMER_STATEMENT { customer_name }
+  (sin nombre, "¿cuánto me deben?" sigue siendo DEBT_QUERY)
+- "mandale el estado de cuenta a Carlos", "enviale a Carlos su extracto en pdf" → CUSTOMER_STATEMENT { customer_name, send: true, format: "text"|"pdf" }
 - "hablar con alguien", "soporte", "humano", "persona" → HUMAN_HANDOFF
 - "cedula de carlos es 12345", "documento de ana 999" → REGISTER_CEDULA (extraer customer_name y cedula)
-- Moneda: siempre PYG (guaraníes) salvo que diga "dólares" o "USD"
+- Moneda: siempre PYG (guaraníes) salvo que diga "dólares" o "USD" (USD), "reales", "reais" o "R$" (BRL), o "pesos" (ARS)
+  "200 reales" = 200 BRL, "20 mil pesos" = 20000 ARS: el monto queda en SU moneda, no se convierte
 - "500 mil" = 500000, "1 millón" = 1000000, "1 palo" = 1000000, "medio millón" = 500000
 - "500k" = 500000, "200 lucas" = 200000
 - Si dice "a Don X" o "de Doña X", extraer nombre sin el Don/Doña
@@ -662,33 +1344,57 @@ DEBES responder SOLO con JSON válido, sin texto adicional.
 - "c/u" o "cada uno" = unit_price
 - Nombres siempre capitalizar: "carlos" → "Carlos"
 - Entender jopará: "oñeme'ê" = vender, "ohepaga" = pagar, "mba'épa" = qué
+- "language": es | gn | jopara | pt | es-AR (el idioma en que está escrito el mensaje)
 `;
 
-async function openaiParser(message) {
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-            { role: 'system', content: SYSTEM_PROMPT },
-            { role: 'user', content: message }
-        ],
-        temperature: 0.1,
-        max_tokens: 300,
-        response_format: { type: 'json_object' }
-    });
-
-    const content = response.choices[0].message.content;
-    const parsed = JSON.parse(content);
-    parsed.parser = 'openai';
-    return parsed;
+// Extra guidance appended for merchants who write in another locale.
+// The JSON contract (intents, entity names) stays in Spanish for every locale.
+const LOCALE_PROMPTS = {
+    pt: `
+## Comerciante brasileño (portugués)
+El mensaje viene en portugués de Brasil (frontera: Ciudad del Este, Pedro Juan Caballero). Mismos intents:
+- "vendi fiado", "fiei", "pra pagar depois" → SALE_CREDIT; "vendi à vista", "no dinheiro", "no pix" → SALE_CASH
+- "recebi", "cobrei", "me pagou" → PAYMENT; "gastei", "paguei a luz", "comprei" → EXPENSE
+- "quanto me devem", "quem me deve" → DEBT_QUERY; "quanto vendi", "como foi a semana" → SALES_QUERY
+- "chegaram 30 caixas", "chegou mercadoria" → INVENTORY_IN
+- Moneda: "reais", "R$", "conto", "pila" → BRL ("200 conto" = 200 BRL, "mil reais" = 1000 BRL).
+  "mil" solo o "milhão" sin moneda siguen siendo guaraníes (PYG).
+- Nombres: "pro Carlos", "pra Maria", "da Maria" → customer_name
+- "language": "pt"
+`,
+    'es-AR': `
+## Comerciante argentino (español rioplatense)
+- "fiado", "se lo dejé anotado", "me lo paga a fin de mes" → SALE_CREDIT
+- Moneda: "lucas" = miles de pesos ("20 lucas" = 20000 ARS), "gambas" = cientos ("5 gambas" = 500 ARS),
+  "mangos" = pesos ("300 mangos" = 300 ARS), "guita" = plata. Con "guaraníes", "dólares" o "reais" se usa esa moneda.
+- "language": "es-AR"
+`
+};
+
+/**
+ * System prompt for a locale: the Paraguayan base plus that locale's idioms,
+ * plus the merchant's corrections as few-shot examples
+ */
+export function systemPromptFor(locale = 'es', examples = []) {
+    return SYSTEM_PROMPT + (LOCALE_PROMPTS[normalizeLanguage(locale)] || '') + formatExamples(examples);
 }
 
 // =============================================
 // LANGUAGE DETECTION
 // =============================================
 
-function detectLanguage(text) {
+// Portuguese words that never show up in Paraguayan Spanish (checked before guaraní: "hoje" contains "oje")
+const PT_WORDS = /^oi(?![a-z])|r\$|(?<![a-záéíóúñãõâêôç])(?:voc[eê]s?|n[aã]o|obrigad[oa]|quanto|quem|devem?|recebi|cobrei|paguei|gastei|comprei|fiei|reais|contos?|hoje|ontem|olá|valeu|pra|muito|fal[ae]|ajuda|venda|portugu[eê]s|tudo|dinheiro|mercadoria|semana\s+passada|bom\s+dia|boa\s+(?:tarde|noite))(?![a-záéíóúñãõâêôç])/;
+
+// Rioplatense words Paraguayans don't use (voseo is shared, so it doesn't count)
+const ES_AR_WORDS = /(?<![a-záéíóúñ])(?:guita|laburo|labur[aoé]|boludo|quilombo|bondi|morfi|chab[oó]n|posta|re\s+(?:caro|barato))(?![a-záéíóúñ])/;
+
+export function detectLanguage(text) {
+    if (PT_WORDS.test(text)) return 'pt';
+    if (ES_AR_WORDS.test(text)) return 'es-AR';
+
     // Pure guaraní indicators
-    const gnWords = /mba[''´]?[eé]|nde\s|mo[oõ]pa|ohé|oje[''´]?|oñeme|ohepaga|iporã|guarani|avendé|acobra|mbovy|oguahẽ|aikotevẽ|aikuaa|ndaikatú|ehai|che\s|péva|haguã|oĩ|ndéve|chéve|ñande|opavave|pytyvõ|ko['']?ãga|ko\s?ára|reipota|upépe|péicha|ha['']?e|mávapa|ndaipóri|jey/;
+    const gnWords = /mba[''´]?[eé]|nde\s|mo[oõ]pa|ohé|oje[''´]?|oñeme|ohepaga|iporã|ndaje|opaga|guarani|avendé|acobra|mbovy|oguahẽ|aikotevẽ|aikuaa|ndaikatú|ehai|che\s|péva|haguã|oĩ|ndéve|chéve|ñande|opavave|pytyvõ|ko['']?ãga|ko\s?ára|reipota|upépe|péicha|ha['']?e|mávapa|ndaipóri|jey/;
     if (gnWords.test(text)) return 'gn';
 
     // Jopará (guaraní + spanish mixed)
@@ -697,4 +1403,4 @@ function detectLanguage(text) {
     return 'es';
 }
 
-export default { processMessage };
+export default { processMessage, fastParser, splitOperations, inheritAmountScale, trustFast, getRoutingMetrics, resolveProducts, detectLanguage };
@@ -0,0 +1,103 @@
+// =============================================
+// NexoBot MVP — NLP Routing Metrics
+// =============================================
+// In-memory counters for how processMessage routes messages:
+// latency and cost per parser, cache hits, and how often the
+// LLM agrees with the fast parser at each confidence level.
+// Used to tune NLP_FAST_THRESHOLD (GET /api/admin/nlp).
+
+let metrics = emptyMetrics();
+
+function emptyMetrics() {
+    return {
+        since: new Date().toISOString(),
+        routes: { fast: 0, llm: 0, cache: 0, fallback: 0 },
+        parsers: {},
+        agreement: {},
+        cache: { hits: 0, misses: 0 }
+    };
+}
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// =============================================
+// RECORDING
+// =============================================
+
+/**
+ * How a message was answered: fast, llm, cache or fallback (LLM failed)
+ */
+export function recordRoute(route) {
+    metrics.routes[route] = (metrics.routes[route] || 0) + 1;
+}
+
+/**
+ * One parser call: latency, tokens and cost (USD), or an error
+ */
+export function recordParse(parser, { ms = 0, usage = null, costUsd = 0, error = false } = {}) {
+    const p = metrics.parsers[parser] ||= { calls: 0, errors: 0, total_ms: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+    p.calls++;
+    if (error) p.errors++;
+    p.total_ms += ms;
+    p.input_tokens += usage?.input_tokens || 0;
+    p.output_tokens += usage?.output_tokens || 0;
+    p.cost_usd += costUsd;
+}
+
+/**
+ * LLM vs fast parser on the same message, bucketed by the fast confidence
+ */
+export function recordAgreement(fastResult, llmResult) {
+    const bucket = (Math.floor((fastResult.confidence || 0) * 20) / 20).toFixed(2);
+    const a = metrics.agreement[bucket] ||= { compared: 0, agreed: 0 };
+    a.compared++;
+    if (fastResult.intent === llmResult.intent) a.agreed++;
+}
+
+export function recordCache(hit) {
+    if (hit) metrics.cache.hits++;
+    else metrics.cache.misses++;
+}
+
+// =============================================
+// REPORT
+// =============================================
+
+/**
+ * Snapshot with averages and rates filled in
+ */
+export function getNlpMetrics(extra = {}) {
+    const parsers = {};
+    for (const [name, p] of Object.entries(metrics.parsers)) {
+        parsers[name] = {
+            ...p,
+            avg_ms: p.calls ? round(p.total_ms / p.calls, 1) : 0,
+            cost_usd: round(p.cost_usd, 6)
+        };
+    }
+
+    let compared = 0, agreed = 0;
+    const byConfidence = {};
+    for (const bucket of Object.keys(metrics.agreement).sort()) {
+        const a = metrics.agreement[bucket];
+        compared += a.compared;
+        agreed += a.agreed;
+        byConfidence[bucket] = { ...a, rate: round(a.agreed / a.compared) };
+    }
+
+    const lookups = metrics.cache.hits + metrics.cache.misses;
+    return {
+        since: metrics.since,
+        routes: { ...metrics.routes },
+        parsers,
+        agreement: { compared, agreed, rate: compared ? round(agreed / compared) : null, by_confidence: byConfidence },
+        cache: { ...metrics.cache, hit_rate: lookups ? round(metrics.cache.hits / lookups) : null },
+        ...extra
+    };
+}
+
+export function resetNlpMetrics() {
+    metrics = emptyMetrics();
+}
+
+export default { recordRoute, recordParse, recordAgreement, recordCache, getNlpMetrics, resetNlpMetrics };
@@ -1,14 +1,47 @@
 // =============================================
 // NexoBot MVP — OCR Service (Cédula + Facturas)
 // =============================================
-// Uses GPT-4 Vision to extract data from images
-// sent via WhatsApp (cédula photos, invoices, etc.)
+// Uses the LLM provider (GPT-4 Vision, or offline fixtures)
+// to extract data from images sent via WhatsApp
+// (cédula photos, invoices, etc.)
 
-import OpenAI from 'openai';
+import { getProvider } from './llm.js';
+import { graphUrl } from './whatsapp.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const CEDULA_PROMPT = `Analizá esta imagen de una cédula de identidad paraguaya.
+Extraé TODOS los datos visibles. Respondé SOLO con JSON válido, sin markdown.
 
-const WHATSAPP_API_URL = 'https://graph.facebook.com/v22.0';
+Formato exacto:
+{
+  "es_cedula": true/false,
+  "nombre_completo": "...",
+  "numero_cedula": "solo dígitos sin puntos",
+  "fecha_nacimiento": "DD/MM/YYYY o null",
+  "sexo": "M" o "F" o null,
+  "nacionalidad": "...",
+  "direccion": "si visible, o null",
+  "fecha_emision": "DD/MM/YYYY o null",
+  "fecha_vencimiento": "DD/MM/YYYY o null",
+  "confianza": 0.0 a 1.0,
+  "observaciones": "cualquier detalle relevante"
+}
+
+Si la imagen NO es una cédula, respondé: { "es_cedula": false, "observaciones": "descripción de qué es la imagen" }`;
+
+const INVOICE_PROMPT = `Analizá esta imagen de una factura/remito/recibo paraguayo.
+Extraé los datos. Respondé SOLO con JSON válido, sin markdown.
+
+{
+  "es_factura": true/false,
+  "tipo": "factura" | "remito" | "recibo" | "ticket" | "otro",
+  "proveedor": "nombre del emisor",
+  "ruc": "RUC si visible",
+  "monto_total": número sin separadores,
+  "moneda": "PYG" o "USD",
+  "fecha": "DD/MM/YYYY o null",
+  "items": [{"producto": "...", "cantidad": N, "precio": N}],
+  "confianza": 0.0 a 1.0
+}`;
 
 // =============================================
 // DOWNLOAD IMAGE from WhatsApp
@@ -27,6 +60,12 @@ const WHATSAPP_API_URL = 'https://graph.facebook.com/v22.0';
 export async function downloadWhatsAppImage(mediaId) {
     const token = process.env.WHATSAPP_TOKEN;
 
+    // Offline provider: no network, its fixtures don't look at the image
+    if (getProvider()?.offline) {
+        console.log(`📸 OCR: offline provider, image ${mediaId} not downloaded`);
+        return 'data:image/jpeg;base64,';
+    }
+
     if (!token || token === 'your-whatsapp-token') {
         console.log('⚠️ OCR: WhatsApp not configured, cannot download image');
         return null;
@@ -34,7 +73,7 @@ export async function downloadWhatsAppImage(mediaId) {
 
     try {
         // Step 1: Get the media URL from Meta
-        const mediaRes = await fetch(`${WHATSAPP_API_URL}/${mediaId}`, {
+        const mediaRes = await fetch(`${graphUrl()}/${mediaId}`, {
             headers: { 'Authorization': `Bearer ${token}` }
         });
         const mediaData = await mediaRes.json();
@@ -74,63 +113,21 @@ export async function downloadWhatsAppImage(mediaId) {
 
 /**
  * Extract personal data from a Paraguayan cédula (ID card) photo
- * Uses GPT-4 Vision to read the document
+ * Uses the LLM provider's vision model to read the document
  *
  * @param {string} imageDataUrl - Base64 data URL of the image
  * @returns {Object|null} Extracted cédula data
  */
 export async function extractCedulaData(imageDataUrl) {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'sk-your-openai-key') {
-        console.log('⚠️ OCR: OpenAI not configured');
+    const provider = getProvider();
+    if (!provider) {
+        console.log('⚠️ OCR: LLM provider not configured');
         return null;
     }
 
     try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o',
-            messages: [{
-                role: 'user',
-                content: [
-                    {
-                        type: 'text',
-                        text: `Analizá esta imagen de una cédula de identidad paraguaya.
-Extraé TODOS los datos visibles. Respondé SOLO con JSON válido, sin markdown.
-
-Formato exacto:
-{
-  "es_cedula": true/false,
-  "nombre_completo": "...",
-  "numero_cedula": "solo dígitos sin puntos",
-  "fecha_nacimiento": "DD/MM/YYYY o null",
-  "sexo": "M" o "F" o null,
-  "nacionalidad": "...",
-  "direccion": "si visible, o null",
-  "fecha_emision": "DD/MM/YYYY o null",
-  "fecha_vencimiento": "DD/MM/YYYY o null",
-  "confianza": 0.0 a 1.0,
-  "observaciones": "cualquier detalle relevante"
-}
-
-Si la imagen NO es una cédula, respondé: { "es_cedula": false, "observaciones": "descripción de qué es la imagen" }`
-                    },
-                    {
-                        type: 'image_url',
-                        image_url: {
-                            url: imageDataUrl,
-                            detail: 'high'
-                        }
-                    }
-                ]
-            }],
-            max_tokens: 500,
-            temperature: 0.1
-        });
-
-        const content = response.choices[0].message.content.trim();
-
-        // Clean markdown code blocks if present
-        const jsonStr = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        const parsed = JSON.parse(jsonStr);
+        const parsed = await provider.extractImageJson({ kind: 'cedula', prompt: CEDULA_PROMPT, image: imageDataUrl, maxTokens: 500 });
+        if (!parsed) return null;
 
         console.log(`📸 OCR Cédula: ${parsed.es_cedula ? `✅ ${parsed.nombre_completo} (CI: ${parsed.numero_cedula})` : '❌ No es cédula'}`);
 
@@ -154,49 +151,13 @@ Si la imagen NO es una cédula, respondé: { "es_cedula": false, "observaciones"
  * @returns {Object|null} Extracted invoice data
  */
 export async function extractInvoiceData(imageDataUrl) {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'sk-your-openai-key') {
+    const provider = getProvider();
+    if (!provider) {
         return null;
     }
 
     try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o',
-            messages: [{
-                role: 'user',
-                content: [
-                    {
-                        type: 'text',
-                        text: `Analizá esta imagen de una factura/remito/recibo paraguayo.
-Extraé los datos. Respondé SOLO con JSON válido, sin markdown.
-
-{
-  "es_factura": true/false,
-  "tipo": "factura" | "remito" | "recibo" | "ticket" | "otro",
-  "proveedor": "nombre del emisor",
-  "ruc": "RUC si visible",
-  "monto_total": número sin separadores,
-  "moneda": "PYG" o "USD",
-  "fecha": "DD/MM/YYYY o null",
-  "items": [{"producto": "...", "cantidad": N, "precio": N}],
-  "confianza": 0.0 a 1.0
-}`
-                    },
-                    {
-                        type: 'image_url',
-                        image_url: {
-                            url: imageDataUrl,
-                            detail: 'high'
-                        }
-                    }
-                ]
-            }],
-            max_tokens: 800,
-            temperature: 0.1
-        });
-
-        const content = response.choices[0].message.content.trim();
-        const jsonStr = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        return JSON.parse(jsonStr);
+        return await provider.extractImageJson({ kind: 'invoice', prompt: INVOICE_PROMPT, image: imageDataUrl, maxTokens: 800 });
 
     } catch (error) {
         console.error('❌ OCR Invoice error:', error.message);
@@ -7,9 +7,13 @@
 // Flow: Welcome → Nombre completo → Cédula (texto o FOTO) → Email →
 //       Dirección → Ciudad → Tipo de negocio → Nombre del negocio → Volumen
 // After completing → normal bot mode
+// Every message comes from the guarani.js catalog, in the language
+// detected on the first message (saved to merchants.language).
 
 import supabase from '../config/supabase.js';
 import { downloadWhatsAppImage, extractCedulaData } from './ocr.js';
+import { t } from './guarani.js';
+import { withList } from './interactive.js';
 
 // In-memory onboarding state (survives during server uptime)
 // Key: phone number, Value: { step, data }
@@ -70,9 +74,10 @@ export function needsOnboarding(merchant) {
 
 /**
  * Handle onboarding step
- * @returns {string} Bot response for the current step
+ * @param {string} lang - language detected on the first message
+ * @returns {string|Object} Bot response for the current step (a tappable list for numbered questions)
  */
-export async function handleOnboarding(merchant, message, imageData = null) {
+export async function handleOnboarding(merchant, message, imageData = null, lang = 'es') {
     const phone = merchant.phone;
     const lower = message.toLowerCase().trim();
 
@@ -80,137 +85,89 @@ export async function handleOnboarding(merchant, message, imageData = null) {
     if (!onboardingState.has(phone)) {
         onboardingState.set(phone, {
             step: STEPS.WELCOME,
-            data: {}
+            data: { language: lang }
         });
     }
 
     const state = onboardingState.get(phone);
+    lang = state.data.language || lang;
 
     // Allow skipping onboarding
     if (lower === 'saltar' || lower === 'skip' || lower === 'omitir') {
         onboardingState.delete(phone);
-        return `⏭️ ¡Dale! Saltamos el registro.\n\n` +
-            `Podés empezar a usar el bot ahora. Escribí *ayuda* para ver qué puedo hacer 💪`;
+        return t(lang, 'onb_skipped');
     }
 
     switch (state.step) {
         case STEPS.WELCOME:
             state.step = STEPS.TERMS;
-            return `🦄 *¡Bienvenido a NexoFinanzas!* 🇵🇾\n\n` +
-                `Soy *NexoBot*, tu asistente financiero por WhatsApp.\n\n` +
-                `🔒 *Privacidad y Seguridad*\n` +
-                `Para proteger tus datos (Ley N° 6534/20), necesitamos tu consentimiento para procesar tu información transaccional.\n\n` +
-                `👉 *Leé nuestras políticas acá:* https://nexobot-mvp-1.onrender.com/privacy\n\n` +
-                `Para continuar, respondé *ACEPTO* o *SI*.`;
+            return t(lang, 'onb_welcome');
 
         case STEPS.TERMS:
-            if (!/acepto|sí|si|ok|dale/i.test(lower)) {
-                return `⚠️ Es necesario aceptar los términos para brindarte el servicio de NexoBot de forma segura y legal.\n\n` +
-                    `Respondé *ACEPTO* para continuar.`;
+            if (!/acepto|aceito|sí|si|ok|dale|heẽ|hee/i.test(lower)) {
+                return t(lang, 'onb_terms_required');
             }
             state.data.terms_accepted = true;
             state.data.terms_accepted_at = new Date().toISOString();
             state.step = STEPS.FULL_NAME;
-            return `✅ ¡Excelente! Vamos a crear tu cuenta en *1 minuto* (8 pasos rápidos).\n\n` +
-                `${progressBar(1)} Paso 1 de 8\n\n` +
-                `👤 *¿Cuál es tu nombre completo?*\n` +
-                `_(Ej: "Juan Carlos Pérez González")_\n\n` +
-                `_Escribí "saltar" si querés configurar después_`;
+            return stepMessage(lang, t(lang, 'onb_terms_ok'), 1, t(lang, 'onb_ask_name')) +
+                `\n\n${t(lang, 'onb_skip_hint')}`;
 
         case STEPS.FULL_NAME:
             // Validate: at least 2 words
             const nameParts = message.trim().split(/\s+/);
             if (nameParts.length < 2) {
-                return `⚠️ Necesito tu *nombre completo* (nombre y apellido).\n\n` +
-                    `👤 *¿Cuál es tu nombre y apellido?*\n` +
-                    `_(Ej: "Juan Carlos Pérez")_`;
+                return t(lang, 'onb_name_invalid');
             }
             state.data.full_name = capitalize(message.trim());
             state.step = STEPS.CEDULA;
-            return `👍 *${state.data.full_name}* — ¡un gusto!\n\n` +
-                `${progressBar(2)} Paso 2 de 8\n\n` +
-                `🪪 *¿Cuál es tu número de cédula?*\n` +
-                `_(Solo los números, sin puntos. Ej: 4523871)_\n\n` +
-                `📸 *O mejor:* mandame una *foto de tu cédula* y extraigo los datos automáticamente.`;
+            return stepMessage(lang, t(lang, 'onb_name_ok', state.data.full_name), 2, t(lang, 'onb_ask_cedula'));
 
         case STEPS.CEDULA:
             // Check if an image was sent
             if (imageData) {
-                return await handleCedulaPhoto(state, imageData);
+                return await handleCedulaPhoto(state, imageData, lang);
             }
 
             // Extract only digits from text
             const cedulaDigits = message.replace(/[^0-9]/g, '');
             if (cedulaDigits.length < 5 || cedulaDigits.length > 10) {
-                return `⚠️ Ese número no parece una cédula válida.\n\n` +
-                    `🪪 *Escribí tu número de cédula* (solo los números).\n` +
-                    `_(Ej: 4523871)_\n\n` +
-                    `📸 O mandame una *foto de tu cédula*.`;
+                return t(lang, 'onb_cedula_invalid');
             }
             state.data.cedula = cedulaDigits;
             state.data.cedula_display = formatCedula(cedulaDigits);
             state.step = STEPS.EMAIL;
-            return `✅ Cédula: *${state.data.cedula_display}*\n\n` +
-                `${progressBar(3)} Paso 3 de 8\n\n` +
-                `📧 *¿Cuál es tu email?*\n` +
-                `_(Ej: juan@gmail.com)_\n\n` +
-                `_Escribí "saltar" si no tenés o querés ponerlo después_`;
+            return stepMessage(lang, t(lang, 'onb_cedula_ok', state.data.cedula_display), 3, t(lang, 'onb_ask_email'));
 
         case STEPS.EMAIL:
             // Validate email or allow skip
             if (lower === 'saltar' || lower === 'skip' || lower === 'no' || lower === 'no tengo') {
                 state.data.email = null;
                 state.step = STEPS.ADDRESS;
-                return `👍 Sin problema, podés agregarlo después.\n\n` +
-                    `${progressBar(4)} Paso 4 de 8\n\n` +
-                    `🏠 *¿Cuál es tu dirección?*\n` +
-                    `_(Calle, número, barrio. Ej: "Av. Mariscal López 1234, Barrio Jara")_`;
+                return stepMessage(lang, t(lang, 'onb_email_skipped'), 4, t(lang, 'onb_ask_address'));
             }
 
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             const emailClean = message.trim().toLowerCase();
             if (!emailRegex.test(emailClean)) {
-                return `⚠️ Ese email no parece válido.\n\n` +
-                    `📧 *Escribí tu email correctamente*\n` +
-                    `_(Ej: juan@gmail.com)_\n\n` +
-                    `_O escribí "saltar" si no tenés_`;
+                return t(lang, 'onb_email_invalid');
             }
             state.data.email = emailClean;
             state.step = STEPS.ADDRESS;
-            return `✅ Email: *${state.data.email}*\n\n` +
-                `${progressBar(4)} Paso 4 de 8\n\n` +
-                `🏠 *¿Cuál es tu dirección?*\n` +
-                `_(Calle, número, barrio. Ej: "Av. Mariscal López 1234, Barrio Jara")_`;
+            return stepMessage(lang, t(lang, 'onb_email_ok', state.data.email), 4, t(lang, 'onb_ask_address'));
 
         case STEPS.ADDRESS:
             if (message.trim().length < 5) {
-                return `⚠️ Necesito una dirección más completa.\n\n` +
-                    `🏠 *Escribí tu dirección* (calle, número, barrio).\n` +
-                    `_(Ej: "Av. Mariscal López 1234, Barrio Jara")_`;
+                return t(lang, 'onb_address_invalid');
             }
             state.data.address = message.trim();
             state.step = STEPS.CITY;
-            return `✅ Dirección registrada.\n\n` +
-                `${progressBar(5)} Paso 5 de 8\n\n` +
-                `📍 *¿En qué ciudad estás?*\n` +
-                `_(Ej: Asunción, Ciudad del Este, Encarnación, Luque...)_`;
+            return stepMessage(lang, t(lang, 'onb_address_ok'), 5, t(lang, 'onb_ask_city'));
 
         case STEPS.CITY:
             state.data.city = capitalize(message.trim());
             state.step = STEPS.BUSINESS_TYPE;
-            return `📍 *${state.data.city}* — perfecto!\n\n` +
-                `${progressBar(6)} Paso 6 de 8\n\n` +
-                `🏪 *¿Qué tipo de negocio tenés?*\n\n` +
-                `Respondé con el número:\n` +
-                `1️⃣ Almacén / Supermercado\n` +
-                `2️⃣ Despensa / Minimarket\n` +
-                `3️⃣ Distribuidora\n` +
-                `4️⃣ Kiosco\n` +
-                `5️⃣ Ferretería\n` +
-                `6️⃣ Farmacia\n` +
-                `7️⃣ Restaurante / Bar\n` +
-                `8️⃣ Taller / Servicio\n` +
-                `9️⃣ Otro`;
+            return menuStep(lang, t(lang, 'onb_city_ok', state.data.city), 6, 'onb_ask_business_type', 'onb_business_type_question', 'onb_business_types');
 
         case STEPS.BUSINESS_TYPE:
             // Parse business type
@@ -231,23 +188,12 @@ export async function handleOnboarding(merchant, message, imageData = null) {
             }
 
             state.step = STEPS.BUSINESS_NAME;
-            return `✅ Tipo: *${capitalize(state.data.business_type)}*\n\n` +
-                `${progressBar(7)} Paso 7 de 8\n\n` +
-                `🏷️ *¿Cómo se llama tu negocio?*\n` +
-                `_(Ej: "Despensa Don Carlos", "Distribuidora López")_`;
+            return stepMessage(lang, t(lang, 'onb_business_type_ok', capitalize(state.data.business_type)), 7, t(lang, 'onb_ask_business_name'));
 
         case STEPS.BUSINESS_NAME:
             state.data.business_name = message.trim();
             state.step = STEPS.VOLUME;
-            return `👍 *${state.data.business_name}* — ¡buenísimo!\n\n` +
-                `${progressBar(8)} Último paso!\n\n` +
-                `💰 *¿Cuánto vendés aproximadamente por mes?*\n\n` +
-                `Respondé con el número:\n` +
-                `1️⃣ Menos de 5 millones Gs.\n` +
-                `2️⃣ 5 a 20 millones Gs.\n` +
-                `3️⃣ 20 a 50 millones Gs.\n` +
-                `4️⃣ 50 a 100 millones Gs.\n` +
-                `5️⃣ Más de 100 millones Gs.`;
+            return menuStep(lang, t(lang, 'onb_business_name_ok', state.data.business_name), 8, 'onb_ask_volume', 'onb_volume_question', 'onb_volumes');
 
         case STEPS.VOLUME:
             // Parse volume
@@ -265,22 +211,16 @@ export async function handleOnboarding(merchant, message, imageData = null) {
             await saveOnboardingData(merchant.id, state.data);
             onboardingState.delete(phone);
 
-            return `🎉 *¡Registro completo!* ${progressBar(8)}\n\n` +
-                `📋 Tu perfil NexoFinanzas:\n` +
-                `━━━━━━━━━━━━━━━━━━\n` +
-                `👤 ${state.data.full_name}\n` +
-                `🪪 CI: ${state.data.cedula_display}\n` +
-                (state.data.email ? `📧 ${state.data.email}\n` : '') +
-                `🏠 ${state.data.address}\n` +
-                `📍 ${state.data.city}\n` +
-                `🏪 ${state.data.business_name} (${capitalize(state.data.business_type)})\n` +
-                `━━━━━━━━━━━━━━━━━━\n\n` +
-                `✅ *Tu cuenta comercial está verificada.*\n\n` +
-                `🎁 *Tu Regalo de Bienvenida:*\n` +
-                `Preparamos un *Manual de Uso Rápido* para que aprendas todos los trucos y atajos ninja del Asistente:\n` +
-                `👉 *Descargalo aquí:* https://nexobot-mvp-1.onrender.com/manual-comerciantes.html\n\n` +
-                `🎓 *Probá tu primer comando ahora mismo:*\n` +
-                `Escribime: *"Vendí 500 mil a Carlos"* y empecemos a hacer plata. 💪`;
+            const profile = [
+                `👤 ${state.data.full_name}`,
+                `🪪 CI: ${state.data.cedula_display}`,
+                state.data.email ? `📧 ${state.data.email}` : null,
+                `🏠 ${state.data.address}`,
+                `📍 ${state.data.city}`,
+                `🏪 ${state.data.business_name} (${capitalize(state.data.business_type)})`
+            ].filter(Boolean).join('\n');
+
+            return t(lang, 'onb_complete', progressBar(8), profile);
 
         default:
             // Reset
@@ -314,6 +254,7 @@ async function saveOnboardingData(merchantId, data) {
         cedula_verified: data.cedula_verified || false,
         cedula_ocr_data: data.cedula_ocr_data || null,
         terms_accepted: data.terms_accepted || false,
+        language: data.language || 'es',
         onboarded_at: new Date().toISOString()
     };
 
@@ -348,6 +289,26 @@ function progressBar(step) {
     return `${filled}${empty}`;
 }
 
+/**
+ * Acknowledgement + progress + next question
+ */
+function stepMessage(lang, ack, step, question) {
+    return `${ack}\n\n${t(lang, 'onb_step', progressBar(step), step)}\n\n${question}`;
+}
+
+/**
+ * A numbered question as a tappable list. Row IDs are the numbers,
+ * so a tap reads like the typed answer.
+ */
+function menuStep(lang, ack, step, textKey, questionKey, optionsKey) {
+    return withList(
+        stepMessage(lang, ack, step, t(lang, textKey)),
+        t(lang, 'menu_button'),
+        t(lang, optionsKey).map((title, i) => ({ id: String(i + 1), title })),
+        { body: stepMessage(lang, ack, step, t(lang, questionKey)) }
+    );
+}
+
 /**
  * Format cédula with dots (e.g., 4.523.871)
  */
@@ -370,33 +331,27 @@ export function resetOnboarding(phone) {
  * Process a cédula photo sent during onboarding
  * Downloads the image from WhatsApp and runs OCR
  */
-async function handleCedulaPhoto(state, imageData) {
+async function handleCedulaPhoto(state, imageData, lang = 'es') {
     try {
         // Download image from WhatsApp
         const imageDataUrl = await downloadWhatsAppImage(imageData.mediaId);
 
         if (!imageDataUrl) {
-            return `⚠️ No pude descargar la imagen. Intentá de nuevo o escribí tu número de cédula manualmente.\n\n` +
-                `🪪 *¿Cuál es tu número de cédula?*\n` +
-                `_(Ej: 4523871)_`;
+            return t(lang, 'onb_photo_download_failed');
         }
 
         // Run OCR
         const ocrResult = await extractCedulaData(imageDataUrl);
 
         if (!ocrResult || !ocrResult.es_cedula) {
-            return `⚠️ No pude reconocer una cédula en esa imagen.\n\n` +
-                `📸 Intentá con otra foto (más nítida, buena luz), o escribí tu número de cédula manualmente.\n` +
-                `_(Ej: 4523871)_`;
+            return t(lang, 'onb_photo_not_cedula');
         }
 
         // Extract data from OCR
         const cedulaDigits = (ocrResult.numero_cedula || '').replace(/[^0-9]/g, '');
 
         if (cedulaDigits.length < 5) {
-            return `⚠️ Reconocí la cédula pero no pude leer el número claramente.\n\n` +
-                `🪪 *Escribí tu número de cédula manualmente:*\n` +
-                `_(Ej: 4523871)_`;
+            return t(lang, 'onb_photo_unreadable');
         }
 
         // Save OCR data
@@ -415,26 +370,22 @@ async function handleCedulaPhoto(state, imageData) {
 
         state.step = STEPS.EMAIL;
 
-        let response = `📸 *¡Cédula escaneada con éxito!*\n\n`;
+        let response = `${t(lang, 'onb_photo_ok')}\n\n`;
         response += `🪪 CI: *${state.data.cedula_display}*\n`;
         if (ocrResult.nombre_completo) {
-            response += `👤 Nombre: *${ocrResult.nombre_completo}*\n`;
+            response += `${t(lang, 'onb_photo_name')}: *${ocrResult.nombre_completo}*\n`;
         }
         if (ocrResult.fecha_nacimiento) {
-            response += `📅 Nacimiento: ${ocrResult.fecha_nacimiento}\n`;
+            response += `${t(lang, 'onb_photo_birth')}: ${ocrResult.fecha_nacimiento}\n`;
         }
-        response += `✅ Verificación: ${Math.round((ocrResult.confianza || 0) * 100)}% confianza\n`;
-        response += `\n📧 *¿Cuál es tu email?*\n`;
-        response += `_(Ej: juan@gmail.com)_\n\n`;
-        response += `_Escribí "saltar" si no tenés_`;
+        response += `${t(lang, 'onb_photo_confidence', Math.round((ocrResult.confianza || 0) * 100))}\n`;
+        response += `\n${t(lang, 'onb_ask_email')}`;
 
         return response;
 
     } catch (error) {
         console.error('❌ Cédula photo processing error:', error);
-        return `⚠️ Hubo un error procesando la foto. Escribí tu número de cédula manualmente.\n\n` +
-            `🪪 *¿Cuál es tu número de cédula?*\n` +
-            `_(Ej: 4523871)_`;
+        return t(lang, 'onb_photo_error');
     }
 }
 
@@ -7,6 +7,7 @@
 
 import supabase from '../config/supabase.js';
 import { downloadWhatsAppImage, extractInvoiceData } from './ocr.js';
+import { t } from './guarani.js';
 
 /**
  * Format amount in Guaraníes
@@ -24,47 +25,41 @@ function formatPYG(amount) {
  * 
  * @param {Object} merchant - Merchant object with id, phone
  * @param {Object} imageData - WhatsApp image data with mediaId
+ * @param {string} lang - merchant language
  * @returns {string} Bot response with extracted data
  */
-export async function handleReceiptPhoto(merchant, imageData) {
+export async function handleReceiptPhoto(merchant, imageData, lang = 'es') {
     try {
         // Download image from WhatsApp
         const imageDataUrl = await downloadWhatsAppImage(imageData.mediaId);
 
         if (!imageDataUrl) {
-            return `⚠️ No pude descargar la imagen. Intentá de nuevo.\n\n` +
-                `_Si querés registrar una compra manualmente, escribí:_\n` +
-                `_"Me llegó 50 unidades de aceite a 15mil c/u"_`;
+            return t(lang, 'receipt_download_failed');
         }
 
         // Run invoice OCR
         const ocrResult = await extractInvoiceData(imageDataUrl);
 
         if (!ocrResult || !ocrResult.es_factura) {
-            return `📸 Recibí tu foto pero *no reconozco una factura o boleta*.\n\n` +
-                `Podés enviarme fotos de:\n` +
-                `📄 Facturas de proveedores\n` +
-                `🧾 Remitos de entrega\n` +
-                `🎫 Tickets de compra\n\n` +
-                `_O registrá manualmente: "Me llegó mercadería de 500 mil"_`;
+            return t(lang, 'receipt_not_invoice');
         }
 
         // Build confirmation message
         const confianza = Math.round((ocrResult.confianza || 0) * 100);
-        let msg = `📄 *¡Boleta escaneada!* (${confianza}% confianza)\n\n`;
+        let msg = `${t(lang, 'receipt_scanned', confianza)}\n\n`;
 
-        msg += `📋 Tipo: *${ocrResult.tipo || 'factura'}*\n`;
-        if (ocrResult.proveedor) msg += `🏢 Proveedor: *${ocrResult.proveedor}*\n`;
+        msg += `${t(lang, 'receipt_type')}: *${ocrResult.tipo || 'factura'}*\n`;
+        if (ocrResult.proveedor) msg += `${t(lang, 'receipt_supplier')}: *${ocrResult.proveedor}*\n`;
         if (ocrResult.ruc) msg += `📝 RUC: ${ocrResult.ruc}\n`;
-        if (ocrResult.fecha) msg += `📅 Fecha: ${ocrResult.fecha}\n`;
+        if (ocrResult.fecha) msg += `${t(lang, 'receipt_date')}: ${ocrResult.fecha}\n`;
 
         const monto = ocrResult.monto_total || 0;
         const moneda = ocrResult.moneda || 'PYG';
-        msg += `💰 Total: *${moneda === 'PYG' ? formatPYG(monto) : `USD ${monto}`}*\n`;
+        msg += `${t(lang, 'receipt_total')}: *${moneda === 'PYG' ? formatPYG(monto) : `USD ${monto}`}*\n`;
 
         // Show items if available
         if (ocrResult.items && ocrResult.items.length > 0) {
-            msg += `\n📦 *Productos:*\n`;
+            msg += `\n${t(lang, 'receipt_products')}\n`;
             for (const item of ocrResult.items.slice(0, 8)) {
                 msg += `  • ${item.producto}`;
                 if (item.cantidad) msg += ` × ${item.cantidad}`;
@@ -72,7 +67,7 @@ export async function handleReceiptPhoto(merchant, imageData) {
                 msg += `\n`;
             }
             if (ocrResult.items.length > 8) {
-                msg += `  _... y ${ocrResult.items.length - 8} más_\n`;
+                msg += `  ${t(lang, 'receipt_more_items', ocrResult.items.length - 8)}\n`;
             }
         }
 
@@ -101,7 +96,7 @@ export async function handleReceiptPhoto(merchant, imageData) {
             }
 
             if (registered > 0) {
-                msg += `✅ *${registered} productos* registrados en tu inventario\n\n`;
+                msg += `${t(lang, 'receipt_items_registered', registered)}\n\n`;
             }
         }
 
@@ -119,18 +114,16 @@ export async function handleReceiptPhoto(merchant, imageData) {
                 parsed_entities: ocrResult
             });
 
-            msg += `📝 Compra de *${formatPYG(monto)}* registrada automáticamente\n`;
+            msg += `${t(lang, 'receipt_expense_registered', formatPYG(monto))}\n`;
         }
 
-        msg += `\n_Si algo no está bien, escribí "anular última"_`;
+        msg += `\n${t(lang, 'receipt_undo_hint')}`;
 
         return msg;
 
     } catch (error) {
         console.error('❌ Receipt OCR error:', error);
-        return `⚠️ Hubo un error procesando la imagen.\n\n` +
-            `_Podés registrar la compra manualmente:_\n` +
-            `_"Me llegó mercadería de 500 mil"_`;
+        return t(lang, 'receipt_error');
     }
 }
 
@@ -14,7 +14,8 @@
 //   "invitar a [phone]" → Send invite to a phone number
 
 import supabase from '../config/supabase.js';
-import { sendMessage } from './whatsapp.js';
+import { sendMessage, toWhatsAppNumber } from './whatsapp.js';
+import { t } from './guarani.js';
 
 // =============================================
 // GENERATE REFERRAL CODE
@@ -71,7 +72,7 @@ export async function getReferralCode(merchantId) {
  * Validate and apply a referral code
  * Called during onboarding when new merchant provides a code
  */
-export async function applyReferral(newMerchantId, referralCode) {
+export async function applyReferral(newMerchantId, referralCode, lang = 'es') {
     if (!supabase || !referralCode) return null;
 
     const code = referralCode.trim().toUpperCase();
@@ -79,17 +80,17 @@ export async function applyReferral(newMerchantId, referralCode) {
     // Find the referrer
     const { data: referrer } = await supabase
         .from('merchants')
-        .select('id, name, business_name, phone')
+        .select('id, name, business_name, phone, language')
         .eq('referral_code', code)
         .single();
 
     if (!referrer) {
-        return { success: false, message: 'Código de referido no encontrado' };
+        return { success: false, message: t(lang, 'referral_not_found') };
     }
 
     // Don't allow self-referral
     if (referrer.id === newMerchantId) {
-        return { success: false, message: 'No podés usar tu propio código' };
+        return { success: false, message: t(lang, 'referral_self') };
     }
 
     // Record the referral
@@ -103,19 +104,14 @@ export async function applyReferral(newMerchantId, referralCode) {
     // Update referral count for the referrer
     await supabase.rpc('increment_referral_count', { merchant_uuid: referrer.id });
 
-    // Notify the referrer
+    // Notify the referrer, in their own language
     const referrerName = referrer.business_name || referrer.name;
-    await sendMessage(referrer.phone,
-        `🎉 *¡Nuevo referido!*\n\n` +
-        `Alguien se registró usando tu código *${code}*.\n\n` +
-        `¡Gracias por recomendar NexoBot, ${referrerName}! 🙌\n\n` +
-        `Seguí compartiendo tu código para acumular beneficios.`
-    );
+    await sendMessage(referrer.phone, t(referrer.language, 'referral_new', code, referrerName));
 
     return {
         success: true,
         referrerName,
-        message: `✅ ¡Código aplicado! Gracias a ${referrerName} por la recomendación.`
+        message: t(lang, 'referral_applied', referrerName)
     };
 }
 
@@ -126,36 +122,20 @@ export async function applyReferral(newMerchantId, referralCode) {
 /**
  * Send an invite message to a phone number
  */
-export async function sendInvite(merchantId, targetPhone) {
+export async function sendInvite(merchantId, targetPhone, lang = 'es') {
     if (!supabase) return null;
 
     const referral = await getReferralCode(merchantId);
-    if (!referral) return { success: false, message: 'Error al obtener código' };
+    if (!referral) return { success: false, message: t(lang, 'referral_code_error') };
 
-    // Clean phone number
-    let phone = targetPhone.replace(/[^0-9+]/g, '');
-    if (!phone.startsWith('+') && !phone.startsWith('595')) {
-        phone = `+595${phone.replace(/^0/, '')}`;
-    }
+    const phone = toWhatsAppNumber(targetPhone);
 
     // Send invite message
-    await sendMessage(phone,
-        `👋 Hola! *${referral.merchantName}* te invita a usar *NexoBot* 🦄\n\n` +
-        `NexoBot es un asistente por WhatsApp que te ayuda a:\n` +
-        `✅ Registrar tus ventas\n` +
-        `✅ Controlar quién te debe\n` +
-        `✅ Recibir resúmenes diarios de tu negocio\n\n` +
-        `Es *gratis* y se configura en 1 minuto.\n\n` +
-        `📱 Escribile a este número para empezar.\n` +
-        `Cuando te pregunte, usá el código: *${referral.code}*\n\n` +
-        `_Enviado por NexoBot en nombre de ${referral.merchantName}_`
-    );
+    await sendMessage(phone, t(lang, 'referral_invite', referral.merchantName, referral.code));
 
     return {
         success: true,
-        message: `✅ *Invitación enviada* a ${phone}\n\n` +
-            `Tu código de referido: *${referral.code}*\n` +
-            `Cuando se registre usando tu código, ambos ganan! 🎉`
+        message: t(lang, 'referral_invite_sent', phone, referral.code)
     };
 }
 
@@ -196,31 +176,24 @@ export async function getReferralStats(merchantId) {
 /**
  * Handle referral-related intents from the bot
  */
-export async function handleReferralIntent(merchant, subIntent, entities = {}) {
+export async function handleReferralIntent(merchant, subIntent, entities = {}, lang = 'es') {
     switch (subIntent) {
         case 'GET_CODE': {
             const referral = await getReferralCode(merchant.id);
-            if (!referral) return '❌ Error al obtener tu código de referido.';
+            if (!referral) return t(lang, 'referral_code_error');
 
             const stats = await getReferralStats(merchant.id);
             const totalRefs = stats?.totalReferrals || 0;
 
-            return `🎁 *Tu código de referido:*\n\n` +
-                `\`${referral.code}\`\n\n` +
-                `📊 Referidos activos: *${totalRefs}*\n\n` +
-                `Compartí este código con otros comerciantes. ` +
-                `Cuando se registren en NexoBot con tu código, ¡ambos ganan!\n\n` +
-                `Para invitar directamente, escribí:\n` +
-                `_"invitar a 0981234567"_`;
+            return t(lang, 'referral_code', referral.code, totalRefs);
         }
 
         case 'SEND_INVITE': {
             const phone = entities.phone;
             if (!phone) {
-                return `📱 Decime el número de teléfono del comerciante que querés invitar.\n\n` +
-                    `_Ej: "invitar a 0981234567"_`;
+                return t(lang, 'referral_invite_no_phone');
             }
-            const result = await sendInvite(merchant.id, phone);
+            const result = await sendInvite(merchant.id, phone, lang);
             return result.message;
         }
 
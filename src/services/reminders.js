@@ -2,37 +2,32 @@
 // NexoBot MVP — Reminder Service
 // =============================================
 // Sends automated WhatsApp reminders to debtors
-// on an escalating schedule (Day 3, 7, 14+)
+// on an escalating schedule, by real days past due
+// (due date → friendly, 6+ days late → firm, 11+ → urgent).
+// Texts: reminder_friendly / _firm / _urgent in guarani.js,
+// in the merchant's language.
+//
+// A reminder is 'pending' until WhatsApp confirms delivery
+// (status webhook → delivery.js), then 'sent'. If delivery fails
+// it is sent once more; after that it is 'failed' and the
+// merchant is told to reach the customer some other way.
+// Debtors rarely write to the bot, so most reminders go out as
+// approved templates (templates.js: payment_reminder / payment_overdue).
 
 import supabase from '../config/supabase.js';
-import { sendMessage } from './whatsapp.js';
+import * as Customer from '../models/customer.js';
+import { sendTracked, onDeliveryStatus } from './delivery.js';
+import { getCustomerDue } from './installments.js';
+import { t } from './guarani.js';
 
-// =============================================
-// REMINDER TEMPLATES (escalating tone)
-// =============================================
+// Delivery attempts per reminder (the first send + one retry)
+const MAX_REMINDER_ATTEMPTS = 2;
+
+// Meta errors resending the same message can't fix: not a WhatsApp number, outside the 24h window, unsupported
+const PERMANENT_ERRORS = [131026, 131047, 131051];
 
-const TEMPLATES = {
-    // Day 3: Friendly reminder
-    friendly: (customerName, amount, merchantName) =>
-        `Hola ${customerName} 👋\n\n` +
-        `Te recordamos que tenés un saldo pendiente de *${formatPYG(amount)}* con ${merchantName}.\n\n` +
-        `¿Podés pasar a abonar? ¡Gracias! 🙏\n\n` +
-        `_Mensaje enviado por NexoBot en nombre de ${merchantName}_`,
-
-    // Day 7: Firm reminder
-    firm: (customerName, amount, merchantName) =>
-        `Hola ${customerName},\n\n` +
-        `Tu deuda de *${formatPYG(amount)}* con ${merchantName} lleva más de una semana pendiente.\n\n` +
-        `¿Querés coordinar un plan de pago? Podés pagar en cuotas. Respondé a este mensaje para coordinar.\n\n` +
-        `_Mensaje de cobranza de ${merchantName} via NexoBot_`,
-
-    // Day 14+: Urgent
-    urgent: (customerName, amount, merchantName, days) =>
-        `${customerName}, \n\n` +
-        `Tu deuda de *${formatPYG(amount)}* con ${merchantName} tiene *${days} días* de atraso.\n\n` +
-        `Es importante regularizar tu situación lo antes posible. Contactá a ${merchantName} para coordinar el pago.\n\n` +
-        `_Cobranza de ${merchantName} via NexoBot_`
-};
+// Outside the 24h window a template still goes through (see handleReminderStatus)
+const WINDOW_CLOSED_ERROR = 131047;
 
 function formatPYG(amount) {
     if (amount >= 1000000) {
@@ -41,6 +36,17 @@ function formatPYG(amount) {
     return `Gs. ${amount.toLocaleString('es-PY')}`;
 }
 
+/**
+ * What goes instead of the text when the customer's 24h window is closed
+ */
+function reminderTemplate(tone, customerName, amount, merchantName, days, lang) {
+    return {
+        id: tone === 'friendly' ? 'payment_reminder' : 'payment_overdue',
+        data: { customer: customerName, amount: formatPYG(amount), business: merchantName, days },
+        lang
+    };
+}
+
 // =============================================
 // CORE: Process and send reminders
 // =============================================
@@ -72,7 +78,8 @@ export async function processReminders() {
                 merchants!inner (
                     name,
                     business_name,
-                    phone
+                    phone,
+                    language
                 )
             `)
             .gt('total_debt', 0)
@@ -97,7 +104,7 @@ export async function processReminders() {
             }
         }
 
-        console.log(`🔔 Reminders done: ${stats.sent} sent, ${stats.skipped} skipped, ${stats.errors} errors`);
+        console.log(`🔔 Reminders done: ${stats.sent} sent (pending delivery), ${stats.skipped} skipped, ${stats.errors} errors`);
         return stats;
 
     } catch (error) {
@@ -116,29 +123,24 @@ async function processDebtorReminder(debtor, stats) {
         return;
     }
 
-    // Calculate days since last transaction
-    const lastTx = debtor.last_transaction_at ? new Date(debtor.last_transaction_at) : null;
-    if (!lastTx) {
-        stats.skipped++;
-        return;
-    }
-
+    // Real days past due, from the installment schedule
     const now = new Date();
-    const daysSinceLastTx = Math.floor((now - lastTx) / (1000 * 60 * 60 * 24));
+    const due = await getCustomerDue(debtor.id);
 
-    // Only send reminders for debts older than 3 days
-    if (daysSinceLastTx < 3) {
+    // Nothing due yet (next installment is in the future)
+    if (due.dueNow <= 0) {
         stats.skipped++;
         return;
     }
+    const daysPastDue = due.daysPastDue;
 
-    // Check if we already sent a reminder recently (within 3 days)
+    // Check if we already sent a reminder recently (within 3 days), delivered or on its way
     const { data: recentReminder } = await supabase
         .from('reminders')
-        .select('id, sent_at')
+        .select('id, scheduled_at')
         .eq('customer_id', debtor.id)
-        .eq('status', 'sent')
-        .gte('sent_at', new Date(now - 3 * 24 * 60 * 60 * 1000).toISOString())
+        .in('status', ['sent', 'pending'])
+        .gte('scheduled_at', new Date(now - 3 * 24 * 60 * 60 * 1000).toISOString())
         .limit(1);
 
     if (recentReminder && recentReminder.length > 0) {
@@ -146,52 +148,122 @@ async function processDebtorReminder(debtor, stats) {
         return;
     }
 
-    // Determine reminder type based on age
-    const merchantName = debtor.merchants.business_name || debtor.merchants.name || 'tu proveedor';
-    let messageText;
-    let reminderType;
-
-    if (daysSinceLastTx <= 5) {
-        reminderType = 'friendly';
-        messageText = TEMPLATES.friendly(debtor.name, debtor.total_debt, merchantName);
-    } else if (daysSinceLastTx <= 10) {
-        reminderType = 'firm';
-        messageText = TEMPLATES.firm(debtor.name, debtor.total_debt, merchantName);
-    } else {
-        reminderType = 'urgent';
-        messageText = TEMPLATES.urgent(debtor.name, debtor.total_debt, merchantName, daysSinceLastTx);
+    // Determine reminder type based on days past due
+    const lang = debtor.merchants.language || 'es';
+    const merchantName = debtor.merchants.business_name || debtor.merchants.name || t(lang, 'supplier_fallback');
+    const reminderType = daysPastDue <= 5 ? 'friendly' : daysPastDue <= 10 ? 'firm' : 'urgent';
+    const messageText = t(lang, `reminder_${reminderType}`, debtor.name, formatPYG(due.dueNow), merchantName, daysPastDue);
+
+    // Log the reminder first: delivery updates point at it
+    const { data: reminder, error } = await supabase.from('reminders').insert({
+        merchant_id: debtor.merchant_id,
+        customer_id: debtor.id,
+        amount: due.dueNow,
+        message: messageText,
+        scheduled_at: now.toISOString(),
+        status: 'pending',
+        tone: reminderType,
+        days_past_due: daysPastDue,
+        attempts: 1
+    }).select().single();
+
+    if (error) {
+        console.error('❌ Reminder DB error:', error);
+        stats.errors++;
+        return;
     }
 
-    // Send the WhatsApp message
-    const sent = await sendMessage(debtor.phone, messageText);
-
-    if (sent) {
-        // Log the reminder in DB
-        await supabase.from('reminders').insert({
-            merchant_id: debtor.merchant_id,
-            customer_id: debtor.id,
-            amount: debtor.total_debt,
-            message: messageText,
-            scheduled_at: now.toISOString(),
-            sent_at: now.toISOString(),
-            status: 'sent'
-        });
-
-        // Notify the merchant that a reminder was sent
-        await sendMessage(
-            debtor.merchants.phone,
-            `🔔 *Recordatorio enviado*\n\n` +
-            `Se envió un recordatorio ${reminderType === 'friendly' ? 'amigable' : reminderType === 'firm' ? 'firme' : 'urgente'} a *${debtor.name}* por su deuda de ${formatPYG(debtor.total_debt)}.\n\n` +
-            `📅 Deuda de ${daysSinceLastTx} días`
-        );
+    // Send the WhatsApp message; the merchant is notified once it's delivered
+    const delivery = await sendTracked(debtor.phone, messageText, {
+        merchantId: debtor.merchant_id, kind: 'reminder', refId: reminder.id,
+        template: reminderTemplate(reminderType, debtor.name, due.dueNow, merchantName, daysPastDue, lang)
+    });
+    await afterSend(reminder, delivery);
 
-        stats.sent++;
-        console.log(`📨 Reminder sent to ${debtor.name} (${debtor.phone}) - ${reminderType} - ${formatPYG(debtor.total_debt)}`);
-    } else {
+    if (delivery.status === 'failed') {
         stats.errors++;
+        return;
     }
+
+    stats.sent++;
+    console.log(`📨 Reminder sent to ${debtor.name} (${debtor.phone}) - ${reminderType} - ${formatPYG(due.dueNow)} (${daysPastDue}d late)`);
 }
 
+// =============================================
+// DELIVERY (status webhooks)
+// =============================================
+
+/**
+ * Right after handing a reminder to WhatsApp. Without a WhatsApp token no
+ * status webhook will ever come, so simulated sends count as delivered.
+ */
+async function afterSend(reminder, delivery) {
+    if (delivery.status === 'simulated') await handleReminderStatus({ ref_id: reminder.id }, { status: 'delivered' });
+    if (delivery.status === 'failed') await handleReminderStatus({ ref_id: reminder.id }, { status: 'failed', error: { message: delivery.error } });
+}
+
+/**
+ * delivered/read → the reminder counts as sent (and the merchant hears about it);
+ * failed → one more try, then tell the merchant
+ */
+async function handleReminderStatus(log, { status, error }) {
+    if (!supabase || !log.ref_id) return;
+
+    const { data: reminder } = await supabase
+        .from('reminders')
+        .select('*, merchant_customers (name, phone, total_debt), merchants (phone, language, name, business_name)')
+        .eq('id', log.ref_id)
+        .maybeSingle();
+
+    if (!reminder || reminder.status !== 'pending') return;
+    const customer = reminder.merchant_customers;
+    const lang = reminder.merchants?.language || 'es';
+
+    if (status === 'delivered' || status === 'read') {
+        const deliveredAt = new Date().toISOString();
+        await supabase.from('reminders').update({ status: 'sent', sent_at: deliveredAt, delivered_at: deliveredAt }).eq('id', reminder.id);
+
+        // Manual reminders were already confirmed to the merchant when they asked for them
+        if (!reminder.manual && reminder.merchants?.phone) {
+            await sendTracked(
+                reminder.merchants.phone,
+                t(lang, 'reminder_notice', t(lang, 'reminder_tone', reminder.tone || 'friendly'), customer?.name,
+                    formatPYG(reminder.amount), formatPYG(customer?.total_debt || reminder.amount), reminder.days_past_due || 0),
+                { merchantId: reminder.merchant_id, kind: 'reminder_notice', refId: reminder.id }
+            );
+        }
+        console.log(`✅ Reminder delivered to ${customer?.name} (${customer?.phone})`);
+        return;
+    }
+
+    if (status !== 'failed') return;
+
+    // The text went out because the window looked open, but it wasn't: retry as a template
+    const windowClosed = error?.code === WINDOW_CLOSED_ERROR && log.message_type !== 'template';
+    const permanent = PERMANENT_ERRORS.includes(error?.code) && !windowClosed;
+    if (!permanent && reminder.attempts < MAX_REMINDER_ATTEMPTS && customer?.phone) {
+        console.warn(`🔁 Reminder to ${customer.name} not delivered (${error?.message || 'unknown'}), retrying${windowClosed ? ' as a template' : ''}`);
+        await supabase.from('reminders').update({ attempts: reminder.attempts + 1, error: error?.message || null }).eq('id', reminder.id);
+        const merchantName = reminder.merchants?.business_name || reminder.merchants?.name || t(lang, 'supplier_fallback');
+        const template = reminderTemplate(reminder.tone || 'friendly', customer.name, reminder.amount, merchantName, reminder.days_past_due || 0, lang);
+        const retry = await sendTracked(customer.phone, reminder.message, {
+            merchantId: reminder.merchant_id, kind: 'reminder', refId: reminder.id,
+            template: { ...template, force: windowClosed }
+        });
+        await afterSend({ ...reminder, attempts: reminder.attempts + 1 }, retry);
+        return;
+    }
+
+    await supabase.from('reminders').update({ status: 'failed', error: error?.message || null }).eq('id', reminder.id);
+    console.warn(`📪 Reminder to ${customer?.name} failed after ${reminder.attempts} attempt(s): ${error?.message || 'unknown'}`);
+    if (reminder.merchants?.phone) {
+        await sendTracked(reminder.merchants.phone, t(lang, 'reminder_undelivered', customer?.name, customer?.phone),
+            { merchantId: reminder.merchant_id, kind: 'reminder_notice', refId: reminder.id });
+    }
+}
+
+onDeliveryStatus('reminder', handleReminderStatus);
+
 // =============================================
 // MANUAL REMINDER (merchant requests it)
 // =============================================
@@ -199,31 +271,26 @@ async function processDebtorReminder(debtor, stats) {
 /**
  * Send a manual reminder to a specific customer
  * Triggered when merchant says "recordale a Carlos"
+ * @param {string|null} customerId - The customer disambiguation already picked
  */
-export async function sendManualReminder(merchantId, customerName) {
+export async function sendManualReminder(merchantId, customerName, lang = 'es', customerId = null) {
     if (!supabase) return null;
 
-    // Find the customer
-    const { data: customer } = await supabase
-        .from('merchant_customers')
-        .select('*')
-        .eq('merchant_id', merchantId)
-        .ilike('name', customerName)
-        .single();
+    // Same matching as every other operation: fuzzy name, nickname, phone
+    const customer = customerId
+        ? await Customer.getById(customerId)
+        : (await Customer.resolve(merchantId, customerName)).customer;
 
     if (!customer) {
-        return { success: false, message: `No encontré un cliente llamado "${customerName}"` };
+        return { success: false, message: t(lang, 'customer_not_found', customerName) };
     }
 
     if (customer.total_debt <= 0) {
-        return { success: false, message: `${customerName} no tiene deudas pendientes 🎉` };
+        return { success: false, message: t(lang, 'reminder_no_debt', customerName) };
     }
 
     if (!customer.phone) {
-        return {
-            success: false,
-            message: `No tengo el teléfono de ${customerName}. Decime su número para registrarlo.`
-        };
+        return { success: false, message: t(lang, 'reminder_no_phone', customerName) };
     }
 
     // Get merchant info
@@ -233,32 +300,41 @@ export async function sendManualReminder(merchantId, customerName) {
         .eq('id', merchantId)
         .single();
 
-    const merchantName = merchant?.business_name || merchant?.name || 'tu proveedor';
-
-    // Send reminder
-    const messageText = TEMPLATES.friendly(customer.name, customer.total_debt, merchantName);
-    const sent = await sendMessage(customer.phone, messageText);
-
-    if (sent) {
-        // Log 
-        await supabase.from('reminders').insert({
-            merchant_id: merchantId,
-            customer_id: customer.id,
-            amount: customer.total_debt,
-            message: messageText,
-            scheduled_at: new Date().toISOString(),
-            sent_at: new Date().toISOString(),
-            status: 'sent'
-        });
+    const merchantName = merchant?.business_name || merchant?.name || t(lang, 'supplier_fallback');
+
+    // Log, then send reminder (delivery confirms it, see handleReminderStatus)
+    const messageText = t(lang, 'reminder_friendly', customer.name, formatPYG(customer.total_debt), merchantName);
+    const { data: reminder } = await supabase.from('reminders').insert({
+        merchant_id: merchantId,
+        customer_id: customer.id,
+        amount: customer.total_debt,
+        message: messageText,
+        scheduled_at: new Date().toISOString(),
+        status: 'pending',
+        tone: 'friendly',
+        manual: true,
+        attempts: 1
+    }).select().single();
+
+    const delivery = await sendTracked(customer.phone, messageText, {
+        merchantId, kind: 'reminder', refId: reminder?.id,
+        template: reminderTemplate('friendly', customer.name, customer.total_debt, merchantName, 0, lang)
+    });
+    if (reminder && delivery.status === 'failed') {
+        // The merchant gets reminder_failed right away: no retry, no extra notice
+        await supabase.from('reminders').update({ status: 'failed', error: delivery.error }).eq('id', reminder.id);
+    } else if (reminder) {
+        await afterSend(reminder, delivery);
+    }
 
+    if (delivery.status !== 'failed') {
         return {
             success: true,
-            message: `✅ *Recordatorio enviado* a ${customer.name} (${customer.phone})\n` +
-                `💰 Deuda: ${formatPYG(customer.total_debt)}`
+            message: t(lang, 'reminder_sent', customer.name, customer.phone, formatPYG(customer.total_debt))
         };
     }
 
-    return { success: false, message: '❌ No pude enviar el mensaje. Intentá más tarde.' };
+    return { success: false, message: t(lang, 'reminder_failed') };
 }
 
 // =============================================
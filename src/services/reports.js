@@ -61,6 +61,7 @@ export async function generateReport(merchantId, month = null, year = null) {
         supabase.from('transactions')
             .select('*')
             .eq('merchant_id', merchantId)
+            .neq('status', 'voided')
             .gte('created_at', monthStart.toISOString())
             .lte('created_at', monthEnd.toISOString())
             .order('created_at', { ascending: false }),
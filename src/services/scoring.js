@@ -6,17 +6,28 @@
 // para que bancos le otorguen créditos.
 
 import supabase from '../config/supabase.js';
+import * as Installment from '../models/installment.js';
+import { daysBetween, todayPY } from './installments.js';
 
 const MAX_SCORE = 1000;
 
 // Nueva estructura de pesos enfocada 100% en el negocio
 const WEIGHTS = {
-    revenue_volume: 0.40, // 40% - Volumen de Ventas (Capacidad de pago)
-    tx_consistency: 0.30, // 30% - Recurrencia de Uso (Días activos al mes)
-    days_active: 0.15,    // 15% - Antigüedad en NexoBot
-    credit_maturity: 0.15 // 15% - ¿Da fiado? (Si da fiado tiene espalda y clientes fijos)
+    revenue_volume: 0.35,     // 35% - Volumen de Ventas (Capacidad de pago)
+    tx_consistency: 0.25,     // 25% - Recurrencia de Uso (Días activos al mes)
+    days_active: 0.15,        // 15% - Antigüedad en NexoBot
+    credit_maturity: 0.15,    // 15% - ¿Da fiado? (Si da fiado tiene espalda y clientes fijos)
+    collection_quality: 0.10  // 10% - ¿Cobra a tiempo? (Días de atraso reales de su cartera)
 };
 
+// Peso de cada guaraní pendiente según los días de atraso de su cuota
+const OVERDUE_PENALTY = [
+    { minDays: 61, weight: 1.0 },
+    { minDays: 31, weight: 0.7 },
+    { minDays: 8, weight: 0.4 },
+    { minDays: 1, weight: 0.1 }
+];
+
 export const TIERS = {
     A: { min: 800, label: 'Excelente (Verde)', color: '#00D2A0', creditFactor: 0.30 },
     B: { min: 600, label: 'Buen Pagador (Amarillo)', color: '#FECA57', creditFactor: 0.20 },
@@ -30,9 +41,10 @@ export async function calculateScore(merchantId) {
     const startTime = Date.now();
 
     try {
-        const [merchant, transactions] = await Promise.all([
+        const [merchant, transactions, openInstallments] = await Promise.all([
             fetchMerchant(merchantId),
             fetchTransactions(merchantId),
+            Installment.getOpen(merchantId),
         ]);
 
         if (!merchant) return null;
@@ -44,6 +56,7 @@ export async function calculateScore(merchantId) {
         components.tx_consistency = calcTxConsistency(transactions);
         components.days_active = calcDaysActive(merchant);
         components.credit_maturity = calcCreditMaturity(transactions);
+        components.collection_quality = calcCollectionQuality(openInstallments);
 
         for (const [key, weight] of Object.entries(WEIGHTS)) {
             const componentScore = components[key]?.normalized || 0;
@@ -166,6 +179,36 @@ function calcCreditMaturity(transactions) {
     };
 }
 
+// ─── 5. COLLECTION QUALITY (10%) ───
+// Qué parte de lo que le deben está al día. Cada guaraní vencido pesa
+// más cuanto más días de atraso tiene su cuota.
+export function calcCollectionQuality(openInstallments, today = todayPY()) {
+    let receivable = 0;
+    let penalty = 0;
+    let maxDaysPastDue = 0;
+
+    for (const inst of openInstallments) {
+        const remaining = inst.amount - (inst.paid_amount || 0);
+        if (remaining <= 0) continue;
+        receivable += remaining;
+
+        const late = daysBetween(inst.due_date, today);
+        if (late <= 0) continue;
+        maxDaysPastDue = Math.max(maxDaysPastDue, late);
+        penalty += remaining * OVERDUE_PENALTY.find(p => late >= p.minDays).weight;
+    }
+
+    // Sin fiados pendientes no hay atraso
+    const normalized = receivable > 0 ? 1 - penalty / receivable : 1;
+
+    return {
+        raw: maxDaysPastDue,
+        label: receivable > 0
+            ? `${Math.round(normalized * 100)}% de la cartera al día (máx. ${maxDaysPastDue} días de atraso)`
+            : 'Sin fiados pendientes',
+        normalized: Math.min(1, Math.max(0, normalized))
+    };
+}
 
 function filterDays(items, days) {
     const since = new Date();
@@ -195,6 +238,9 @@ function generateAlerts(components, score, merchant) {
     if (components.revenue_volume.raw < 500000) {
         alerts.push({ type: 'critical', code: 'LOW_VOLUME', message: 'Volumen mensual muy bajo' });
     }
+    if (components.collection_quality.normalized < 0.5) {
+        alerts.push({ type: 'warning', code: 'HIGH_OVERDUE', message: 'Mucha cartera con atraso' });
+    }
     return alerts;
 }
 
@@ -211,6 +257,7 @@ async function fetchTransactions(merchantId) {
         .from('transactions')
         .select('id, type, amount, currency, customer_id, created_at')
         .eq('merchant_id', merchantId)
+        .neq('status', 'voided')
         .gte('created_at', since.toISOString())
         .order('created_at', { ascending: false });
     return data || [];
@@ -330,4 +377,4 @@ export function stopScoringCron() {
     }
 }
 
-export default { calculateScore, processAllScores, lookupScore, startScoringCron, stopScoringCron, TIERS };
+export default { calculateScore, processAllScores, lookupScore, startScoringCron, stopScoringCron, calcCollectionQuality, TIERS };
@@ -5,15 +5,29 @@
 // merchants about important business insights.
 //
 // Alertas incluyen:
-//   - Deudas vencidas (cliente X debe Y hace Z días)
+//   - Deudas vencidas (cuota de X vencida hace Z días)
 //   - Ventas inusuales (día muy alto o muy bajo)
 //   - Alerta de plata (mucho fiado vs contado)
 //   - Oportunidades de cobro
 //   - Logros semanales
+//   - Stock bajo + sugerencia de pedido
+//
+// Fuera de la ventana de 24h va el template alerts_digest (templates.js)
 // =============================================
 
 import supabase from '../config/supabase.js';
-import { sendMessage } from './whatsapp.js';
+import { sendTracked } from './delivery.js';
+import * as Inventory from '../models/inventory.js';
+import * as Installment from '../models/installment.js';
+import { summarizeDue, todayPY } from './installments.js';
+import { pygRates } from './currency.js';
+import { t } from './guarani.js';
+
+// Reorder suggestions cover this many days of sales
+const REORDER_COVER_DAYS = 7;
+
+// Warn when a product runs out in this many days, even without a minimum set
+const STOCKOUT_WARNING_DAYS = 3;
 
 function formatPYG(amount) {
     if (!amount || amount === 0) return 'Gs. 0';
@@ -44,7 +58,7 @@ export async function processSmartAlerts() {
     try {
         const { data: merchants } = await supabase
             .from('merchants')
-            .select('id, phone, name, business_name, total_sales, total_credit_given, total_collected')
+            .select('id, phone, name, business_name, language, total_sales, total_credit_given, total_collected')
             .eq('status', 'active');
 
         if (!merchants?.length) {
@@ -85,6 +99,7 @@ export async function processSmartAlerts() {
  */
 async function generateAlerts(merchant) {
     const alerts = [];
+    const lang = merchant.language || 'es';
 
     // Run all alert checks in parallel
     const [
@@ -92,13 +107,15 @@ async function generateAlerts(merchant) {
         alertaVentas,
         alertaPlata,
         cobrosOportunos,
-        logroSemanal
+        logroSemanal,
+        stockBajo
     ] = await Promise.all([
-        checkOverdueDebts(merchant),
-        checkVentasInusuales(merchant),
-        checkAlertaPlata(merchant),
-        checkOportunidadesCobro(merchant),
-        checkLogrosSemana(merchant)
+        checkOverdueDebts(merchant, lang),
+        checkVentasInusuales(merchant, lang),
+        checkAlertaPlata(merchant, lang),
+        checkOportunidadesCobro(merchant, lang),
+        checkLogrosSemana(merchant, lang),
+        checkStockBajo(merchant, lang)
     ]);
 
     if (overdueAlerts) alerts.push(...overdueAlerts);
@@ -106,6 +123,7 @@ async function generateAlerts(merchant) {
     if (alertaPlata) alerts.push(alertaPlata);
     if (cobrosOportunos) alerts.push(...cobrosOportunos);
     if (logroSemanal) alerts.push(logroSemanal);
+    if (stockBajo) alerts.push(...stockBajo);
 
     return alerts;
 }
@@ -114,59 +132,60 @@ async function generateAlerts(merchant) {
 // 1. DEUDAS VENCIDAS
 // -----------------------------------------------
 
-async function checkOverdueDebts(merchant) {
-    const { data: debtors } = await supabase
+async function checkOverdueDebts(merchant, lang = 'es') {
+    // Installments already due, grouped by customer with real days past due
+    const today = todayPY();
+    const dueInstallments = await Installment.getOpen(merchant.id, { dueBy: today });
+    if (!dueInstallments.length) return [];
+
+    const rates = await pygRates(dueInstallments.map(inst => inst.currency));
+    const dueByCustomer = summarizeDue(dueInstallments, today, rates);
+    const { data: customers } = await supabase
         .from('merchant_customers')
-        .select('name, total_debt, last_transaction_at')
-        .eq('merchant_id', merchant.id)
-        .gt('total_debt', 0)
-        .order('total_debt', { ascending: false });
+        .select('id, name')
+        .in('id', [...dueByCustomer.keys()]);
+    const names = new Map((customers || []).map(c => [c.id, c.name]));
 
-    if (!debtors?.length) return [];
+    const debtors = [...dueByCustomer.entries()]
+        .map(([id, due]) => ({ name: names.get(id) || t(lang, 'customer_fallback'), ...due }))
+        .sort((a, b) => b.overdueAmount - a.overdueAmount);
 
     const alerts = [];
-    const now = new Date();
 
     for (const debtor of debtors) {
-        if (!debtor.last_transaction_at) continue;
-
-        const days = Math.floor((now - new Date(debtor.last_transaction_at)) / (1000 * 60 * 60 * 24));
+        const days = debtor.daysPastDue;
 
         // Alert at key thresholds: 7, 14, 21, 30 days
         if (days === 7) {
             alerts.push({
                 type: 'overdue_week',
                 icon: '⚠️',
-                text: `*${debtor.name}* te debe ${formatPYG(debtor.total_debt)} hace *1 semana*. ¿Le mandamos recordatorio?`
+                text: t(lang, 'alert_overdue_week', debtor.name, formatPYG(debtor.overdueAmount))
             });
         } else if (days === 14) {
             alerts.push({
                 type: 'overdue_2weeks',
                 icon: '🔴',
-                text: `*${debtor.name}* lleva *2 semanas* sin pagar (${formatPYG(debtor.total_debt)}). Considerá contactarle directamente.`
+                text: t(lang, 'alert_overdue_2weeks', debtor.name, formatPYG(debtor.overdueAmount))
             });
         } else if (days === 30) {
             alerts.push({
                 type: 'overdue_month',
                 icon: '🚨',
-                text: `*${debtor.name}* tiene deuda de ${formatPYG(debtor.total_debt)} hace *1 mes*. Riesgo alto de no cobrar.`
+                text: t(lang, 'alert_overdue_month', debtor.name, formatPYG(debtor.overdueAmount))
             });
         }
     }
 
     // Big picture: total overdue summary if many debtors
-    const criticalDebtors = debtors.filter(d => {
-        if (!d.last_transaction_at) return false;
-        const days = Math.floor((now - new Date(d.last_transaction_at)) / (1000 * 60 * 60 * 24));
-        return days >= 14;
-    });
+    const criticalDebtors = debtors.filter(d => d.daysPastDue >= 14);
 
     if (criticalDebtors.length >= 3) {
-        const totalCritical = criticalDebtors.reduce((sum, d) => sum + d.total_debt, 0);
+        const totalCritical = criticalDebtors.reduce((sum, d) => sum + d.overdueAmount, 0);
         alerts.push({
             type: 'many_overdue',
             icon: '📋',
-            text: `Tenés *${criticalDebtors.length} clientes* con deudas de más de 2 semanas, total: ${formatPYG(totalCritical)}. Respondé "deudas" para ver la lista.`
+            text: t(lang, 'alert_many_overdue', criticalDebtors.length, formatPYG(totalCritical))
         });
     }
 
@@ -177,7 +196,7 @@ async function checkOverdueDebts(merchant) {
 // 2. VENTAS INUSUALES
 // -----------------------------------------------
 
-async function checkVentasInusuales(merchant) {
+async function checkVentasInusuales(merchant, lang = 'es') {
     // Get last 7 days of daily sales
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -186,6 +205,7 @@ async function checkVentasInusuales(merchant) {
         .from('transactions')
         .select('amount, created_at, type')
         .eq('merchant_id', merchant.id)
+        .neq('status', 'voided')
         .in('type', ['SALE_CASH', 'SALE_CREDIT'])
         .gte('created_at', sevenDaysAgo.toISOString());
 
@@ -217,7 +237,7 @@ async function checkVentasInusuales(merchant) {
         return {
             type: 'sales_high',
             icon: '🔥',
-            text: `¡Ayer fue un *gran día*! Vendiste ${formatPYG(yesterdaySales)}, *${Math.round(yesterdaySales / avg * 100)}%* de tu promedio. ¡Seguí así!`
+            text: t(lang, 'alert_sales_high', formatPYG(yesterdaySales), Math.round(yesterdaySales / avg * 100))
         };
     }
 
@@ -226,7 +246,7 @@ async function checkVentasInusuales(merchant) {
         return {
             type: 'sales_low',
             icon: '📉',
-            text: `Ayer vendiste ${formatPYG(yesterdaySales)}, bastante menos que tu promedio de ${formatPYG(Math.round(avg))}. ¿Todo bien?`
+            text: t(lang, 'alert_sales_low', formatPYG(yesterdaySales), formatPYG(Math.round(avg)))
         };
     }
 
@@ -237,7 +257,7 @@ async function checkVentasInusuales(merchant) {
 // 3. ALERTA DE PLATA (mucho fiado)
 // -----------------------------------------------
 
-async function checkAlertaPlata(merchant) {
+async function checkAlertaPlata(merchant, lang = 'es') {
     // Compare total credit given vs total collected
     const { data: customers } = await supabase
         .from('merchant_customers')
@@ -257,17 +277,18 @@ async function checkAlertaPlata(merchant) {
         .from('transactions')
         .select('amount')
         .eq('merchant_id', merchant.id)
+        .neq('status', 'voided')
         .eq('type', 'SALE_CASH')
         .gte('created_at', weekAgo.toISOString());
 
-    const weeklyRevenue = (weeklyCash || []).reduce((sum, t) => sum + t.amount, 0);
+    const weeklyRevenue = (weeklyCash || []).reduce((sum, tx) => sum + tx.amount, 0);
 
     // Si la deuda pendiente es > 4x las ventas semanales al contado
     if (weeklyRevenue > 0 && totalDebt > weeklyRevenue * 4) {
         return {
             type: 'alerta_plata',
             icon: '💸',
-            text: `Tu deuda pendiente (${formatPYG(totalDebt)}) es *${Math.round(totalDebt / weeklyRevenue)}x* tus ventas semanales al contado. Considerá cobrar antes de fiar más.`
+            text: t(lang, 'alert_plata', formatPYG(totalDebt), Math.round(totalDebt / weeklyRevenue))
         };
     }
 
@@ -278,7 +299,7 @@ async function checkAlertaPlata(merchant) {
 // 4. OPORTUNIDADES DE COBRO
 // -----------------------------------------------
 
-async function checkOportunidadesCobro(merchant) {
+async function checkOportunidadesCobro(merchant, lang = 'es') {
     // Find customers who usually pay around this time
     const { data: debtors } = await supabase
         .from('merchant_customers')
@@ -303,7 +324,7 @@ async function checkOportunidadesCobro(merchant) {
             alerts.push({
                 type: 'collection_window',
                 icon: '💰',
-                text: `*${debtor.name}* suele pagar a los ${avgDays} días. Hoy es el día ${daysSince}. Buen momento para recordarle su deuda de ${formatPYG(debtor.total_debt)}.`
+                text: t(lang, 'alert_collection_window', debtor.name, avgDays, daysSince, formatPYG(debtor.total_debt))
             });
         }
     }
@@ -315,7 +336,7 @@ async function checkOportunidadesCobro(merchant) {
 // 5. LOGROS DE LA SEMANA
 // -----------------------------------------------
 
-async function checkLogrosSemana(merchant) {
+async function checkLogrosSemana(merchant, lang = 'es') {
     // Revisar logros semanales
     const now = new Date();
     const dayOfWeek = now.getDay(); // 0=Sunday
@@ -330,12 +351,13 @@ async function checkLogrosSemana(merchant) {
         .from('transactions')
         .select('amount, type')
         .eq('merchant_id', merchant.id)
+        .neq('status', 'voided')
         .in('type', ['SALE_CASH', 'SALE_CREDIT'])
         .gte('created_at', weekAgo.toISOString());
 
     if (!weeklyTx?.length) return null;
 
-    const weeklySales = weeklyTx.reduce((sum, t) => sum + t.amount, 0);
+    const weeklySales = weeklyTx.reduce((sum, tx) => sum + tx.amount, 0);
     const txCount = weeklyTx.length;
 
     // Milestone: hit 1M, 5M, 10M weekly
@@ -343,25 +365,86 @@ async function checkLogrosSemana(merchant) {
         return {
             type: 'milestone',
             icon: '🏆',
-            text: `¡Semana increíble! Vendiste ${formatPYG(weeklySales)} en ${txCount} operaciones. ¡Sos un crack, ${merchant.name}! 🎉`
+            text: t(lang, 'alert_milestone_top', formatPYG(weeklySales), txCount, merchant.name)
         };
     } else if (weeklySales >= 5000000) {
         return {
             type: 'milestone',
             icon: '⭐',
-            text: `¡Gran semana! ${formatPYG(weeklySales)} en ventas con ${txCount} operaciones. ¡Seguí así! 💪`
+            text: t(lang, 'alert_milestone_great', formatPYG(weeklySales), txCount)
         };
     } else if (weeklySales >= 1000000) {
         return {
             type: 'milestone',
             icon: '🎯',
-            text: `Buena semana: ${formatPYG(weeklySales)} en ventas. Cada semana es más fácil con NexoBot 📈`
+            text: t(lang, 'alert_milestone_good', formatPYG(weeklySales))
         };
     }
 
     return null;
 }
 
+// -----------------------------------------------
+// 6. STOCK BAJO
+// -----------------------------------------------
+
+async function checkStockBajo(merchant, lang = 'es') {
+    const [items, velocity] = await Promise.all([
+        Inventory.getItems(merchant.id),
+        Inventory.getSalesVelocity(merchant.id)
+    ]);
+
+    if (!items?.length) return [];
+
+    const alerts = [];
+
+    for (const item of items) {
+        const stock = item.stock || 0;
+        const perDay = velocity[item.product] || 0;
+        const daysLeft = perDay > 0 ? Math.max(0, stock) / perDay : Infinity;
+
+        const belowMin = item.min_stock != null && stock <= item.min_stock;
+        const runningOut = daysLeft <= STOCKOUT_WARNING_DAYS;
+        if (!belowMin && !runningOut) continue;
+
+        let text = belowMin
+            ? t(lang, 'alert_stock_min', stock, item.product, item.min_stock)
+            : t(lang, 'alert_stock_rate', stock, item.product, formatRate(perDay));
+        if (daysLeft === 0) text += t(lang, 'alert_stock_out');
+        else if (daysLeft < Infinity) text += t(lang, 'alert_stock_days', Math.ceil(daysLeft));
+
+        alerts.push({
+            type: 'low_stock',
+            icon: '📦',
+            text,
+            daysLeft,
+            reorder: { product: item.product, quantity: reorderSuggestion(item, perDay), unit: item.unit || 'unid' }
+        });
+    }
+
+    // Lo que se acaba primero, arriba
+    alerts.sort((a, b) => (a.daysLeft - b.daysLeft) || 0);
+    return alerts.slice(0, 3); // Max 3 stock alerts
+}
+
+/**
+ * How many units to order so the product covers REORDER_COVER_DAYS of sales
+ * on top of its minimum. Without sales history, refill to twice the minimum.
+ * @param {Object} item - inventory row ({ stock, min_stock })
+ * @param {number} perDay - units sold per day
+ */
+export function reorderSuggestion(item, perDay = 0) {
+    const minStock = item.min_stock || 0;
+    const target = perDay > 0
+        ? minStock + Math.ceil(perDay * REORDER_COVER_DAYS)
+        : minStock * 2;
+    return Math.max(0, target - Math.max(0, item.stock || 0));
+}
+
+function formatRate(perDay) {
+    return perDay >= 10 ? Math.round(perDay) : Math.round(perDay * 10) / 10;
+}
+
 // =============================================
 // SEND ALERT DIGEST
 // =============================================
@@ -370,19 +453,35 @@ async function checkLogrosSemana(merchant) {
  * Send all alerts as a single digest message
  */
 async function sendAlertDigest(merchant, alerts) {
-    const name = merchant.name || 'Comerciante';
+    const lang = merchant.language || 'es';
+    const name = merchant.name || t(lang, 'merchant_name_fallback');
 
-    let message = `🧠 *Alertas inteligentes*\n`;
+    let message = `${t(lang, 'alerts_title')}\n`;
     message += `━━━━━━━━━━━━━━━━━━\n\n`;
-    message += `Hola ${name}, NexoBot detectó lo siguiente:\n\n`;
+    message += `${t(lang, 'alerts_intro', name)}\n\n`;
 
     for (const alert of alerts) {
         message += `${alert.icon} ${alert.text}\n\n`;
     }
 
-    message += `_Respondé "ayuda" para aprender a usar estos datos._`;
+    // Sugerencia de pedido para lo que se está acabando
+    const reorders = alerts.filter(a => a.reorder?.quantity > 0).map(a => a.reorder);
+    if (reorders.length > 0) {
+        message += `${t(lang, 'alerts_reorder_title', REORDER_COVER_DAYS)}\n`;
+        for (const r of reorders) {
+            message += `• ${r.product}: ${r.quantity} ${r.unit}\n`;
+        }
+        message += `\n`;
+    }
 
-    await sendMessage(merchant.phone, message);
+    message += t(lang, 'alerts_footer');
+
+    const delivery = await sendTracked(merchant.phone, message, {
+        merchantId: merchant.id,
+        kind: 'alerts',
+        template: { id: 'alerts_digest', lang, data: { name, count: alerts.length, first_alert: alerts[0]?.text } }
+    });
+    if (delivery.status === 'failed') throw new Error(delivery.error);
     console.log(`🧠 Smart alert sent to ${merchant.name}: ${alerts.length} alerts`);
 }
 
@@ -424,4 +523,4 @@ export function stopAlertsCron() {
     }
 }
 
-export default { processSmartAlerts, startAlertsCron, stopAlertsCron };
+export default { processSmartAlerts, startAlertsCron, stopAlertsCron, reorderSuggestion };
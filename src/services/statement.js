@@ -0,0 +1,242 @@
+// =============================================
+// NexoBot MVP — Customer Account Statement
+// =============================================
+// "¿Cuánto me debe Carlos?", "movimientos de Carlos":
+// the customer's dated fiados and payments with a running balance.
+// "Mandale el estado de cuenta a Carlos (en PDF)" forwards it
+// straight to the customer's phone.
+
+import PDFDocument from 'pdfkit';
+import * as Transaction from '../models/transaction.js';
+import { toWhatsAppNumber } from './whatsapp.js';
+import { sendTracked } from './delivery.js';
+import { isWindowOpen } from './templates.js';
+import { t } from './guarani.js';
+import { formatAmount, pygRates } from './currency.js';
+
+// Operations that move a customer's balance
+const STATEMENT_TYPES = ['SALE_CREDIT', 'PAYMENT'];
+
+// Rows shown in a WhatsApp text (the PDF carries more)
+const TEXT_ROWS = 15;
+const PDF_ROWS = 200;
+
+function formatPYG(amount) {
+    if (!amount) return 'Gs. 0';
+    return `${amount < 0 ? '-' : ''}Gs. ${Math.abs(amount).toLocaleString('es-PY')}`;
+}
+
+// Each movement in its own currency; balances are in guaraníes
+function formatIn(amount, currency) {
+    return currency && currency !== 'PYG' ? formatAmount(amount, currency) : formatPYG(amount);
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('es-PY', {
+        day: '2-digit', month: '2-digit', year: '2-digit', timeZone: 'America/Asuncion'
+    });
+}
+
+// =============================================
+// CORE: Build the statement
+// =============================================
+
+/**
+ * Dated fiados and payments of one customer, oldest first, with running balance.
+ * The opening balance is whatever the current debt doesn't explain
+ * (older movements beyond the limit, or debt loaded before NexoBot).
+ * Reais and pesos count at today's rate, like total_debt.
+ * @returns {Object} { customer, opening, entries: [{ date, type, amount, currency, balance, product }], closing }
+ */
+export async function buildStatement(merchantId, customer, limit = PDF_ROWS) {
+    const transactions = (await Transaction.findActive(merchantId, {
+        customerId: customer.id,
+        types: STATEMENT_TYPES,
+        limit
+    })).reverse();
+
+    const rates = await pygRates(transactions.map(tx => tx.currency));
+    const net = transactions.reduce((sum, tx) => sum + signedAmount(tx, rates), 0);
+    const closing = customer.total_debt || 0;
+    let balance = closing - net;
+    const opening = balance;
+
+    const entries = transactions.map(tx => {
+        balance += signedAmount(tx, rates);
+        return {
+            date: tx.created_at,
+            type: tx.type,
+            amount: tx.amount,
+            currency: tx.currency || 'PYG',
+            balance,
+            product: tx.product || null
+        };
+    });
+
+    return { customer, opening, entries, closing };
+}
+
+function signedAmount(tx, rates) {
+    const value = Math.round(tx.amount * (rates[tx.currency || 'PYG'] ?? 1));
+    return tx.type === 'PAYMENT' ? -value : value;
+}
+
+// =============================================
+// TEXT (WhatsApp)
+// =============================================
+
+/**
+ * WhatsApp-formatted statement, last rows only
+ */
+export function formatStatement(statement, lang = 'es') {
+    const { customer, entries, closing } = statement;
+    const shown = entries.slice(-TEXT_ROWS);
+    const hidden = entries.length - shown.length;
+    const carried = hidden > 0 ? entries[hidden - 1].balance : statement.opening;
+
+    let text = t(lang, 'statement_header', customer.name) + '\n━━━━━━━━━━━━━━━━━━\n';
+    if (carried) text += t(lang, 'statement_opening', formatPYG(carried)) + '\n';
+
+    for (const entry of shown) {
+        const icon = entry.type === 'PAYMENT' ? '🟢' : '🔴';
+        const label = t(lang, `statement_${entry.type}`);
+        const product = entry.product ? ` (${entry.product})` : '';
+        text += `${icon} ${formatDate(entry.date)} ${label}${product} ${formatIn(entry.amount, entry.currency)} → *${formatPYG(entry.balance)}*\n`;
+    }
+
+    text += '━━━━━━━━━━━━━━━━━━\n';
+    text += t(lang, 'statement_closing', formatPYG(closing));
+    return text;
+}
+
+// =============================================
+// PDF
+// =============================================
+
+/**
+ * Statement as a one-customer PDF
+ * @returns {Buffer} PDF buffer
+ */
+export function generateStatementPdf(statement, merchant) {
+    const { customer, opening, entries, closing } = statement;
+    const businessName = merchant.business_name || merchant.name || 'Comerciante';
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margins: { top: 50, bottom: 50, left: 50, right: 50 },
+            info: {
+                Title: `Estado de cuenta - ${customer.name}`,
+                Author: 'NexoBot - NexoFinanzas',
+                Subject: `Estado de cuenta con ${businessName}`
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Header
+        doc.fontSize(20).font('Helvetica-Bold').fillColor('#000000').text(businessName, 50, 50);
+        doc.fontSize(10).font('Helvetica').fillColor('#666666')
+            .text(`Estado de cuenta al ${formatDate(new Date())}`, 50, 75);
+        doc.moveTo(50, 92).lineTo(545, 92).stroke('#6C5CE7');
+
+        doc.fontSize(14).font('Helvetica-Bold').fillColor('#6C5CE7').text(customer.name, 50, 105);
+        if (customer.phone) {
+            doc.fontSize(10).font('Helvetica').fillColor('#444444').text(customer.phone, 50, 124);
+        }
+
+        // Table
+        let y = 150;
+        doc.fontSize(9).font('Helvetica-Bold').fillColor('#666666');
+        doc.text('Fecha', 60, y);
+        doc.text('Concepto', 130, y);
+        doc.text('Fiado', 300, y);
+        doc.text('Pago', 380, y);
+        doc.text('Saldo', 460, y);
+        doc.moveTo(50, y + 14).lineTo(545, y + 14).stroke('#EEEEEE');
+        y += 22;
+
+        doc.font('Helvetica').fillColor('#333333');
+        if (opening) {
+            doc.text('Saldo anterior', 130, y);
+            doc.text(formatPYG(opening), 460, y);
+            y += 18;
+        }
+
+        for (const entry of entries) {
+            if (y > 740) { doc.addPage(); y = 50; }
+            const isPayment = entry.type === 'PAYMENT';
+            doc.fontSize(9).fillColor('#333333');
+            doc.text(formatDate(entry.date), 60, y);
+            doc.text(isPayment ? 'Pago' : `Fiado${entry.product ? ` - ${entry.product}` : ''}`, 130, y, { width: 160 });
+            doc.fillColor(isPayment ? '#27AE60' : '#E74C3C')
+                .text(formatIn(entry.amount, entry.currency), isPayment ? 380 : 300, y);
+            doc.fillColor('#333333').text(formatPYG(entry.balance), 460, y);
+            y += 18;
+        }
+
+        y += 6;
+        doc.moveTo(50, y).lineTo(545, y).stroke('#EEEEEE');
+        doc.fontSize(12).font('Helvetica-Bold').fillColor(closing > 0 ? '#E74C3C' : '#27AE60')
+            .text(`Saldo actual: ${formatPYG(closing)}`, 50, y + 10);
+
+        // Footer
+        doc.fontSize(8).font('Helvetica').fillColor('#999999').text(
+            `Generado por NexoBot el ${formatDate(new Date())} · nexofinanzas.com`,
+            50, doc.page.height - 60, { align: 'center', width: doc.page.width - 100 }
+        );
+
+        doc.end();
+    });
+}
+
+// =============================================
+// FORWARD TO THE CUSTOMER
+// =============================================
+
+/**
+ * Send the statement to the customer's WhatsApp (logged in message_log as kind 'statement').
+ * WhatsApp only takes free-form messages within 24h of the customer's last message:
+ * outside that window nothing is sent and the merchant forwards it themselves.
+ * @param {string} format - 'text' | 'pdf'
+ * @returns {Object} { success, error? } — error: 'no_phone' | 'window_closed' | 'send_failed'
+ */
+export async function sendStatement(merchant, customer, format = 'text') {
+    if (!customer.phone) return { success: false, error: 'no_phone' };
+
+    const to = toWhatsAppNumber(customer.phone);
+    if (!(await isWindowOpen(to))) return { success: false, error: 'window_closed' };
+
+    const lang = merchant.language || 'es';
+    const businessName = merchant.business_name || merchant.name || t(lang, 'supplier_fallback');
+    const statement = await buildStatement(merchant.id, customer);
+    const caption = t(lang, 'statement_forward_caption', customer.name, businessName);
+
+    let message;
+    try {
+        if (format === 'pdf') {
+            const file = await generateStatementPdf(statement, merchant);
+            const filename = `estado-de-cuenta-${customer.name.toLowerCase().replace(/\s+/g, '-')}.pdf`;
+            message = { text: caption, document: { file, filename } };
+        } else {
+            message = caption + '\n\n' + formatStatement(statement, lang);
+        }
+    } catch (error) {
+        console.error('❌ Statement PDF error:', error.message);
+        return { success: false, error: 'send_failed' };
+    }
+
+    const delivery = await sendTracked(to, message, { merchantId: merchant.id, kind: 'statement', refId: customer.id });
+    if (delivery.status === 'failed') {
+        console.error('❌ Statement send error:', delivery.error);
+        return { success: false, error: 'send_failed' };
+    }
+
+    console.log(`📤 Statement (${format}) sent to ${customer.name} (${customer.phone})`);
+    return { success: true };
+}
+
+export default { buildStatement, formatStatement, generateStatementPdf, sendStatement };
@@ -0,0 +1,115 @@
+// =============================================
+// NexoBot MVP — WhatsApp Template Registry
+// =============================================
+// WhatsApp only delivers free-form text within 24h of the
+// recipient's last message (the customer service window).
+// Outside it, only templates approved in WhatsApp Manager go
+// through — reminders to debtors who never write to the bot,
+// daily summaries and alert digests to quiet merchants.
+//
+// Each template: the approved name, the languages it was approved
+// in (body text as submitted to Meta) and which data fills each
+// {{n}}. delivery.js picks text or template per recipient.
+
+import * as MessageLog from '../models/messageLog.js';
+import { sendTemplate } from './whatsapp.js';
+
+// Stop sending free-form text a bit before the 24h mark: the message can sit in Meta's queue
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+const WINDOW_MARGIN_MS = 15 * 60 * 1000;
+
+// Bot language → Meta language code. Meta has no Guaraní: gn merchants get Spanish
+const LANGUAGE_CODES = { es: 'es', 'es-AR': 'es_AR', gn: 'es', pt: 'pt_BR' };
+
+export const TEMPLATES = {
+    payment_reminder: {
+        name: 'nexobot_payment_reminder',
+        category: 'UTILITY',
+        params: ['customer', 'amount', 'business'],
+        body: {
+            es: 'Hola {{1}} 👋 Te recordamos que tenés un saldo pendiente de *{{2}}* con {{3}}. ¿Podés pasar a abonar? ¡Gracias! 🙏',
+            pt_BR: 'Olá {{1}} 👋 Lembramos que você tem um saldo pendente de *{{2}}* com {{3}}. Pode passar para pagar? Obrigado! 🙏'
+        }
+    },
+    payment_overdue: {
+        name: 'nexobot_payment_overdue',
+        category: 'UTILITY',
+        params: ['customer', 'amount', 'business', 'days'],
+        body: {
+            es: 'Hola {{1}}, tu deuda de *{{2}}* con {{3}} tiene {{4}} días de atraso. Respondé a este mensaje para coordinar el pago.',
+            pt_BR: 'Olá {{1}}, sua dívida de *{{2}}* com {{3}} tem {{4}} dias de atraso. Responda esta mensagem para combinar o pagamento.'
+        }
+    },
+    daily_summary: {
+        name: 'nexobot_daily_summary',
+        category: 'UTILITY',
+        params: ['name', 'sales', 'operations', 'debt'],
+        body: {
+            es: '📊 {{1}}, hoy vendiste *{{2}}* en {{3}} operaciones. Te deben {{4}} en total. Respondé *resumen del día* para ver el detalle.',
+            pt_BR: '📊 {{1}}, hoje você vendeu *{{2}}* em {{3}} operações. Te devem {{4}} no total. Responda *resumen del día* para ver os detalhes.'
+        }
+    },
+    alerts_digest: {
+        name: 'nexobot_alerts_digest',
+        category: 'UTILITY',
+        params: ['name', 'count', 'first_alert'],
+        body: {
+            es: '🧠 {{1}}, tenés {{2}} alertas sobre tu negocio. La primera: {{3}} — respondé a este mensaje para ver todas.',
+            pt_BR: '🧠 {{1}}, você tem {{2}} alertas sobre o seu negócio. A primeira: {{3}} — responda esta mensagem para ver todas.'
+        }
+    }
+};
+
+/**
+ * Meta language code to send a template in: the merchant's language if the
+ * template was approved in it, else the same language without region, else the first
+ */
+export function resolveLanguage(template, lang) {
+    const languages = Object.keys(template.body);
+    const code = LANGUAGE_CODES[lang] || 'es';
+    return languages.find(l => l === code)
+        || languages.find(l => l.split('_')[0] === code.split('_')[0])
+        || languages[0];
+}
+
+/**
+ * Body variables in {{n}} order. Meta rejects variables with newlines,
+ * tabs or long runs of spaces, and empty ones.
+ */
+export function buildParameters(template, data) {
+    return template.params.map(key => String(data[key] ?? '').replace(/\s+/g, ' ').trim() || '-');
+}
+
+/**
+ * The text the recipient sees (for message_log)
+ */
+export function renderTemplate(template, languageCode, parameters) {
+    return template.body[languageCode].replace(/\{\{(\d+)\}\}/g, (_, n) => parameters[n - 1] ?? '');
+}
+
+/**
+ * Did this phone write to the bot recently enough for free-form text?
+ */
+export async function isWindowOpen(phone, now = Date.now()) {
+    const lastInbound = await MessageLog.getLastInboundAt(phone);
+    if (!lastInbound) return false;
+    return now - new Date(lastInbound).getTime() < SESSION_WINDOW_MS - WINDOW_MARGIN_MS;
+}
+
+/**
+ * Send a registered template. Returns what sendTemplate returned,
+ * plus the template name and the rendered text.
+ * @param {string} id - Key in TEMPLATES
+ * @param {Object} data - Values for the template's params
+ */
+export async function sendRegisteredTemplate(to, id, data, lang = 'es') {
+    const template = TEMPLATES[id];
+    if (!template) throw new Error(`Unknown WhatsApp template: ${id}`);
+
+    const languageCode = resolveLanguage(template, lang);
+    const parameters = buildParameters(template, data);
+    const sent = await sendTemplate(to, template.name, languageCode, parameters);
+    return { ...sent, templateName: template.name, text: renderTemplate(template, languageCode, parameters) };
+}
+
+export default { TEMPLATES, resolveLanguage, buildParameters, renderTemplate, isWindowOpen, sendRegisteredTemplate };
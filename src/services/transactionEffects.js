@@ -0,0 +1,120 @@
+// =============================================
+// NexoBot MVP — Transaction Side Effects
+// =============================================
+// A transaction touches four things besides its own row:
+// customer debt (and its installment schedule), merchant totals
+// and stock (as ledger movements).
+// applyEffects / revertEffects keep them symmetric, so voiding
+// or editing a transaction undoes exactly what creating it did.
+
+import * as Merchant from '../models/merchant.js';
+import * as Customer from '../models/customer.js';
+import * as Transaction from '../models/transaction.js';
+import * as Inventory from '../models/inventory.js';
+import { syncSchedule } from './installments.js';
+import { convert } from './currency.js';
+
+// Merchant counters moved by each transaction type
+const MERCHANT_TOTALS = {
+    SALE_CREDIT: ['total_sales', 'total_credit_given'],
+    SALE_CASH: ['total_sales'],
+    PAYMENT: ['total_collected']
+};
+
+/**
+ * Apply the side effects of a freshly created transaction
+ * @returns {Object} { stock, schedule } — the stock movement posted and the fiado's installments, if any
+ */
+export async function applyEffects(merchant, tx) {
+    return postEffects(merchant, tx, 1);
+}
+
+/**
+ * Undo the side effects of a voided transaction
+ */
+export async function revertEffects(merchant, tx) {
+    await postEffects(merchant, tx, -1);
+}
+
+/**
+ * Add deltas to the merchant's running totals.
+ * Keeps the in-hand merchant object in sync so several operations
+ * in the same message don't overwrite each other's totals.
+ */
+export async function updateMerchantTotals(merchant, deltas) {
+    const updates = {};
+    for (const [field, delta] of Object.entries(deltas)) {
+        updates[field] = Math.max(0, (merchant[field] || 0) + delta);
+    }
+    await Merchant.updateStats(merchant.id, updates);
+    Object.assign(merchant, updates);
+}
+
+// Placeholder product names that aren't real stock items
+const GENERIC_PRODUCTS = ['mercadería', 'mercaderia', 'gasto general'];
+
+async function postEffects(merchant, tx, sign) {
+    // 1. Customer debt and payment schedule
+    if (tx.customer_id && (tx.type === 'SALE_CREDIT' || tx.type === 'PAYMENT')) {
+        if (sign > 0) {
+            const applied = await Customer.updateDebt(tx.customer_id, tx.amount, tx.type, tx.currency || 'PYG');
+            // An overpayment only cleared the debt: voiding it must give back just that
+            if (tx.type === 'PAYMENT' && applied !== undefined && applied !== tx.amount) {
+                tx.debt_applied = applied;
+                await Transaction.setDebtApplied(tx.id, applied);
+            }
+        } else {
+            await Customer.reverseDebt(tx.customer_id, tx.debt_applied ?? tx.amount, tx.type, tx.currency || 'PYG');
+        }
+    }
+    const schedule = await syncSchedule(tx, sign);
+
+    // 2. Merchant totals (always in guaraníes)
+    const fields = MERCHANT_TOTALS[tx.type];
+    if (fields) {
+        const value = (await convert(tx.amount, tx.currency || 'PYG', 'PYG')).amount;
+        const deltas = {};
+        for (const field of fields) deltas[field] = sign * value;
+        await updateMerchantTotals(merchant, deltas);
+    }
+
+    // 3. Stock movements
+    if (sign < 0) {
+        await Inventory.reverseMovements(merchant.id, tx.id);
+        return {};
+    }
+    return { stock: await postStockMovement(merchant, tx), schedule };
+}
+
+/**
+ * Purchases add stock (and re-weight the average cost),
+ * sales take it out — only for products we already track
+ * (restocked at least once; a catalog price alone isn't stock).
+ * @returns {Object|null} { item, movement, stockBefore }
+ */
+async function postStockMovement(merchant, tx) {
+    if (!tx.product || !tx.quantity || GENERIC_PRODUCTS.includes(tx.product)) return null;
+
+    if (tx.type === 'INVENTORY_IN') {
+        return Inventory.postMovement(merchant.id, tx.product, {
+            quantity: tx.quantity,
+            unitCost: tx.amount ? Math.round(tx.amount / tx.quantity) : null,
+            transactionId: tx.id,
+            type: 'IN'
+        });
+    }
+
+    if (tx.type === 'SALE_CASH' || tx.type === 'SALE_CREDIT') {
+        const item = await Inventory.getItem(merchant.id, tx.product);
+        if (!item?.last_restocked_at) return null;
+        return Inventory.postMovement(merchant.id, item.product, {
+            quantity: -tx.quantity,
+            transactionId: tx.id,
+            type: 'OUT'
+        });
+    }
+
+    return null;
+}
+
+export default { applyEffects, revertEffects, updateMerchantTotals };
@@ -1,20 +1,22 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
+import { openaiClient, getProvider } from './llm.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 // We'll lazy-load elevenlabs below if the key is present.
 
 /**
  * Generates audio from text using OpenAI TTS (or ElevenLabs if configured) and returns the audio buffer.
  * @param {string} text - The response text to synthesize.
- * @returns {Promise<Buffer>} The synthesized audio buffer in OGG format.
+ * @returns {Promise<Buffer|null>} The synthesized audio buffer in OGG format (null with the offline provider).
  */
 export async function generateAudioFromText(text) {
+    // Offline provider: no network, so no voice reply
+    if (getProvider()?.offline) return null;
+
     // Para que la IA lea mejor los montos en lugar de deletrear "G S punto"
     const sanitizedText = text.replace(/Gs\.\s*([\d.,]+)(?:\s*(millones|millón|mil|k|m))?/gi, (match, numb, suffix) => {
         return suffix ? `${numb} ${suffix} guaraníes` : `${numb} guaraníes`;
@@ -53,7 +55,7 @@ export async function generateAudioFromText(text) {
     // Default to OpenAI TTS (we know the key exists and works)
     console.log(`🎙️ Using OpenAI TTS (Femenino)`);
     try {
-        const mp3Response = await openai.audio.speech.create({
+        const mp3Response = await openaiClient().audio.speech.create({
             model: "tts-1",
             voice: "nova", // nova is a female voice
             input: sanitizedText,
@@ -3,7 +3,27 @@
 // =============================================
 // Handles sending messages via Meta WhatsApp Business API
 
-const WHATSAPP_API_URL = 'https://graph.facebook.com/v22.0';
+// WHATSAPP_API_URL points the bot at another Graph API (tests/graphApiMock.js).
+// Media downloads (audio.js, ocr.js) use it too.
+export const graphUrl = () => process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v22.0';
+
+// Paraguayan mobile without the country code: "981 123456"
+const PY_LOCAL_MOBILE = /^9\d{8}$/;
+
+/**
+ * Phone as WhatsApp expects it: digits with the country code.
+ * Only local Paraguayan numbers get 595 ("0981 123456", "981123456");
+ * numbers that already carry a country code ("+55 11 …", "549 11 …") are kept.
+ * @param {string} phone
+ * @returns {string}
+ */
+export function toWhatsAppNumber(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.startsWith('00')) return digits.slice(2);   // 00 = international prefix
+    if (digits.startsWith('0')) return `595${digits.slice(1)}`;
+    if (PY_LOCAL_MOBILE.test(digits)) return `595${digits}`;
+    return digits;
+}
 
 /**
  * Send a text message via WhatsApp
@@ -22,7 +42,7 @@ export async function sendMessage(to, message) {
 
     try {
         const response = await fetch(
-            `${WHATSAPP_API_URL}/${phoneNumberId}/messages`,
+            `${graphUrl()}/${phoneNumberId}/messages`,
             {
                 method: 'POST',
                 headers: {
@@ -57,6 +77,108 @@ export async function sendMessage(to, message) {
     }
 }
 
+/**
+ * Send an interactive message (reply buttons or a list)
+ * @param {string} to - Phone number
+ * @param {Object} interactive - Graph API `interactive` object (see interactive.js)
+ */
+export async function sendInteractive(to, interactive) {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const token = process.env.WHATSAPP_TOKEN;
+
+    if (!token || token === 'your-whatsapp-token') {
+        const options = interactive.type === 'button'
+            ? interactive.action.buttons.map(b => b.reply.title)
+            : interactive.action.sections.flatMap(s => s.rows.map(r => r.title));
+        console.log(`📱 [SIMULATED ${interactive.type.toUpperCase()}] To: ${to}`);
+        console.log(`   Message: ${interactive.body.text.substring(0, 100)}...`);
+        console.log(`   Options: ${options.join(' | ')}`);
+        return { simulated: true, to, interactive: interactive.type };
+    }
+
+    try {
+        const response = await fetch(`${graphUrl()}/${phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'interactive',
+                interactive
+            })
+        });
+
+        const data = await response.json();
+        if (data.error) {
+            console.error('❌ WhatsApp API Error:', data.error);
+            throw new Error(data.error.message);
+        }
+
+        console.log(`✅ Interactive ${interactive.type} sent to ${to} [ID: ${data.messages?.[0]?.id}]`);
+        return data;
+    } catch (error) {
+        console.error('❌ WhatsApp send interactive error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Send an approved template message (the only kind WhatsApp accepts
+ * outside the 24h customer service window)
+ * @param {string} to - Phone number
+ * @param {string} name - Template name, as approved in WhatsApp Manager
+ * @param {string} languageCode - Meta language code (es, pt_BR...)
+ * @param {string[]} parameters - Body variables {{1}}, {{2}}...
+ */
+export async function sendTemplate(to, name, languageCode, parameters = []) {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const token = process.env.WHATSAPP_TOKEN;
+
+    if (!token || token === 'your-whatsapp-token') {
+        console.log(`📱 [SIMULATED TEMPLATE] To: ${to} — ${name} (${languageCode}): ${parameters.join(' | ')}`);
+        return { simulated: true, to, template: name };
+    }
+
+    try {
+        const response = await fetch(`${graphUrl()}/${phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'template',
+                template: {
+                    name,
+                    language: { code: languageCode },
+                    components: parameters.length
+                        ? [{ type: 'body', parameters: parameters.map(text => ({ type: 'text', text })) }]
+                        : []
+                }
+            })
+        });
+
+        const data = await response.json();
+        if (data.error) {
+            console.error('❌ WhatsApp API Error:', data.error);
+            throw new Error(data.error.message);
+        }
+
+        console.log(`✅ Template ${name} sent to ${to} [ID: ${data.messages?.[0]?.id}]`);
+        return data;
+    } catch (error) {
+        console.error('❌ WhatsApp send template error:', error.message);
+        throw error;
+    }
+}
+
 /**
  * Send an audio message via WhatsApp by uploading the media buffer
  * @param {string} to - Phone number
@@ -84,7 +206,7 @@ export async function sendAudioMessage(to, audioBuffer, mimeType = 'audio/ogg')
         const ext = mimeType.includes('mpeg') ? 'mp3' : 'ogg';
         formData.append('file', blob, `audio.${ext}`);
 
-        const uploadRes = await fetch(`${WHATSAPP_API_URL}/${phoneNumberId}/media`, {
+        const uploadRes = await fetch(`${graphUrl()}/${phoneNumberId}/media`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${token}`
@@ -101,7 +223,7 @@ export async function sendAudioMessage(to, audioBuffer, mimeType = 'audio/ogg')
 
         // 2. Send media ID as message
         console.log(`📬 Sending audio message...`);
-        const sendRes = await fetch(`${WHATSAPP_API_URL}/${phoneNumberId}/messages`, {
+        const sendRes = await fetch(`${graphUrl()}/${phoneNumberId}/messages`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${token}`,
@@ -129,6 +251,68 @@ export async function sendAudioMessage(to, audioBuffer, mimeType = 'audio/ogg')
     }
 }
 
+/**
+ * Send a document (PDF) via WhatsApp by uploading the media buffer
+ * @param {string} to - Phone number
+ * @param {Buffer} fileBuffer - File data as a Buffer
+ * @param {string} filename - Name shown to the recipient
+ * @param {string} caption - Optional text under the document
+ */
+export async function sendDocument(to, fileBuffer, filename, caption = '', mimeType = 'application/pdf') {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const token = process.env.WHATSAPP_TOKEN;
+
+    if (!token || token === 'your-whatsapp-token') {
+        console.log(`📱 [SIMULATED DOCUMENT] To: ${to} — ${filename} (${fileBuffer.length} bytes)`);
+        return { simulated: true, to, document: filename };
+    }
+
+    try {
+        // 1. Upload media to WhatsApp
+        const formData = new FormData();
+        formData.append('messaging_product', 'whatsapp');
+        formData.append('file', new Blob([fileBuffer], { type: mimeType }), filename);
+
+        const uploadRes = await fetch(`${graphUrl()}/${phoneNumberId}/media`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+            body: formData
+        });
+
+        const uploadData = await uploadRes.json();
+        if (uploadData.error) throw new Error(uploadData.error.message);
+
+        // 2. Send media ID as a document message
+        const sendRes = await fetch(`${graphUrl()}/${phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'document',
+                document: {
+                    id: uploadData.id,
+                    filename,
+                    ...(caption ? { caption } : {})
+                }
+            })
+        });
+
+        const sendData = await sendRes.json();
+        if (sendData.error) throw new Error(sendData.error.message);
+
+        console.log(`✅ Document sent to ${to} [ID: ${sendData.messages?.[0]?.id}]`);
+        return sendData;
+    } catch (error) {
+        console.error('❌ WhatsApp send document error:', error.message);
+        throw error;
+    }
+}
+
 /**
  * Mark a message as read
  */
@@ -140,7 +324,7 @@ export async function markAsRead(messageId) {
 
     try {
         await fetch(
-            `${WHATSAPP_API_URL}/${phoneNumberId}/messages`,
+            `${graphUrl()}/${phoneNumberId}/messages`,
             {
                 method: 'POST',
                 headers: {
@@ -201,6 +385,21 @@ export function extractMessageFromWebhook(body) {
             };
         }
 
+        // Tapped reply button / list row: its ID is the answer, as if typed
+        if (message.type === 'interactive' && message.interactive) {
+            const reply = message.interactive.button_reply || message.interactive.list_reply;
+            if (reply) {
+                result.interactive = { type: message.interactive.type, id: reply.id, title: reply.title };
+                result.text = reply.id || reply.title || '';
+            }
+        }
+
+        // Quick-reply button of a template message
+        if (message.type === 'button' && message.button) {
+            result.interactive = { type: 'button', id: message.button.payload, title: message.button.text };
+            result.text = message.button.payload || message.button.text || '';
+        }
+
         return result;
     } catch (error) {
         console.error('Failed to extract message:', error.message);
@@ -208,4 +407,28 @@ export function extractMessageFromWebhook(body) {
     }
 }
 
-export default { sendMessage, sendAudioMessage, markAsRead, extractMessageFromWebhook };
+/**
+ * Extract delivery statuses (sent, delivered, read, failed) from a webhook payload.
+ * Meta sends these for every message we send, in separate webhooks without `messages`.
+ */
+export function extractStatusesFromWebhook(body) {
+    const statuses = [];
+    for (const entry of body?.entry || []) {
+        for (const change of entry.changes || []) {
+            for (const status of change.value?.statuses || []) {
+                statuses.push({
+                    waMessageId: status.id,
+                    status: status.status,
+                    recipient: status.recipient_id,
+                    timestamp: status.timestamp,
+                    error: status.errors?.[0]
+                        ? { code: status.errors[0].code, message: status.errors[0].error_data?.details || status.errors[0].message || status.errors[0].title }
+                        : null
+                });
+            }
+        }
+    }
+    return statuses;
+}
+
+export default { graphUrl, toWhatsAppNumber, sendMessage, sendInteractive, sendTemplate, sendAudioMessage, sendDocument, markAsRead, extractMessageFromWebhook, extractStatusesFromWebhook };
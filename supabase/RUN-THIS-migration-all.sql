@@ -447,6 +447,7 @@ SELECT
     COUNT(DISTINCT CASE WHEN mc.total_debt > 0 THEN mc.id END) as debtors_count,
     COUNT(DISTINCT mc.id) as total_customers,
     (SELECT COUNT(*) FROM transactions t WHERE t.merchant_id = m.id 
+     AND t.status <> 'voided'
      AND t.created_at >= now() - interval '7 days') as weekly_transactions
 FROM merchants m
 LEFT JOIN merchant_customers mc ON mc.merchant_id = m.id
@@ -524,16 +525,345 @@ DO $$ BEGIN
 EXCEPTION WHEN duplicate_object THEN NULL;
 END $$;
 
+-- -----------------------------------------------
+-- MIGRACIÓN: Conversation State
+-- -----------------------------------------------
+
+CREATE TABLE IF NOT EXISTS conversation_state (
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    kind VARCHAR(30) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (merchant_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_state_expires ON conversation_state(expires_at);
+
+ALTER TABLE conversation_state ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_conversation_state" ON conversation_state FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Anular / Editar transacciones (soft void)
+-- -----------------------------------------------
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS voided_by VARCHAR(30);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS void_reason TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replaces_id UUID REFERENCES transactions(id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_merchant_status
+    ON transactions(merchant_id, status, created_at DESC);
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Movimientos de stock (kardex)
+-- -----------------------------------------------
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS avg_cost BIGINT DEFAULT 0;   -- weighted average unit cost
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+    product VARCHAR(100) NOT NULL,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    type VARCHAR(15) NOT NULL,              -- IN, OUT, REVERSAL
+    quantity INTEGER NOT NULL,              -- signed: + in, - out
+    unit_cost BIGINT,
+    stock_after INTEGER NOT NULL,
+    avg_cost_after BIGINT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_item
+    ON inventory_movements(merchant_id, inventory_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_tx
+    ON inventory_movements(transaction_id);
+
+ALTER TABLE inventory_movements ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_inventory_movements" ON inventory_movements FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Stock and average cost move in one statement from the locked row, and the
+-- movement is written with the stock that statement left: concurrent
+-- messages can't overwrite each other. Mirrors weightedAvgCost (inventory.js).
+CREATE OR REPLACE FUNCTION post_stock_movement(
+    p_inventory_id UUID,
+    p_quantity INTEGER,
+    p_unit_cost BIGINT,
+    p_type VARCHAR,
+    p_transaction_id UUID
+)
+RETURNS SETOF inventory AS $$
+DECLARE
+    item inventory;
+BEGIN
+    UPDATE inventory SET
+        avg_cost = CASE
+            WHEN COALESCE(p_unit_cost, 0) = 0 THEN COALESCE(avg_cost, 0)
+            WHEN GREATEST(COALESCE(stock, 0), 0) + p_quantity <= 0 THEN
+                CASE WHEN p_quantity > 0 THEN p_unit_cost ELSE COALESCE(avg_cost, 0) END
+            ELSE ROUND((GREATEST(COALESCE(stock, 0), 0) * COALESCE(avg_cost, 0) + p_quantity * p_unit_cost)::NUMERIC
+                       / (GREATEST(COALESCE(stock, 0), 0) + p_quantity))
+        END,
+        stock = COALESCE(stock, 0) + p_quantity,
+        last_restocked_at = CASE WHEN p_type = 'IN' AND p_quantity > 0 THEN now() ELSE last_restocked_at END
+    WHERE id = p_inventory_id
+    RETURNING * INTO item;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO inventory_movements (merchant_id, inventory_id, product, transaction_id, type, quantity, unit_cost, stock_after, avg_cost_after)
+    VALUES (item.merchant_id, item.id, item.product, p_transaction_id, p_type, p_quantity, p_unit_cost, item.stock, item.avg_cost);
+
+    RETURN NEXT item;
+END;
+$$ LANGUAGE plpgsql;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Alertas de stock bajo
+-- -----------------------------------------------
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS min_stock INT;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Catálogo de productos (SKU + alias)
+-- -----------------------------------------------
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS sku VARCHAR(40);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS aliases TEXT[] DEFAULT '{}';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_merchant_sku
+    ON inventory(merchant_id, sku) WHERE sku IS NOT NULL;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Perfiles de clientes (apodos + teléfono)
+-- -----------------------------------------------
+
+ALTER TABLE merchant_customers ADD COLUMN IF NOT EXISTS nicknames TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_customers_merchant_phone
+    ON merchant_customers(merchant_id, phone) WHERE phone IS NOT NULL;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Vencimientos y cuotas de fiados
+-- -----------------------------------------------
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS due_date DATE;                    -- first due date
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS installment_count INT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS installment_interval VARCHAR(10);  -- week, fortnight, month
+
+CREATE TABLE IF NOT EXISTS installments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES merchant_customers(id) ON DELETE CASCADE,
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL DEFAULT 1,
+    due_date DATE NOT NULL,
+    amount BIGINT NOT NULL,
+    paid_amount BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(10) NOT NULL DEFAULT 'open',    -- open, paid, voided
+    paid_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_installments_customer
+    ON installments(customer_id, due_date);
+CREATE INDEX IF NOT EXISTS idx_installments_open
+    ON installments(merchant_id, due_date) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_installments_tx
+    ON installments(transaction_id);
+
+ALTER TABLE installments ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_installments" ON installments FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Backfill: existing fiados become one installment due 7 days after the sale
+INSERT INTO installments (merchant_id, customer_id, transaction_id, seq, due_date, amount)
+SELECT t.merchant_id, t.customer_id, t.id, 1,
+       (t.created_at AT TIME ZONE 'America/Asuncion')::date + 7, t.amount
+FROM transactions t
+WHERE t.type = 'SALE_CREDIT'
+  AND t.status <> 'voided'
+  AND t.customer_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM installments i WHERE i.transaction_id = t.id);
+
+-- ...and existing payments are applied to them, oldest due first
+WITH paid AS (
+    SELECT customer_id, SUM(amount) AS total
+    FROM transactions
+    WHERE type = 'PAYMENT' AND status <> 'voided' AND customer_id IS NOT NULL
+    GROUP BY customer_id
+), ordered AS (
+    SELECT i.id, i.amount, p.total,
+           SUM(i.amount) OVER (PARTITION BY i.customer_id ORDER BY i.due_date, i.created_at, i.seq) AS running
+    FROM installments i
+    JOIN paid p ON p.customer_id = i.customer_id
+    WHERE i.status <> 'voided'
+)
+UPDATE installments i SET
+    paid_amount = LEAST(o.amount, GREATEST(0, o.total - (o.running - o.amount))),
+    status = CASE WHEN o.total >= o.running THEN 'paid' ELSE 'open' END
+FROM ordered o
+WHERE o.id = i.id;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Libro de fiados (pagos aplicados a un fiado)
+-- -----------------------------------------------
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS applies_to UUID
+    REFERENCES transactions(id) ON DELETE SET NULL;    -- PAYMENT → the SALE_CREDIT it settles
+
+CREATE INDEX IF NOT EXISTS idx_transactions_applies_to
+    ON transactions(applies_to) WHERE applies_to IS NOT NULL;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Reales y pesos (saldos por moneda)
+-- -----------------------------------------------
+
+ALTER TABLE merchant_customers ADD COLUMN IF NOT EXISTS balances JSONB;    -- { "PYG": 150000, "BRL": 200 }
+
+-- Existing debts were always in guaraníes
+UPDATE merchant_customers
+SET balances = jsonb_build_object('PYG', total_debt)
+WHERE balances IS NULL AND total_debt <> 0;
+
+-- Installments are in their fiado's currency; payments only settle their own
+ALTER TABLE installments ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'PYG';
+
+-- A payment larger than the debt only clears it: what it actually took off
+-- the balance, so voiding it gives back exactly that (NULL = the full amount)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS debt_applied BIGINT;
+
+INSERT INTO exchange_rates (currency_pair, buy, sell, mid, source)
+VALUES ('BRL_PYG', 1321, 1339, 1330, 'initial'),
+       ('ARS_PYG', 5.56, 5.64, 5.6, 'initial')
+ON CONFLICT (currency_pair) DO NOTHING;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Correcciones del NLP (aprendizaje por comercio)
+-- -----------------------------------------------
+
+CREATE TABLE IF NOT EXISTS nlp_corrections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,
+    language VARCHAR(5) DEFAULT 'es',
+    original_intent VARCHAR(30),
+    original_entities JSONB DEFAULT '{}',
+    corrected_message TEXT NOT NULL,
+    intent VARCHAR(30) NOT NULL,
+    entities JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_nlp_corrections_merchant ON nlp_corrections(merchant_id, created_at DESC);
+
+ALTER TABLE nlp_corrections ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_nlp_corrections" ON nlp_corrections FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Registro de mensajes (entrantes y salientes)
+-- -----------------------------------------------
+
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS message_type VARCHAR(20) DEFAULT 'text';   -- text, audio, image
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS parser VARCHAR(20);                        -- fast, openai, offline...
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS entities JSONB;
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS wa_message_id VARCHAR(100);                -- Meta message ID (wamid...)
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20);               -- outbound: sent, simulated, failed
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_message_log_created ON message_log(created_at DESC);
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Cola de mensajes entrantes (reintentos)
+-- -----------------------------------------------
+
+CREATE TABLE IF NOT EXISTS inbound_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wa_message_id VARCHAR(100) NOT NULL UNIQUE,
+    phone VARCHAR(20) NOT NULL,
+    payload JSONB NOT NULL,                        -- the webhook body, as received
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, processing, done, dead
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    locked_at TIMESTAMPTZ,                         -- when a worker took it
+    last_error TEXT,
+    processed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Results of the handler steps that already ran (logged, handled, replied):
+-- a retry skips them instead of saving the same sale twice
+ALTER TABLE inbound_jobs ADD COLUMN IF NOT EXISTS steps JSONB NOT NULL DEFAULT '{}';
+
+-- Token of the worker holding the job: a worker whose job was released as stale
+-- (no heartbeat on locked_at) and claimed again can't save, complete or fail it
+ALTER TABLE inbound_jobs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(40);
+
+-- Worker: active jobs oldest first; admin: dead letters
+CREATE INDEX IF NOT EXISTS idx_inbound_jobs_active ON inbound_jobs(created_at) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_inbound_jobs_status ON inbound_jobs(status, created_at DESC);
+
+ALTER TABLE inbound_jobs ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_inbound_jobs" ON inbound_jobs FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Estado de entrega de mensajes (recordatorios)
+-- -----------------------------------------------
+
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS kind VARCHAR(20);              -- reply, reminder, reminder_notice
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS ref_id UUID;                   -- e.g. reminders.id
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_message_log_wa_id ON message_log(wa_message_id) WHERE wa_message_id IS NOT NULL;
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS tone VARCHAR(10);                -- friendly, firm, urgent
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS days_past_due INT;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS manual BOOLEAN DEFAULT false;     -- "recordale a Carlos"
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS attempts INT DEFAULT 0;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS error TEXT;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+
+-- -----------------------------------------------
+-- MIGRACIÓN: Templates de WhatsApp (ventana de 24h)
+-- -----------------------------------------------
+
+CREATE INDEX IF NOT EXISTS idx_message_log_inbound_phone ON message_log(phone, created_at DESC) WHERE direction = 'inbound';
+
 -- =============================================
 -- ✅ LISTO! Base de datos completa.
 -- 
--- Tablas creadas (17):
+-- Tablas creadas (22):
 --   merchants, merchant_customers, transactions,
 --   inventory, reminders, message_log, nexo_scores,
 --   leads, greenlight_log, exchange_rates,
 --   api_usage, billing_summaries, partners,
 --   payments, billing_periods, referrals,
---   generated_reports
+--   generated_reports, conversation_state,
+--   inventory_movements, installments,
+--   nlp_corrections, inbound_jobs
 --
 -- + 1 view: merchant_summary
 -- + RLS en todas las tablas
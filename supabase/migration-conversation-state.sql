@@ -0,0 +1,24 @@
+-- =============================================
+-- NexoBot MVP — Migration: Conversation State
+-- =============================================
+-- Short-lived, per-merchant state for multi-turn flows
+-- (e.g. a sale waiting for "sí/no" confirmation).
+-- Lives in the DB so a restart doesn't lose it.
+
+CREATE TABLE IF NOT EXISTS conversation_state (
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    kind VARCHAR(30) NOT NULL,              -- confirmation, slot
+    payload JSONB NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (merchant_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_state_expires ON conversation_state(expires_at);
+
+ALTER TABLE conversation_state ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_conversation_state" ON conversation_state FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
@@ -0,0 +1,11 @@
+-- =============================================
+-- NexoBot MVP — Migration: Customer Profiles
+-- =============================================
+-- Customers can be found by nickname ("el Pelado") or phone,
+-- not only by name. Fuzzy matching and disambiguation
+-- ("¿Carlos Benítez o Carlos Duarte?") are done in the app.
+
+ALTER TABLE merchant_customers ADD COLUMN IF NOT EXISTS nicknames TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_customers_merchant_phone
+    ON merchant_customers(merchant_id, phone) WHERE phone IS NOT NULL;
@@ -0,0 +1,20 @@
+-- =============================================
+-- NexoBot MVP — Migration: Delivery Tracking
+-- =============================================
+-- Outbound messages keep their WhatsApp message ID and are
+-- updated from Meta's status webhooks (sent → delivered → read,
+-- or failed). Reminders stay 'pending' until delivered, then
+-- become 'sent'; undelivered ones are retried once, then 'failed'.
+
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS kind VARCHAR(20);              -- reply, reminder, reminder_notice
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS ref_id UUID;                   -- e.g. reminders.id
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_message_log_wa_id ON message_log(wa_message_id) WHERE wa_message_id IS NOT NULL;
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS tone VARCHAR(10);                -- friendly, firm, urgent
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS days_past_due INT;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS manual BOOLEAN DEFAULT false;     -- "recordale a Carlos"
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS attempts INT DEFAULT 0;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS error TEXT;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
@@ -0,0 +1,41 @@
+-- =============================================
+-- NexoBot MVP — Migration: Inbound Message Queue
+-- =============================================
+-- Every WhatsApp message is stored here before the webhook
+-- answers 200, then handled by the queue worker.
+-- wa_message_id is the idempotency key (Meta retries the same ID).
+-- status: pending → processing → done, or dead after the last retry.
+
+CREATE TABLE IF NOT EXISTS inbound_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wa_message_id VARCHAR(100) NOT NULL UNIQUE,
+    phone VARCHAR(20) NOT NULL,
+    payload JSONB NOT NULL,                        -- the webhook body, as received
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, processing, done, dead
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    locked_at TIMESTAMPTZ,                         -- when a worker took it
+    last_error TEXT,
+    processed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Results of the handler steps that already ran (logged, handled, replied):
+-- a retry skips them instead of saving the same sale twice
+ALTER TABLE inbound_jobs ADD COLUMN IF NOT EXISTS steps JSONB NOT NULL DEFAULT '{}';
+
+-- Token of the worker holding the job: a worker whose job was released as stale
+-- (no heartbeat on locked_at) and claimed again can't save, complete or fail it
+ALTER TABLE inbound_jobs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(40);
+
+-- Worker: active jobs oldest first; admin: dead letters
+CREATE INDEX IF NOT EXISTS idx_inbound_jobs_active ON inbound_jobs(created_at) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_inbound_jobs_status ON inbound_jobs(status, created_at DESC);
+
+ALTER TABLE inbound_jobs ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_inbound_jobs" ON inbound_jobs FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
@@ -0,0 +1,69 @@
+-- =============================================
+-- NexoBot MVP — Migration: Due Dates & Installments
+-- =============================================
+-- Every fiado gets a payment schedule ("a pagar el viernes",
+-- "en 4 cuotas semanales", or 7 days by default).
+-- The terms live on the transaction so an edit can rebuild them;
+-- payments are applied to the oldest installment first
+-- (paid_amount is recomputed by the app after every payment/void).
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS due_date DATE;                    -- first due date
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS installment_count INT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS installment_interval VARCHAR(10);  -- week, fortnight, month
+
+CREATE TABLE IF NOT EXISTS installments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES merchant_customers(id) ON DELETE CASCADE,
+    transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL DEFAULT 1,
+    due_date DATE NOT NULL,
+    amount BIGINT NOT NULL,
+    paid_amount BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(10) NOT NULL DEFAULT 'open',    -- open, paid, voided
+    paid_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_installments_customer
+    ON installments(customer_id, due_date);
+CREATE INDEX IF NOT EXISTS idx_installments_open
+    ON installments(merchant_id, due_date) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_installments_tx
+    ON installments(transaction_id);
+
+ALTER TABLE installments ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_installments" ON installments FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Backfill: existing fiados become one installment due 7 days after the sale
+INSERT INTO installments (merchant_id, customer_id, transaction_id, seq, due_date, amount)
+SELECT t.merchant_id, t.customer_id, t.id, 1,
+       (t.created_at AT TIME ZONE 'America/Asuncion')::date + 7, t.amount
+FROM transactions t
+WHERE t.type = 'SALE_CREDIT'
+  AND t.status <> 'voided'
+  AND t.customer_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM installments i WHERE i.transaction_id = t.id);
+
+-- ...and existing payments are applied to them, oldest due first
+WITH paid AS (
+    SELECT customer_id, SUM(amount) AS total
+    FROM transactions
+    WHERE type = 'PAYMENT' AND status <> 'voided' AND customer_id IS NOT NULL
+    GROUP BY customer_id
+), ordered AS (
+    SELECT i.id, i.amount, p.total,
+           SUM(i.amount) OVER (PARTITION BY i.customer_id ORDER BY i.due_date, i.created_at, i.seq) AS running
+    FROM installments i
+    JOIN paid p ON p.customer_id = i.customer_id
+    WHERE i.status <> 'voided'
+)
+UPDATE installments i SET
+    paid_amount = LEAST(o.amount, GREATEST(0, o.total - (o.running - o.amount))),
+    status = CASE WHEN o.total >= o.running THEN 'paid' ELSE 'open' END
+FROM ordered o
+WHERE o.id = i.id;
@@ -0,0 +1,72 @@
+-- =============================================
+-- NexoBot MVP — Migration: Inventory Movements (kardex)
+-- =============================================
+-- Every purchase and sale posts a stock movement instead of
+-- overwriting inventory.stock. Purchases re-weight avg_cost;
+-- voiding a transaction posts a REVERSAL movement.
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS avg_cost BIGINT DEFAULT 0;   -- weighted average unit cost
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+    product VARCHAR(100) NOT NULL,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    type VARCHAR(15) NOT NULL,              -- IN, OUT, REVERSAL
+    quantity INTEGER NOT NULL,              -- signed: + in, - out
+    unit_cost BIGINT,
+    stock_after INTEGER NOT NULL,
+    avg_cost_after BIGINT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_item
+    ON inventory_movements(merchant_id, inventory_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_tx
+    ON inventory_movements(transaction_id);
+
+ALTER TABLE inventory_movements ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_inventory_movements" ON inventory_movements FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Stock and average cost move in one statement from the locked row, and the
+-- movement is written with the stock that statement left: concurrent
+-- messages can't overwrite each other. Mirrors weightedAvgCost (inventory.js).
+CREATE OR REPLACE FUNCTION post_stock_movement(
+    p_inventory_id UUID,
+    p_quantity INTEGER,
+    p_unit_cost BIGINT,
+    p_type VARCHAR,
+    p_transaction_id UUID
+)
+RETURNS SETOF inventory AS $$
+DECLARE
+    item inventory;
+BEGIN
+    UPDATE inventory SET
+        avg_cost = CASE
+            WHEN COALESCE(p_unit_cost, 0) = 0 THEN COALESCE(avg_cost, 0)
+            WHEN GREATEST(COALESCE(stock, 0), 0) + p_quantity <= 0 THEN
+                CASE WHEN p_quantity > 0 THEN p_unit_cost ELSE COALESCE(avg_cost, 0) END
+            ELSE ROUND((GREATEST(COALESCE(stock, 0), 0) * COALESCE(avg_cost, 0) + p_quantity * p_unit_cost)::NUMERIC
+                       / (GREATEST(COALESCE(stock, 0), 0) + p_quantity))
+        END,
+        stock = COALESCE(stock, 0) + p_quantity,
+        last_restocked_at = CASE WHEN p_type = 'IN' AND p_quantity > 0 THEN now() ELSE last_restocked_at END
+    WHERE id = p_inventory_id
+    RETURNING * INTO item;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO inventory_movements (merchant_id, inventory_id, product, transaction_id, type, quantity, unit_cost, stock_after, avg_cost_after)
+    VALUES (item.merchant_id, item.id, item.product, p_transaction_id, p_type, p_quantity, p_unit_cost, item.stock, item.avg_cost);
+
+    RETURN NEXT item;
+END;
+$$ LANGUAGE plpgsql;
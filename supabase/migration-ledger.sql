@@ -0,0 +1,12 @@
+-- =============================================
+-- NexoBot MVP — Migration: Open Items Ledger
+-- =============================================
+-- Each fiado is an open item (its installments carry the balance).
+-- A payment can name the fiado it settles ("del fiado del lunes");
+-- without one it goes to the oldest due, as before.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS applies_to UUID
+    REFERENCES transactions(id) ON DELETE SET NULL;    -- PAYMENT → the SALE_CREDIT it settles
+
+CREATE INDEX IF NOT EXISTS idx_transactions_applies_to
+    ON transactions(applies_to) WHERE applies_to IS NOT NULL;
@@ -0,0 +1,15 @@
+-- =============================================
+-- NexoBot MVP — Migration: Message Log
+-- =============================================
+-- Every inbound message (with what the NLP understood) and every
+-- outbound reply (with its delivery status) is written to
+-- message_log. The admin dashboards read from it.
+
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS message_type VARCHAR(20) DEFAULT 'text';   -- text, audio, image
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS parser VARCHAR(20);                        -- fast, openai, offline...
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS entities JSONB;
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS wa_message_id VARCHAR(100);                -- Meta message ID (wamid...)
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20);               -- outbound: sent, simulated, failed
+ALTER TABLE message_log ADD COLUMN IF NOT EXISTS error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_message_log_created ON message_log(created_at DESC);
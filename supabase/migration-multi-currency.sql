@@ -0,0 +1,26 @@
+-- =============================================
+-- NexoBot MVP — Migration: BRL & ARS (border merchants)
+-- =============================================
+-- Customers keep what they owe per currency: a fiado in reais
+-- stays in reais. total_debt remains the guaraní value of those
+-- balances (used for sorting, alerts and risk).
+-- Rates are quoted against PYG, one row per pair.
+
+ALTER TABLE merchant_customers ADD COLUMN IF NOT EXISTS balances JSONB;    -- { "PYG": 150000, "BRL": 200 }
+
+-- Existing debts were always in guaraníes
+UPDATE merchant_customers
+SET balances = jsonb_build_object('PYG', total_debt)
+WHERE balances IS NULL AND total_debt <> 0;
+
+-- Installments are in their fiado's currency; payments only settle their own
+ALTER TABLE installments ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'PYG';
+
+-- A payment larger than the debt only clears it: what it actually took off
+-- the balance, so voiding it gives back exactly that (NULL = the full amount)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS debt_applied BIGINT;
+
+INSERT INTO exchange_rates (currency_pair, buy, sell, mid, source)
+VALUES ('BRL_PYG', 1321, 1339, 1330, 'initial'),
+       ('ARS_PYG', 5.56, 5.64, 5.6, 'initial')
+ON CONFLICT (currency_pair) DO NOTHING;
@@ -0,0 +1,29 @@
+-- =============================================
+-- NexoBot MVP — Migration: NLP Corrections
+-- =============================================
+-- "Anulá eso" followed by the same operation written again:
+-- the first message is labeled with what the merchant meant.
+-- Injected as few-shot examples into that merchant's LLM prompt
+-- and exportable as an NLP evaluation set.
+
+CREATE TABLE IF NOT EXISTS nlp_corrections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,                  -- what the bot misread
+    language VARCHAR(5) DEFAULT 'es',
+    original_intent VARCHAR(30),            -- what the bot understood
+    original_entities JSONB DEFAULT '{}',
+    corrected_message TEXT NOT NULL,        -- the merchant's re-send
+    intent VARCHAR(30) NOT NULL,            -- what they meant
+    entities JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_nlp_corrections_merchant ON nlp_corrections(merchant_id, created_at DESC);
+
+ALTER TABLE nlp_corrections ENABLE ROW LEVEL SECURITY;
+
+DO $$ BEGIN
+    CREATE POLICY "allow_all_nlp_corrections" ON nlp_corrections FOR ALL USING (true) WITH CHECK (true);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
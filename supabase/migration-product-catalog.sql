@@ -0,0 +1,13 @@
+-- =============================================
+-- NexoBot MVP — Migration: Product Catalog
+-- =============================================
+-- inventory doubles as the merchant's product catalog:
+-- besides stock and default price (avg_price) each product
+-- can have a SKU and aliases ("gaseosa coca" → "coca cola").
+-- Matching is done in the app (accent-insensitive, fuzzy).
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS sku VARCHAR(40);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS aliases TEXT[] DEFAULT '{}';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_merchant_sku
+    ON inventory(merchant_id, sku) WHERE sku IS NOT NULL;
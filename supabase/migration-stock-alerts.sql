@@ -0,0 +1,8 @@
+-- =============================================
+-- NexoBot MVP — Migration: Low-Stock Alerts
+-- =============================================
+-- Per-product minimum stock, set by chat
+-- ("avisame cuando queden 5 cocas"). The smart alerts
+-- cron warns when stock drops to it and suggests a reorder.
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS min_stock INT;   -- NULL = no alert
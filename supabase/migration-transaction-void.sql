@@ -0,0 +1,34 @@
+-- =============================================
+-- NexoBot MVP — Migration: Soft Void / Edit of Transactions
+-- =============================================
+-- "anular" and "editar" no longer delete rows. The original stays
+-- with status = 'voided' plus who/when/why; an edit creates a new
+-- row pointing at the one it replaces.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS voided_by VARCHAR(30);        -- phone of who voided it
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS void_reason TEXT;             -- message that triggered it
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replaces_id UUID REFERENCES transactions(id);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_merchant_status
+    ON transactions(merchant_id, status, created_at DESC);
+
+-- Weekly counts must ignore voided rows
+DROP VIEW IF EXISTS merchant_summary;
+CREATE OR REPLACE VIEW merchant_summary AS
+SELECT 
+    m.id,
+    m.phone,
+    m.name,
+    m.business_name,
+    m.nexo_score,
+    m.total_sales,
+    COALESCE(SUM(CASE WHEN mc.total_debt > 0 THEN mc.total_debt ELSE 0 END), 0) as total_pending_debt,
+    COUNT(DISTINCT CASE WHEN mc.total_debt > 0 THEN mc.id END) as debtors_count,
+    COUNT(DISTINCT mc.id) as total_customers,
+    (SELECT COUNT(*) FROM transactions t WHERE t.merchant_id = m.id 
+     AND t.status <> 'voided'
+     AND t.created_at >= now() - interval '7 days') as weekly_transactions
+FROM merchants m
+LEFT JOIN merchant_customers mc ON mc.merchant_id = m.id
+GROUP BY m.id, m.phone, m.name, m.business_name, m.nexo_score, m.total_sales;
@@ -0,0 +1,11 @@
+-- =============================================
+-- NexoBot MVP — Migration: WhatsApp Templates
+-- =============================================
+-- Outside the 24h customer service window, reminders, daily
+-- summaries and alert digests go as approved templates. Whether
+-- the window is open comes from the recipient's last inbound
+-- message in message_log; this index keeps that lookup cheap.
+-- Outbound rows sent as templates have message_type = 'template'
+-- (kind: reminder, daily_summary, alerts...).
+
+CREATE INDEX IF NOT EXISTS idx_message_log_inbound_phone ON message_log(phone, created_at DESC) WHERE direction = 'inbound';
@@ -247,6 +247,7 @@ SELECT
     COUNT(DISTINCT CASE WHEN mc.total_debt > 0 THEN mc.id END) as debtors_count,
     COUNT(DISTINCT mc.id) as total_customers,
     (SELECT COUNT(*) FROM transactions t WHERE t.merchant_id = m.id 
+     AND t.status <> 'voided'
      AND t.created_at >= now() - interval '7 days') as weekly_transactions
 FROM merchants m
 LEFT JOIN merchant_customers mc ON mc.merchant_id = m.id
@@ -0,0 +1,152 @@
+// =============================================
+// NexoBot MVP — Local Graph API Mock
+// =============================================
+// Stands in for graph.facebook.com: records every message the bot
+// would have sent (text, template, buttons/lists, audio, document) and answers
+// like Meta, with a wamid per message. Media the bot downloads (voice
+// notes, photos) is served as a few placeholder bytes and recorded too. Point the bot at it with
+// WHATSAPP_API_URL — in-process (tests) or next to a running bot:
+//
+//   node tests/graphApiMock.js                    # http://127.0.0.1:4010/v22.0
+//   node tests/graphApiMock.js --port 4020
+//   WHATSAPP_API_URL=http://127.0.0.1:4010/v22.0 WHATSAPP_TOKEN=mock npm run dev
+//   curl http://127.0.0.1:4010/sent               # what was sent so far
+//   curl http://127.0.0.1:4010/downloads          # media the bot fetched
+//
+// Sends to a phone listed in `failures` get Meta's error response instead.
+
+import { pathToFileURL } from 'url';
+import express from 'express';
+
+const API_VERSION = 'v22.0';
+
+/**
+ * Start the mock on `port` (0 = random). Returns { url, sent, downloads, reset, close }:
+ * `url` is the WHATSAPP_API_URL to use, `sent` the recorded messages,
+ * `downloads` the media IDs the bot fetched.
+ * @param {Object} options - { port, failures: { [phone]: { code, message } }, onSend }
+ */
+export async function startGraphApiMock({ port = 0, failures = {}, onSend = null } = {}) {
+    const sent = [];
+    const downloads = [];
+    let sequence = 0;
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.post(`/${API_VERSION}/:phoneNumberId/messages`, (req, res) => {
+        const body = req.body;
+
+        // Mark as read
+        if (body.status === 'read') return res.json({ success: true });
+
+        const failure = failures[body.to];
+        if (failure) {
+            return res.status(400).json({
+                error: { message: failure.message || 'Message failed to send', type: 'OAuthException', code: failure.code || 131026, fbtrace_id: 'mock' }
+            });
+        }
+
+        const message = {
+            id: `wamid.mock.${++sequence}`,
+            phoneNumberId: req.params.phoneNumberId,
+            to: body.to,
+            type: body.type,
+            text: body.text?.body || null,
+            template: body.template
+                ? {
+                    name: body.template.name,
+                    language: body.template.language?.code,
+                    parameters: (body.template.components || [])
+                        .find(c => c.type === 'body')?.parameters.map(p => p.text) || []
+                }
+                : null,
+            interactive: body.interactive || null,
+            body,
+            at: new Date().toISOString()
+        };
+        sent.push(message);
+        onSend?.(message);
+
+        res.json({ messaging_product: 'whatsapp', contacts: [{ input: body.to, wa_id: body.to }], messages: [{ id: message.id }] });
+    });
+
+    // Media upload (audio, documents): the file itself is not kept
+    app.post(`/${API_VERSION}/:phoneNumberId/media`, (req, res) => {
+        res.json({ id: `media.mock.${++sequence}` });
+    });
+
+    // Media download: the ID resolves to a URL, the URL to the file
+    app.get(`/${API_VERSION}/:mediaId`, (req, res) => {
+        const { mediaId } = req.params;
+        res.json({
+            id: mediaId,
+            url: `${req.protocol}://${req.get('host')}/media/${encodeURIComponent(mediaId)}`,
+            mime_type: /audio|voice/i.test(mediaId) ? 'audio/ogg' : 'image/jpeg',
+            messaging_product: 'whatsapp'
+        });
+    });
+    app.get('/media/:mediaId', (req, res) => {
+        downloads.push(req.params.mediaId);
+        res.type(/audio|voice/i.test(req.params.mediaId) ? 'audio/ogg' : 'image/jpeg').send(Buffer.from('mock media'));
+    });
+
+    app.get('/sent', (req, res) => res.json(sent));
+    app.get('/downloads', (req, res) => res.json(downloads));
+
+    return new Promise(resolve => {
+        const server = app.listen(port, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/${API_VERSION}`,
+            sent,
+            downloads,
+            reset: () => { sent.length = 0; downloads.length = 0; },
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+/**
+ * Send the bot's WhatsApp calls to the mock. Returns a function that undoes it.
+ */
+export function useGraphApiMock(mock) {
+    const keys = ['WHATSAPP_API_URL', 'WHATSAPP_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID'];
+    const saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+    process.env.WHATSAPP_API_URL = mock.url;
+    process.env.WHATSAPP_TOKEN = 'mock-token';
+    process.env.WHATSAPP_PHONE_NUMBER_ID = '100000000000001';
+
+    return () => {
+        for (const key of keys) {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        }
+    };
+}
+
+// =============================================
+// CLI
+// =============================================
+
+function interactiveOptions(interactive) {
+    return interactive.type === 'button'
+        ? interactive.action.buttons.map(b => `${b.reply.title} (${b.reply.id})`)
+        : interactive.action.sections.flatMap(s => s.rows.map(r => `${r.title} (${r.id})`));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = process.argv.slice(2);
+    const i = args.indexOf('--port');
+    const port = i >= 0 ? parseInt(args[i + 1], 10) : 4010;
+
+    const mock = await startGraphApiMock({
+        port,
+        onSend: message => console.log(message.template
+            ? `📨 ${message.id} → ${message.to} [template ${message.template.name} (${message.template.language})]: ${message.template.parameters.join(' | ')}`
+            : message.interactive
+                ? `📨 ${message.id} → ${message.to} [${message.interactive.type}]: ${message.interactive.body.text.split('\n')[0]} → ${interactiveOptions(message.interactive).join(' | ')}`
+                : `📨 ${message.id} → ${message.to} [${message.type}]${message.text ? `: ${message.text}` : ''}`)
+    });
+    console.log(`🧪 Graph API mock on ${mock.url}`);
+    console.log(`   Run the bot with WHATSAPP_API_URL=${mock.url} and any WHATSAPP_TOKEN`);
+}
+
+export default { startGraphApiMock, useGraphApiMock };
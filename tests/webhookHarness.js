@@ -0,0 +1,132 @@
+// =============================================
+// NexoBot MVP — Webhook Test Harness
+// =============================================
+// Signs Meta webhook fixtures (tests/fixtures/webhook/*.json) with
+// WHATSAPP_APP_SECRET, the way Meta does, and POSTs them — to an
+// in-process server (tests) or to a running bot (manual checks):
+//
+//   node tests/webhookHarness.js text
+//   node tests/webhookHarness.js text --text "fiado 50 mil a Rosa" --from 595981000001
+//   node tests/webhookHarness.js audio --url http://localhost:3000/webhook
+//   node tests/webhookHarness.js text --unsigned      # expect 401 when a secret is set
+//   node tests/webhookHarness.js status --id wamid.XXX --status failed
+//   node tests/webhookHarness.js interactive --reply "cambiar a Despensa Central"
+
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import express from 'express';
+import { captureRawBody, signPayload } from '../src/middleware/webhookSignature.js';
+
+const FIXTURES_DIR = new URL('./fixtures/webhook/', import.meta.url);
+
+let sequence = 0;
+
+/**
+ * A fixture payload with optional overrides. Every call gets a fresh
+ * message ID (unless one is given), so the bot's dedupe doesn't skip it.
+ * Status fixtures take the ID of the sent message, the new status and,
+ * for 'failed', Meta's error code. Interactive ones, the ID of the tapped
+ * button (or list row, with `list`).
+ */
+export function loadPayload(name, { from, text, id, status, errorCode = 131026, reply, title, list = false } = {}) {
+    const payload = JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURES_DIR), 'utf8'));
+    const value = payload.entry[0].changes[0].value;
+
+    if (value.statuses) {
+        const update = value.statuses[0];
+        if (id) update.id = id;
+        if (from) update.recipient_id = from;
+        if (status) update.status = status;
+        if (update.status === 'failed') {
+            update.errors = [{ code: errorCode, title: 'Message undeliverable', error_data: { details: 'Message failed to send because of an unknown error.' } }];
+        }
+        return payload;
+    }
+
+    const message = value.messages[0];
+
+    message.id = id || `${message.id}.${Date.now()}.${++sequence}`;
+    if (from) {
+        message.from = from;
+        value.contacts[0].wa_id = from;
+    }
+    if (text !== undefined && message.type === 'text') message.text.body = text;
+    if (message.type === 'interactive' && (reply !== undefined || list)) {
+        const tapped = { ...(message.interactive.button_reply || message.interactive.list_reply) };
+        if (reply !== undefined) tapped.id = reply;
+        tapped.title = title || tapped.id;
+        message.interactive = list
+            ? { type: 'list_reply', list_reply: tapped }
+            : { type: 'button_reply', button_reply: tapped };
+    }
+    return payload;
+}
+
+/**
+ * Body and headers Meta would send for a payload
+ */
+export function signedRequest(payload, secret) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) headers['X-Hub-Signature-256'] = signPayload(body, secret);
+    return { body, headers };
+}
+
+/**
+ * POST a payload, signed with `secret` (or with an explicit `signature` header)
+ */
+export async function postWebhook(url, payload, { secret = null, signature } = {}) {
+    const { body, headers } = signedRequest(payload, secret);
+    if (signature !== undefined) headers['X-Hub-Signature-256'] = signature;
+    const response = await fetch(url, { method: 'POST', headers, body });
+    return response.status;
+}
+
+/**
+ * The webhook router behind the same body parser as server.js, on a random port
+ */
+export async function startWebhookServer() {
+    const { default: webhookRouter } = await import('../src/routes/webhook.js');
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use('/webhook', webhookRouter);
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/webhook`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+// =============================================
+// CLI
+// =============================================
+
+function arg(args, flag) {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : undefined;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await import('dotenv/config');
+    const args = process.argv.slice(2);
+    const name = args[0] || 'text';
+    const url = arg(args, '--url') || `http://localhost:${process.env.PORT || 3000}/webhook`;
+    const secret = args.includes('--unsigned') ? null : process.env.WHATSAPP_APP_SECRET;
+
+    if (!secret && !args.includes('--unsigned')) console.warn('⚠️ WHATSAPP_APP_SECRET not set: sending unsigned');
+
+    const payload = loadPayload(name, {
+        from: arg(args, '--from'), text: arg(args, '--text'), id: arg(args, '--id'), status: arg(args, '--status'),
+        reply: arg(args, '--reply'), list: args.includes('--list')
+    });
+    const status = await postWebhook(url, payload, { secret }).catch(error => {
+        console.error(`❌ ${url} unreachable (${error.cause?.code || error.message}). Is the bot running?`);
+        process.exit(1);
+    });
+    console.log(`${status === 200 ? '✅' : '❌'} ${name} → ${url}: HTTP ${status}`);
+    process.exit(status === 200 ? 0 : 1);
+}
+
+export default { loadPayload, signedRequest, postWebhook, startWebhookServer };